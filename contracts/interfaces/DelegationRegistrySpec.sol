@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+/**
+ * @title Delegation Registry
+ *
+ * @notice Delegation registry allows the vault (cold wallet) owners to delegate
+ *      the permissions to act on their behalf to the delegate (hot wallet) addresses,
+ *      without transferring the assets out of the vault
+ *
+ * @notice This is a subset of the delegate.cash (delegate.xyz v1) registry interface
+ *      required by the iNFT Linker, see https://github.com/delegatecash/delegation-registry
+ */
+interface DelegationRegistry {
+	/**
+	 * @notice Returns true if the address is delegated to act on your behalf for a specific token,
+	 *      the token's contract or an entire vault
+	 *
+	 * @param delegate the hot wallet to act on your behalf
+	 * @param vault the cold wallet who issued the delegation
+	 * @param contract_ the address of the contract for the token
+	 * @param tokenId the token ID for the token you're delegating
+	 * @return true if the delegation exists, false otherwise
+	 */
+	function checkDelegateForToken(
+		address delegate,
+		address vault,
+		address contract_,
+		uint256 tokenId
+	) external view returns (bool);
+}
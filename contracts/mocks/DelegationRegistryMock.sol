@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "../interfaces/DelegationRegistrySpec.sol";
+
+/**
+ * @title Delegation Registry Mock
+ *
+ * @notice Simplified delegation registry supporting token level and vault level delegations,
+ *      used to test the delegation registry support
+ */
+contract DelegationRegistryMock is DelegationRegistry {
+	/**
+	 * @dev Token level delegations: vault => delegate => contract => token ID => delegated flag
+	 */
+	mapping(address => mapping(address => mapping(address => mapping(uint256 => bool)))) public tokenDelegations;
+
+	/**
+	 * @dev Vault level delegations: vault => delegate => delegated flag
+	 */
+	mapping(address => mapping(address => bool)) public allDelegations;
+
+	/**
+	 * @dev Allows or revokes delegation for the entire vault (sender)
+	 *
+	 * @param delegate the hot wallet to act on sender's behalf
+	 * @param value true to delegate, false to revoke
+	 */
+	function delegateForAll(address delegate, bool value) public {
+		// update the delegation
+		allDelegations[msg.sender][delegate] = value;
+	}
+
+	/**
+	 * @dev Allows or revokes delegation for the specific token
+	 *
+	 * @param delegate the hot wallet to act on sender's behalf
+	 * @param contract_ the address of the contract for the token
+	 * @param tokenId the token ID for the token to delegate
+	 * @param value true to delegate, false to revoke
+	 */
+	function delegateForToken(address delegate, address contract_, uint256 tokenId, bool value) public {
+		// update the delegation
+		tokenDelegations[msg.sender][delegate][contract_][tokenId] = value;
+	}
+
+	/**
+	 * @inheritdoc DelegationRegistry
+	 */
+	function checkDelegateForToken(
+		address delegate,
+		address vault,
+		address contract_,
+		uint256 tokenId
+	) public view override returns (bool) {
+		// evaluate both vault level and token level delegations
+		return allDelegations[vault][delegate] || tokenDelegations[vault][delegate][contract_][tokenId];
+	}
+}
@@ -0,0 +1,635 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "../interfaces/ERC1363Spec.sol";
+import "./IntelliLinkerV4Base.sol";
+
+/**
+ * @title Intelligent Token Linker (iNFT Linker)
+ *
+ * @notice iNFT Linker is a helper smart contract responsible for managing iNFTs.
+ *      It creates and destroys iNFTs, determines iNFT creation price and destruction fee.
+ *
+ * @dev V2 modification
+ *      - supports two separate whitelists for linking and unlinking
+ *      - is upgradeable
+ *
+ * @dev V3 modification: "custom iNFT request" feature
+ *      - separates feature "ALLOW_ANY_NFT_CONTRACT" into "ALLOW_ANY_NFT_CONTRACT_FOR_LINKING"
+ *        and "ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING"
+ *      - introduces two separate blacklists for linking and unlinking, having the priority over
+ *        the whitelists introduced in V2
+ *
+ * @dev V4 modification
+ *      - supports unlinking + linking in a single transaction ("relinking"): AI Personality
+ *        and ALI tokens locked in the iNFT get bound to another target NFT, relinking fee
+ *        may get charged instead of the linking price
+ *      - checks AI Personality / target NFT compatibility: compatibility rules may restrict
+ *        AI Personalities (ranges of IDs) to be linked only to specific target NFT contracts
+ *      - supports multiple AI Personality contracts: in addition to the `personalityContract`
+ *        (default one) linker accepts AI Personalities from any registered AI Personality contract;
+ *        deregistering AI Personality contract prevents new iNFTs from being linked only
+ *      - supports gasless linking: AI Personality owner signs EIP-712 link authorization,
+ *        limiting the linking price to be paid, which can be submitted by anyone (relayer)
+ *        via `linkWithSig()`; AI Personality may be taken from any registered AI Personality contract
+ *      - supports ALI EIP-2612 permits: `linkWithPermit()` and `depositWithPermit()` don't
+ *        require a separate ALI approval transaction
+ *      - supports ALI ERC-1363 `transferAndCall`: ALI tokens sent to the linker along with
+ *        the encoded `link` or `deposit` call get used to link or deposit, see `onTransferReceived()`
+ *      - supports per target NFT contract (collection) linking price, linking fee, and treasury
+ *        overrides, falling back to the global `linkPrice`, `linkFee`, and `feeDestination`
+ *      - charges iNFT destruction (unlinking) fee: fixed amount or a share of the ALI tokens
+ *        locked in the iNFT get sent to the treasury when iNFT is unlinked
+ *      - charges withdrawal fee: a share of the ALI tokens withdrawn gets charged in the same way
+ *        as the deposit fee (sent to the treasury and fee share recipients, or accrued)
+ *      - supports batch linking, unlinking, and deposits, aggregating ALI tokens transfers
+ *      - doesn't support ERC-1155 target NFT contracts (as V3): IntelligentNFTv2 resolves the iNFT owner,
+ *        and releases the AI Personality and ALI tokens on burn via ERC721.ownerOf
+ *      - allows approved operators (ERC-721 `getApproved`/`isApprovedForAll`) to link, unlink,
+ *        deposit and withdraw on behalf of the owners, see `isApprovedOperator`;
+ *        AI Personality and ALI tokens returned are sent to the owner, not to the operator
+ *      - allows the delegates registered in the delegation registry `delegationRegistry`
+ *        to unlink, deposit and withdraw on behalf of the NFT owners (vaults), see `isDelegate`;
+ *        AI Personality and ALI tokens returned are sent to the vault, not to the delegate
+ *      - optionally (FEATURE_TARGET_OWNER_CONSENT) requires target NFT owner consent for linking
+ *        and relinking: linking account must own (operate) the target NFT, or present the EIP-712
+ *        consent signed by the target NFT owner, see `linkWithConsent()`; relinking account must
+ *        own (operate) the new target NFT
+ *      - allows recovering ALI tokens locked in the iNFTs bound to burnt or destroyed (orphaned)
+ *        target NFTs, see `recover()`; note that AI Personality can't be recovered since
+ *        IntelligentNFTv2 releases it only on burn, sending it to the (unresolvable) target NFT owner;
+ *        recovered iNFT is frozen: it can't be unlinked, relinked, or deposited to, see `recoveredINfts`
+ *      - supports per-token deny list `deniedTargetNfts` blocking individual target NFTs
+ *        from being linked to, and optionally from receiving deposits
+ *      - supports bulk whitelist / blacklist updates `whitelistTargetContracts` and on-chain
+ *        enumeration of the target NFT contracts listed, see `whitelistedCount`, `whitelistedAt`;
+ *        contracts listed before the upgrade are enumerated once their flags are updated again
+ *      - supports whitelist validity windows `whitelistWindows` for time-boxed partnerships;
+ *        expired (or not yet started) entries behave as not whitelisted, blacklist applies regardless
+ *      - supports per-collection `collectionLinkCaps` and per-wallet per-period `walletLinkCap`
+ *        linking caps, applied to both linking and relinking; iNFTs linked before the upgrade are not counted
+ *      - provides linking, deposit, and withdrawal previews `previewLink`, `previewDeposit`,
+ *        `previewWithdraw`, and the linking dry-run `canLink` returning the reason code `LinkStatus`
+ *      - optionally (FEATURE_FEE_ACCRUAL) accrues linking, deposit, withdrawal, relinking, and unlinking fees
+ *        on the linker balance `accruedFees` instead of sending them to the treasury; every treasury
+ *        (fee share recipient) withdraws its own fees, see `withdrawFees()`, `withdrawTreasuryFees()`
+ *      - supports linking, deposit, withdrawal, relinking, and unlinking fee splitting between several recipients
+ *        (collection creator, partners) and the treasury with the global and per-collection
+ *        fee split tables, see `getFeeSplit()`
+ *      - supports referral rewards: linking with the referrer specified credits the referrer
+ *        with the `referralShare` of the linking fee, see `linkWithReferrer(address,uint96,address,uint256,address)`
+ *      - optionally (FEATURE_LINKING_WITH_VOUCHER) allows linking with the discounted (or zero) linking price
+ *        and fee, presenting the EIP-712 voucher signed by the link price manager, see `linkWithVoucher()`;
+ *        vouchers can be cancelled before they expire, see `cancelVoucher()`
+ *      - supports holder discounts: holders of the NFTs from the discount collections `discountCollections`
+ *        get linking and deposit fees reduced when presenting the collection and token ID they own
+ *        (proof of holding), see `link(address,uint96,address,uint256,address,uint256)`,
+ *        `deposit(uint256,uint96,address,uint256)`
+ *      - is split into the V4 implementation and the modules it delegates the calls to, fitting into
+ *        the EIP-170 contract size limit: linking module `IntelliLinkerV4LinkingModule`, fee module
+ *        `IntelliLinkerV4FeeModule`, and admin module `IntelliLinkerV4AdminModule`; the calls not
+ *        implemented by the V4 implementation fall through the modules chain, see `fallback()`
+ *
+ * @dev NOTE: Modules MUST be deployed before the V4 implementation, in the reverse order:
+ *      admin module, fee module, linking module
+ *
+ * @dev NOTE: Contract MUST NOT be deployed from scratch, only V3 -> V4 upgrade is supported!
+ */
+contract IntelliLinkerV4 is IntelliLinkerV4Base {
+	/**
+	 * @notice Linking module `IntelliLinkerV4LinkingModule` executes the functions which are not
+	 *      implemented by the V4 implementation, see `fallback()`
+	 *
+	 * @dev Immutable, stored within the V4 implementation bytecode, not in the proxy storage
+	 */
+	address public immutable linkingModule;
+
+	/**
+	 * @dev NOTE: No postConstruct() initializer function!
+	 *      Contract must not be deployed from scratch, only V3 -> V4 upgrade is supported
+	 *
+	 * @dev Creates/deploys the V4 implementation bound to already deployed linking module
+	 *
+	 * @param _linkingModule address of the deployed linking module instance the V4 implementation is bound to
+	 */
+	constructor(address _linkingModule) {
+		// verify the input is set
+		require(_linkingModule != address(0), "linking module addr is not set");
+
+		// setup the linking module address
+		linkingModule = _linkingModule;
+	}
+
+	/**
+	 * @notice Links given AI Personality with the given NFT and forms an iNFT.
+	 *      AI Personality specified and `linkPrice` ALI are transferred into minted iNFT
+	 *      and are effectively locked within an iNFT until it is destructed (burnt)
+	 *
+	 * @dev AI Personality is taken from the default AI Personality contract `personalityContract`,
+	 *      see `link(address,uint96,address,uint256)`
+	 *
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 */
+	function link(uint96 personalityId, address targetContract, uint256 targetId) public virtual {
+		// delegate to the AI Personality contract aware implementation
+		link(personalityContract, personalityId, targetContract, targetId);
+	}
+
+	/**
+	 * @notice Links given AI Personality with the given NFT and forms an iNFT.
+	 *      AI Personality specified and `linkPrice` ALI are transferred into minted iNFT
+	 *      and are effectively locked within an iNFT until it is destructed (burnt)
+	 *
+	 * @dev AI Personality and ALI tokens are transferred from the transaction sender account
+	 *      to iNFT smart contract
+	 * @dev Sender must approve both AI Personality and ALI tokens transfers to be
+	 *      performed by the linker contract
+	 * @dev If executed by an approved operator (see `isApprovedOperator`), AI Personality
+	 *      is transferred from its owner, while ALI tokens – from the operator
+	 *
+	 * @param _personalityContract AI Personality contract address, either `personalityContract`
+	 *      or one of the registered AI Personality contracts
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 */
+	function link(
+		address _personalityContract,
+		uint96 personalityId,
+		address targetContract,
+		uint256 targetId
+	) public virtual {
+		// delegate to internal implementation, transaction sender funds the iNFT creation
+		_link(msg.sender, msg.sender, _personalityContract, personalityId, targetContract, targetId, false, address(0), 0);
+	}
+
+	/**
+	 * @notice Links given AI Personality with the given NFT and forms an iNFT,
+	 *      crediting the referrer with the referral reward,
+	 *      see `linkWithReferrer(address,uint96,address,uint256,address)`
+	 *
+	 * @dev AI Personality is taken from the default AI Personality contract `personalityContract`
+	 *
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 * @param referrer an address which referred the transaction sender, zero address if none
+	 */
+	function linkWithReferrer(
+		uint96 personalityId,
+		address targetContract,
+		uint256 targetId,
+		address referrer
+	) public virtual {
+		// delegate to the AI Personality contract aware implementation
+		linkWithReferrer(personalityContract, personalityId, targetContract, targetId, referrer);
+	}
+
+	/**
+	 * @notice Links given AI Personality with the given NFT and forms an iNFT,
+	 *      crediting the referrer with the referral reward, see `link(address,uint96,address,uint256)`
+	 *
+	 * @dev Referral reward is the `referralShare` of the effective linking fee, it is deducted
+	 *      from the linking fee, so that the linking price charged doesn't change
+	 * @dev Referrer must not be the transaction sender, and must not be denied, see `deniedReferrers`
+	 *
+	 * @param _personalityContract AI Personality contract address, either `personalityContract`
+	 *      or one of the registered AI Personality contracts
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 * @param referrer an address which referred the transaction sender, zero address if none
+	 */
+	function linkWithReferrer(
+		address _personalityContract,
+		uint96 personalityId,
+		address targetContract,
+		uint256 targetId,
+		address referrer
+	) public virtual {
+		// delegate to internal implementation, transaction sender funds the iNFT creation
+		_link(msg.sender, msg.sender, _personalityContract, personalityId, targetContract, targetId, false, referrer, 0);
+	}
+
+	/**
+	 * @notice Links given AI Personality with the given NFT and forms an iNFT,
+	 *      applying the holder discount to the linking fee, see `link(address,uint96,address,uint256)`
+	 *
+	 * @dev Holder discount is the discount of the discount collection specified, if the transaction
+	 *      sender owns the proof token ID in it, see `getHolderDiscount()`; linking fee and linking price
+	 *      charged get reduced by the discount value, the ALI value locked doesn't change
+	 *
+	 * @param _personalityContract AI Personality contract address, either `personalityContract`
+	 *      or one of the registered AI Personality contracts
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 * @param discountCollection discount collection NFT contract address
+	 * @param proofTokenId ID of the discount collection NFT owned by the transaction sender
+	 */
+	function link(
+		address _personalityContract,
+		uint96 personalityId,
+		address targetContract,
+		uint256 targetId,
+		address discountCollection,
+		uint256 proofTokenId
+	) public virtual {
+		// determine the holder discount verifying the proof of holding
+		uint16 _discount = getHolderDiscount(msg.sender, discountCollection, proofTokenId);
+
+		// delegate to internal implementation, transaction sender funds the iNFT creation
+		uint96 _discountValue = _link(
+			msg.sender,
+			msg.sender,
+			_personalityContract,
+			personalityId,
+			targetContract,
+			targetId,
+			false,
+			address(0),
+			_discount
+		);
+
+		// if the discount was applied, emit an event
+		if (_discount != 0) {
+			emit HolderDiscountApplied(msg.sender, nextId - 1, discountCollection, proofTokenId, _discount, _discountValue);
+		}
+	}
+
+	/**
+	 * @notice Destroys given iNFT, unlinking it from underlying NFT and unlocking
+	 *      the AI Personality and ALI tokens locked in iNFT.
+	 *      AI Personality and ALI tokens are transferred to the underlying NFT owner
+	 *
+	 * @dev Can be executed only by iNFT owner (effectively underlying NFT owner),
+	 *      or an approved operator, see `isApprovedOperator`
+	 *
+	 * @param iNftId ID of the iNFT to unlink
+	 */
+	function unlink(uint256 iNftId) public virtual {
+		// verify unlinking is enabled
+		require(isFeatureEnabled(FEATURE_UNLINKING), "unlinking is disabled");
+
+		// get a link to an iNFT contract to perform several actions with it
+		IntelligentNFTv2 iNFT = IntelligentNFTv2(iNftContract);
+
+		// get target NFT contract address and NFT ID from the iNFT binding
+		(, , , address targetContract, uint256 targetId) = iNFT.bindings(iNftId);
+		// verify the iNFT is not recovered, see `recover()`
+		require(!recoveredINfts[iNftId], "iNFT is recovered");
+		// verify NFT contract is either whitelisted or any NFT contract is allowed globally
+		require(isAllowedForUnlinking(targetContract), "not a whitelisted NFT contract");
+
+		// verify the transaction is executed by iNFT owner (effectively by underlying NFT owner) or an approved operator
+		require(isApprovedOperator(targetContract, targetId, msg.sender), "not an iNFT owner");
+
+		// charge the unlinking fee if it is set
+		_chargeUnlinkFee(iNftId, targetContract);
+
+		// burn the iNFT unlocking the AI Personality and ALI tokens - delegate to `IntelligentNFTv2.burn`
+		iNFT.burn(iNftId);
+
+		// update the collection counter
+		_countUnlink(targetContract, iNftId);
+
+		// emit an event
+		emit Unlinked(msg.sender, iNftId);
+	}
+
+	/**
+	 * @notice Unlinks given NFT by destroying iNFTs and unlocking
+	 *      the AI Personality and ALI tokens locked in iNFTs.
+	 *      AI Personality and ALI tokens are transferred to the underlying NFT owner
+	 *
+	 * @dev Can be executed only by NFT owner (effectively underlying NFT owner),
+	 *      an approved operator, see `isApprovedOperator`, or a delegate, see `isDelegate`
+	 *
+	 * @param nftContract NFT address iNFTs to be unlinked to
+	 * @param nftId NFT ID iNFTs to be unlinked to
+	 */
+	function unlinkNFT(address nftContract, uint256 nftId) public virtual {
+		// verify unlinking is enabled
+		require(isFeatureEnabled(FEATURE_UNLINKING), "unlinking is disabled");
+
+		// get a link to an iNFT contract to perform several actions with it
+		IntelligentNFTv2 iNFT = IntelligentNFTv2(iNftContract);
+
+		// verify the transaction is executed by NFT owner, an approved operator, or a delegate
+		require(
+			isApprovedOperator(nftContract, nftId, msg.sender) || isDelegate(nftContract, nftId, msg.sender),
+			"not an NFT owner"
+		);
+
+		// get iNFT ID linked with given NFT
+		uint256 iNftId = iNFT.reverseBindings(nftContract, nftId);
+		// verify the iNFT is not recovered, see `recover()`
+		require(!recoveredINfts[iNftId], "iNFT is recovered");
+
+		// verify NFT contract is either whitelisted or any NFT contract is allowed globally
+		require(isAllowedForUnlinking(nftContract), "not a whitelisted NFT contract");
+
+		// charge the unlinking fee if it is set
+		_chargeUnlinkFee(iNftId, nftContract);
+
+		// burn the iNFT unlocking the AI Personality and ALI tokens - delegate to `IntelligentNFTv2.burn`
+		iNFT.burn(iNftId);
+
+		// update the collection counter
+		_countUnlink(nftContract, iNftId);
+
+		// emit an event
+		emit Unlinked(msg.sender, iNftId);
+	}
+
+	/**
+	 * @notice Destroys given iNFTs, see `unlink()`
+	 *
+	 * @dev Each item is verified in the same way as in `unlink()`
+	 *
+	 * @param iNftIds IDs of the iNFTs to unlink
+	 */
+	function unlinkBatch(uint256[] memory iNftIds) public virtual {
+		// unlink the iNFTs one by one
+		for (uint256 i = 0; i < iNftIds.length; i++) {
+			// delegate to `unlink`
+			unlink(iNftIds[i]);
+		}
+	}
+
+	/**
+	 * @notice Relinks given iNFT to another NFT: destroys given iNFT and creates new one,
+	 *      bound to the NFT specified, with the same AI Personality and ALI tokens locked.
+	 *      Relinking fee `relinkFee` is charged instead of the linking price `linkPrice`
+	 *
+	 * @dev Can be executed only by iNFT owner (effectively underlying NFT owner)
+	 *
+	 * @dev Burning the iNFT releases the AI Personality to the iNFT owner, which is
+	 *      then immediately locked back into the newly created iNFT;
+	 *      sender must approve AI Personality transfers to be performed by the linker contract
+	 *      (`setApprovalForAll`), and, if relinking fee is set, ALI tokens transfer to pay the fee
+	 *
+	 * @param iNftId ID of the iNFT to relink
+	 * @param targetContract NFT address new iNFT to be linked to
+	 * @param targetId NFT ID new iNFT to be linked to
+	 */
+	function relink(uint256 iNftId, address targetContract, uint256 targetId) public virtual {
+		// verify relinking is enabled
+		require(isFeatureEnabled(FEATURE_RELINKING), "relinking is disabled");
+
+		// get a link to an iNFT contract to perform several actions with it
+		IntelligentNFTv2 iNFT = IntelligentNFTv2(iNftContract);
+
+		// read the iNFT binding to be destroyed
+		(address _personalityContract, uint96 personalityId, uint96 aliValue, address oldTarget, ) = iNFT.bindings(iNftId);
+		// verify the iNFT is not recovered, see `recover()`
+		require(!recoveredINfts[iNftId], "iNFT is recovered");
+		// verify old NFT contract is either whitelisted or any NFT contract is allowed globally
+		require(isAllowedForUnlinking(oldTarget), "not a whitelisted NFT contract");
+		// verify AI Personality contract is still allowed to be linked from
+		require(isPersonalityContractAllowed(_personalityContract), "not a registered AI Personality contract");
+		// verify new NFT contract is either whitelisted or any NFT contract is allowed globally
+		require(isAllowedForLinking(targetContract), "not a whitelisted NFT contract");
+		// verify the new NFT is not denied individually
+		require(!_isTargetNftDenied(targetContract, targetId, 0x1), "denied target NFT");
+		// if target NFT owner consent is required, verify the new NFT belongs to the relinking account
+		require(
+			!isFeatureEnabled(FEATURE_TARGET_OWNER_CONSENT) || isApprovedOperator(targetContract, targetId, msg.sender),
+			"no target NFT owner consent"
+		);
+		// verify AI Personality is allowed to be linked to the new NFT contract
+		require(isCompatible(_personalityContract, personalityId, targetContract), "incompatible NFT contract");
+
+		// verify the transaction is executed by iNFT owner (effectively by underlying NFT owner)
+		require(iNFT.ownerOf(iNftId) == msg.sender, "not an iNFT owner");
+
+		// determine the effective treasury for the new target NFT contract
+		(, , address _feeDestination) = getLinkPrice(targetContract);
+		// relinking fee is charged only if both relinking fee and treasury are set
+		uint96 _relinkFee = _feeDestination != address(0) ? relinkFee : 0;
+		// if relinking fee is set
+		if (_relinkFee > 0) {
+			// transfer ALI tokens to the treasury and fee share recipients, or accrue them
+			_chargeSplitFee(msg.sender, targetContract, _feeDestination, _relinkFee);
+		}
+
+		// if there are ALI tokens locked in the iNFT
+		if (aliValue != 0) {
+			// move them into the linker, so that they don't get released to the iNFT owner
+			iNFT.decreaseAli(iNftId, aliValue, address(this));
+		}
+
+		// burn the iNFT releasing the AI Personality - delegate to `IntelligentNFTv2.burn`
+		iNFT.burn(iNftId);
+
+		// update the collection counters, verifying the new collection linking cap
+		_countUnlink(oldTarget, iNftId);
+		_countLink(targetContract, nextId);
+		// update the wallet counter, verifying the wallet linking cap
+		_countWalletLink(msg.sender);
+
+		// transfer AI Personality back to iNFT contract to be locked
+		ERC721(_personalityContract).transferFrom(msg.sender, iNftContract, personalityId);
+
+		// if there were ALI tokens locked in the iNFT
+		if (aliValue != 0) {
+			// transfer ALI tokens back to iNFT contract to be locked
+			ERC20(aliContract).transfer(iNftContract, aliValue);
+		}
+
+		// mint the next iNFT, increment next iNFT ID to be minted
+		iNFT.mint(nextId++, aliValue, _personalityContract, personalityId, targetContract, targetId);
+
+		// emit an event
+		emit Relinked(msg.sender, iNftId, nextId - 1, _relinkFee, targetContract, targetId);
+	}
+
+	/**
+	 * @notice Deposits additional ALI tokens into already existing iNFT
+	 *
+	 * @dev Can be executed only by NFT owner (effectively underlying NFT owner),
+	 *      an approved operator, see `isApprovedOperator`, or a delegate, see `isDelegate`
+	 *
+	 * @dev ALI tokens are transferred from the transaction sender account to iNFT smart contract
+	 *      Sender must approve ALI tokens transfers to be performed by the linker contract
+	 *
+	 * @param iNftId ID of the iNFT to transfer (and lock) tokens to
+	 * @param aliValue amount of ALI tokens to transfer (and lock)
+	 */
+	function deposit(uint256 iNftId, uint96 aliValue) public virtual {
+		// delegate to internal implementation, transaction sender funds the deposit
+		_deposit(msg.sender, msg.sender, iNftId, aliValue, 0);
+	}
+
+	/**
+	 * @notice Deposits additional ALI tokens into already existing iNFT,
+	 *      applying the holder discount to the deposit fee, see `deposit(uint256,uint96)`
+	 *
+	 * @dev Holder discount is the discount of the discount collection specified, if the transaction
+	 *      sender owns the proof token ID in it, see `getHolderDiscount()`; the fee charged gets reduced
+	 *      by the discount value, the ALI value locked increases accordingly
+	 *
+	 * @param iNftId ID of the iNFT to transfer (and lock) tokens to
+	 * @param aliValue amount of ALI tokens to transfer (and lock)
+	 * @param discountCollection discount collection NFT contract address
+	 * @param proofTokenId ID of the discount collection NFT owned by the transaction sender
+	 */
+	function deposit(uint256 iNftId, uint96 aliValue, address discountCollection, uint256 proofTokenId) public virtual {
+		// determine the holder discount verifying the proof of holding
+		uint16 _discount = getHolderDiscount(msg.sender, discountCollection, proofTokenId);
+
+		// delegate to internal implementation, transaction sender funds the deposit
+		uint96 _discountValue = _deposit(msg.sender, msg.sender, iNftId, aliValue, _discount);
+
+		// if the discount was applied, emit an event
+		if (_discount != 0) {
+			emit HolderDiscountApplied(msg.sender, iNftId, discountCollection, proofTokenId, _discount, _discountValue);
+		}
+	}
+
+	/**
+	 * @notice ERC-1363 callback, executed by the ALI token when ALI tokens are sent to the linker
+	 *      with `transferAndCall` or `transferFromAndCall`; links or deposits with the ALI tokens
+	 *      received, removing the need for a separate ALI approval transaction
+	 *
+	 * @dev `data` must be ABI encoded call of one of the following linker functions:
+	 *      - `link(address,uint96,address,uint256)`, ALI value received must be equal to
+	 *        the effective linking price for the target NFT contract (see `getLinkPrice()`),
+	 *        AI Personality must belong to the `operator` and be approved to the linker
+	 *      - `deposit(uint256,uint96)`, ALI value received must be equal to the value encoded,
+	 *        iNFT must belong to the `operator`
+	 *
+	 * @dev Linking or depositing account is the `operator`, the account which executed
+	 *      `transferAndCall` or `transferFromAndCall`, not the ALI sender (`from`): the account
+	 *      allowed to spend someone's ALI tokens can't link or deposit on behalf of the ALI sender
+	 *
+	 * @dev Accepts callbacks from the ALI token `aliContract` only
+	 *
+	 * @param operator an address which executed `transferAndCall` or `transferFromAndCall`,
+	 *      linking or depositing account
+	 * @param value amount of ALI tokens received
+	 * @param data ABI encoded `link` or `deposit` call
+	 * @return ERC1363Receiver.onTransferReceived selector
+	 */
+	function onTransferReceived(
+		address operator,
+		address,
+		uint256 value,
+		bytes calldata data
+	) public virtual returns (bytes4) {
+		// verify ALI tokens are the ones received
+		require(msg.sender == aliContract, "not an ALI token");
+
+		// extract the function selector from the call data
+		bytes4 selector = data.length < 4 ? bytes4(0) : bytes4(data[:4]);
+
+		// if the link call is encoded
+		if (selector == bytes4(keccak256("link(address,uint96,address,uint256)"))) {
+			// decode the link call parameters
+			(address _personalityContract, uint96 personalityId, address targetContract, uint256 targetId) = abi.decode(
+				data[4:],
+				(address, uint96, address, uint256)
+			);
+
+			// determine the effective linking price for the target NFT contract
+			(uint96 _linkPrice, , ) = getLinkPrice(targetContract);
+
+			// verify the ALI value received matches the linking price
+			require(value == _linkPrice, "value mismatch");
+
+			// delegate to internal implementation, ALI tokens are already on the linker balance
+			_link(operator, address(this), _personalityContract, personalityId, targetContract, targetId, false, address(0), 0);
+		}
+		// if the deposit call is encoded
+		else if (selector == bytes4(keccak256("deposit(uint256,uint96)"))) {
+			// decode the deposit call parameters
+			(uint256 iNftId, uint96 aliValue) = abi.decode(data[4:], (uint256, uint96));
+
+			// verify the ALI value received matches the value to deposit
+			require(value == aliValue, "value mismatch");
+
+			// delegate to internal implementation, ALI tokens are already on the linker balance
+			_deposit(operator, address(this), iNftId, aliValue, 0);
+		}
+		// no other operations are supported
+		else {
+			revert("unsupported operation");
+		}
+
+		// operation succeeded, return the ERC1363Receiver magic value
+		return ERC1363Receiver.onTransferReceived.selector;
+	}
+
+	/**
+	 * @notice Withdraws some ALI tokens from already existing iNFT without destroying it
+	 *
+	 * @dev Can be executed only by NFT owner (effectively underlying NFT owner),
+	 *      an approved operator, see `isApprovedOperator`, or a delegate, see `isDelegate`
+	 *
+	 * @dev ALI tokens are transferred to the iNFT owner (even if executed by an operator or a delegate),
+	 *      withdrawal fee `withdrawalFee` (if set) is deducted and charged in the same way as the linking fee:
+	 *      split between the treasury and the fee share recipients, and sent to them, or accrued
+	 *
+	 * @param iNftId ID of the iNFT to unlock tokens from
+	 * @param aliValue amount of ALI tokens to unlock
+	 */
+	function withdraw(uint256 iNftId, uint96 aliValue) public virtual {
+		// verify withdrawals are enabled
+		require(isFeatureEnabled(FEATURE_WITHDRAWALS), "withdrawals are disabled");
+
+		// get a link to an iNFT contract to perform several actions with it
+		IntelligentNFTv2 iNFT = IntelligentNFTv2(iNftContract);
+
+		// read the target NFT contract address and NFT ID from the iNFT binding
+		(, , , address targetContract, uint256 targetId) = iNFT.bindings(iNftId);
+
+		// verify the transaction is executed by iNFT owner (effectively by underlying NFT owner), an approved operator, or a delegate
+		require(
+			isApprovedOperator(targetContract, targetId, msg.sender) || isDelegate(targetContract, targetId, msg.sender),
+			"not an iNFT owner"
+		);
+
+		// determine the effective linking price and treasury for the iNFT target NFT contract
+		(uint96 _linkPrice, , address _feeDestination) = getLinkPrice(targetContract);
+
+		// ensure iNFT locked balance doesn't go below `linkPrice - linkFee`
+		// (the fee is taken out of the value withdrawn, so the invariant doesn't depend on it)
+		require(iNFT.lockedValue(iNftId) >= aliValue + _linkPrice, "deposit too low");
+
+		// withdrawal fee is charged only if the treasury is set
+		uint96 _withdrawalFee = _calculateWithdrawalFee(_feeDestination, aliValue);
+
+		// if withdrawal fee is to be charged
+		if (_withdrawalFee != 0) {
+			// update the iNFT record and transfer the fee to the linker
+			iNFT.decreaseAli(iNftId, _withdrawalFee, address(this));
+
+			// transfer ALI tokens to the treasury and fee share recipients, or accrue them
+			_chargeSplitFee(address(this), targetContract, _feeDestination, _withdrawalFee);
+		}
+
+		// update the iNFT record and transfer the rest of the tokens back to the iNFT owner (not the operator)
+		iNFT.decreaseAli(iNftId, aliValue - _withdrawalFee, iNFT.ownerOf(iNftId));
+
+		// emit an event
+		emit LinkUpdated(msg.sender, iNftId, -int128(uint128(aliValue)), _withdrawalFee);
+	}
+
+	/**
+	 * @notice Executes the functions not implemented by the V4 implementation
+	 *      in the linking module `linkingModule`
+	 *
+	 * @dev Delegates the call to the linking module, preserving the storage context, `msg.sender`,
+	 *      and bubbling up the revert reason if any
+	 *
+	 * @param input call data to delegate to the linking module
+	 * @return data returned by the linking module
+	 */
+	fallback(bytes calldata input) external returns (bytes memory) {
+		// delegate the call to the linking module
+		return Address.functionDelegateCall(linkingModule, input);
+	}
+}
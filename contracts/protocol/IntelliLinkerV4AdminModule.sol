@@ -0,0 +1,821 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "./IntelliLinkerV4Base.sol";
+
+/**
+ * @title Intelligent Token Linker (iNFT Linker) V4 Admin Module
+ *
+ * @notice Admin module implements whitelists, deny lists, linking caps, compatibility rules, AI
+ *      Personality contracts registry management, orphaned iNFTs recovery, and linking dry-run
+ *
+ * @dev Admin module is executed via the delegate call from the fee module `IntelliLinkerV4FeeModule`
+ *      in the iNFT Linker proxy storage context, and is not used directly; this is the last module,
+ *      calls it doesn't implement revert
+ */
+contract IntelliLinkerV4AdminModule is IntelliLinkerV4Base {
+	/**
+	 * @notice Checks if the iNFT is orphaned: bound to the target NFT which doesn't exist
+	 *      anymore (burnt), or which contract is destroyed
+	 *
+	 * @dev ERC-721 target NFT is treated as burnt if its `ownerOf` returns zero address, or reverts
+	 *      with one of the well-known "nonexistent token" errors, see `_isNonexistentTokenReason`;
+	 *      any other revert (paused or temporarily broken contract) doesn't make the iNFT orphaned
+	 *
+	 * @dev Recovered iNFT is not orphaned anymore, see `recover()`
+	 *
+	 * @param iNftId ID of the iNFT to check
+	 * @return true if the iNFT exists, is orphaned, and is not yet recovered, false otherwise
+	 */
+	function isOrphaned(uint256 iNftId) public view virtual returns (bool) {
+		// recovered iNFT is not orphaned anymore
+		if (recoveredINfts[iNftId]) {
+			return false;
+		}
+
+		// read the target NFT contract address and NFT ID from the iNFT binding
+		(, , , address targetContract, uint256 targetId) = IntelligentNFTv2(iNftContract).bindings(iNftId);
+
+		// non-existent iNFT is not orphaned
+		if (targetContract == address(0)) {
+			return false;
+		}
+
+		// destroyed target NFT contract can't resolve the owner
+		if (targetContract.code.length == 0) {
+			return true;
+		}
+
+		// ERC-721 target NFT contract may revert or return zero address for burnt NFT
+		try ERC721(targetContract).ownerOf(targetId) returns (address owner) {
+			return owner == address(0);
+		}
+		catch Error(string memory reason) {
+			// only the "nonexistent token" revert reasons mean the NFT is burnt
+			return _isNonexistentTokenReason(reason);
+		}
+		catch (bytes memory reason) {
+			// ERC-6093 custom error ERC721NonexistentToken(uint256) means the NFT is burnt, panics and empty reverts don't
+			return reason.length == 36 && bytes4(reason) == bytes4(keccak256("ERC721NonexistentToken(uint256)"));
+		}
+	}
+
+	/**
+	 * @dev Checks if ERC721.ownerOf revert reason is one of the well-known "nonexistent token" reasons
+	 *
+	 * @param reason revert reason returned by ERC721.ownerOf
+	 * @return true if the revert reason means the token doesn't exist, false otherwise
+	 */
+	function _isNonexistentTokenReason(string memory reason) internal pure virtual returns (bool) {
+		// hash the reason to compare it with the well-known ones
+		bytes32 h = keccak256(bytes(reason));
+
+		// OpenZeppelin 4.8+, OpenZeppelin before 4.8, and AI Protocol ERC721 implementations reasons
+		return h == keccak256("ERC721: invalid token ID")
+			|| h == keccak256("ERC721: owner query for nonexistent token")
+			|| h == keccak256("token doesn't exist");
+	}
+
+	/**
+	 * @dev Restricted access function to recover the ALI tokens locked in the orphaned iNFT,
+	 *      see `isOrphaned()`; ALI tokens are sent to the recipient, which is supposed to be
+	 *      the last known target NFT owner, or a claimable escrow
+	 *
+	 * @dev AI Personality remains locked in the iNFT: IntelligentNFTv2 releases it only on burn,
+	 *      transferring it to the target NFT owner, which is unresolvable for the orphaned iNFT;
+	 *      the iNFT binding (AI Personality and target NFT) is logged in the `Recovered` event
+	 *
+	 * @dev Recovery is final: the iNFT is marked as recovered in `recoveredINfts`, and can't be
+	 *      recovered again, unlinked, relinked, or deposited to, even if the target NFT is minted back
+	 *
+	 * @dev Requires executor to have ROLE_RECOVERY_MANAGER permission
+	 *
+	 * @param iNftId ID of the orphaned iNFT to recover ALI tokens from
+	 * @param recipient an address to send the ALI tokens recovered to
+	 */
+	function recover(uint256 iNftId, address recipient) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_RECOVERY_MANAGER), "access denied");
+
+		// verify the recipient is set
+		require(recipient != address(0), "zero address");
+
+		// verify the iNFT is not yet recovered
+		require(!recoveredINfts[iNftId], "iNFT is already recovered");
+
+		// verify the iNFT is orphaned
+		require(isOrphaned(iNftId), "iNFT is not orphaned");
+
+		// mark the iNFT as recovered
+		recoveredINfts[iNftId] = true;
+
+		// get a link to an iNFT contract to perform several actions with it
+		IntelligentNFTv2 iNFT = IntelligentNFTv2(iNftContract);
+
+		// read the iNFT binding to be logged, and the ALI tokens locked in the iNFT
+		(
+			address _personalityContract,
+			uint96 personalityId,
+			uint96 aliValue,
+			address targetContract,
+			uint256 targetId
+		) = iNFT.bindings(iNftId);
+
+		// if there are tokens locked
+		if (aliValue != 0) {
+			// update the iNFT record and transfer the tokens to the recipient
+			iNFT.decreaseAli(iNftId, aliValue, recipient);
+		}
+
+		// emit an event
+		emit Recovered(
+			msg.sender,
+			iNftId,
+			recipient,
+			aliValue,
+			_personalityContract,
+			personalityId,
+			targetContract,
+			targetId
+		);
+	}
+
+	/**
+	 * @notice Linking dry-run: checks if the AI Personality can be linked with the target NFT
+	 *      by the sender, see `link(address,uint96,address,uint256)`
+	 *
+	 * @dev Performs the same checks as `link()`, in the same order, and additionally checks
+	 *      the target NFT is not yet linked, and sender's ALI balance and allowance;
+	 *      doesn't revert, returns the reason code of the first check failed instead
+	 *
+	 * @param sender an address which is going to link the AI Personality
+	 * @param _personalityContract AI Personality contract address, either the default one
+	 *      `personalityContract`, or the one registered in `registeredPersonalityContracts`
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 * @return reason code, `LinkStatus.OK` if linking is possible
+	 */
+	function canLink(
+		address sender,
+		address _personalityContract,
+		uint96 personalityId,
+		address targetContract,
+		uint256 targetId
+	) public view virtual returns (LinkStatus) {
+		// verify linking is enabled
+		if (!isFeatureEnabled(FEATURE_LINKING)) {
+			return LinkStatus.LINKING_DISABLED;
+		}
+		// verify AI Personality contract is either the default one or registered
+		if (!isPersonalityContractAllowed(_personalityContract)) {
+			return LinkStatus.PERSONALITY_CONTRACT_NOT_ALLOWED;
+		}
+		// verify AI Personality belongs to the linking account
+		if (!_tryIsApprovedOperator(_personalityContract, personalityId, sender)) {
+			return LinkStatus.NOT_PERSONALITY_OWNER;
+		}
+		// verify NFT contract is either whitelisted or any NFT contract is allowed globally
+		if (!isAllowedForLinking(targetContract)) {
+			return LinkStatus.TARGET_CONTRACT_NOT_ALLOWED;
+		}
+		// verify the NFT is not denied individually
+		if (_isTargetNftDenied(targetContract, targetId, 0x1)) {
+			return LinkStatus.TARGET_NFT_DENIED;
+		}
+		// if target NFT owner consent is required, verify the target NFT belongs to the linking account
+		if (isFeatureEnabled(FEATURE_TARGET_OWNER_CONSENT) && !_tryIsApprovedOperator(targetContract, targetId, sender)) {
+			return LinkStatus.NO_TARGET_OWNER_CONSENT;
+		}
+		// verify AI Personality is allowed to be linked to the NFT contract
+		if (!isCompatible(_personalityContract, personalityId, targetContract)) {
+			return LinkStatus.INCOMPATIBLE;
+		}
+		// verify the NFT is not yet linked
+		if (IntelligentNFTv2(iNftContract).reverseBindings(targetContract, targetId) != 0) {
+			return LinkStatus.TARGET_NFT_ALREADY_LINKED;
+		}
+		// verify the linking caps
+		if (getCollectionLinkCapacity(targetContract) == 0) {
+			return LinkStatus.COLLECTION_CAP_REACHED;
+		}
+		if (getWalletLinkCapacity(sender) == 0) {
+			return LinkStatus.WALLET_CAP_REACHED;
+		}
+
+		// verify the linking price can be paid
+		(uint96 _linkPrice, , ) = getLinkPrice(targetContract);
+		if (ERC20(aliContract).balanceOf(sender) < _linkPrice) {
+			return LinkStatus.INSUFFICIENT_ALI_BALANCE;
+		}
+		if (ERC20(aliContract).allowance(sender, address(this)) < _linkPrice) {
+			return LinkStatus.INSUFFICIENT_ALI_ALLOWANCE;
+		}
+
+		// all the checks passed
+		return LinkStatus.OK;
+	}
+
+	/**
+	 * @dev Non-reverting version of `isApprovedOperator`: NFT contract may revert
+	 *      when querying the owner of the non-existent NFT
+	 *
+	 * @param nftContract NFT contract address
+	 * @param nftId NFT ID
+	 * @param operator an address to check
+	 * @return true if the operator is the owner or an approved operator, false otherwise or if the query reverts
+	 */
+	function _tryIsApprovedOperator(address nftContract, uint256 nftId, address operator) internal view virtual returns (bool) {
+		// external self call allows to catch the revert
+		try this.isApprovedOperator(nftContract, nftId, operator) returns (bool approved) {
+			return approved;
+		}
+		catch {
+			return false;
+		}
+	}
+
+	/**
+	 * @dev Restricted access function to modify next iNFT ID `nextId`
+	 *
+	 * @param _nextId new next iNFT ID to be set
+	 */
+	function updateNextId(uint256 _nextId) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_NEXT_ID_MANAGER), "access denied");
+
+		// verify nextId is in safe bounds
+		require(_nextId > 0xFFFF_FFFF, "value too low");
+
+		// emit a event
+		emit NextIdChanged(msg.sender, nextId, _nextId);
+
+		// update next ID
+		nextId = _nextId;
+	}
+
+	/**
+	 * @dev Restricted access function to set the delegation registry `delegationRegistry`
+	 *
+	 * @dev Requires executor to have ROLE_DELEGATION_MANAGER permission
+	 *
+	 * @param _delegationRegistry new delegation registry address to set, zero to disable
+	 */
+	function updateDelegationRegistry(address _delegationRegistry) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_DELEGATION_MANAGER), "access denied");
+
+		// emit an event
+		emit DelegationRegistryChanged(msg.sender, delegationRegistry, _delegationRegistry);
+
+		// update the delegation registry
+		delegationRegistry = _delegationRegistry;
+	}
+
+	/**
+	 * @dev Restricted access function to manage whitelisted / blacklisted NFT contracts mapping
+	 *      `whitelistedTargetContracts`
+	 *
+	 * @dev Keeps the validity window of the address updated, see `whitelistWindows`
+	 *
+	 * @dev Requires executor to have ROLE_WHITELIST_MANAGER permission
+	 *
+	 * @param targetContract target NFT contract address to add/remove to/from the whitelist
+	 * @param allowedForLinking true to add, false to remove to/from whitelist (allowed for linking)
+	 * @param allowedForUnlinking true to add, false to remove to/from whitelist (allowed for unlinking)
+	 * @param forbiddenForLinking true to add, false to remove to/from blacklist (forbidden for linking)
+	 * @param forbiddenForUnlinking true to add, false to remove to/from blacklist (forbidden for unlinking)
+	 */
+	function whitelistTargetContract(
+		address targetContract,
+		bool allowedForLinking,
+		bool allowedForUnlinking,
+		bool forbiddenForLinking,
+		bool forbiddenForUnlinking
+	) public virtual {
+		// read the validity window to keep
+		WhitelistWindow memory window = whitelistWindows[targetContract];
+
+		// delegate to the time-boxed version with the validity window unchanged
+		whitelistTargetContract(
+			targetContract,
+			allowedForLinking,
+			allowedForUnlinking,
+			forbiddenForLinking,
+			forbiddenForUnlinking,
+			window.validFrom,
+			window.validUntil
+		);
+	}
+
+	/**
+	 * @dev Restricted access function to manage whitelisted / blacklisted NFT contracts mapping
+	 *      `whitelistedTargetContracts`, making the allowance flags effective only within
+	 *      the validity window specified, see `WhitelistWindow`
+	 *
+	 * @dev Requires executor to have ROLE_WHITELIST_MANAGER permission
+	 *
+	 * @param targetContract target NFT contract address to add/remove to/from the whitelist
+	 * @param allowedForLinking true to add, false to remove to/from whitelist (allowed for linking)
+	 * @param allowedForUnlinking true to add, false to remove to/from whitelist (allowed for unlinking)
+	 * @param forbiddenForLinking true to add, false to remove to/from blacklist (forbidden for linking)
+	 * @param forbiddenForUnlinking true to add, false to remove to/from blacklist (forbidden for unlinking)
+	 * @param validFrom unix timestamp (inclusive) the allowance becomes effective at, zero means no lower bound
+	 * @param validUntil unix timestamp (exclusive) the allowance expires at, zero means no upper bound
+	 */
+	function whitelistTargetContract(
+		address targetContract,
+		bool allowedForLinking,
+		bool allowedForUnlinking,
+		bool forbiddenForLinking,
+		bool forbiddenForUnlinking,
+		uint64 validFrom,
+		uint64 validUntil
+	) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_WHITELIST_MANAGER), "access denied");
+
+		// derive the uint8 value representing two boolean flags:
+		// Lowest bit (zero) defines if contract is allowed to be linked to;
+		// Next bit (one) defines if contract is allowed to be unlinked from
+		uint8 newVal = (allowedForLinking ? 0x1 : 0x0) |
+			(allowedForUnlinking ? 0x2 : 0x0) |
+			(forbiddenForLinking ? 0x4 : 0x0) |
+			(forbiddenForUnlinking ? 0x8 : 0x0);
+
+		// delegate to internal implementation
+		_whitelistTargetContract(targetContract, newVal, validFrom, validUntil);
+	}
+
+	/**
+	 * @dev Restricted access function to manage whitelisted / blacklisted NFT contracts mapping
+	 *      `whitelistedTargetContracts` in bulk, see `whitelistTargetContract()`
+	 *
+	 * @dev Emits `TargetContractWhitelisted` event for every address updated
+	 *
+	 * @dev Validity windows of the addresses updated are kept, see `whitelistWindows`
+	 *
+	 * @dev Requires executor to have ROLE_WHITELIST_MANAGER permission
+	 *
+	 * @param targetContracts target NFT contract addresses to add/remove to/from the whitelist
+	 * @param flags raw whitelist values (contain 4 flags), see `whitelistedTargetContracts`
+	 */
+	function whitelistTargetContracts(address[] memory targetContracts, uint8[] memory flags) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_WHITELIST_MANAGER), "access denied");
+
+		// verify the arrays are of the same length
+		require(targetContracts.length == flags.length, "arrays length mismatch");
+
+		// update the whitelist one by one
+		for (uint256 i = 0; i < targetContracts.length; i++) {
+			// read the validity window to keep
+			WhitelistWindow memory window = whitelistWindows[targetContracts[i]];
+
+			// delegate to internal implementation with the validity window unchanged
+			_whitelistTargetContract(targetContracts[i], flags[i], window.validFrom, window.validUntil);
+		}
+	}
+
+	/**
+	 * @dev Updates the whitelist `whitelistedTargetContracts` entry and its validity window `whitelistWindows`,
+	 *      keeps the `whitelistedContracts` enumeration in sync, and emits the events
+	 *
+	 * @param targetContract target NFT contract address to add/remove to/from the whitelist
+	 * @param newVal raw whitelist value (contains 4 flags), see `whitelistedTargetContracts`
+	 * @param validFrom unix timestamp (inclusive) the allowance becomes effective at, zero means no lower bound
+	 * @param validUntil unix timestamp (exclusive) the allowance expires at, zero means no upper bound
+	 */
+	function _whitelistTargetContract(
+		address targetContract,
+		uint8 newVal,
+		uint64 validFrom,
+		uint64 validUntil
+	) internal virtual {
+		// verify the address is set
+		require(targetContract != address(0), "zero address");
+
+		// verify the value contains only the known flags
+		require(newVal <= 0xF, "invalid flags");
+
+		// verify the window is not empty
+		require(validUntil == 0 || validFrom < validUntil, "invalid window");
+
+		// delisting is always possible, whitelisting - only for valid ERC721
+		if (newVal & 0x1 != 0) {
+			// verify targetContract is a valid ERC721
+			require(ERC165(targetContract).supportsInterface(type(ERC721).interfaceId), "target NFT is not ERC721");
+		}
+
+		// emit an event
+		emit TargetContractWhitelisted(msg.sender, targetContract, whitelistedTargetContracts[targetContract], newVal);
+
+		// update the contract address in the whitelist
+		whitelistedTargetContracts[targetContract] = newVal;
+
+		// if the validity window changes
+		WhitelistWindow storage window = whitelistWindows[targetContract];
+		if (window.validFrom != validFrom || window.validUntil != validUntil) {
+			// emit an event
+			emit WhitelistWindowChanged(msg.sender, targetContract, validFrom, validUntil);
+
+			// update the validity window
+			window.validFrom = validFrom;
+			window.validUntil = validUntil;
+		}
+
+		// read the contract position in the enumeration (index plus one)
+		uint256 j = whitelistedContractIndexes[targetContract];
+
+		// if the contract gets listed and is not yet tracked
+		if (newVal != 0 && j == 0) {
+			// add it to the enumeration
+			whitelistedContracts.push(targetContract);
+			whitelistedContractIndexes[targetContract] = whitelistedContracts.length;
+		}
+		// if the contract gets delisted and is tracked
+		else if (newVal == 0 && j != 0) {
+			// move the last contract in place of the one removed, and shrink the array
+			address last = whitelistedContracts[whitelistedContracts.length - 1];
+			whitelistedContracts[j - 1] = last;
+			whitelistedContractIndexes[last] = j;
+			whitelistedContracts.pop();
+			delete whitelistedContractIndexes[targetContract];
+		}
+	}
+
+	/**
+	 * @notice Number of the target NFT contracts having non-zero flags in `whitelistedTargetContracts`
+	 *
+	 * @dev Contracts listed before V4 upgrade are not counted until their flags are updated
+	 *
+	 * @return number of the target NFT contracts listed
+	 */
+	function whitelistedCount() public view virtual returns (uint256) {
+		// read the array length and return
+		return whitelistedContracts.length;
+	}
+
+	/**
+	 * @notice Target NFT contract listed in `whitelistedTargetContracts` at the specified position
+	 *
+	 * @dev Order of the contracts is not preserved when the contracts get delisted
+	 *
+	 * @param i position (zero-based) of the target NFT contract to read, must be less than `whitelistedCount()`
+	 * @return target NFT contract address
+	 */
+	function whitelistedAt(uint256 i) public view virtual returns (address) {
+		// verify the index is valid
+		require(i < whitelistedContracts.length, "invalid index");
+
+		// read the array element and return
+		return whitelistedContracts[i];
+	}
+
+	/**
+	 * @notice Page of the target NFT contracts listed in `whitelistedTargetContracts`,
+	 *      see `whitelistedAt`
+	 *
+	 * @param offset position (zero-based) of the first target NFT contract to read
+	 * @param limit maximum number of the target NFT contracts to read
+	 * @return page target NFT contract addresses, up to `limit` elements, empty if `offset` is out of bounds
+	 */
+	function whitelistedPage(uint256 offset, uint256 limit) public view virtual returns (address[] memory page) {
+		// determine the page size, truncating it to the array bounds
+		uint256 size = offset < whitelistedContracts.length ? whitelistedContracts.length - offset : 0;
+		if (size > limit) {
+			size = limit;
+		}
+
+		// copy the page elements
+		page = new address[](size);
+		for (uint256 i = 0; i < size; i++) {
+			page[i] = whitelistedContracts[offset + i];
+		}
+	}
+
+	/**
+	 * @notice Reads the target NFT contract whitelist validity window, and the whitelist flags
+	 *      currently effective, taking the window into account
+	 *
+	 * @dev Allowance flags are reported as false outside of the validity window,
+	 *      forbiddance flags are reported as is; global features are not taken into account,
+	 *      see `isAllowedForLinking` and `isAllowedForUnlinking`
+	 *
+	 * @param targetContract target NFT contract address to query for
+	 * @return validFrom window start, unix timestamp (inclusive), zero means no lower bound
+	 * @return validUntil window end, unix timestamp (exclusive), zero means no upper bound
+	 * @return allowedForLinking allowed for linking flag currently effective
+	 * @return allowedForUnlinking allowed for unlinking flag currently effective
+	 * @return forbiddenForLinking forbidden for linking flag
+	 * @return forbiddenForUnlinking forbidden for unlinking flag
+	 */
+	function getWhitelistWindow(
+		address targetContract
+	)
+		public
+		view
+		virtual
+		returns (
+			uint64 validFrom,
+			uint64 validUntil,
+			bool allowedForLinking,
+			bool allowedForUnlinking,
+			bool forbiddenForLinking,
+			bool forbiddenForUnlinking
+		)
+	{
+		// read the window
+		WhitelistWindow memory window = whitelistWindows[targetContract];
+		validFrom = window.validFrom;
+		validUntil = window.validUntil;
+
+		// read the raw flags
+		(allowedForLinking, allowedForUnlinking, forbiddenForLinking, forbiddenForUnlinking) = isWhitelisted(targetContract);
+
+		// allowance flags are not effective outside of the window
+		if (!isWithinWhitelistWindow(targetContract)) {
+			allowedForLinking = false;
+			allowedForUnlinking = false;
+		}
+
+		// results are returned implicitly
+	}
+
+	/**
+	 * @dev Restricted access function to manage individual target NFTs deny list `deniedTargetNfts`
+	 *
+	 * @dev Requires executor to have ROLE_DENY_LIST_MANAGER permission
+	 *
+	 * @param targetContract target NFT contract address
+	 * @param targetId target NFT ID to add/remove to/from the deny list
+	 * @param forbiddenForLinking true to add, false to remove to/from deny list (forbidden for linking)
+	 * @param forbiddenForDeposits true to add, false to remove to/from deny list (forbidden for deposits)
+	 */
+	function denyTargetNft(
+		address targetContract,
+		uint256 targetId,
+		bool forbiddenForLinking,
+		bool forbiddenForDeposits
+	) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_DENY_LIST_MANAGER), "access denied");
+
+		// derive the uint8 value representing two boolean flags and delegate to internal implementation
+		_denyTargetNft(targetContract, targetId, (forbiddenForLinking ? 0x1 : 0x0) | (forbiddenForDeposits ? 0x2 : 0x0));
+	}
+
+	/**
+	 * @dev Restricted access function to manage individual target NFTs deny list `deniedTargetNfts`
+	 *      in bulk, see `denyTargetNft()`
+	 *
+	 * @dev Requires executor to have ROLE_DENY_LIST_MANAGER permission
+	 *
+	 * @param targetContracts target NFT contract addresses
+	 * @param targetIds target NFT IDs to add/remove to/from the deny list
+	 * @param flags raw deny list values (contain 2 flags), see `deniedTargetNfts`
+	 */
+	function denyTargetNfts(
+		address[] memory targetContracts,
+		uint256[] memory targetIds,
+		uint8[] memory flags
+	) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_DENY_LIST_MANAGER), "access denied");
+
+		// verify the arrays are of the same length
+		require(
+			targetContracts.length == targetIds.length && targetContracts.length == flags.length,
+			"arrays length mismatch"
+		);
+
+		// update the deny list one by one
+		for (uint256 i = 0; i < targetContracts.length; i++) {
+			// delegate to internal implementation
+			_denyTargetNft(targetContracts[i], targetIds[i], flags[i]);
+		}
+	}
+
+	/**
+	 * @dev Updates the deny list `deniedTargetNfts` entry and emits an event
+	 *
+	 * @param targetContract target NFT contract address
+	 * @param targetId target NFT ID
+	 * @param newVal raw deny list value (contains 2 flags), see `deniedTargetNfts`
+	 */
+	function _denyTargetNft(address targetContract, uint256 targetId, uint8 newVal) internal virtual {
+		// verify the address is set
+		require(targetContract != address(0), "zero address");
+
+		// verify the value contains only the known flags
+		require(newVal <= 0x3, "invalid flags");
+
+		// emit an event
+		emit TargetNftDenied(msg.sender, targetContract, targetId, deniedTargetNfts[targetContract][targetId], newVal);
+
+		// update the deny list
+		deniedTargetNfts[targetContract][targetId] = newVal;
+	}
+
+	/**
+	 * @notice Checks if the target NFT is allowed to be linked to, combining
+	 *      the contract level (see `isAllowedForLinking`) and token level (see `deniedTargetNfts`) verdicts
+	 *
+	 * @param targetContract target NFT contract address
+	 * @param targetId target NFT ID
+	 * @return true if the target NFT is allowed to be linked to, false otherwise
+	 */
+	function isTargetNftAllowedForLinking(address targetContract, uint256 targetId) public view virtual returns (bool) {
+		// evaluate both contract level and token level verdicts
+		return isAllowedForLinking(targetContract) && !_isTargetNftDenied(targetContract, targetId, 0x1);
+	}
+
+	/**
+	 * @dev Restricted access function to manage referrers deny list `deniedReferrers`
+	 *
+	 * @dev Requires executor to have ROLE_DENY_LIST_MANAGER permission
+	 *
+	 * @param referrer referrer address to add/remove to/from the deny list
+	 * @param denied true to add, false to remove to/from the deny list
+	 */
+	function denyReferrer(address referrer, bool denied) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_DENY_LIST_MANAGER), "access denied");
+
+		// verify the address is set
+		require(referrer != address(0), "zero address");
+
+		// update the deny list
+		deniedReferrers[referrer] = denied;
+
+		// emit an event
+		emit ReferrerDenied(msg.sender, referrer, denied);
+	}
+
+	/**
+	 * @dev Restricted access function to set the maximum number of iNFTs which can exist
+	 *      bound to the target NFT contract (collection), see `collectionLinkCaps`
+	 *
+	 * @dev Setting the cap below the current number of iNFTs bound blocks the linking only
+	 *
+	 * @dev Requires executor to have ROLE_LINKING_CAP_MANAGER permission
+	 *
+	 * @param targetContract target NFT contract (collection) address to set the cap for
+	 * @param _collectionLinkCap maximum number of iNFTs, zero to remove the limit
+	 */
+	function updateCollectionLinkCap(address targetContract, uint32 _collectionLinkCap) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_LINKING_CAP_MANAGER), "access denied");
+
+		// verify the address is set
+		require(targetContract != address(0), "zero address");
+
+		// emit an event
+		emit CollectionLinkCapChanged(msg.sender, targetContract, collectionLinkCaps[targetContract], _collectionLinkCap);
+
+		// update the cap
+		collectionLinkCaps[targetContract] = _collectionLinkCap;
+	}
+
+	/**
+	 * @dev Restricted access function to set the maximum number of iNFTs a single wallet
+	 *      can link within the linking period, see `walletLinkCap`, `walletLinkPeriod`
+	 *
+	 * @dev Changing the linking period duration effectively resets the wallet counters
+	 *
+	 * @dev Requires executor to have ROLE_LINKING_CAP_MANAGER permission
+	 *
+	 * @param _walletLinkCap maximum number of iNFTs, zero to remove the limit
+	 * @param _walletLinkPeriod linking period duration (seconds), zero for the period which never ends
+	 */
+	function updateWalletLinkCap(uint32 _walletLinkCap, uint32 _walletLinkPeriod) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_LINKING_CAP_MANAGER), "access denied");
+
+		// update the cap and the period
+		walletLinkCap = _walletLinkCap;
+		walletLinkPeriod = _walletLinkPeriod;
+
+		// emit an event
+		emit WalletLinkCapChanged(msg.sender, _walletLinkCap, _walletLinkPeriod);
+	}
+
+	/**
+	 * @dev Restricted access function to add AI Personality / target NFT compatibility rule
+	 *      into `compatibilityRules` array
+	 *
+	 * @dev Requires executor to have ROLE_COMPATIBILITY_MANAGER permission
+	 *
+	 * @param _personalityContract AI Personality contract address the rule applies to
+	 * @param personalityIdFrom lower bound (inclusive) of AI Personality IDs range the rule applies to
+	 * @param personalityIdTo upper bound (inclusive) of AI Personality IDs range the rule applies to
+	 * @param targetContract target NFT contract address AI Personalities are allowed to be linked to
+	 */
+	function addCompatibilityRule(
+		address _personalityContract,
+		uint96 personalityIdFrom,
+		uint96 personalityIdTo,
+		address targetContract
+	) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_COMPATIBILITY_MANAGER), "access denied");
+
+		// verify the addresses are set
+		require(_personalityContract != address(0) && targetContract != address(0), "zero address");
+		// verify the range is valid
+		require(personalityIdFrom <= personalityIdTo, "invalid range");
+
+		// add the rule
+		compatibilityRules.push(
+			CompatibilityRule({
+				personalityContract: _personalityContract,
+				personalityIdFrom: personalityIdFrom,
+				targetContract: targetContract,
+				personalityIdTo: personalityIdTo
+			})
+		);
+
+		// emit an event
+		emit CompatibilityRuleAdded(msg.sender, _personalityContract, personalityIdFrom, personalityIdTo, targetContract);
+	}
+
+	/**
+	 * @dev Restricted access function to remove AI Personality / target NFT compatibility rule
+	 *      from `compatibilityRules` array
+	 *
+	 * @dev Requires executor to have ROLE_COMPATIBILITY_MANAGER permission
+	 *
+	 * @dev The last rule in the array takes the place of the rule removed,
+	 *      that is the rules order is not preserved
+	 *
+	 * @param i index of the rule to remove
+	 */
+	function removeCompatibilityRule(uint256 i) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_COMPATIBILITY_MANAGER), "access denied");
+
+		// verify the rule exists
+		require(i < compatibilityRules.length, "invalid index");
+
+		// read the rule to be removed
+		CompatibilityRule memory rule = compatibilityRules[i];
+
+		// move the last rule in place of the one removed, and shrink the array
+		compatibilityRules[i] = compatibilityRules[compatibilityRules.length - 1];
+		compatibilityRules.pop();
+
+		// emit an event
+		emit CompatibilityRuleRemoved(
+			msg.sender,
+			rule.personalityContract,
+			rule.personalityIdFrom,
+			rule.personalityIdTo,
+			rule.targetContract
+		);
+	}
+
+	/**
+	 * @notice Number of the AI Personality / target NFT compatibility rules defined
+	 *
+	 * @return `compatibilityRules` array length
+	 */
+	function getCompatibilityRulesCount() public view virtual returns (uint256) {
+		// read the array length and return
+		return compatibilityRules.length;
+	}
+
+	/**
+	 * @dev Restricted access function to register / deregister AI Personality contract
+	 *      in the `registeredPersonalityContracts` mapping
+	 *
+	 * @dev Requires executor to have ROLE_PERSONALITY_MANAGER permission
+	 *
+	 * @dev Deregistering the AI Personality contract prevents new iNFTs from being linked
+	 *      with its AI Personalities; existing iNFTs can still be unlinked
+	 *
+	 * @param _personalityContract AI Personality contract address to register / deregister
+	 * @param registered true to register, false to deregister
+	 */
+	function registerPersonalityContract(address _personalityContract, bool registered) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_PERSONALITY_MANAGER), "access denied");
+
+		// verify the address is set
+		require(_personalityContract != address(0), "zero address");
+
+		// deregistering is always possible, registering - only for valid ERC721
+		if (registered) {
+			// verify _personalityContract is a valid ERC721
+			require(
+				ERC165(_personalityContract).supportsInterface(type(ERC721).interfaceId),
+				"unexpected AI Personality type"
+			);
+		}
+
+		// update the registry
+		registeredPersonalityContracts[_personalityContract] = registered;
+
+		// emit an event
+		emit PersonalityContractRegistered(msg.sender, _personalityContract, registered);
+	}
+}
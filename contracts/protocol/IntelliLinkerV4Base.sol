@@ -0,0 +1,2145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@ai-protocol/intelligent-nft-contracts/contracts/protocol/IntelligentNFTv2.sol";
+import "@ai-protocol/access-control-upgradeable/contracts/UpgradeableAccessControl.sol";
+import "../interfaces/DelegationRegistrySpec.sol";
+
+/**
+ * @title Intelligent Token Linker (iNFT Linker) V4 Base
+ *
+ * @notice Defines iNFT Linker V4 storage, events, and the logic shared between
+ *      the V4 implementation `IntelliLinkerV4` and its modules
+ *
+ * @dev V4 implementation exceeds the EIP-170 contract size limit, and is split into
+ *      the V4 implementation and the modules it delegates the calls to:
+ *      linking module `IntelliLinkerV4LinkingModule`, fee module `IntelliLinkerV4FeeModule`,
+ *      and admin module `IntelliLinkerV4AdminModule`; since the modules are executed
+ *      in the proxy storage context, all of them inherit the storage layout from the base
+ *
+ * @dev NOTE: V4 implementation and the modules MUST NOT define any storage variables,
+ *      storage variables are defined in the base only
+ */
+abstract contract IntelliLinkerV4Base is UpgradeableAccessControl {
+	/**
+	 * @dev AI Personality / target NFT compatibility rule; binds a range of AI Personalities
+	 *      (inclusive range of IDs within AI Personality contract) to a target NFT contract
+	 *
+	 * @dev AI Personality covered by one or more rules can be linked only to the target NFT
+	 *      contracts defined by these rules; AI Personality not covered by any rule
+	 *      can be linked to any target NFT contract (NFT contract must be whitelisted)
+	 */
+	struct CompatibilityRule {
+		/// @dev AI Personality contract address the rule applies to
+		address personalityContract;
+		/// @dev lower bound (inclusive) of AI Personality IDs range the rule applies to
+		uint96 personalityIdFrom;
+		/// @dev target NFT contract address AI Personalities are allowed to be linked to
+		address targetContract;
+		/// @dev upper bound (inclusive) of AI Personality IDs range the rule applies to
+		uint96 personalityIdTo;
+	}
+
+	/**
+	 * @dev Target NFT contract (collection) specific linking price, linking fee, and treasury,
+	 *      overriding the global `linkPrice`, `linkFee`, and `feeDestination` if enabled
+	 */
+	struct CollectionLinkPrice {
+		/// @dev linking price override, see `linkPrice`
+		uint96 linkPrice;
+		/// @dev linking fee override, see `linkFee`
+		uint96 linkFee;
+		/// @dev treasury override, see `feeDestination`
+		address feeDestination;
+		/// @dev true if override is set, false if global values should be used
+		bool enabled;
+	}
+
+	/**
+	 * @dev Target NFT contract whitelist validity window; allowance flags in `whitelistedTargetContracts`
+	 *      are effective only within the window, forbiddance flags are effective regardless
+	 */
+	struct WhitelistWindow {
+		/// @dev unix timestamp (inclusive) the allowance flags become effective at, zero means no lower bound
+		uint64 validFrom;
+		/// @dev unix timestamp (exclusive) the allowance flags expire at, zero means no upper bound
+		uint64 validUntil;
+	}
+
+	/**
+	 * @notice Linking dry-run result (reason code) returned by `canLink`,
+	 *      `OK` if linking is possible, the reason linking would fail otherwise
+	 */
+	enum LinkStatus {
+		/// @dev linking is possible
+		OK,
+		/// @dev FEATURE_LINKING is disabled
+		LINKING_DISABLED,
+		/// @dev AI Personality contract is neither the default one nor registered
+		PERSONALITY_CONTRACT_NOT_ALLOWED,
+		/// @dev AI Personality doesn't exist, or doesn't belong to the sender (sender is not an approved operator)
+		NOT_PERSONALITY_OWNER,
+		/// @dev target NFT contract is not whitelisted (or is blacklisted) for linking
+		TARGET_CONTRACT_NOT_ALLOWED,
+		/// @dev target NFT is denied individually, see `deniedTargetNfts`
+		TARGET_NFT_DENIED,
+		/// @dev target NFT owner consent is required, but sender doesn't own (operate) the target NFT
+		NO_TARGET_OWNER_CONSENT,
+		/// @dev AI Personality is not compatible with the target NFT contract, see `isCompatible`
+		INCOMPATIBLE,
+		/// @dev target NFT is already linked with another iNFT
+		TARGET_NFT_ALREADY_LINKED,
+		/// @dev collection linking cap is reached, see `collectionLinkCaps`
+		COLLECTION_CAP_REACHED,
+		/// @dev wallet linking cap is reached, see `walletLinkCap`
+		WALLET_CAP_REACHED,
+		/// @dev sender doesn't have enough ALI tokens to pay the linking price
+		INSUFFICIENT_ALI_BALANCE,
+		/// @dev sender didn't approve enough ALI tokens to pay the linking price
+		INSUFFICIENT_ALI_ALLOWANCE
+	}
+
+	/**
+	 * @dev Number of iNFTs linked by the wallet within the linking period, see `walletLinkCap`
+	 */
+	struct WalletLinkCounter {
+		/// @dev linking period index the counter belongs to, see `walletLinkPeriod`
+		uint64 period;
+		/// @dev number of iNFTs linked within the period
+		uint32 count;
+	}
+
+	/**
+	 * @dev Fee split table entry: the share of the linking (deposit) fee sent to the recipient
+	 */
+	struct FeeShare {
+		/// @dev an address receiving the share of the fee
+		address recipient;
+		/// @dev share of the fee, in basis points (1/10,000)
+		uint16 share;
+	}
+
+	/**
+	 * @dev Link voucher: EIP-712 signed linking price and fee override, see `linkWithVoucher()`
+	 */
+	struct LinkVoucher {
+		/// @dev unique voucher ID, redemptions are counted per voucher ID
+		bytes32 voucherId;
+		/// @dev linking price to charge, overrides the effective linking price
+		uint96 linkPrice;
+		/// @dev linking fee to charge, overrides the effective linking fee
+		uint96 linkFee;
+		/// @dev an address allowed to redeem the voucher, zero address if anyone is allowed
+		address recipient;
+		/// @dev target NFT contract the voucher can be redeemed for, zero address if any is allowed
+		address targetContract;
+		/// @dev maximum number of redemptions allowed
+		uint32 maxRedemptions;
+		/// @dev unix timestamp until which the voucher is valid (inclusive)
+		uint64 expiresAt;
+	}
+
+	/**
+	 * @dev iNFT Linker locks/unlocks ALI tokens defined by `aliContract` to mint/burn iNFT
+	 */
+	address public aliContract;
+
+	/**
+	 * @dev iNFT Linker locks/unlocks AI Personality defined by `personalityContract` to mint/burn iNFT
+	 */
+	address public personalityContract;
+
+	/**
+	 * @dev iNFT Linker mints/burns iNFTs defined by `iNftContract`
+	 */
+	address public iNftContract;
+
+	/**
+	 * @dev iNFTs may get created with the ALI tokens bound to them,
+	 *      linking fee may get charged when creating an iNFT
+	 *
+	 * @dev Linking price, how much ALI tokens is charged upon iNFT creation;
+	 *      `linkPrice - linkFee` is locked within the iNFT created
+	 */
+	uint96 public linkPrice;
+
+	/**
+	 * @dev iNFTs may get created with the ALI tokens bound to them,
+	 *      linking fee may get charged when creating an iNFT
+	 *
+	 * @dev Linking fee, how much ALI tokens is sent into treasury `feeDestination`
+	 *      upon iNFT creation
+	 *
+	 * @dev Both `linkFee` and `feeDestination` must be set for the fee to be charged;
+	 *      both `linkFee` and `feeDestination` can be either set or unset
+	 */
+	uint96 public linkFee;
+
+	/**
+	 * @dev iNFTs may get created with the ALI tokens bound to them,
+	 *      linking fee may get charged when creating an iNFT
+	 *
+	 * @dev Treasury `feeDestination` is an address to send linking fee to upon iNFT creation
+	 *
+	 * @dev Both `linkFee` and `feeDestination` must be set for the fee to be charged;
+	 *      both `linkFee` and `feeDestination` can be either set or unset
+	 */
+	address public feeDestination;
+
+	/**
+	/**
+	 * @dev Next iNFT ID to mint; initially this is the first "free" ID which can be minted;
+	 *      at any point in time this should point to a free, mintable ID for iNFT
+	 *
+	 * @dev iNFT ID space up to 0xFFFF_FFFF (uint32 max) is reserved for the sales
+	 */
+	uint256 public nextId;
+
+	/**
+	 * @notice Whitelist / blacklist mapping storing special linking / unlinking permissions
+	 *
+	 * @dev Target NFT Contracts which have special permissions (allowed or forbidden)
+	 *      for iNFT to be linked to / unlinked from;
+	 *      allowance permissions are not taken into account if features
+	 *      ALLOW_ANY_NFT_CONTRACT_FOR_LINKING / ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING are enabled
+	 *      forbiddance permissions are not taken into account if features
+	 *      ALLOW_ANY_NFT_CONTRACT_FOR_LINKING / ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING are disabled
+	 *
+	 * @dev Lowest bit (zero) defines if contract is allowed to be linked to;
+	 *      Next bit (one) defines if contract is allowed to be unlinked from;
+	 *      Next bit (two) defines if contract is forbidden to be linked to;
+	 *      Next bit (three) defines if contract is forbidden to be unlinked from;
+	 */
+	mapping(address => uint8) public whitelistedTargetContracts;
+
+	/**
+	 * @dev iNFTs may get relinked (bound to another target NFT) keeping
+	 *      the AI Personality and ALI tokens locked, relinking fee may get charged
+	 *      when relinking an iNFT instead of the linking price
+	 *
+	 * @dev Relinking fee, how much ALI tokens is sent into treasury upon iNFT relinking;
+	 *      the treasury is the effective `feeDestination` for the new target NFT contract,
+	 *      see `getLinkPrice()`; the fee is split and accrued in the same way as the linking fee
+	 *
+	 * @dev Both `relinkFee` and the treasury must be set for the fee to be charged
+	 */
+	uint96 public relinkFee;
+
+	/**
+	 * @notice AI Personality / target NFT compatibility rules, see `CompatibilityRule`
+	 *
+	 * @dev Rules are evaluated in `isCompatible()`, which is used when linking / relinking
+	 */
+	CompatibilityRule[] public compatibilityRules;
+
+	/**
+	 * @notice AI Personality contracts registered in addition to the default one `personalityContract`
+	 *
+	 * @dev iNFTs can be linked with the AI Personalities belonging to either `personalityContract`
+	 *      or any of the registered AI Personality contracts; deregistered AI Personality contract
+	 *      cannot be used to create new iNFTs, but existing iNFTs can still be unlinked
+	 */
+	mapping(address => bool) public registeredPersonalityContracts;
+
+	/**
+	 * @notice Nonces of the AI Personality and target NFT owners, used to sign EIP-712
+	 *      link authorizations and target NFT owner consents, see `linkWithSig()`, `linkWithConsent()`
+	 *
+	 * @dev Each signed authorization must use the current nonce of the signer,
+	 *      which gets incremented when the authorization is used
+	 */
+	mapping(address => uint256) public nonces;
+
+	/**
+	 * @notice Target NFT contract (collection) specific linking price, linking fee, and treasury
+	 *      overrides, see `CollectionLinkPrice`
+	 *
+	 * @dev Effective values for any target NFT contract can be read with `getLinkPrice()`
+	 */
+	mapping(address => CollectionLinkPrice) public collectionLinkPrices;
+
+	/**
+	 * @dev iNFTs may get destroyed with the unlinking fee charged from the ALI tokens locked
+	 *
+	 * @dev Fixed unlinking fee, how much ALI tokens is sent into treasury `unlinkFeeDestination`
+	 *      upon iNFT destruction; limited by the amount of ALI tokens locked in the iNFT
+	 *
+	 * @dev Either `unlinkFee` or `unlinkFeeShare` can be set, but not both
+	 */
+	uint96 public unlinkFee;
+
+	/**
+	 * @dev iNFTs may get destroyed with the unlinking fee charged from the ALI tokens locked
+	 *
+	 * @dev Unlinking fee share, how much (in basis points, 1/100 of a percent) of the ALI tokens
+	 *      locked in the iNFT is sent into treasury `unlinkFeeDestination` upon iNFT destruction
+	 *
+	 * @dev Either `unlinkFee` or `unlinkFeeShare` can be set, but not both
+	 */
+	uint16 public unlinkFeeShare;
+
+	/**
+	 * @dev iNFTs may get destroyed with the unlinking fee charged from the ALI tokens locked
+	 *
+	 * @dev Treasury `unlinkFeeDestination` is an address to send unlinking fee to upon iNFT destruction;
+	 *      the fee is split and accrued in the same way as the linking fee, see `getFeeSplit()`
+	 *
+	 * @dev Unlinking fee (either fixed or share) and `unlinkFeeDestination` must be either both set or unset
+	 */
+	address public unlinkFeeDestination;
+
+	/**
+	 * @dev ALI tokens may get withdrawn from the iNFT with the withdrawal fee charged
+	 *
+	 * @dev Withdrawal fee, how much (in basis points, 1/100 of a percent) of the ALI tokens
+	 *      withdrawn is sent into treasury upon withdrawal; the treasury is the effective
+	 *      `feeDestination` for the iNFT target NFT contract, see `getLinkPrice()`;
+	 *      the fee is split and accrued in the same way as the deposit fee, see `getFeeSplit()`
+	 *
+	 * @dev Withdrawal fee is charged only if the treasury is set
+	 */
+	uint16 public withdrawalFee;
+
+	/**
+	 * @notice Delegation registry (see `DelegationRegistry`) allows the target NFT owners
+	 *      keeping the NFTs in the vaults (cold wallets) to manage their iNFTs from the
+	 *      delegated hot wallets: unlink, deposit and withdraw
+	 *
+	 * @dev Zero address disables the delegation registry support
+	 */
+	address public delegationRegistry;
+
+	/**
+	 * @dev Individual target NFTs (target NFT contract => target NFT ID => flags)
+	 *      denied to be linked to, and optionally to receive deposits into the iNFTs bound;
+	 *      deny list is not taken into account if FEATURE_ALLOW_ANY_TARGET_NFT is enabled
+	 *
+	 * @dev Lowest bit (zero) defines if NFT is forbidden to be linked to;
+	 *      Next bit (one) defines if NFT is forbidden to receive deposits
+	 */
+	mapping(address => mapping(uint256 => uint8)) public deniedTargetNfts;
+
+	/**
+	 * @dev Target NFT contracts having non-zero flags in `whitelistedTargetContracts`,
+	 *      enumerable via `whitelistedCount` and `whitelistedAt`
+	 *
+	 * @dev Contracts listed before V4 upgrade are not tracked until their flags are updated
+	 */
+	address[] internal whitelistedContracts;
+
+	/**
+	 * @dev Target NFT contract positions in `whitelistedContracts` array (index plus one),
+	 *      zero means the contract is not tracked
+	 */
+	mapping(address => uint256) internal whitelistedContractIndexes;
+
+	/**
+	 * @notice Target NFT contracts whitelist validity windows, see `WhitelistWindow`
+	 *
+	 * @dev Contracts with no window set (zero values) are whitelisted with no time limits
+	 */
+	mapping(address => WhitelistWindow) public whitelistWindows;
+
+	/**
+	 * @notice Maximum number of iNFTs which can exist bound to the target NFT contract (collection),
+	 *      zero means no limit
+	 */
+	mapping(address => uint32) public collectionLinkCaps;
+
+	/**
+	 * @notice Number of iNFTs currently bound to the target NFT contract (collection),
+	 *      incremented on linking and decremented on unlinking
+	 *
+	 * @dev iNFTs linked before V4 upgrade are not counted, see `countedINfts`
+	 */
+	mapping(address => uint32) public collectionLinkCounts;
+
+	/**
+	 * @notice Maximum number of iNFTs a single wallet can link within the linking period
+	 *      `walletLinkPeriod`, zero means no limit
+	 *
+	 * @dev Relinking counts as linking; unlinking doesn't decrease the wallet counter,
+	 *      so that linking/unlinking (relinking) can't be repeated to bypass the limit
+	 */
+	uint32 public walletLinkCap;
+
+	/**
+	 * @notice Linking period duration (seconds) `walletLinkCap` applies to;
+	 *      periods are aligned to the unix epoch, zero means the period never ends
+	 */
+	uint32 public walletLinkPeriod;
+
+	/**
+	 * @notice Number of iNFTs linked by the wallet within the linking period, see `WalletLinkCounter`
+	 *
+	 * @dev Use `getWalletLinkCount` to read the number of iNFTs linked within the current period
+	 */
+	mapping(address => WalletLinkCounter) public walletLinkCounters;
+
+	/**
+	 * @notice ALI tokens fees accrued on the linker balance (treasury => amount),
+	 *      if FEATURE_FEE_ACCRUAL is enabled, see `withdrawFees()`
+	 *
+	 * @dev Fees are accounted for the treasury they'd be sent to otherwise, either `feeDestination`,
+	 *      target NFT contract (collection) specific one, see `getLinkPrice()`, or fee share recipient
+	 *
+	 * @dev Every treasury (recipient) withdraws its own fees, see `withdrawFees()`;
+	 *      protocol treasuries (current and former `feeDestination` and `unlinkFeeDestination`) fees
+	 *      can be also withdrawn by the withdrawal manager, see `withdrawTreasuryFees()`
+	 */
+	mapping(address => uint256) public accruedFees;
+
+	/**
+	 * @notice Global fee split table: the shares of linking, deposit, withdrawal, relinking,
+	 *      and unlinking fees sent to the recipients listed; the rest of the fee is sent to the treasury
+	 *
+	 * @dev Effective table for any target NFT contract can be read with `getFeeSplit()`
+	 */
+	FeeShare[] internal feeSplit;
+
+	/**
+	 * @notice Target NFT contract (collection) specific fee split tables, overriding
+	 *      the global `feeSplit` if enabled, see `collectionFeeSplitEnabled`
+	 */
+	mapping(address => FeeShare[]) internal collectionFeeSplits;
+
+	/**
+	 * @notice Target NFT contract (collection) specific fee split table override flags,
+	 *      true if override is set, false if global `feeSplit` should be used
+	 */
+	mapping(address => bool) public collectionFeeSplitEnabled;
+
+	/**
+	 * @notice Referral reward: the share of the linking fee sent to the referrer
+	 *      when linking with the referrer specified, in basis points (1/10,000)
+	 *
+	 * @dev Referral reward is deducted from the linking fee, the rest of the fee
+	 *      is charged as usual (split and sent to the treasury)
+	 */
+	uint16 public referralShare;
+
+	/**
+	 * @notice Referrers denied to receive the referral rewards (referrer => true if denied)
+	 */
+	mapping(address => bool) public deniedReferrers;
+
+	/**
+	 * @notice Referral rewards accrued in total by the referrers (referrer => amount of ALI tokens)
+	 *
+	 * @dev Informational only: the rewards are sent to the referrers (or accrued in `accruedFees`
+	 *      if FEATURE_FEE_ACCRUAL is enabled) when linking
+	 */
+	mapping(address => uint256) public referralRewards;
+
+	/**
+	 * @notice Number of times link vouchers were redeemed (voucher ID => redemptions),
+	 *      see `linkWithVoucher()`
+	 */
+	mapping(bytes32 => uint32) public voucherRedemptions;
+
+	/**
+	 * @notice Link vouchers cancelled by the link price manager (voucher ID => cancelled),
+	 *      cancelled vouchers cannot be redeemed anymore, see `cancelVoucher()`
+	 */
+	mapping(bytes32 => bool) public cancelledVouchers;
+
+	/**
+	 * @notice Discount collections: NFT contracts granting their holders the linking and deposit
+	 *      fee discount (NFT contract => discount, in basis points), zero means no discount
+	 *
+	 * @dev Discount collections are enumerable via `getDiscountCollections()`,
+	 *      the number of discount collections is limited by `MAX_DISCOUNT_COLLECTIONS`
+	 */
+	mapping(address => uint16) public discountCollections;
+
+	/**
+	 * @dev Discount collections having non-zero discount in `discountCollections`
+	 */
+	address[] internal discountCollectionList;
+
+	/**
+	 * @dev Discount collection positions in `discountCollectionList` array (index plus one),
+	 *      zero means the collection is not listed
+	 */
+	mapping(address => uint256) internal discountCollectionIndexes;
+
+	/**
+	 * @notice Orphaned iNFTs recovered, see `recover()`
+	 *
+	 * @dev Recovered iNFT keeps its binding (IntelligentNFTv2 can't burn it), but can't be unlinked,
+	 *      relinked, or deposited to anymore, and is not treated as orphaned, see `isOrphaned()`
+	 */
+	mapping(uint256 => bool) public recoveredINfts;
+
+	/**
+	 * @notice iNFTs counted in `collectionLinkCounts`: linked or relinked after V4 upgrade
+	 *
+	 * @dev Only the iNFTs counted decrement the collection counter when unlinked
+	 */
+	mapping(uint256 => bool) public countedINfts;
+
+	/**
+	 * @notice Former protocol treasuries: `feeDestination` and `unlinkFeeDestination` addresses
+	 *      replaced in `updateLinkPrice()` and `updateUnlinkFee()`
+	 *
+	 * @dev Allows the withdrawal manager to withdraw the fees accrued for the protocol treasury
+	 *      after the treasury rotation, see `withdrawTreasuryFees()`
+	 */
+	mapping(address => bool) public formerTreasuries;
+
+	/**
+	 * @notice EIP-712 contract's domain typeHash,
+	 *      see https://eips.ethereum.org/EIPS/eip-712#rationale-for-typehash
+	 */
+	bytes32 public constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)");
+
+	/**
+	 * @notice EIP-712 link authorization struct typeHash,
+	 *      see https://eips.ethereum.org/EIPS/eip-712#rationale-for-typehash
+	 */
+	bytes32 public constant LINK_TYPEHASH = keccak256(
+		"Link(address personalityContract,uint96 personalityId,address targetContract,uint256 targetId,uint96 maxLinkPrice,uint256 nonce,uint256 deadline)"
+	);
+
+	/**
+	 * @notice EIP-712 target NFT owner consent struct typeHash,
+	 *      see https://eips.ethereum.org/EIPS/eip-712#rationale-for-typehash
+	 */
+	bytes32 public constant CONSENT_TYPEHASH = keccak256(
+		"Consent(address sender,address personalityContract,uint96 personalityId,address targetContract,uint256 targetId,uint256 nonce,uint256 deadline)"
+	);
+
+	/**
+	 * @notice EIP-712 link voucher struct typeHash,
+	 *      see https://eips.ethereum.org/EIPS/eip-712#rationale-for-typehash
+	 */
+	bytes32 public constant LINK_VOUCHER_TYPEHASH = keccak256(
+		"LinkVoucher(bytes32 voucherId,uint96 linkPrice,uint96 linkFee,address recipient,address targetContract,uint32 maxRedemptions,uint64 expiresAt)"
+	);
+
+	/**
+	 * @notice Maximum number of the discount collections, see `discountCollections`
+	 */
+	uint256 public constant MAX_DISCOUNT_COLLECTIONS = 32;
+
+	/**
+	 * @notice Enables iNFT linking (creation)
+	 *
+	 * @dev Feature FEATURE_LINKING must be enabled
+	 *      as a prerequisite for `link()` function to succeed
+	 */
+	uint32 public constant FEATURE_LINKING = 0x0000_0001;
+
+	/**
+	 * @notice Enables iNFT unlinking (destruction)
+	 *
+	 * @dev Feature FEATURE_UNLINKING must be enabled
+	 *      for the `unlink()` and `unlinkNFT()` functions to succeed
+	 */
+	uint32 public constant FEATURE_UNLINKING = 0x0000_0002;
+
+	/**
+	 * @notice Allows linker to link (mint) iNFT to any target NFT contract,
+	 *      independently whether it was previously whitelisted or not
+	 * @dev Feature FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING allows linking (minting) iNFTs
+	 *      to any target NFT contract, without a check if it's whitelisted in
+	 *      `whitelistedTargetContracts` or not
+	 */
+	uint32 public constant FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING = 0x0000_0004;
+
+	/**
+	 * @notice Allows linker to unlink (burn) iNFT bound to any target NFT contract,
+	 *      independently whether it was previously whitelisted or not
+	 * @dev Feature FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING allows unlinking (burning) iNFTs
+	 *      bound to any target NFT contract, without a check if it's whitelisted in
+	 *      `whitelistedTargetContracts` or not
+	 */
+	uint32 public constant FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING = 0x0000_0040;
+
+	/**
+	 * @notice Allows linker to link (mint) iNFT bound to any target NFT,
+	 *      independently whether it was previously denied or not
+	 * @dev Feature FEATURE_ALLOW_ANY_TARGET_NFT allows linking (minting) iNFTs to,
+	 *      and depositing into iNFTs bound to any target NFT, without a check if
+	 *      it's denied in `deniedTargetNfts` or not
+	 */
+	uint32 public constant FEATURE_ALLOW_ANY_TARGET_NFT = 0x0000_0020;
+
+	/**
+	 * @notice Enables depositing more ALI to already existing iNFTs
+	 *
+	 * @dev Feature FEATURE_DEPOSITS must be enabled
+	 *      for the `deposit()` function to succeed
+	 */
+	uint32 public constant FEATURE_DEPOSITS = 0x0000_0008;
+
+	/**
+	 * @notice Enables ALI withdrawals from the iNFT (without destroying them)
+	 *
+	 * @dev Feature FEATURE_WITHDRAWALS must be enabled
+	 *      for the `withdraw()` function to succeed
+	 */
+	uint32 public constant FEATURE_WITHDRAWALS = 0x0000_0010;
+
+	/**
+	 * @notice Enables iNFT relinking (unlinking + linking in a single transaction)
+	 *
+	 * @dev Feature FEATURE_RELINKING must be enabled
+	 *      for the `relink()` function to succeed
+	 */
+	uint32 public constant FEATURE_RELINKING = 0x0000_0080;
+
+	/**
+	 * @notice Enables iNFT linking with the EIP-712 signed link authorization
+	 *
+	 * @dev Feature FEATURE_LINKING_WITH_SIG must be enabled
+	 *      for the `linkWithSig()` function to succeed
+	 */
+	uint32 public constant FEATURE_LINKING_WITH_SIG = 0x0000_0100;
+
+	/**
+	 * @notice Enables approved operators (ERC-721 `getApproved`/`isApprovedForAll`) to
+	 *      link, unlink, deposit and withdraw on behalf of the AI Personality / target NFT owners
+	 *
+	 * @dev Feature FEATURE_OPERATOR_ACCESS must be enabled
+	 *      for the `isApprovedOperator()` function to accept approved operators
+	 */
+	uint32 public constant FEATURE_OPERATOR_ACCESS = 0x0000_0200;
+
+	/**
+	 * @notice Requires target NFT owner consent for linking: linking account must own
+	 *      (or be an approved operator of) the target NFT, or present the EIP-712 consent
+	 *      signed by the target NFT owner
+	 *
+	 * @dev Feature FEATURE_TARGET_OWNER_CONSENT enabled restricts `link()` and other
+	 *      linking functions, except `linkWithConsent()`, and `relink()`
+	 */
+	uint32 public constant FEATURE_TARGET_OWNER_CONSENT = 0x0000_0400;
+
+	/**
+	 * @notice Fee accrual collects the linking, deposit, withdrawal, relinking, and unlinking fees on the linker balance
+	 *      instead of sending them to the treasury on every operation
+	 *
+	 * @dev Feature FEATURE_FEE_ACCRUAL enabled makes fees accrue in `accruedFees`,
+	 *      fees accrued are withdrawn with `withdrawFees()`
+	 */
+	uint32 public constant FEATURE_FEE_ACCRUAL = 0x0000_0800;
+
+	/**
+	 * @notice Enables iNFT linking with the EIP-712 signed link vouchers
+	 *
+	 * @dev Feature FEATURE_LINKING_WITH_VOUCHER must be enabled
+	 *      for the `linkWithVoucher()` function to succeed
+	 */
+	uint32 public constant FEATURE_LINKING_WITH_VOUCHER = 0x0000_1000;
+
+	/**
+	 * @notice Link price manager is responsible for updating linking price
+	 *
+	 * @dev Role ROLE_LINK_PRICE_MANAGER allows `updateLinkPrice`, `updateRelinkFee`,
+	 *      `updateCollectionLinkPrice`, `updateUnlinkFee`, `updateWithdrawalFee`, `updateFeeSplit`,
+	 *      `updateCollectionFeeSplit`, `updateReferralShare`, and `updateDiscountCollection` execution,
+	 *      and `linkPrice`, `linkFee`, `feeDestination`, `relinkFee`, `collectionLinkPrices`,
+	 *      `unlinkFee`, `unlinkFeeShare`, `unlinkFeeDestination`, `withdrawalFee`, fee split tables,
+	 *      `referralShare`, and `discountCollections` modification
+	 * @dev Role ROLE_LINK_PRICE_MANAGER allows signing the link vouchers, see `linkWithVoucher()`,
+	 *      and cancelling them, see `cancelVoucher()`
+	 */
+	uint32 public constant ROLE_LINK_PRICE_MANAGER = 0x0001_0000;
+
+	/**
+	 * @notice Next ID manager is responsible for updating `nextId` variable,
+	 *      pointing to the next iNFT ID free slot
+	 *
+	 * @dev Role ROLE_NEXT_ID_MANAGER allows `updateNextId` execution,
+	 *     and `nextId` modification
+	 */
+	uint32 public constant ROLE_NEXT_ID_MANAGER = 0x0002_0000;
+
+	/**
+	 * @notice Whitelist manager is responsible for managing the target NFT contracts
+	 *     whitelist, which are the contracts iNFT is allowed to be bound to
+	 *
+	 * @dev Role ROLE_WHITELIST_MANAGER allows `whitelistTargetContract` execution,
+	 *     and `whitelistedTargetContracts` mapping modification
+	 */
+	uint32 public constant ROLE_WHITELIST_MANAGER = 0x0004_0000;
+
+	/**
+	 * @notice Compatibility manager is responsible for managing the AI Personality / target NFT
+	 *     compatibility rules, which restrict AI Personalities to be bound to specific NFT contracts
+	 *
+	 * @dev Role ROLE_COMPATIBILITY_MANAGER allows `addCompatibilityRule` and `removeCompatibilityRule`
+	 *     execution, and `compatibilityRules` array modification
+	 */
+	uint32 public constant ROLE_COMPATIBILITY_MANAGER = 0x0008_0000;
+
+	/**
+	 * @notice Personality manager is responsible for managing the AI Personality contracts
+	 *     registry, which are the contracts AI Personalities are allowed to be linked from
+	 *
+	 * @dev Role ROLE_PERSONALITY_MANAGER allows `registerPersonalityContract` execution,
+	 *     and `registeredPersonalityContracts` mapping modification
+	 */
+	uint32 public constant ROLE_PERSONALITY_MANAGER = 0x0010_0000;
+
+	/**
+	 * @notice Delegation manager is responsible for setting the delegation registry,
+	 *     which allows the NFT owners to manage their iNFTs from the delegated hot wallets
+	 *
+	 * @dev Role ROLE_DELEGATION_MANAGER allows `updateDelegationRegistry` execution,
+	 *     and `delegationRegistry` modification
+	 */
+	uint32 public constant ROLE_DELEGATION_MANAGER = 0x0020_0000;
+
+	/**
+	 * @notice Recovery manager is responsible for recovering the ALI tokens locked in the
+	 *     iNFTs bound to burnt or destroyed (orphaned) target NFTs
+	 *
+	 * @dev Role ROLE_RECOVERY_MANAGER allows `recover` execution
+	 */
+	uint32 public constant ROLE_RECOVERY_MANAGER = 0x0040_0000;
+
+	/**
+	 * @notice Deny list manager is responsible for managing the individual target NFTs
+	 *     deny list, which are the NFTs iNFT is not allowed to be bound to, and the referrers deny list
+	 *
+	 * @dev Role ROLE_DENY_LIST_MANAGER allows `denyTargetNft`, `denyTargetNfts`, and `denyReferrer` execution,
+	 *     and `deniedTargetNfts`, `deniedReferrers` mappings modification
+	 */
+	uint32 public constant ROLE_DENY_LIST_MANAGER = 0x0080_0000;
+
+	/**
+	 * @notice Linking cap manager is responsible for limiting the number of iNFTs
+	 *     which can be linked to the target NFT contract (collection), and by a single wallet
+	 *
+	 * @dev Role ROLE_LINKING_CAP_MANAGER allows `updateCollectionLinkCap` and `updateWalletLinkCap` execution,
+	 *     and `collectionLinkCaps`, `walletLinkCap`, `walletLinkPeriod` modification
+	 */
+	uint32 public constant ROLE_LINKING_CAP_MANAGER = 0x0100_0000;
+
+	/**
+	 * @notice Withdrawal manager is responsible for withdrawing the fees accrued
+	 *      on the linker balance for the protocol treasury `feeDestination`, see `accruedFees`
+	 *
+	 * @dev Role ROLE_WITHDRAWAL_MANAGER allows `withdrawTreasuryFees` execution
+	 */
+	uint32 public constant ROLE_WITHDRAWAL_MANAGER = 0x0200_0000;
+
+	/**
+	 * @dev Fired in link() and linkWithSig() when new iNFT is created
+	 *
+	 * @param _by an address which executed (or signed) and funded the link function
+	 * @param _iNftId ID of the iNFT minted
+	 * @param _linkPrice amount of ALI tokens locked (transferred) to newly created iNFT
+	 * @param _linkFee amount of ALI tokens charged as a fee and sent to the treasury
+	 * @param _personalityContract AI Personality contract address
+	 * @param _personalityId ID of the AI Personality locked (transferred) to newly created iNFT
+	 * @param _targetContract target NFT smart contract
+	 * @param _targetId target NFT ID (where this iNFT binds to and belongs to)
+	 */
+	event Linked(
+		address indexed _by,
+		uint256 _iNftId,
+		uint96 _linkPrice,
+		uint96 _linkFee,
+		address indexed _personalityContract,
+		uint96 indexed _personalityId,
+		address _targetContract,
+		uint256 _targetId
+	);
+
+	/**
+	 * @dev Fired in unlink() when an existing iNFT gets destroyed
+	 *
+	 * @param _by an address which executed the unlink function
+	 *      (and which received unlocked AI Personality and ALI tokens)
+	 * @param _iNftId ID of the iNFT burnt
+	 */
+	event Unlinked(address indexed _by, uint256 indexed _iNftId);
+
+	/**
+	 * @dev Fired in recover(); logs the orphaned iNFT binding as well, since the binding
+	 *      remains in the iNFT contract with the AI Personality locked
+	 *
+	 * @param _by an address which executed the recovery
+	 * @param _iNftId ID of the orphaned iNFT recovered
+	 * @param _recipient an address the ALI tokens recovered were sent to
+	 * @param _aliValue amount of ALI tokens recovered
+	 * @param _personalityContract AI Personality contract address of the AI Personality remaining locked
+	 * @param _personalityId ID of the AI Personality remaining locked in the iNFT
+	 * @param _targetContract target NFT smart contract the iNFT is bound to
+	 * @param _targetId target NFT ID (burnt or unresolvable) the iNFT is bound to
+	 */
+	event Recovered(
+		address indexed _by,
+		uint256 indexed _iNftId,
+		address indexed _recipient,
+		uint96 _aliValue,
+		address _personalityContract,
+		uint96 _personalityId,
+		address _targetContract,
+		uint256 _targetId
+	);
+
+	/**
+	 * @dev Fired in unlink() and unlinkNFT() when unlinking fee is charged
+	 *      from the ALI tokens locked in the iNFT being destroyed, accompanies `Unlinked`
+	 *
+	 * @param _by an address which executed the unlink function
+	 * @param _iNftId ID of the iNFT burnt
+	 * @param _unlinkFee amount of ALI tokens charged as a fee and sent to (accrued for) the treasury
+	 * @param _feeDestination treasury address the fee was charged for
+	 */
+	event UnlinkFeeCharged(address indexed _by, uint256 indexed _iNftId, uint96 _unlinkFee, address _feeDestination);
+
+	/**
+	 * @dev Fired in relink() when an existing iNFT gets destroyed, and a new one
+	 *      gets created with the same AI Personality and ALI tokens locked
+	 *
+	 * @param _by an address which executed (and funded) the relink function
+	 * @param _oldiNftId ID of the iNFT burnt
+	 * @param _newiNftId ID of the iNFT minted
+	 * @param _relinkFee amount of ALI tokens charged as a fee and sent to the treasury
+	 * @param _targetContract new target NFT smart contract
+	 * @param _targetId new target NFT ID (where new iNFT binds to and belongs to)
+	 */
+	event Relinked(
+		address indexed _by,
+		uint256 indexed _oldiNftId,
+		uint256 indexed _newiNftId,
+		uint96 _relinkFee,
+		address _targetContract,
+		uint256 _targetId
+	);
+
+	/**
+	 * @dev Fired in deposit(), withdraw() when an iNFT ALI balance gets changed
+	 *
+	 * @param _by an address which executed the deposit/withdraw function
+	 *      (in case of withdraw it received unlocked ALI tokens)
+	 * @param _iNftId ID of the iNFT to update
+	 * @param _aliDelta locked ALI tokens delta, positive for deposit, negative for withdraw
+	 * @param _feeValue amount of ALI tokens charged as a fee
+	 */
+	event LinkUpdated(address indexed _by, uint256 indexed _iNftId, int128 _aliDelta, uint96 _feeValue);
+
+	/**
+	 * @dev Fired in updateLinkPrice()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _linkPrice new linking price set
+	 * @param _linkFee new linking fee set
+	 * @param _feeDestination new treasury address set
+	 */
+	event LinkPriceChanged(address indexed _by, uint96 _linkPrice, uint96 _linkFee, address indexed _feeDestination);
+
+	/**
+	 * @dev Fired in updateCollectionLinkPrice()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _targetContract target NFT contract address affected
+	 * @param _linkPrice new linking price set for the target NFT contract
+	 * @param _linkFee new linking fee set for the target NFT contract
+	 * @param _feeDestination new treasury address set for the target NFT contract
+	 * @param _enabled true if override is set, false if it is removed
+	 */
+	event CollectionLinkPriceChanged(
+		address indexed _by,
+		address indexed _targetContract,
+		uint96 _linkPrice,
+		uint96 _linkFee,
+		address _feeDestination,
+		bool _enabled
+	);
+
+	/**
+	 * @dev Fired in updateUnlinkFee()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _unlinkFee new fixed unlinking fee set
+	 * @param _unlinkFeeShare new unlinking fee share set, in basis points
+	 * @param _feeDestination new unlinking fee treasury address set
+	 */
+	event UnlinkFeeChanged(address indexed _by, uint96 _unlinkFee, uint16 _unlinkFeeShare, address _feeDestination);
+
+	/**
+	 * @dev Fired in updateWithdrawalFee()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _withdrawalFee new withdrawal fee set, in basis points
+	 */
+	event WithdrawalFeeChanged(address indexed _by, uint16 _withdrawalFee);
+
+	/**
+	 * @dev Fired in updateReferralShare()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _referralShare new referral reward share set, in basis points
+	 */
+	event ReferralShareChanged(address indexed _by, uint16 _referralShare);
+
+	/**
+	 * @dev Fired in denyReferrer()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _referrer referrer address affected
+	 * @param _denied true if the referrer is denied, false if allowed
+	 */
+	event ReferrerDenied(address indexed _by, address indexed _referrer, bool _denied);
+
+	/**
+	 * @dev Fired in linkWithReferrer() when linking with the referrer specified
+	 *
+	 * @param _by an address which executed the operation (AI Personality owner)
+	 * @param _referrer referrer address credited with the reward
+	 * @param _iNftId ID of the iNFT minted
+	 * @param _targetContract target NFT contract address iNFT was linked to
+	 * @param _reward amount of ALI tokens credited to the referrer
+	 */
+	event Referred(
+		address indexed _by,
+		address indexed _referrer,
+		uint256 _iNftId,
+		address indexed _targetContract,
+		uint96 _reward
+	);
+
+	/**
+	 * @dev Fired in updateDiscountCollection()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _discountCollection discount collection NFT contract address affected
+	 * @param _oldVal old discount value, in basis points
+	 * @param _newVal new discount value, in basis points
+	 */
+	event DiscountCollectionChanged(
+		address indexed _by,
+		address indexed _discountCollection,
+		uint16 _oldVal,
+		uint16 _newVal
+	);
+
+	/**
+	 * @dev Fired in link() and deposit() when the holder discount is applied
+	 *
+	 * @param _by an address which executed the operation (discount collection NFT holder)
+	 * @param _iNftId ID of the iNFT minted or deposited into
+	 * @param _discountCollection discount collection NFT contract address the discount is granted by
+	 * @param _proofTokenId ID of the discount collection NFT held
+	 * @param _discount discount applied, in basis points
+	 * @param _value amount of ALI tokens the fee was reduced by
+	 */
+	event HolderDiscountApplied(
+		address indexed _by,
+		uint256 indexed _iNftId,
+		address indexed _discountCollection,
+		uint256 _proofTokenId,
+		uint16 _discount,
+		uint96 _value
+	);
+
+	/**
+	 * @dev Fired in linkWithVoucher()
+	 *
+	 * @param _by an address which executed the operation (voucher recipient)
+	 * @param _voucherId ID of the voucher redeemed
+	 * @param _signer link price manager who signed the voucher
+	 * @param _iNftId ID of the iNFT minted
+	 * @param _redemptions number of times the voucher was redeemed, including this one
+	 */
+	event VoucherRedeemed(
+		address indexed _by,
+		bytes32 indexed _voucherId,
+		address indexed _signer,
+		uint256 _iNftId,
+		uint32 _redemptions
+	);
+
+	/**
+	 * @dev Fired in cancelVoucher()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _voucherId ID of the voucher cancelled
+	 */
+	event VoucherCancelled(address indexed _by, bytes32 indexed _voucherId);
+
+	/**
+	 * @dev Fired in updateRelinkFee()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _relinkFee new relinking fee set
+	 */
+	event RelinkFeeChanged(address indexed _by, uint96 _relinkFee);
+
+	/**
+	 * @dev Fired in updateNextId()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _oldVal old nextId value
+	 * @param _newVal new nextId value
+	 */
+	event NextIdChanged(address indexed _by, uint256 _oldVal, uint256 _newVal);
+
+	/**
+	 * @dev Fired in updateDelegationRegistry()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _oldVal old delegationRegistry value
+	 * @param _newVal new delegationRegistry value
+	 */
+	event DelegationRegistryChanged(address indexed _by, address _oldVal, address _newVal);
+
+	/**
+	 * @dev Fired in whitelistTargetContract() and whitelistTargetContracts()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _targetContract target NFT contract address affected
+	 * @param _oldVal old whitelisted raw value (contains 4 flags)
+	 * @param _newVal new whitelisted raw value (contains 4 flags)
+	 */
+	event TargetContractWhitelisted(address indexed _by, address indexed _targetContract, uint8 _oldVal, uint8 _newVal);
+
+	/**
+	 * @dev Fired in whitelistTargetContract() and whitelistTargetContracts()
+	 *      when the target NFT contract whitelist validity window changes
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _targetContract target NFT contract address affected
+	 * @param _validFrom new window start, unix timestamp (inclusive), zero means no lower bound
+	 * @param _validUntil new window end, unix timestamp (exclusive), zero means no upper bound
+	 */
+	event WhitelistWindowChanged(
+		address indexed _by,
+		address indexed _targetContract,
+		uint64 _validFrom,
+		uint64 _validUntil
+	);
+
+	/**
+	 * @dev Fired in updateCollectionLinkCap()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _targetContract target NFT contract (collection) address affected
+	 * @param _oldVal old collection linking cap value
+	 * @param _newVal new collection linking cap value
+	 */
+	event CollectionLinkCapChanged(address indexed _by, address indexed _targetContract, uint32 _oldVal, uint32 _newVal);
+
+	/**
+	 * @dev Fired in updateWalletLinkCap()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _walletLinkCap new wallet linking cap value
+	 * @param _walletLinkPeriod new linking period duration (seconds)
+	 */
+	event WalletLinkCapChanged(address indexed _by, uint32 _walletLinkCap, uint32 _walletLinkPeriod);
+
+	/**
+	 * @dev Fired in link(), deposit(), relink() and other functions charging the fees,
+	 *      when the fee is accrued instead of being sent to the treasury (FEATURE_FEE_ACCRUAL)
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _feeDestination treasury address the fee is accrued for
+	 * @param _fee amount of ALI tokens accrued
+	 */
+	event FeeAccrued(address indexed _by, address indexed _feeDestination, uint96 _fee);
+
+	/**
+	 * @dev Fired in withdrawFees() and withdrawTreasuryFees()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _feeDestination treasury address the fees were accrued for
+	 * @param _to an address the fees were sent to
+	 * @param _value amount of ALI tokens withdrawn
+	 */
+	event FeesWithdrawn(address indexed _by, address indexed _feeDestination, address indexed _to, uint256 _value);
+
+	/**
+	 * @dev Fired in updateFeeSplit() and updateCollectionFeeSplit()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _targetContract target NFT contract address the table is set for, zero for the global table
+	 * @param _recipients fee share recipients set
+	 * @param _shares fee shares set, in basis points
+	 * @param _enabled true if the table is set, false if the override is removed
+	 */
+	event FeeSplitChanged(
+		address indexed _by,
+		address indexed _targetContract,
+		address[] _recipients,
+		uint16[] _shares,
+		bool _enabled
+	);
+
+	/**
+	 * @dev Fired in link(), deposit(), and other functions charging the fees,
+	 *      for every recipient of the fee share (including the treasury) if the fee is split
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _targetContract target NFT contract address the fee is charged for
+	 * @param _recipient an address the share of the fee is sent to (accrued for)
+	 * @param _value amount of ALI tokens sent (accrued)
+	 */
+	event FeeShareCharged(
+		address indexed _by,
+		address indexed _targetContract,
+		address indexed _recipient,
+		uint96 _value
+	);
+
+	/**
+	 * @dev Fired in denyTargetNft() and denyTargetNfts()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _targetContract target NFT contract address affected
+	 * @param _targetId target NFT ID affected
+	 * @param _oldVal old denied raw value (contains 2 flags)
+	 * @param _newVal new denied raw value (contains 2 flags)
+	 */
+	event TargetNftDenied(
+		address indexed _by,
+		address indexed _targetContract,
+		uint256 indexed _targetId,
+		uint8 _oldVal,
+		uint8 _newVal
+	);
+
+	/**
+	 * @dev Fired in addCompatibilityRule()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _personalityContract AI Personality contract address the rule applies to
+	 * @param _personalityIdFrom lower bound (inclusive) of AI Personality IDs range
+	 * @param _personalityIdTo upper bound (inclusive) of AI Personality IDs range
+	 * @param _targetContract target NFT contract address AI Personalities are allowed to be linked to
+	 */
+	event CompatibilityRuleAdded(
+		address indexed _by,
+		address indexed _personalityContract,
+		uint96 _personalityIdFrom,
+		uint96 _personalityIdTo,
+		address indexed _targetContract
+	);
+
+	/**
+	 * @dev Fired in removeCompatibilityRule()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _personalityContract AI Personality contract address the rule applied to
+	 * @param _personalityIdFrom lower bound (inclusive) of AI Personality IDs range
+	 * @param _personalityIdTo upper bound (inclusive) of AI Personality IDs range
+	 * @param _targetContract target NFT contract address AI Personalities were allowed to be linked to
+	 */
+	event CompatibilityRuleRemoved(
+		address indexed _by,
+		address indexed _personalityContract,
+		uint96 _personalityIdFrom,
+		uint96 _personalityIdTo,
+		address indexed _targetContract
+	);
+
+	/**
+	 * @dev Fired in registerPersonalityContract()
+	 *
+	 * @param _by an address which executed the operation
+	 * @param _personalityContract AI Personality contract address affected
+	 * @param _registered true if contract was registered, false if deregistered
+	 */
+	event PersonalityContractRegistered(address indexed _by, address indexed _personalityContract, bool _registered);
+
+	/**
+	 * @dev Links given AI Personality with the given NFT and forms an iNFT,
+	 *      see `link(address,uint96,address,uint256)`
+	 *
+	 * @dev AI Personality is transferred from the `_by` account to iNFT smart contract,
+	 *      ALI tokens are transferred from the `_payer` account, which is either `_by`,
+	 *      or the linker itself if ALI tokens were already received (see `onTransferReceived`)
+	 *
+	 * @param _by AI Personality owner, an address which links the AI Personality
+	 * @param _payer an address which funds the iNFT creation
+	 * @param _personalityContract AI Personality contract address
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 * @param _consented true if target NFT owner consent was already verified, see `linkWithConsent()`
+	 * @param referrer an address which referred the `_by` account, zero address if none
+	 * @param _discount holder discount to apply to the linking fee, in basis points, see `getHolderDiscount()`
+	 * @return _discountValue amount of ALI tokens the linking price and fee were reduced by
+	 */
+	function _link(
+		address _by,
+		address _payer,
+		address _personalityContract,
+		uint96 personalityId,
+		address targetContract,
+		uint256 targetId,
+		bool _consented,
+		address referrer,
+		uint16 _discount
+	) internal virtual returns (uint96 _discountValue) {
+		// verify the link can be made and determine the effective linking price, fee, and treasury
+		(uint96 _linkPrice, uint96 _linkFee, address _feeDestination) = _verifyLink(
+			_by,
+			_personalityContract,
+			personalityId,
+			targetContract,
+			targetId,
+			_consented
+		);
+
+		// apply the holder discount reducing the linking price and fee accordingly
+		_discountValue = uint96((uint256(_linkFee) * _discount) / 10_000);
+		_linkPrice -= _discountValue;
+		_linkFee -= _discountValue;
+
+		// if the referrer is specified, verify it and send the referral reward
+		uint96 _reward = referrer != address(0) ? _chargeReferralReward(_by, _payer, referrer, _linkFee) : 0;
+
+		// if linking fee is set
+		if (_linkFee > _reward) {
+			// transfer ALI tokens to the treasury and fee share recipients, or accrue them
+			_chargeSplitFee(_payer, targetContract, _feeDestination, _linkFee - _reward);
+		}
+
+		// if linking price is set
+		if (_linkPrice > 0) {
+			// transfer ALI tokens to iNFT contract to be locked
+			_transferAli(_payer, iNftContract, _linkPrice - _linkFee);
+		}
+
+		// lock the AI Personality and mint the iNFT
+		_mintLink(_by, _personalityContract, personalityId, targetContract, targetId, _linkPrice, _linkFee);
+
+		// if the referrer is specified, emit an event
+		if (referrer != address(0)) {
+			emit Referred(_by, referrer, nextId - 1, targetContract, _reward);
+		}
+	}
+
+	/**
+	 * @dev Verifies the referrer and sends (accrues) the referral reward, see `referralShare`
+	 *
+	 * @param _by an address which links the AI Personality
+	 * @param _payer an address to transfer ALI tokens from, see `_transferAli`
+	 * @param referrer an address which referred the `_by` account
+	 * @param _linkFee effective linking fee the reward is deducted from
+	 * @return _reward amount of ALI tokens credited to the referrer
+	 */
+	function _chargeReferralReward(
+		address _by,
+		address _payer,
+		address referrer,
+		uint96 _linkFee
+	) internal virtual returns (uint96 _reward) {
+		// verify the referrer is not the linking account itself
+		require(referrer != _by, "self-referral");
+		// verify the referrer is not denied
+		require(!deniedReferrers[referrer], "denied referrer");
+
+		// calculate the reward as a share of the linking fee
+		_reward = uint96((uint256(_linkFee) * referralShare) / 10_000);
+
+		// if the reward is set
+		if (_reward != 0) {
+			// update the referrer's total
+			referralRewards[referrer] += _reward;
+
+			// transfer ALI tokens to the referrer, or accrue them
+			_chargeFee(_payer, referrer, _reward);
+		}
+	}
+
+	/**
+	 * @dev Charges the linking fee and transfers the rest of the linking price
+	 *      to iNFT contract to be locked
+	 *
+	 * @param _payer an address to transfer ALI tokens from, see `_transferAli`
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param _feeDestination treasury address
+	 * @param _linkPrice linking price to charge
+	 * @param _linkFee linking fee to charge
+	 */
+	function _payLink(
+		address _payer,
+		address targetContract,
+		address _feeDestination,
+		uint96 _linkPrice,
+		uint96 _linkFee
+	) internal virtual {
+		// if linking fee is set
+		if (_linkFee > 0) {
+			// transfer ALI tokens to the treasury and fee share recipients, or accrue them
+			_chargeSplitFee(_payer, targetContract, _feeDestination, _linkFee);
+		}
+
+		// if linking price is set
+		if (_linkPrice > 0) {
+			// transfer ALI tokens to iNFT contract to be locked
+			_transferAli(_payer, iNftContract, _linkPrice - _linkFee);
+		}
+	}
+
+	/**
+	 * @dev Verifies the AI Personality can be linked with the given NFT contract by the `_by` account,
+	 *      and determines the effective linking price, fee, and treasury, see `getLinkPrice()`
+	 *
+	 * @param _by AI Personality owner, an address which links the AI Personality
+	 * @param _personalityContract AI Personality contract address
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 * @param _consented true if target NFT owner consent was already verified, see `linkWithConsent()`
+	 * @return _linkPrice effective linking price
+	 * @return _linkFee effective linking fee
+	 * @return _feeDestination effective treasury address
+	 */
+	function _verifyLink(
+		address _by,
+		address _personalityContract,
+		uint96 personalityId,
+		address targetContract,
+		uint256 targetId,
+		bool _consented
+	) internal view virtual returns (uint96 _linkPrice, uint96 _linkFee, address _feeDestination) {
+		// verify linking is enabled
+		require(isFeatureEnabled(FEATURE_LINKING), "linking is disabled");
+
+		// verify AI Personality contract is either the default one or registered
+		require(isPersonalityContractAllowed(_personalityContract), "not a registered AI Personality contract");
+		// verify AI Personality belongs to the linking account
+		require(isApprovedOperator(_personalityContract, personalityId, _by), "access denied");
+		// verify NFT contract is either whitelisted or any NFT contract is allowed globally
+		require(isAllowedForLinking(targetContract), "not a whitelisted NFT contract");
+		// verify the NFT is not denied individually
+		require(!_isTargetNftDenied(targetContract, targetId, 0x1), "denied target NFT");
+		// if target NFT owner consent is required, verify the target NFT belongs to the linking account, or consent is given
+		require(
+			_consented || !isFeatureEnabled(FEATURE_TARGET_OWNER_CONSENT) || isApprovedOperator(targetContract, targetId, _by),
+			"no target NFT owner consent"
+		);
+		// verify AI Personality is allowed to be linked to the NFT contract
+		require(isCompatible(_personalityContract, personalityId, targetContract), "incompatible NFT contract");
+
+		// determine the effective linking price, fee, and treasury for the target NFT contract
+		return getLinkPrice(targetContract);
+	}
+
+	/**
+	 * @dev Locks the AI Personality and mints the iNFT; ALI tokens to be locked
+	 *      must be already transferred to the iNFT contract
+	 *
+	 * @param _by AI Personality owner, an address which links the AI Personality
+	 * @param _personalityContract AI Personality contract address
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 * @param _linkPrice effective linking price charged
+	 * @param _linkFee effective linking fee charged
+	 */
+	function _mintLink(
+		address _by,
+		address _personalityContract,
+		uint96 personalityId,
+		address targetContract,
+		uint256 targetId,
+		uint96 _linkPrice,
+		uint96 _linkFee
+	) internal virtual {
+		// verify the linking caps and update the counters
+		_countLink(targetContract, nextId);
+		_countWalletLink(_by);
+
+		// transfer AI Personality to iNFT contract to be locked (from the owner, who may differ from `_by` operator)
+		ERC721(_personalityContract).transferFrom(
+			ERC721(_personalityContract).ownerOf(personalityId),
+			iNftContract,
+			personalityId
+		);
+
+		// mint the next iNFT, increment next iNFT ID to be minted
+		IntelligentNFTv2(iNftContract).mint(
+			nextId++,
+			_linkPrice - _linkFee,
+			_personalityContract,
+			personalityId,
+			targetContract,
+			targetId
+		);
+
+		// emit an event
+		emit Linked(
+			_by,
+			nextId - 1,
+			_linkPrice,
+			_linkFee,
+			_personalityContract,
+			personalityId,
+			targetContract,
+			targetId
+		);
+	}
+
+	/**
+	 * @dev Transfers ALI tokens either from the linker itself (if `_from` is the linker),
+	 *      or from the `_from` account (requires ALI tokens transfer approval)
+	 *
+	 * @param _from an address to transfer ALI tokens from
+	 * @param _to an address to transfer ALI tokens to
+	 * @param _value amount of ALI tokens to transfer
+	 */
+	function _transferAli(address _from, address _to, uint256 _value) internal virtual {
+		// if ALI tokens are already on the linker balance
+		if (_from == address(this)) {
+			// transfer them directly
+			ERC20(aliContract).transfer(_to, _value);
+		}
+		// otherwise
+		else {
+			// transfer them on behalf of the `_from` account
+			ERC20(aliContract).transferFrom(_from, _to, _value);
+		}
+	}
+
+	/**
+	 * @dev Charges the fee: transfers ALI tokens to the treasury, or, if FEATURE_FEE_ACCRUAL
+	 *      is enabled, to the linker, accruing them in `accruedFees`
+	 *
+	 * @param _payer an address to transfer ALI tokens from, see `_transferAli`
+	 * @param _feeDestination treasury address
+	 * @param _fee amount of ALI tokens to charge
+	 */
+	function _chargeFee(address _payer, address _feeDestination, uint96 _fee) internal virtual {
+		// if the fees are sent to the treasury directly
+		if (!isFeatureEnabled(FEATURE_FEE_ACCRUAL)) {
+			// transfer ALI tokens to the treasury
+			_transferAli(_payer, _feeDestination, _fee);
+			return;
+		}
+
+		// transfer ALI tokens to the linker, unless they are already there
+		if (_payer != address(this)) {
+			_transferAli(_payer, address(this), _fee);
+		}
+
+		// account the fee accrued
+		_accrueFee(_feeDestination, _fee);
+	}
+
+	/**
+	 * @dev Charges the linking (deposit) fee splitting it between the fee share recipients
+	 *      and the treasury according to the fee split table, see `getFeeSplit()`;
+	 *      each share is charged as a separate fee, see `_chargeFee`
+	 *
+	 * @param _payer an address to transfer ALI tokens from, see `_transferAli`
+	 * @param targetContract target NFT contract address the fee is charged for
+	 * @param _feeDestination treasury address
+	 * @param _fee amount of ALI tokens to charge
+	 */
+	function _chargeSplitFee(address _payer, address targetContract, address _feeDestination, uint96 _fee) internal virtual {
+		// read the effective fee split table
+		FeeShare[] storage _feeSplit = _getFeeSplit(targetContract);
+
+		// if the fee is not split, charge it entirely
+		if (_feeSplit.length == 0) {
+			_chargeFee(_payer, _feeDestination, _fee);
+			return;
+		}
+
+		// split the fee between the recipients and the treasury
+		(address[] memory _recipients, uint96[] memory _values) = _splitFee(_feeSplit, _feeDestination, _fee);
+
+		// charge every non-zero share
+		for (uint256 i = 0; i < _recipients.length; i++) {
+			if (_values[i] != 0) {
+				// transfer ALI tokens to the recipient, or accrue them
+				_chargeFee(_payer, _recipients[i], _values[i]);
+
+				// emit an event
+				emit FeeShareCharged(msg.sender, targetContract, _recipients[i], _values[i]);
+			}
+		}
+	}
+
+	/**
+	 * @dev Accounts the fee accrued for the treasury in `accruedFees` and emits an event;
+	 *      ALI tokens are expected to be transferred to the linker
+	 *
+	 * @param _feeDestination treasury address
+	 * @param _fee amount of ALI tokens accrued
+	 */
+	function _accrueFee(address _feeDestination, uint96 _fee) internal virtual {
+		// update the accrued balance
+		accruedFees[_feeDestination] += _fee;
+
+		// emit an event
+		emit FeeAccrued(msg.sender, _feeDestination, _fee);
+	}
+
+	/**
+	 * @dev Charges the unlinking fee from the ALI tokens locked in the iNFT being destroyed,
+	 *      and sends it to the treasury `unlinkFeeDestination`, splitting and accruing it as the linking fee,
+	 *      see `getFeeSplit()`
+	 *
+	 * @dev Unlinking fee is either fixed `unlinkFee` (limited by the ALI tokens locked),
+	 *      or a share `unlinkFeeShare` of the ALI tokens locked
+	 *
+	 * @param iNftId ID of the iNFT being destroyed
+	 * @param targetContract target NFT contract address the iNFT is bound to
+	 */
+	function _chargeUnlinkFee(uint256 iNftId, address targetContract) internal virtual {
+		// unlinking fee is charged only if treasury is set
+		if (unlinkFeeDestination == address(0)) {
+			return;
+		}
+
+		// get a link to an iNFT contract to perform several actions with it
+		IntelligentNFTv2 iNFT = IntelligentNFTv2(iNftContract);
+
+		// read the amount of ALI tokens locked in the iNFT
+		uint96 lockedValue = uint96(iNFT.lockedValue(iNftId));
+
+		// determine the fee: either a share of the locked value, or fixed value limited by the locked value
+		uint96 _unlinkFee = unlinkFeeShare != 0
+			? uint96((uint256(lockedValue) * unlinkFeeShare) / 10_000)
+			: (unlinkFee < lockedValue ? unlinkFee : lockedValue);
+
+		// if there is a fee to charge
+		if (_unlinkFee != 0) {
+			// update the iNFT record and move the fee into the linker
+			iNFT.decreaseAli(iNftId, _unlinkFee, address(this));
+
+			// send the fee to the treasury and fee share recipients, or accrue it
+			_chargeSplitFee(address(this), targetContract, unlinkFeeDestination, _unlinkFee);
+
+			// emit an event
+			emit UnlinkFeeCharged(msg.sender, iNftId, _unlinkFee, unlinkFeeDestination);
+		}
+	}
+
+	/**
+	 * @dev Deposits additional ALI tokens into already existing iNFT, see `deposit()`
+	 *
+	 * @dev ALI tokens are transferred from the `_payer` account, which is either `_by`,
+	 *      or the linker itself if ALI tokens were already received (see `onTransferReceived`)
+	 *
+	 * @param _by iNFT owner, an address which deposits the tokens
+	 * @param _payer an address which funds the deposit
+	 * @param iNftId ID of the iNFT to transfer (and lock) tokens to
+	 * @param aliValue amount of ALI tokens to transfer (and lock)
+	 * @param _discount holder discount to apply to the deposit fee, in basis points, see `getHolderDiscount()`
+	 * @return _discountValue amount of ALI tokens the fee was reduced by
+	 */
+	function _deposit(
+		address _by,
+		address _payer,
+		uint256 iNftId,
+		uint96 aliValue,
+		uint16 _discount
+	) internal virtual returns (uint96 _discountValue) {
+		// verify the deposit can be made and determine the effective ALI value locked, fee, and treasury
+		(uint96 _aliValue, uint96 _linkFee, address _feeDestination, address targetContract) = _verifyDeposit(
+			_by,
+			iNftId,
+			aliValue
+		);
+
+		// apply the holder discount reducing the fee and increasing the value locked accordingly
+		_discountValue = uint96((uint256(_linkFee) * _discount) / 10_000);
+		_linkFee -= _discountValue;
+		_aliValue += _discountValue;
+
+		// if the fee is charged
+		if (_linkFee != 0) {
+			// transfer ALI tokens to the treasury and fee share recipients, or accrue them
+			_chargeSplitFee(_payer, targetContract, _feeDestination, _linkFee);
+		}
+
+		// transfer ALI tokens to iNFT contract to be locked
+		_transferAli(_payer, iNftContract, _aliValue);
+
+		// update the iNFT record and emit an event
+		_increaseAli(_by, iNftId, _aliValue, _linkFee);
+	}
+
+	/**
+	 * @dev Verifies the deposit into the iNFT can be made by the `_by` account,
+	 *      and determines the effective ALI value to lock, fee, and treasury
+	 *
+	 * @dev Fee is charged from the value supplied proportionally to the effective
+	 *      linking fee percent for the iNFT target NFT contract, see `getLinkPrice()`
+	 *
+	 * @param _by iNFT owner, an address which deposits the tokens
+	 * @param iNftId ID of the iNFT to transfer (and lock) tokens to
+	 * @param aliValue amount of ALI tokens to transfer (including the fee)
+	 * @return _aliValue effective ALI value to lock
+	 * @return _linkFee effective fee to charge
+	 * @return _feeDestination effective treasury address
+	 * @return targetContract target NFT contract address the iNFT is bound to
+	 */
+	function _verifyDeposit(
+		address _by,
+		uint256 iNftId,
+		uint96 aliValue
+	) internal view virtual returns (uint96 _aliValue, uint96 _linkFee, address _feeDestination, address targetContract) {
+		// verify deposits are enabled
+		require(isFeatureEnabled(FEATURE_DEPOSITS), "deposits are disabled");
+
+		// get a link to an iNFT contract to perform several actions with it
+		IntelligentNFTv2 iNFT = IntelligentNFTv2(iNftContract);
+
+		// read the target NFT contract address and NFT ID from the iNFT binding
+		uint256 targetId;
+		(, , , targetContract, targetId) = iNFT.bindings(iNftId);
+
+		// verify the iNFT is not recovered, see `recover()`
+		require(!recoveredINfts[iNftId], "iNFT is recovered");
+
+		// verify the deposit is made by iNFT owner (effectively by underlying NFT owner), an approved operator, or a delegate
+		require(
+			isApprovedOperator(targetContract, targetId, _by) || isDelegate(targetContract, targetId, _by),
+			"not an iNFT owner"
+		);
+
+		// verify the NFT is not denied individually to receive deposits
+		require(!_isTargetNftDenied(targetContract, targetId, 0x2), "denied target NFT");
+
+		// determine the effective deposit fee and treasury for the iNFT target NFT contract
+		(_linkFee, _feeDestination) = _calculateDepositFee(targetContract, aliValue);
+
+		// recalculate ALI value to be locked accordingly
+		_aliValue = aliValue - _linkFee;
+	}
+
+	/**
+	 * @dev Determines the fee charged from the ALI tokens deposited into the iNFT
+	 *      bound to the target NFT contract, and the treasury to send the fee to
+	 *
+	 * @dev The fee is charged proportionally to the value supplied and fee percent
+	 *      (effective linking fee to linking price ratio), see `getLinkPrice`
+	 *
+	 * @param targetContract target NFT contract address the iNFT is bound to
+	 * @param aliValue amount of ALI tokens supplied
+	 * @return _linkFee effective fee to be charged
+	 * @return _feeDestination effective treasury address
+	 */
+	function _calculateDepositFee(
+		address targetContract,
+		uint96 aliValue
+	) internal view virtual returns (uint96 _linkFee, address _feeDestination) {
+		// determine the effective linking price, fee, and treasury for the iNFT target NFT contract
+		uint96 _linkPrice;
+		(_linkPrice, _linkFee, _feeDestination) = getLinkPrice(targetContract);
+
+		// effective ALI value locked in iNFT may get altered according to the linking fee set
+		// in case when link price/fee are set (effectively meaning fee percent is set)
+		if (_linkPrice != 0 && _linkFee != 0) {
+			// we need to make sure the fee is charged from the value supplied
+			// proportionally to the value supplied and fee percent
+			_linkFee = uint96((uint256(aliValue) * _linkFee) / _linkPrice);
+		}
+		// otherwise the fee is not charged
+		else {
+			_linkFee = 0;
+		}
+	}
+
+	/**
+	 * @dev Updates the iNFT record with the ALI tokens deposited; ALI tokens to be locked
+	 *      must be already transferred to the iNFT contract
+	 *
+	 * @param _by iNFT owner, an address which deposits the tokens
+	 * @param iNftId ID of the iNFT to update
+	 * @param _aliValue effective ALI value to lock
+	 * @param _linkFee effective fee charged
+	 */
+	function _increaseAli(address _by, uint256 iNftId, uint96 _aliValue, uint96 _linkFee) internal virtual {
+		// update the iNFT record
+		IntelligentNFTv2(iNftContract).increaseAli(iNftId, _aliValue);
+
+		// emit an event
+		emit LinkUpdated(_by, iNftId, int128(uint128(_aliValue)), _linkFee);
+	}
+
+	/**
+	 * @dev Determines the fee charged from the ALI tokens withdrawn, see `withdrawalFee`
+	 *
+	 * @param _feeDestination effective treasury address, the fee is charged only if it is set
+	 * @param aliValue amount of ALI tokens withdrawn
+	 * @return effective withdrawal fee to be charged
+	 */
+	function _calculateWithdrawalFee(address _feeDestination, uint96 aliValue) internal view virtual returns (uint96) {
+		// withdrawal fee is charged only if the treasury is set
+		return _feeDestination != address(0) ? uint96((uint256(aliValue) * withdrawalFee) / 10_000) : 0;
+	}
+
+	/**
+	 * @notice Determines the holder discount: the discount of the discount collection
+	 *      if the holder owns the proof token ID in it (verified with `ownerOf`)
+	 *
+	 * @param holder an address to determine the discount for
+	 * @param discountCollection discount collection NFT contract address
+	 * @param proofTokenId ID of the discount collection NFT owned by the holder
+	 * @return discount granted to the holder, in basis points, zero if none
+	 */
+	function getHolderDiscount(
+		address holder,
+		address discountCollection,
+		uint256 proofTokenId
+	) public view virtual returns (uint16) {
+		// read the collection discount
+		uint16 discount = discountCollections[discountCollection];
+
+		// the discount is granted only if it is set, and the proof token belongs to the holder
+		return discount != 0 && _tryOwnerOf(discountCollection, proofTokenId) == holder ? discount : 0;
+	}
+
+	/**
+	 * @dev Resolves the NFT owner with `ownerOf`, returns zero address instead of reverting
+	 *      if the NFT doesn't exist, or the NFT contract is not deployed
+	 *
+	 * @param nftContract NFT contract address
+	 * @param nftId NFT ID to resolve the owner of
+	 * @return NFT owner, zero address if it can't be resolved
+	 */
+	function _tryOwnerOf(address nftContract, uint256 nftId) internal view virtual returns (address) {
+		// calling non-contract address would revert on decoding the empty return data
+		if (nftContract.code.length == 0) {
+			return address(0);
+		}
+
+		// try/catch allows to catch the revert
+		try ERC721(nftContract).ownerOf(nftId) returns (address owner) {
+			return owner;
+		}
+		catch {
+			return address(0);
+		}
+	}
+
+	/**
+	 * @notice Effective linking price, linking fee, and treasury address for the target NFT contract:
+	 *      target NFT contract (collection) specific override if set, global values otherwise
+	 *
+	 * @param targetContract target NFT contract address to query for
+	 * @return _linkPrice effective linking price
+	 * @return _linkFee effective linking fee
+	 * @return _feeDestination effective treasury address
+	 */
+	function getLinkPrice(
+		address targetContract
+	) public view virtual returns (uint96 _linkPrice, uint96 _linkFee, address _feeDestination) {
+		// read the target NFT contract specific override
+		CollectionLinkPrice memory override_ = collectionLinkPrices[targetContract];
+
+		// if the override is set, use it
+		if (override_.enabled) {
+			return (override_.linkPrice, override_.linkFee, override_.feeDestination);
+		}
+
+		// otherwise fall back to the global values
+		return (linkPrice, linkFee, feeDestination);
+	}
+
+	/**
+	 * @dev Effective fee split table for the target NFT contract: target NFT contract (collection)
+	 *      specific override if set, global table otherwise
+	 *
+	 * @param targetContract target NFT contract address to query for
+	 * @return effective fee split table
+	 */
+	function _getFeeSplit(address targetContract) internal view virtual returns (FeeShare[] storage) {
+		return collectionFeeSplitEnabled[targetContract] ? collectionFeeSplits[targetContract] : feeSplit;
+	}
+
+	/**
+	 * @dev Splits the fee according to the fee split table; rounding leftovers and the rest
+	 *      of the fee not distributed by the table go to the treasury
+	 *
+	 * @param _feeSplit fee split table to apply
+	 * @param _feeDestination treasury address
+	 * @param _fee amount of ALI tokens to split
+	 * @return _recipients fee share recipients, the last one is the treasury
+	 * @return _values amounts of ALI tokens sent to the recipients
+	 */
+	function _splitFee(
+		FeeShare[] storage _feeSplit,
+		address _feeDestination,
+		uint96 _fee
+	) internal view virtual returns (address[] memory _recipients, uint96[] memory _values) {
+		// allocate the arrays, the last item is reserved for the treasury
+		_recipients = new address[](_feeSplit.length + 1);
+		_values = new uint96[](_feeSplit.length + 1);
+
+		// the rest of the fee goes to the treasury
+		uint96 _rest = _fee;
+
+		// calculate the shares
+		for (uint256 i = 0; i < _feeSplit.length; i++) {
+			_recipients[i] = _feeSplit[i].recipient;
+			_values[i] = uint96((uint256(_fee) * _feeSplit[i].share) / 10_000);
+			_rest -= _values[i];
+		}
+
+		// the treasury gets the rest
+		_recipients[_feeSplit.length] = _feeDestination;
+		_values[_feeSplit.length] = _rest;
+	}
+
+	/**
+	 * @notice Decodes the bit packed integer in whitelistedTargetContracts into boolean tuple
+	 *
+	 * @dev This function returns the values previously set with `whitelistTargetContract` or
+	 *      (false, false, false, false) if the values were not set
+	 *
+	 * @param targetContract target NFT contract address to read the data from whitelist for
+	 * @return allowedForLinking allowed for linking flag
+	 * @return allowedForUnlinking allowed for unlinking flag
+	 * @return forbiddenForLinking forbidden for linking flag
+	 * @return forbiddenForUnlinking forbidden for unlinking flag
+	 */
+	function isWhitelisted(
+		address targetContract
+	)
+		public
+		view
+		virtual
+		returns (bool allowedForLinking, bool allowedForUnlinking, bool forbiddenForLinking, bool forbiddenForUnlinking)
+	{
+		// read the int (bit packed) value
+		uint8 val = whitelistedTargetContracts[targetContract];
+
+		// decode into boolean values
+		allowedForLinking = val & 0x1 == 0x1;
+		allowedForUnlinking = val & 0x2 == 0x2;
+		forbiddenForLinking = val & 0x4 == 0x4;
+		forbiddenForUnlinking = val & 0x8 == 0x8;
+
+		// results are returned implicitly
+	}
+
+	/**
+	 * @notice Checks if specified target NFT contract is allowed to be linked to
+	 *
+	 * @dev Using this function can be more convenient than accessing the
+	 *      `whitelistedTargetContracts` directly since the mapping contains linking/unlinking
+	 *      flags packed into uint8
+	 *
+	 * @param targetContract target NFT contract address to query for
+	 * @return true if target NFT contract is allowed to be linked to, false otherwise
+	 */
+	function isAllowedForLinking(address targetContract) public view virtual returns (bool) {
+		// extract the information required from the mapping using helper function
+		(bool allowedForLinking, , bool forbiddenForLinking, ) = isWhitelisted(targetContract);
+
+		// evaluate the result based on the values read, allowance is effective only within the validity window
+		return
+			!forbiddenForLinking &&
+			((allowedForLinking && isWithinWhitelistWindow(targetContract)) ||
+				isFeatureEnabled(FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING));
+	}
+
+	/**
+	 * @notice Checks if specified target NFT contract is allowed to be unlinked from
+	 *
+	 * @dev Using this function can be more convenient than accessing the
+	 *      `whitelistedTargetContracts` directly since the mapping contains linking/unlinking
+	 *      flags packed into uint8
+	 *
+	 * @param targetContract target NFT contract address to query for
+	 * @return true if target NFT contract is allowed to be unlinked from, false otherwise
+	 */
+	function isAllowedForUnlinking(address targetContract) public view virtual returns (bool) {
+		// extract the information required from the mapping using helper function
+		(, bool allowedForUnlinking, , bool forbiddenForUnlinking) = isWhitelisted(targetContract);
+
+		// evaluate the result based on the values read, allowance is effective only within the validity window
+		return
+			!forbiddenForUnlinking &&
+			((allowedForUnlinking && isWithinWhitelistWindow(targetContract)) ||
+				isFeatureEnabled(FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING));
+	}
+
+	/**
+	 * @notice Checks if current time is within the target NFT contract whitelist validity window,
+	 *      see `whitelistWindows`
+	 *
+	 * @param targetContract target NFT contract address to query for
+	 * @return true if the whitelist allowance flags are currently effective, false otherwise
+	 */
+	function isWithinWhitelistWindow(address targetContract) public view virtual returns (bool) {
+		// read the window
+		WhitelistWindow memory window = whitelistWindows[targetContract];
+
+		// evaluate the window bounds
+		return window.validFrom <= block.timestamp && (window.validUntil == 0 || block.timestamp < window.validUntil);
+	}
+
+	/**
+	 * @notice Checks if the given address owns the target NFT
+	 *
+	 * @dev The owner is defined by ERC-721 `ownerOf`; ERC-1155 target NFT contracts are not supported
+	 *      since IntelligentNFTv2 resolves the iNFT owner via ERC-721 `ownerOf` as well
+	 *
+	 * @param targetContract target NFT contract address
+	 * @param targetId target NFT ID
+	 * @param owner an address to check ownership for
+	 * @return true if `owner` owns (holds) the target NFT, false otherwise
+	 */
+	function isNftOwner(address targetContract, uint256 targetId, address owner) public view virtual returns (bool) {
+		// evaluate the ERC-721 ownership
+		return ERC721(targetContract).ownerOf(targetId) == owner;
+	}
+
+	/**
+	 * @notice Checks if the given address is allowed to operate the NFT: link the AI Personality,
+	 *      unlink, deposit into, and withdraw from the iNFT bound to the target NFT
+	 *
+	 * @dev NFT owner, see `isNftOwner`, is always allowed;
+	 *      if FEATURE_OPERATOR_ACCESS is enabled, ERC-721 approved operators (`getApproved`
+	 *      or `isApprovedForAll`) are allowed as well
+	 *
+	 * @param nftContract AI Personality or target NFT contract address
+	 * @param nftId AI Personality or target NFT ID
+	 * @param operator an address to check permissions for
+	 * @return true if `operator` is allowed to operate the NFT, false otherwise
+	 */
+	function isApprovedOperator(address nftContract, uint256 nftId, address operator) public view virtual returns (bool) {
+		// NFT owner is always allowed
+		if (isNftOwner(nftContract, nftId, operator)) {
+			return true;
+		}
+
+		// approved operators are allowed only if the feature is enabled
+		if (!isFeatureEnabled(FEATURE_OPERATOR_ACCESS)) {
+			return false;
+		}
+
+		// evaluate ERC-721 approvals
+		return ERC721(nftContract).getApproved(nftId) == operator
+			|| ERC721(nftContract).isApprovedForAll(ERC721(nftContract).ownerOf(nftId), operator);
+	}
+
+	/**
+	 * @notice Checks if the given address is registered in the delegation registry `delegationRegistry`
+	 *      as a delegate of the target NFT owner (vault) for the target NFT
+	 *
+	 * @dev Always false if the delegation registry is not set
+	 *
+	 * @param nftContract target NFT contract address
+	 * @param nftId target NFT ID
+	 * @param delegate an address to check the delegation for
+	 * @return true if `delegate` is delegated by the NFT owner, false otherwise
+	 */
+	function isDelegate(address nftContract, uint256 nftId, address delegate) public view virtual returns (bool) {
+		// delegation is not possible if the registry is not set
+		if (delegationRegistry == address(0)) {
+			return false;
+		}
+
+		// delegate to the delegation registry
+		return DelegationRegistry(delegationRegistry).checkDelegateForToken(
+			delegate,
+			ERC721(nftContract).ownerOf(nftId),
+			nftContract,
+			nftId
+		);
+	}
+
+	/**
+	 * @dev Checks if the target NFT is denied in `deniedTargetNfts` for the operation defined by the flag
+	 *
+	 * @param targetContract target NFT contract address
+	 * @param targetId target NFT ID
+	 * @param flag deny list flag to check (0x1 – linking, 0x2 – deposits)
+	 * @return true if the NFT is denied and the deny list is not ignored, false otherwise
+	 */
+	function _isTargetNftDenied(address targetContract, uint256 targetId, uint8 flag) internal view virtual returns (bool) {
+		// deny list is ignored if FEATURE_ALLOW_ANY_TARGET_NFT is enabled
+		return deniedTargetNfts[targetContract][targetId] & flag == flag && !isFeatureEnabled(FEATURE_ALLOW_ANY_TARGET_NFT);
+	}
+
+	/**
+	 * @notice Number of iNFTs which can be linked to the target NFT contract (collection),
+	 *      taking into account the collection linking cap `collectionLinkCaps`
+	 *
+	 * @param targetContract target NFT contract (collection) address to query for
+	 * @return remaining capacity, `type(uint256).max` if there is no limit
+	 */
+	function getCollectionLinkCapacity(address targetContract) public view virtual returns (uint256) {
+		// read the cap and the counter
+		uint32 cap = collectionLinkCaps[targetContract];
+		uint32 count = collectionLinkCounts[targetContract];
+
+		// evaluate the remaining capacity
+		return cap == 0 ? type(uint256).max : cap > count ? cap - count : 0;
+	}
+
+	/**
+	 * @notice Number of iNFTs linked by the wallet within the current linking period
+	 *
+	 * @param wallet linking account address to query for
+	 * @return number of iNFTs linked within the current period, see `walletLinkPeriod`
+	 */
+	function getWalletLinkCount(address wallet) public view virtual returns (uint32) {
+		// read the counter
+		WalletLinkCounter memory counter = walletLinkCounters[wallet];
+
+		// counter of the previous period is not effective
+		return counter.period == _currentLinkPeriod() ? counter.count : 0;
+	}
+
+	/**
+	 * @notice Number of iNFTs which can be linked by the wallet within the current linking period,
+	 *      taking into account the wallet linking cap `walletLinkCap`
+	 *
+	 * @param wallet linking account address to query for
+	 * @return remaining capacity, `type(uint256).max` if there is no limit
+	 */
+	function getWalletLinkCapacity(address wallet) public view virtual returns (uint256) {
+		// read the counter
+		uint32 count = getWalletLinkCount(wallet);
+
+		// evaluate the remaining capacity
+		return walletLinkCap == 0 ? type(uint256).max : walletLinkCap > count ? walletLinkCap - count : 0;
+	}
+
+	/**
+	 * @dev Index of the current linking period, see `walletLinkPeriod`
+	 *
+	 * @return current linking period index, zero if the period never ends
+	 */
+	function _currentLinkPeriod() internal view virtual returns (uint64) {
+		// periods are aligned to the unix epoch
+		return walletLinkPeriod == 0 ? 0 : uint64(block.timestamp / walletLinkPeriod);
+	}
+
+	/**
+	 * @dev Verifies the collection linking cap is not reached, increments the collection counter,
+	 *      and marks the iNFT as counted, see `countedINfts`
+	 *
+	 * @param targetContract target NFT contract (collection) the iNFT is being linked to
+	 * @param iNftId ID of the iNFT being minted
+	 */
+	function _countLink(address targetContract, uint256 iNftId) internal virtual {
+		// verify the cap
+		require(getCollectionLinkCapacity(targetContract) != 0, "collection cap reached");
+
+		// update the counter
+		collectionLinkCounts[targetContract]++;
+
+		// mark the iNFT as counted
+		countedINfts[iNftId] = true;
+	}
+
+	/**
+	 * @dev Decrements the collection counter if the iNFT was counted, see `countedINfts`;
+	 *      iNFTs linked before V4 upgrade are not counted, and don't affect the counter
+	 *
+	 * @param targetContract target NFT contract (collection) the iNFT is being unlinked from
+	 * @param iNftId ID of the iNFT being burnt
+	 */
+	function _countUnlink(address targetContract, uint256 iNftId) internal virtual {
+		// update the counter only if the iNFT was counted
+		if (countedINfts[iNftId]) {
+			collectionLinkCounts[targetContract]--;
+			delete countedINfts[iNftId];
+		}
+	}
+
+	/**
+	 * @dev Verifies the wallet linking cap is not reached and increments the wallet counter
+	 *
+	 * @param wallet linking account address
+	 */
+	function _countWalletLink(address wallet) internal virtual {
+		// verify the cap
+		require(getWalletLinkCapacity(wallet) != 0, "wallet cap reached");
+
+		// update the counter, starting it over if the period changed
+		walletLinkCounters[wallet] = WalletLinkCounter({
+			period: _currentLinkPeriod(),
+			count: getWalletLinkCount(wallet) + 1
+		});
+	}
+
+	/**
+	 * @notice Checks if specified AI Personality is allowed to be linked to the specified
+	 *      target NFT contract according to the compatibility rules `compatibilityRules`
+	 *
+	 * @dev AI Personality not covered by any rule is compatible with any target NFT contract;
+	 *      this function doesn't check if target NFT contract is whitelisted,
+	 *      see `isAllowedForLinking`
+	 *
+	 * @dev Evaluates the rules for the default AI Personality contract `personalityContract`,
+	 *      see `isCompatible(address,uint96,address)`
+	 *
+	 * @param personalityId AI Personality ID to query for
+	 * @param targetContract target NFT contract address to query for
+	 * @return true if AI Personality is compatible with the target NFT contract, false otherwise
+	 */
+	function isCompatible(uint96 personalityId, address targetContract) public view virtual returns (bool) {
+		// delegate to the AI Personality contract aware implementation
+		return isCompatible(personalityContract, personalityId, targetContract);
+	}
+
+	/**
+	 * @notice Checks if specified AI Personality is allowed to be linked to the specified
+	 *      target NFT contract according to the compatibility rules `compatibilityRules`
+	 *
+	 * @dev AI Personality not covered by any rule is compatible with any target NFT contract;
+	 *      this function doesn't check if target NFT contract is whitelisted,
+	 *      see `isAllowedForLinking`
+	 *
+	 * @param _personalityContract AI Personality contract address to query for
+	 * @param personalityId AI Personality ID to query for
+	 * @param targetContract target NFT contract address to query for
+	 * @return true if AI Personality is compatible with the target NFT contract, false otherwise
+	 */
+	function isCompatible(
+		address _personalityContract,
+		uint96 personalityId,
+		address targetContract
+	) public view virtual returns (bool) {
+		// AI Personality is compatible with any target NFT contract unless it is covered by a rule
+		bool restricted = false;
+
+		// iterate over all the rules
+		for (uint256 i = 0; i < compatibilityRules.length; i++) {
+			// read the rule into memory
+			CompatibilityRule memory rule = compatibilityRules[i];
+
+			// if the rule covers the AI Personality
+			if (
+				rule.personalityContract == _personalityContract &&
+				rule.personalityIdFrom <= personalityId &&
+				personalityId <= rule.personalityIdTo
+			) {
+				// and allows the target NFT contract - AI Personality is compatible
+				if (rule.targetContract == targetContract) {
+					return true;
+				}
+
+				// otherwise AI Personality is restricted by this rule
+				restricted = true;
+			}
+		}
+
+		// AI Personality is compatible only if it is not restricted by any rule
+		return !restricted;
+	}
+
+	/**
+	 * @notice Checks if AI Personalities from the specified AI Personality contract
+	 *      are allowed to be linked (locked into iNFTs)
+	 *
+	 * @dev Default AI Personality contract `personalityContract` is always allowed
+	 *
+	 * @param _personalityContract AI Personality contract address to query for
+	 * @return true if AI Personality contract is either default or registered, false otherwise
+	 */
+	function isPersonalityContractAllowed(address _personalityContract) public view virtual returns (bool) {
+		// evaluate the result based on the default value and the registry
+		return _personalityContract == personalityContract || registeredPersonalityContracts[_personalityContract];
+	}
+}
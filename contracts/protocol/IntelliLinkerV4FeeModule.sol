@@ -0,0 +1,642 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./IntelliLinkerV4Base.sol";
+
+/**
+ * @title Intelligent Token Linker (iNFT Linker) V4 Fee Module
+ *
+ * @notice Fee module implements linking price, fees, fee splits, discounts management, accrued fees
+ *      withdrawals, and linking, deposit, withdrawal previews
+ *
+ * @dev Fee module is executed via the delegate call from the linking module `IntelliLinkerV4LinkingModule`
+ *      in the iNFT Linker proxy storage context, and is not used directly;
+ *      delegates the calls it doesn't implement to the admin module `adminModule`
+ */
+contract IntelliLinkerV4FeeModule is IntelliLinkerV4Base {
+	/**
+	 * @notice Admin module `IntelliLinkerV4AdminModule` executes the functions which are not
+	 *      implemented by the fee module, see `fallback()`
+	 *
+	 * @dev Immutable, stored within the fee module bytecode, not in the proxy storage
+	 */
+	address public immutable adminModule;
+
+	/**
+	 * @dev Creates/deploys the fee module bound to already deployed admin module
+	 *
+	 * @param _adminModule address of the deployed admin module instance the fee module is bound to
+	 */
+	constructor(address _adminModule) {
+		// verify the input is set
+		require(_adminModule != address(0), "admin module addr is not set");
+
+		// setup the admin module address
+		adminModule = _adminModule;
+	}
+
+	/**
+	 * @notice Withdraws the fees accrued for the sender (treasury or fee share recipient)
+	 *      to an arbitrary address, see `accruedFees`
+	 *
+	 * @param _to an address to send the ALI tokens to
+	 * @param _value amount of ALI tokens to withdraw
+	 */
+	function withdrawFees(address _to, uint256 _value) public virtual {
+		// withdraw the fees accrued for the sender
+		_withdrawFees(msg.sender, _to, _value);
+	}
+
+	/**
+	 * @dev Restricted access function to withdraw the fees accrued for the protocol
+	 *      treasury to an arbitrary address, see `accruedFees`, `isProtocolTreasury()`
+	 *
+	 * @dev Fees accrued for the collection specific treasuries and fee share recipients
+	 *      can be withdrawn only by these treasuries (recipients) themselves, see `withdrawFees()`
+	 *
+	 * @dev Requires executor to have ROLE_WITHDRAWAL_MANAGER permission
+	 *
+	 * @param _treasury protocol treasury address the fees were accrued for, either current
+	 *      or former `feeDestination` or `unlinkFeeDestination`
+	 * @param _to an address to send the ALI tokens to
+	 * @param _value amount of ALI tokens to withdraw
+	 */
+	function withdrawTreasuryFees(address _treasury, address _to, uint256 _value) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_WITHDRAWAL_MANAGER), "access denied");
+
+		// verify the treasury is a protocol treasury
+		require(isProtocolTreasury(_treasury), "not a protocol treasury");
+
+		// withdraw the fees accrued for the protocol treasury
+		_withdrawFees(_treasury, _to, _value);
+	}
+
+	/**
+	 * @notice Checks if the address is a protocol treasury: current or former linking
+	 *      treasury `feeDestination`, or unlinking fee treasury `unlinkFeeDestination`,
+	 *      see `formerTreasuries`
+	 *
+	 * @param _treasury an address to check
+	 * @return true if the address is a protocol treasury, false otherwise
+	 */
+	function isProtocolTreasury(address _treasury) public view virtual returns (bool) {
+		// zero address is never a treasury
+		if (_treasury == address(0)) {
+			return false;
+		}
+
+		// evaluate the result based on the current and former treasuries
+		return _treasury == feeDestination || _treasury == unlinkFeeDestination || formerTreasuries[_treasury];
+	}
+
+	/**
+	 * @dev Withdraws the fees accrued for the treasury to an arbitrary address, see `accruedFees`
+	 *
+	 * @param _feeDestination treasury address the fees were accrued for
+	 * @param _to an address to send the ALI tokens to
+	 * @param _value amount of ALI tokens to withdraw
+	 */
+	function _withdrawFees(address _feeDestination, address _to, uint256 _value) internal virtual {
+		// verify the recipient is set
+		require(_to != address(0), "zero address");
+
+		// verify there is enough fees accrued
+		require(_value <= accruedFees[_feeDestination], "insufficient accrued fees");
+
+		// update the accrued balance
+		accruedFees[_feeDestination] -= _value;
+
+		// transfer ALI tokens to the recipient
+		ERC20(aliContract).transfer(_to, _value);
+
+		// emit an event
+		emit FeesWithdrawn(msg.sender, _feeDestination, _to, _value);
+	}
+
+	/**
+	 * @notice Previews the linking to the target NFT contract: how much ALI tokens are charged,
+	 *      sent to the treasury, and locked in the iNFT, see `link()`
+	 *
+	 * @param targetContract target NFT contract address iNFT to be linked to
+	 * @return _linkPrice total amount of ALI tokens charged (effective linking price)
+	 * @return _linkFee amount of ALI tokens sent to the treasury (effective linking fee)
+	 * @return _lockedValue amount of ALI tokens locked in the iNFT
+	 */
+	function previewLink(
+		address targetContract
+	) public view virtual returns (uint96 _linkPrice, uint96 _linkFee, uint96 _lockedValue) {
+		// determine the effective linking price and fee for the target NFT contract
+		(_linkPrice, _linkFee, ) = getLinkPrice(targetContract);
+
+		// the rest of the linking price gets locked
+		_lockedValue = _linkPrice - _linkFee;
+	}
+
+	/**
+	 * @notice Previews the deposit into the iNFT: how much ALI tokens are sent to the treasury,
+	 *      and locked in the iNFT, see `deposit()`
+	 *
+	 * @dev Doesn't verify the deposit can be made (access, features, deny list)
+	 *
+	 * @param iNftId ID of the iNFT to deposit tokens to
+	 * @param aliValue amount of ALI tokens to deposit
+	 * @return _linkFee amount of ALI tokens sent to the treasury
+	 * @return _lockedValue amount of ALI tokens locked in the iNFT
+	 */
+	function previewDeposit(
+		uint256 iNftId,
+		uint96 aliValue
+	) public view virtual returns (uint96 _linkFee, uint96 _lockedValue) {
+		// read the target NFT contract address from the iNFT binding
+		(, , , address targetContract, ) = IntelligentNFTv2(iNftContract).bindings(iNftId);
+
+		// determine the effective deposit fee
+		(_linkFee, ) = _calculateDepositFee(targetContract, aliValue);
+
+		// the rest of the value supplied gets locked
+		_lockedValue = aliValue - _linkFee;
+	}
+
+	/**
+	 * @notice Previews the withdrawal from the iNFT: how much ALI tokens are sent to the treasury,
+	 *      and to the iNFT owner, see `withdraw()`
+	 *
+	 * @dev Doesn't verify the withdrawal can be made (access, features);
+	 *      withdrawal of more than `_maxValue` fails since iNFT locked balance can't go below the linking price
+	 *
+	 * @param iNftId ID of the iNFT to withdraw tokens from
+	 * @param aliValue amount of ALI tokens to withdraw
+	 * @return _withdrawalFee amount of ALI tokens sent to the treasury
+	 * @return _value amount of ALI tokens sent to the iNFT owner
+	 * @return _maxValue maximum amount of ALI tokens which can be withdrawn
+	 */
+	function previewWithdraw(
+		uint256 iNftId,
+		uint96 aliValue
+	) public view virtual returns (uint96 _withdrawalFee, uint96 _value, uint96 _maxValue) {
+		// get a link to an iNFT contract to perform several actions with it
+		IntelligentNFTv2 iNFT = IntelligentNFTv2(iNftContract);
+
+		// read the target NFT contract address from the iNFT binding
+		(, , , address targetContract, ) = iNFT.bindings(iNftId);
+
+		// determine the effective linking price and treasury for the iNFT target NFT contract
+		(uint96 _linkPrice, , address _feeDestination) = getLinkPrice(targetContract);
+
+		// iNFT locked balance can't go below `linkPrice`
+		uint256 lockedValue = iNFT.lockedValue(iNftId);
+		_maxValue = lockedValue > _linkPrice ? uint96(lockedValue - _linkPrice) : 0;
+
+		// determine the effective withdrawal fee, the rest is sent to the iNFT owner
+		_withdrawalFee = _calculateWithdrawalFee(_feeDestination, aliValue);
+		_value = aliValue - _withdrawalFee;
+	}
+
+	/**
+	 * @dev Restricted access function to modify
+	 *      - linking price `linkPrice`,
+	 *      - linking fee `linkFee`, and
+	 *      - treasury address `feeDestination`
+	 *
+	 * @dev Requires executor to have ROLE_LINK_PRICE_MANAGER permission
+	 * @dev Requires linking price to be either unset (zero), or not less than 1e12 (0.000001 ALI)
+	 * @dev Requires both linking fee and treasury address to be either set or unset (zero);
+	 *      if set, linking fee must not be less than 1e12 (0.000001 ALI);
+	 *      if set, linking fee must not exceed linking price
+	 *
+	 * @param _linkPrice new linking price to be set
+	 * @param _linkFee new linking fee to be set
+	 * @param _feeDestination treasury address
+	 */
+	function updateLinkPrice(uint96 _linkPrice, uint96 _linkFee, address _feeDestination) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_LINK_PRICE_MANAGER), "access denied");
+
+		// verify the linking price, fee, and treasury address are valid
+		_verifyLinkPrice(_linkPrice, _linkFee, _feeDestination);
+
+		// remember the treasury being replaced, so that its accrued fees remain withdrawable
+		if (feeDestination != address(0) && feeDestination != _feeDestination) {
+			formerTreasuries[feeDestination] = true;
+		}
+
+		// update the linking price, fee, and treasury address
+		linkPrice = _linkPrice;
+		linkFee = _linkFee;
+		feeDestination = _feeDestination;
+
+		// emit an event
+		emit LinkPriceChanged(msg.sender, _linkPrice, _linkFee, _feeDestination);
+	}
+
+	/**
+	 * @dev Restricted access function to modify
+	 *      - fixed unlinking fee `unlinkFee`,
+	 *      - unlinking fee share `unlinkFeeShare`, and
+	 *      - unlinking fee treasury address `unlinkFeeDestination`
+	 *
+	 * @dev Requires executor to have ROLE_LINK_PRICE_MANAGER permission
+	 * @dev Requires fixed unlinking fee and unlinking fee share not to be set both
+	 * @dev Requires unlinking fee (either fixed or share) and treasury address
+	 *      to be either set or unset (zero);
+	 *      if set, fixed unlinking fee must not be less than 1e12 (0.000001 ALI);
+	 *      if set, unlinking fee share must not exceed 10,000 (100%)
+	 *
+	 * @param _unlinkFee new fixed unlinking fee to be set
+	 * @param _unlinkFeeShare new unlinking fee share to be set, in basis points
+	 * @param _feeDestination unlinking fee treasury address
+	 */
+	function updateUnlinkFee(uint96 _unlinkFee, uint16 _unlinkFeeShare, address _feeDestination) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_LINK_PRICE_MANAGER), "access denied");
+
+		// fixed unlinking fee and unlinking fee share cannot be both set
+		require(_unlinkFee == 0 || _unlinkFeeShare == 0, "both fixed fee and fee share are set");
+		// fixed unlinking fee must not be too low if set, fee share must not exceed 100%
+		require(_unlinkFee == 0 || _unlinkFee >= 1e12, "invalid unlinking fee");
+		require(_unlinkFeeShare <= 10_000, "invalid unlinking fee share");
+		// unlinking fee/treasury should be either both set or both unset
+		require(
+			(_unlinkFee == 0 && _unlinkFeeShare == 0) == (_feeDestination == address(0)),
+			"invalid unlinking fee/treasury"
+		);
+
+		// remember the treasury being replaced, so that its accrued fees remain withdrawable
+		if (unlinkFeeDestination != address(0) && unlinkFeeDestination != _feeDestination) {
+			formerTreasuries[unlinkFeeDestination] = true;
+		}
+
+		// update the unlinking fee and treasury address
+		unlinkFee = _unlinkFee;
+		unlinkFeeShare = _unlinkFeeShare;
+		unlinkFeeDestination = _feeDestination;
+
+		// emit an event
+		emit UnlinkFeeChanged(msg.sender, _unlinkFee, _unlinkFeeShare, _feeDestination);
+	}
+
+	/**
+	 * @dev Restricted access function to modify withdrawal fee `withdrawalFee`
+	 *
+	 * @dev Requires executor to have ROLE_LINK_PRICE_MANAGER permission
+	 * @dev Requires withdrawal fee not to exceed 10,000 (100%)
+	 * @dev Withdrawal fee is charged only if treasury address `feeDestination` is set,
+	 *      see `updateLinkPrice` and `updateCollectionLinkPrice`
+	 *
+	 * @param _withdrawalFee new withdrawal fee to be set, in basis points
+	 */
+	function updateWithdrawalFee(uint16 _withdrawalFee) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_LINK_PRICE_MANAGER), "access denied");
+
+		// verify the fee doesn't exceed 100%
+		require(_withdrawalFee <= 10_000, "invalid withdrawal fee");
+
+		// update the withdrawal fee
+		withdrawalFee = _withdrawalFee;
+
+		// emit an event
+		emit WithdrawalFeeChanged(msg.sender, _withdrawalFee);
+	}
+
+	/**
+	 * @dev Restricted access function to modify referral reward share `referralShare`
+	 *
+	 * @dev Requires executor to have ROLE_LINK_PRICE_MANAGER permission
+	 * @dev Requires referral reward share not to exceed 10,000 (100%)
+	 *
+	 * @param _referralShare new referral reward share to be set, in basis points
+	 */
+	function updateReferralShare(uint16 _referralShare) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_LINK_PRICE_MANAGER), "access denied");
+
+		// verify the share doesn't exceed 100%
+		require(_referralShare <= 10_000, "invalid referral share");
+
+		// update the referral reward share
+		referralShare = _referralShare;
+
+		// emit an event
+		emit ReferralShareChanged(msg.sender, _referralShare);
+	}
+
+	/**
+	 * @dev Restricted access function to add, update, or remove the discount collection,
+	 *      see `discountCollections`
+	 *
+	 * @dev Requires executor to have ROLE_LINK_PRICE_MANAGER permission
+	 * @dev Requires discount not to exceed 10,000 (100%)
+	 * @dev Requires the number of discount collections not to exceed `MAX_DISCOUNT_COLLECTIONS`
+	 *
+	 * @param discountCollection discount collection NFT contract address
+	 * @param discount discount granted to the collection holders, in basis points, zero to remove
+	 */
+	function updateDiscountCollection(address discountCollection, uint16 discount) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_LINK_PRICE_MANAGER), "access denied");
+
+		// verify the address is set
+		require(discountCollection != address(0), "zero address");
+
+		// verify the discount doesn't exceed 100%
+		require(discount <= 10_000, "invalid discount");
+
+		// emit an event
+		emit DiscountCollectionChanged(msg.sender, discountCollection, discountCollections[discountCollection], discount);
+
+		// update the discount
+		discountCollections[discountCollection] = discount;
+
+		// read the collection position in the enumeration (index plus one)
+		uint256 j = discountCollectionIndexes[discountCollection];
+
+		// if the collection gets listed and is not yet tracked
+		if (discount != 0 && j == 0) {
+			// verify the number of discount collections doesn't exceed the limit
+			require(discountCollectionList.length < MAX_DISCOUNT_COLLECTIONS, "too many discount collections");
+
+			// add it to the enumeration
+			discountCollectionList.push(discountCollection);
+			discountCollectionIndexes[discountCollection] = discountCollectionList.length;
+		}
+		// if the collection gets delisted and is tracked
+		else if (discount == 0 && j != 0) {
+			// move the last collection in place of the one removed, and shrink the array
+			address last = discountCollectionList[discountCollectionList.length - 1];
+			discountCollectionList[j - 1] = last;
+			discountCollectionIndexes[last] = j;
+			discountCollectionList.pop();
+			delete discountCollectionIndexes[discountCollection];
+		}
+	}
+
+	/**
+	 * @notice Lists the discount collections and their discounts, see `discountCollections`
+	 *
+	 * @return collections discount collection NFT contract addresses
+	 * @return discounts discounts granted to the collection holders, in basis points
+	 */
+	function getDiscountCollections() public view virtual returns (address[] memory collections, uint16[] memory discounts) {
+		// copy the enumeration into the arrays
+		collections = discountCollectionList;
+		discounts = new uint16[](collections.length);
+		for (uint256 i = 0; i < collections.length; i++) {
+			discounts[i] = discountCollections[collections[i]];
+		}
+	}
+
+	/**
+	 * @dev Restricted access function to set or remove target NFT contract (collection) specific
+	 *      - linking price `linkPrice`,
+	 *      - linking fee `linkFee`, and
+	 *      - treasury address `feeDestination`
+	 *      overrides, see `collectionLinkPrices`
+	 *
+	 * @dev Requires executor to have ROLE_LINK_PRICE_MANAGER permission
+	 * @dev Override values are validated in the same way as in `updateLinkPrice`
+	 *
+	 * @param targetContract target NFT contract address to set/remove the override for
+	 * @param _linkPrice new linking price to be set for the target NFT contract
+	 * @param _linkFee new linking fee to be set for the target NFT contract
+	 * @param _feeDestination treasury address for the target NFT contract
+	 * @param enabled true to set the override, false to remove it (falling back to the global values)
+	 */
+	function updateCollectionLinkPrice(
+		address targetContract,
+		uint96 _linkPrice,
+		uint96 _linkFee,
+		address _feeDestination,
+		bool enabled
+	) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_LINK_PRICE_MANAGER), "access denied");
+
+		// verify the address is set
+		require(targetContract != address(0), "zero address");
+
+		// removing the override is always possible, setting it - only for valid values
+		if (enabled) {
+			// verify the linking price, fee, and treasury address are valid
+			_verifyLinkPrice(_linkPrice, _linkFee, _feeDestination);
+		}
+		// removed override doesn't store any values
+		else {
+			_linkPrice = 0;
+			_linkFee = 0;
+			_feeDestination = address(0);
+		}
+
+		// update the override
+		collectionLinkPrices[targetContract] = CollectionLinkPrice({
+			linkPrice: _linkPrice,
+			linkFee: _linkFee,
+			feeDestination: _feeDestination,
+			enabled: enabled
+		});
+
+		// emit an event
+		emit CollectionLinkPriceChanged(msg.sender, targetContract, _linkPrice, _linkFee, _feeDestination, enabled);
+	}
+
+	/**
+	 * @dev Restricted access function to set the global fee split table: the shares of linking
+	 *      and deposit fees sent to the recipients listed, the rest of the fee is sent to the treasury
+	 *
+	 * @dev Requires executor to have ROLE_LINK_PRICE_MANAGER permission
+	 * @dev Shares are set in basis points (1/10,000), and must not exceed 10,000 in total;
+	 *      empty table removes the split
+	 *
+	 * @param recipients fee share recipients
+	 * @param shares fee shares, in basis points
+	 */
+	function updateFeeSplit(address[] memory recipients, uint16[] memory shares) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_LINK_PRICE_MANAGER), "access denied");
+
+		// verify and update the table
+		_setFeeSplit(feeSplit, recipients, shares);
+
+		// emit an event
+		emit FeeSplitChanged(msg.sender, address(0), recipients, shares, true);
+	}
+
+	/**
+	 * @dev Restricted access function to set or remove the target NFT contract (collection) specific
+	 *      fee split table, overriding the global one, see `updateFeeSplit()`
+	 *
+	 * @dev Requires executor to have ROLE_LINK_PRICE_MANAGER permission
+	 *
+	 * @param targetContract target NFT contract address to set the override for
+	 * @param recipients fee share recipients, ignored if the override is removed
+	 * @param shares fee shares, in basis points, ignored if the override is removed
+	 * @param enabled true to set the override, false to remove it
+	 */
+	function updateCollectionFeeSplit(
+		address targetContract,
+		address[] memory recipients,
+		uint16[] memory shares,
+		bool enabled
+	) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_LINK_PRICE_MANAGER), "access denied");
+
+		// verify the address is set
+		require(targetContract != address(0), "zero address");
+
+		// removed override doesn't store any values
+		if (!enabled) {
+			recipients = new address[](0);
+			shares = new uint16[](0);
+		}
+
+		// verify and update the table
+		_setFeeSplit(collectionFeeSplits[targetContract], recipients, shares);
+		collectionFeeSplitEnabled[targetContract] = enabled;
+
+		// emit an event
+		emit FeeSplitChanged(msg.sender, targetContract, recipients, shares, enabled);
+	}
+
+	/**
+	 * @dev Verifies and overwrites the fee split table
+	 *
+	 * @param _feeSplit fee split table to overwrite
+	 * @param recipients fee share recipients
+	 * @param shares fee shares, in basis points
+	 */
+	function _setFeeSplit(FeeShare[] storage _feeSplit, address[] memory recipients, uint16[] memory shares) internal virtual {
+		// verify the arrays are of the same length
+		require(recipients.length == shares.length, "arrays length mismatch");
+
+		// erase the table
+		while (_feeSplit.length != 0) {
+			_feeSplit.pop();
+		}
+
+		// total of the shares set
+		uint256 total = 0;
+
+		// fill in the table
+		for (uint256 i = 0; i < recipients.length; i++) {
+			// verify the recipient is set
+			require(recipients[i] != address(0), "zero address");
+
+			// add the entry
+			total += shares[i];
+			_feeSplit.push(FeeShare({recipient: recipients[i], share: shares[i]}));
+		}
+
+		// verify the shares don't exceed 100%
+		require(total <= 10_000, "invalid shares");
+	}
+
+	/**
+	 * @notice Effective fee split table for the target NFT contract: target NFT contract (collection)
+	 *      specific override if set, global table otherwise; the rest of the fee is sent to the treasury
+	 *
+	 * @param targetContract target NFT contract address to query for
+	 * @return recipients fee share recipients
+	 * @return shares fee shares, in basis points
+	 */
+	function getFeeSplit(
+		address targetContract
+	) public view virtual returns (address[] memory recipients, uint16[] memory shares) {
+		// read the effective fee split table
+		FeeShare[] storage _feeSplit = _getFeeSplit(targetContract);
+
+		// copy it into the arrays
+		recipients = new address[](_feeSplit.length);
+		shares = new uint16[](_feeSplit.length);
+		for (uint256 i = 0; i < _feeSplit.length; i++) {
+			recipients[i] = _feeSplit[i].recipient;
+			shares[i] = _feeSplit[i].share;
+		}
+	}
+
+	/**
+	 * @notice Previews the linking (deposit) fee split for the target NFT contract,
+	 *      see `getFeeSplit()`, `previewLink()`, `previewDeposit()`
+	 *
+	 * @param targetContract target NFT contract address the fee is charged for
+	 * @param _fee amount of ALI tokens charged as a fee
+	 * @return _recipients fee share recipients, the last one is the treasury
+	 * @return _values amounts of ALI tokens sent to the recipients
+	 */
+	function previewFeeSplit(
+		address targetContract,
+		uint96 _fee
+	) public view virtual returns (address[] memory _recipients, uint96[] memory _values) {
+		// determine the effective treasury for the target NFT contract
+		(, , address _feeDestination) = getLinkPrice(targetContract);
+
+		// split the fee according to the effective fee split table
+		return _splitFee(_getFeeSplit(targetContract), _feeDestination, _fee);
+	}
+
+	/**
+	 * @dev Verifies linking price, linking fee, and treasury address are valid:
+	 *      - linking price must be either unset (zero), or not less than 1e12 (0.000001 ALI)
+	 *      - linking fee and treasury address must be either both set or both unset (zero);
+	 *        if set, linking fee must not be less than 1e12 (0.000001 ALI);
+	 *        if set, linking fee must not exceed linking price
+	 *
+	 * @param _linkPrice linking price to verify
+	 * @param _linkFee linking fee to verify
+	 * @param _feeDestination treasury address to verify
+	 */
+	function _verifyLinkPrice(uint96 _linkPrice, uint96 _linkFee, address _feeDestination) internal pure virtual {
+		// verify the price is not too low if it's set
+		require(_linkPrice == 0 || _linkPrice >= 1e12, "invalid price");
+
+		// linking fee/treasury should be either both set or both unset
+		// linking fee must not be too low if set
+		require(
+			(_linkFee == 0 && _feeDestination == address(0)) || (_linkFee >= 1e12 && _feeDestination != address(0)),
+			"invalid linking fee/treasury"
+		);
+		// linking fee must not exceed linking price
+		require(_linkFee <= _linkPrice, "linking fee exceeds linking price");
+	}
+
+	/**
+	 * @dev Restricted access function to modify relinking fee `relinkFee`
+	 *
+	 * @dev Requires executor to have ROLE_LINK_PRICE_MANAGER permission
+	 * @dev Requires relinking fee to be either unset (zero), or not less than 1e12 (0.000001 ALI)
+	 * @dev Relinking fee is charged only if the effective treasury address for the new target
+	 *      NFT contract is set, see `getLinkPrice`
+	 *
+	 * @param _relinkFee new relinking fee to be set
+	 */
+	function updateRelinkFee(uint96 _relinkFee) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_LINK_PRICE_MANAGER), "access denied");
+
+		// verify the fee is not too low if it's set
+		require(_relinkFee == 0 || _relinkFee >= 1e12, "invalid relinking fee");
+
+		// update the relinking fee
+		relinkFee = _relinkFee;
+
+		// emit an event
+		emit RelinkFeeChanged(msg.sender, _relinkFee);
+	}
+
+	/**
+	 * @notice Executes the functions not implemented by the fee module
+	 *      in the admin module `adminModule`
+	 *
+	 * @dev Delegates the call to the admin module, preserving the storage context, `msg.sender`,
+	 *      and bubbling up the revert reason if any
+	 *
+	 * @param input call data to delegate to the admin module
+	 * @return data returned by the admin module
+	 */
+	fallback(bytes calldata input) external returns (bytes memory) {
+		// delegate the call to the admin module
+		return Address.functionDelegateCall(adminModule, input);
+	}
+}
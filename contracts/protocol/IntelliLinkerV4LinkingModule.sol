@@ -0,0 +1,584 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "../interfaces/EIP2612.sol";
+import "./IntelliLinkerV4Base.sol";
+
+/**
+ * @title Intelligent Token Linker (iNFT Linker) V4 Linking Module
+ *
+ * @notice Linking module implements linking with the EIP-712 signatures (link authorizations, target
+ *      NFT owner consents, vouchers) and ALI EIP-2612 permits, and batch linking and deposits
+ *
+ * @dev Linking module is executed via the delegate call from the V4 implementation `IntelliLinkerV4`
+ *      in the iNFT Linker proxy storage context, and is not used directly;
+ *      delegates the calls it doesn't implement to the fee module `feeModule`
+ */
+contract IntelliLinkerV4LinkingModule is IntelliLinkerV4Base {
+	/**
+	 * @notice Fee module `IntelliLinkerV4FeeModule` executes the functions which are not
+	 *      implemented by the linking module, see `fallback()`
+	 *
+	 * @dev Immutable, stored within the linking module bytecode, not in the proxy storage
+	 */
+	address public immutable feeModule;
+
+	/**
+	 * @dev Creates/deploys the linking module bound to already deployed fee module
+	 *
+	 * @param _feeModule address of the deployed fee module instance the linking module is bound to
+	 */
+	constructor(address _feeModule) {
+		// verify the input is set
+		require(_feeModule != address(0), "fee module addr is not set");
+
+		// setup the fee module address
+		feeModule = _feeModule;
+	}
+
+	/**
+	 * @notice Links given AI Personality with the given NFT and forms an iNFT
+	 *      on behalf of the AI Personality owner, who signed the EIP-712 link authorization.
+	 *      Allows anyone (relayer) to submit the transaction, see `link()`
+	 *
+	 * @dev AI Personality and ALI tokens are transferred from the AI Personality owner account
+	 *      to iNFT smart contract; AI Personality owner must approve both AI Personality and
+	 *      ALI tokens transfers to be performed by the linker contract
+	 * @dev Link authorization limits the linking price AI Personality owner agrees to pay `maxLinkPrice`,
+	 *      so that the linking price increase after the authorization is signed can't be charged
+	 *
+	 * @param _personalityContract AI Personality contract address, either `personalityContract`
+	 *      or one of the registered AI Personality contracts
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 * @param maxLinkPrice maximum linking price AI Personality owner agrees to pay
+	 * @param deadline unix timestamp until which the signature is valid (inclusive)
+	 * @param nonce AI Personality owner nonce, must be equal to the `nonces[owner]`
+	 * @param signature EIP-712 signature of the link authorization
+	 */
+	function linkWithSig(
+		address _personalityContract,
+		uint96 personalityId,
+		address targetContract,
+		uint256 targetId,
+		uint96 maxLinkPrice,
+		uint256 deadline,
+		uint256 nonce,
+		bytes memory signature
+	) public virtual {
+		// verify linking with signature is enabled
+		require(isFeatureEnabled(FEATURE_LINKING_WITH_SIG), "linking with signature is disabled");
+
+		// verify signature is not expired
+		require(block.timestamp <= deadline, "signature expired");
+
+		// determine the effective linking price for the target NFT contract
+		(uint96 _linkPrice, , ) = getLinkPrice(targetContract);
+		// verify the linking price doesn't exceed the one authorized
+		require(_linkPrice <= maxLinkPrice, "linking price exceeds the maximum");
+
+		// the AI Personality owner is the one who must sign the authorization
+		address owner = ERC721(_personalityContract).ownerOf(personalityId);
+
+		// build the EIP-712 hashStruct of the link authorization
+		bytes32 hashStruct = keccak256(
+			abi.encode(LINK_TYPEHASH, _personalityContract, personalityId, targetContract, targetId, maxLinkPrice, nonce, deadline)
+		);
+		// calculate the EIP-712 digest "\x19\x01" ‖ domainSeparator ‖ hashStruct(message)
+		bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), hashStruct));
+
+		// verify the signature belongs to the AI Personality owner
+		require(ECDSA.recover(digest, signature) == owner, "invalid signature");
+
+		// verify and use the nonce
+		require(nonce == nonces[owner]++, "invalid nonce");
+
+		// delegate to internal implementation, AI Personality owner funds the iNFT creation
+		_link(owner, owner, _personalityContract, personalityId, targetContract, targetId, false, address(0), 0);
+	}
+
+	/**
+	 * @notice Links given AI Personality with the given NFT and forms an iNFT,
+	 *      presenting the EIP-712 consent signed by the target NFT owner,
+	 *      see `link(address,uint96,address,uint256)`
+	 *
+	 * @dev Allows linking to the NFT not owned by the transaction sender when
+	 *      FEATURE_TARGET_OWNER_CONSENT is enabled; consent is bound to the transaction sender
+	 *
+	 * @param _personalityContract AI Personality contract address, either `personalityContract`
+	 *      or one of the registered AI Personality contracts
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 * @param deadline unix timestamp until which the signature is valid (inclusive)
+	 * @param nonce target NFT owner nonce, must be equal to the `nonces[owner]`
+	 * @param signature EIP-712 signature of the consent
+	 */
+	function linkWithConsent(
+		address _personalityContract,
+		uint96 personalityId,
+		address targetContract,
+		uint256 targetId,
+		uint256 deadline,
+		uint256 nonce,
+		bytes memory signature
+	) public virtual {
+		// verify signature is not expired
+		require(block.timestamp <= deadline, "signature expired");
+
+		// build the EIP-712 hashStruct of the consent
+		bytes32 hashStruct = keccak256(
+			abi.encode(
+				CONSENT_TYPEHASH,
+				msg.sender,
+				_personalityContract,
+				personalityId,
+				targetContract,
+				targetId,
+				nonce,
+				deadline
+			)
+		);
+		// calculate the EIP-712 digest "\x19\x01" ‖ domainSeparator ‖ hashStruct(message)
+		bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), hashStruct));
+
+		// recover the consent signer
+		address owner = ECDSA.recover(digest, signature);
+		// verify the signature belongs to the target NFT owner
+		require(isNftOwner(targetContract, targetId, owner), "invalid signature");
+
+		// verify and use the nonce
+		require(nonce == nonces[owner]++, "invalid nonce");
+
+		// delegate to internal implementation, transaction sender funds the iNFT creation
+		_link(msg.sender, msg.sender, _personalityContract, personalityId, targetContract, targetId, true, address(0), 0);
+	}
+
+	/**
+	 * @notice Links given AI Personality with the given NFT and forms an iNFT,
+	 *      presenting the EIP-712 link voucher signed by the link price manager,
+	 *      see `link(address,uint96,address,uint256)`
+	 *
+	 * @dev Linking price and fee charged are taken from the voucher instead of the effective
+	 *      ones, see `getLinkPrice()`; the rest of the linking rules apply as usual
+	 * @dev Voucher must be signed by an address having ROLE_LINK_PRICE_MANAGER permission,
+	 *      can be bound to the recipient (transaction sender) and to the target NFT contract, and can be redeemed
+	 *      up to `maxRedemptions` times until it expires or gets cancelled,
+	 *      see `voucherRedemptions`, `cancelVoucher()`
+	 *
+	 * @param _personalityContract AI Personality contract address, either `personalityContract`
+	 *      or one of the registered AI Personality contracts
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 * @param voucher link voucher to redeem
+	 * @param signature EIP-712 signature of the link voucher
+	 */
+	function linkWithVoucher(
+		address _personalityContract,
+		uint96 personalityId,
+		address targetContract,
+		uint256 targetId,
+		LinkVoucher memory voucher,
+		bytes memory signature
+	) public virtual {
+		// verify linking with vouchers is enabled
+		require(isFeatureEnabled(FEATURE_LINKING_WITH_VOUCHER), "linking with voucher is disabled");
+
+		// verify the voucher is not expired
+		require(block.timestamp <= voucher.expiresAt, "voucher expired");
+		// verify the voucher is not cancelled
+		require(!cancelledVouchers[voucher.voucherId], "voucher cancelled");
+		// verify the voucher is redeemed by its recipient, if it is bound
+		require(voucher.recipient == address(0) || voucher.recipient == msg.sender, "not a voucher recipient");
+		// verify the voucher is redeemed for its target NFT contract, if it is bound
+		require(
+			voucher.targetContract == address(0) || voucher.targetContract == targetContract,
+			"not a voucher target"
+		);
+		// verify the linking fee doesn't exceed the linking price
+		require(voucher.linkFee <= voucher.linkPrice, "invalid voucher");
+
+		// verify the voucher signature and the usage limit, count the redemption
+		(address signer, uint32 redemptions) = _redeemVoucher(voucher, signature);
+
+		// verify the link can be made and determine the effective treasury
+		(, , address _feeDestination) = _verifyLink(
+			msg.sender,
+			_personalityContract,
+			personalityId,
+			targetContract,
+			targetId,
+			false
+		);
+
+		// verify the treasury is set to receive the fee, if the fee is set
+		require(voucher.linkFee == 0 || _feeDestination != address(0), "invalid voucher");
+
+		// transfer ALI tokens to the treasury and to iNFT contract to be locked
+		_payLink(msg.sender, targetContract, _feeDestination, voucher.linkPrice, voucher.linkFee);
+
+		// lock the AI Personality and mint the iNFT, reporting the linking price and fee charged
+		_mintLink(
+			msg.sender,
+			_personalityContract,
+			personalityId,
+			targetContract,
+			targetId,
+			voucher.linkPrice,
+			voucher.linkFee
+		);
+
+		// emit an event
+		emit VoucherRedeemed(msg.sender, voucher.voucherId, signer, nextId - 1, redemptions);
+	}
+
+	/**
+	 * @dev Verifies the link voucher is signed by the link price manager,
+	 *      and can be redeemed once again; counts the redemption
+	 *
+	 * @param voucher link voucher to redeem
+	 * @param signature EIP-712 signature of the link voucher
+	 * @return signer link price manager who signed the voucher
+	 * @return redemptions number of times the voucher was redeemed, including this one
+	 */
+	function _redeemVoucher(
+		LinkVoucher memory voucher,
+		bytes memory signature
+	) internal virtual returns (address signer, uint32 redemptions) {
+		// build the EIP-712 hashStruct of the link voucher
+		bytes32 hashStruct = keccak256(
+			abi.encode(
+				LINK_VOUCHER_TYPEHASH,
+				voucher.voucherId,
+				voucher.linkPrice,
+				voucher.linkFee,
+				voucher.recipient,
+				voucher.targetContract,
+				voucher.maxRedemptions,
+				voucher.expiresAt
+			)
+		);
+		// calculate the EIP-712 digest "\x19\x01" ‖ domainSeparator ‖ hashStruct(message)
+		bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), hashStruct));
+
+		// recover the signer and verify it is allowed to set the linking price
+		signer = ECDSA.recover(digest, signature);
+		require(isOperatorInRole(signer, ROLE_LINK_PRICE_MANAGER), "invalid signature");
+
+		// verify the usage limit and count the redemption
+		redemptions = ++voucherRedemptions[voucher.voucherId];
+		require(redemptions <= voucher.maxRedemptions, "voucher redeemed");
+	}
+
+	/**
+	 * @dev Restricted access function to cancel the link voucher, so that it cannot be
+	 *      redeemed anymore, see `linkWithVoucher()`
+	 *
+	 * @dev Requires executor to have ROLE_LINK_PRICE_MANAGER permission
+	 * @dev Voucher can be cancelled at any time, even before it gets signed;
+	 *      redemptions already made are not affected
+	 *
+	 * @param voucherId ID of the voucher to cancel
+	 */
+	function cancelVoucher(bytes32 voucherId) public virtual {
+		// verify the access permission
+		require(isSenderInRole(ROLE_LINK_PRICE_MANAGER), "access denied");
+
+		// verify the voucher is not already cancelled
+		require(!cancelledVouchers[voucherId], "voucher cancelled");
+
+		// cancel the voucher
+		cancelledVouchers[voucherId] = true;
+
+		// emit an event
+		emit VoucherCancelled(msg.sender, voucherId);
+	}
+
+	/**
+	 * @notice Links given AI Personality with the given NFT and forms an iNFT,
+	 *      approving ALI tokens transfer with the EIP-2612 permit in the same transaction,
+	 *      see `link(address,uint96,address,uint256)`
+	 *
+	 * @dev Permit must be signed by the transaction sender for the linker contract (spender)
+	 *      for the amount of the effective linking price for the target NFT contract, see `getLinkPrice()`
+	 *
+	 * @param _personalityContract AI Personality contract address, either `personalityContract`
+	 *      or one of the registered AI Personality contracts
+	 * @param personalityId AI Personality ID to be locked into iNFT
+	 * @param targetContract NFT address iNFT to be linked to
+	 * @param targetId NFT ID iNFT to be linked to
+	 * @param deadline ALI permit signature deadline
+	 * @param v ALI permit signature v
+	 * @param r ALI permit signature r
+	 * @param s ALI permit signature s
+	 */
+	function linkWithPermit(
+		address _personalityContract,
+		uint96 personalityId,
+		address targetContract,
+		uint256 targetId,
+		uint256 deadline,
+		uint8 v,
+		bytes32 r,
+		bytes32 s
+	) public virtual {
+		// determine the effective linking price for the target NFT contract
+		(uint96 _linkPrice, , ) = getLinkPrice(targetContract);
+
+		// approve the linking price to be spent by the linker
+		_permitAli(_linkPrice, deadline, v, r, s);
+
+		// delegate to internal implementation, transaction sender funds the iNFT creation
+		_link(msg.sender, msg.sender, _personalityContract, personalityId, targetContract, targetId, false, address(0), 0);
+	}
+
+	/**
+	 * @dev Approves ALI tokens to be spent by the linker with the EIP-2612 permit
+	 *      signed by the transaction sender
+	 *
+	 * @dev Permit may be already used by anyone who observed it in the mempool (front-run);
+	 *      if the permit fails, the allowance already given to the linker is accepted instead
+	 *
+	 * @param _value amount of ALI tokens to approve
+	 * @param deadline ALI permit signature deadline
+	 * @param v ALI permit signature v
+	 * @param r ALI permit signature r
+	 * @param s ALI permit signature s
+	 */
+	function _permitAli(uint256 _value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal virtual {
+		// try to approve the ALI tokens to be spent by the linker
+		try EIP2612(aliContract).permit(msg.sender, address(this), _value, deadline, v, r, s) {}
+		catch {
+			// if the permit fails, verify the allowance is already given (permit was front-run)
+			require(ERC20(aliContract).allowance(msg.sender, address(this)) >= _value, "permit failed");
+		}
+	}
+
+	/**
+	 * @notice EIP-712 contract's domain separator,
+	 *      see https://eips.ethereum.org/EIPS/eip-712#definition-of-domainseparator
+	 *
+	 * @dev Evaluated dynamically since the contract is deployed behind the proxy
+	 *
+	 * @return EIP-712 domain separator for the linker contract
+	 */
+	function DOMAIN_SEPARATOR() public view virtual returns (bytes32) {
+		// build the domain separator for the proxy address and current chain ID
+		return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256(bytes("IntelliLinker")), block.chainid, address(this)));
+	}
+
+	/**
+	 * @notice Links given AI Personalities with the given NFTs and forms iNFTs,
+	 *      see `link(address,uint96,address,uint256)`
+	 *
+	 * @dev Each item is verified in the same way as in `link()`; ALI tokens transfers
+	 *      to the iNFT contract, and to the treasury (if consecutive items share it) are aggregated
+	 *
+	 * @param _personalityContract AI Personality contract address, either `personalityContract`
+	 *      or one of the registered AI Personality contracts
+	 * @param personalityIds AI Personality IDs to be locked into iNFTs
+	 * @param targetContracts NFT addresses iNFTs to be linked to
+	 * @param targetIds NFT IDs iNFTs to be linked to
+	 */
+	function linkBatch(
+		address _personalityContract,
+		uint96[] memory personalityIds,
+		address[] memory targetContracts,
+		uint256[] memory targetIds
+	) public virtual {
+		// verify the arrays are of the same length
+		require(
+			personalityIds.length == targetContracts.length && personalityIds.length == targetIds.length,
+			"arrays length mismatch"
+		);
+
+		// aggregated ALI value to be locked, aggregated fee, and its treasury
+		uint256 lockValue = 0;
+		uint256 feeValue = 0;
+		address feeDestination_ = address(0);
+
+		// verify all the items and aggregate the ALI tokens to be transferred
+		for (uint256 i = 0; i < personalityIds.length; i++) {
+			// verify the item and determine its effective linking price, fee, and treasury
+			(uint96 _linkPrice, uint96 _linkFee, address _feeDestination) = _verifyLink(
+				msg.sender,
+				_personalityContract,
+				personalityIds[i],
+				targetContracts[i],
+				targetIds[i],
+				false
+			);
+
+			// aggregate the value to lock
+			lockValue += _linkPrice - _linkFee;
+
+			// if the linking fee is split between several recipients, charge it separately
+			if (_linkFee != 0 && _getFeeSplit(targetContracts[i]).length != 0) {
+				_chargeSplitFee(msg.sender, targetContracts[i], _feeDestination, _linkFee);
+			}
+			// otherwise, if the linking fee is set
+			else if (_linkFee != 0) {
+				// if the fees are accrued, account the fee, and transfer it to the linker with the rest
+				if (isFeatureEnabled(FEATURE_FEE_ACCRUAL)) {
+					_accrueFee(_feeDestination, _linkFee);
+					_feeDestination = address(this);
+				}
+				// if the treasury changes, flush the fee aggregated so far
+				if (feeValue != 0 && _feeDestination != feeDestination_) {
+					_transferAli(msg.sender, feeDestination_, feeValue);
+					feeValue = 0;
+				}
+				// aggregate the fee
+				feeDestination_ = _feeDestination;
+				feeValue += _linkFee;
+			}
+		}
+
+		// transfer the aggregated fee to the treasury
+		if (feeValue != 0) {
+			_transferAli(msg.sender, feeDestination_, feeValue);
+		}
+		// transfer the aggregated ALI tokens to iNFT contract to be locked
+		if (lockValue != 0) {
+			_transferAli(msg.sender, iNftContract, lockValue);
+		}
+
+		// lock the AI Personalities and mint the iNFTs
+		for (uint256 i = 0; i < personalityIds.length; i++) {
+			// determine the effective linking price and fee charged
+			(uint96 _linkPrice, uint96 _linkFee, ) = getLinkPrice(targetContracts[i]);
+
+			// lock the AI Personality and mint the iNFT
+			_mintLink(
+				msg.sender,
+				_personalityContract,
+				personalityIds[i],
+				targetContracts[i],
+				targetIds[i],
+				_linkPrice,
+				_linkFee
+			);
+		}
+	}
+
+	/**
+	 * @notice Deposits additional ALI tokens into already existing iNFTs, see `deposit()`
+	 *
+	 * @dev Each item is verified in the same way as in `deposit()`; ALI tokens transfers
+	 *      to the iNFT contract, and to the treasury (if consecutive items share it) are aggregated
+	 *
+	 * @param iNftIds IDs of the iNFTs to transfer (and lock) tokens to
+	 * @param aliValues amounts of ALI tokens to transfer (and lock)
+	 */
+	function depositBatch(uint256[] memory iNftIds, uint96[] memory aliValues) public virtual {
+		// verify the arrays are of the same length
+		require(iNftIds.length == aliValues.length, "arrays length mismatch");
+
+		// effective values for each item
+		uint96[] memory _aliValues = new uint96[](iNftIds.length);
+		uint96[] memory _linkFees = new uint96[](iNftIds.length);
+
+		// aggregated ALI value to be locked, aggregated fee, and its treasury
+		uint256 lockValue = 0;
+		uint256 feeValue = 0;
+		address feeDestination_ = address(0);
+
+		// verify all the items and aggregate the ALI tokens to be transferred
+		for (uint256 i = 0; i < iNftIds.length; i++) {
+			// verify the item and determine its effective ALI value to lock, fee, treasury, and target NFT contract
+			address _feeDestination;
+			address targetContract;
+			(_aliValues[i], _linkFees[i], _feeDestination, targetContract) = _verifyDeposit(
+				msg.sender,
+				iNftIds[i],
+				aliValues[i]
+			);
+
+			// aggregate the value to lock
+			lockValue += _aliValues[i];
+
+			// if the fee is split between several recipients, charge it separately
+			if (_linkFees[i] != 0 && _getFeeSplit(targetContract).length != 0) {
+				_chargeSplitFee(msg.sender, targetContract, _feeDestination, _linkFees[i]);
+			}
+			// otherwise, if the fee is charged
+			else if (_linkFees[i] != 0) {
+				// if the fees are accrued, account the fee, and transfer it to the linker with the rest
+				if (isFeatureEnabled(FEATURE_FEE_ACCRUAL)) {
+					_accrueFee(_feeDestination, _linkFees[i]);
+					_feeDestination = address(this);
+				}
+				// if the treasury changes, flush the fee aggregated so far
+				if (feeValue != 0 && _feeDestination != feeDestination_) {
+					_transferAli(msg.sender, feeDestination_, feeValue);
+					feeValue = 0;
+				}
+				// aggregate the fee
+				feeDestination_ = _feeDestination;
+				feeValue += _linkFees[i];
+			}
+		}
+
+		// transfer the aggregated fee to the treasury
+		if (feeValue != 0) {
+			_transferAli(msg.sender, feeDestination_, feeValue);
+		}
+		// transfer the aggregated ALI tokens to iNFT contract to be locked
+		_transferAli(msg.sender, iNftContract, lockValue);
+
+		// update the iNFT records
+		for (uint256 i = 0; i < iNftIds.length; i++) {
+			// update the iNFT record and emit an event
+			_increaseAli(msg.sender, iNftIds[i], _aliValues[i], _linkFees[i]);
+		}
+	}
+
+	/**
+	 * @notice Deposits additional ALI tokens into already existing iNFT,
+	 *      approving ALI tokens transfer with the EIP-2612 permit in the same transaction,
+	 *      see `deposit()`
+	 *
+	 * @dev Permit must be signed by the transaction sender for the linker contract (spender)
+	 *      for the amount of ALI tokens to deposit `aliValue`
+	 *
+	 * @param iNftId ID of the iNFT to transfer (and lock) tokens to
+	 * @param aliValue amount of ALI tokens to transfer (and lock)
+	 * @param deadline ALI permit signature deadline
+	 * @param v ALI permit signature v
+	 * @param r ALI permit signature r
+	 * @param s ALI permit signature s
+	 */
+	function depositWithPermit(
+		uint256 iNftId,
+		uint96 aliValue,
+		uint256 deadline,
+		uint8 v,
+		bytes32 r,
+		bytes32 s
+	) public virtual {
+		// approve the ALI tokens to be spent by the linker
+		_permitAli(aliValue, deadline, v, r, s);
+
+		// delegate to internal implementation, transaction sender funds the deposit
+		_deposit(msg.sender, msg.sender, iNftId, aliValue, 0);
+	}
+
+	/**
+	 * @notice Executes the functions not implemented by the linking module
+	 *      in the fee module `feeModule`
+	 *
+	 * @dev Delegates the call to the fee module, preserving the storage context, `msg.sender`,
+	 *      and bubbling up the revert reason if any
+	 *
+	 * @param input call data to delegate to the fee module
+	 * @return data returned by the fee module
+	 */
+	fallback(bytes calldata input) external returns (bytes memory) {
+		// delegate the call to the fee module
+		return Address.functionDelegateCall(feeModule, input);
+	}
+}
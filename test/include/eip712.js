@@ -0,0 +1,172 @@
+// EIP-712 typed data signing helpers
+
+// eth-sig-util is used to sign EIP-712 typed data
+const {signTypedData_v4, TypedDataUtils} = require("eth-sig-util");
+
+// ethereumjs-util is used to sign EIP-712 digests
+const {keccak256, ecsign, toBuffer, bufferToHex} = require("ethereumjs-util");
+
+// ethereum-hdwallet is used to derive private keys of the hardhat accounts
+const HDWallet = require("ethereum-hdwallet");
+
+// EIP712Domain type definition, see https://eips.ethereum.org/EIPS/eip-712#definition-of-domainseparator
+const EIP712Domain = [
+	{name: "name", type: "string"},
+	{name: "chainId", type: "uint256"},
+	{name: "verifyingContract", type: "address"},
+];
+
+// derives the private key (Buffer) of the hardhat account from the network mnemonic
+async function get_private_key(account) {
+	const {mnemonic, path} = network.config.accounts;
+	const accounts = await web3.eth.getAccounts();
+	const i = accounts.findIndex(a => a.toLowerCase() === account.toLowerCase());
+	if(i < 0) {
+		throw new Error("unknown account " + account);
+	}
+	return HDWallet.fromMnemonic(mnemonic).derive(`${path}/${i}`).getPrivateKey();
+}
+
+// signs EIP-712 typed data message with the private key of the hardhat account
+async function sign_typed_data(signer, domain_name, verifying_contract, types, primaryType, message) {
+	const chainId = await web3.eth.getChainId();
+	const private_key = await get_private_key(signer);
+	return signTypedData_v4(private_key, {
+		data: {
+			types: {EIP712Domain, ...types},
+			domain: {name: domain_name, chainId, verifyingContract: verifying_contract},
+			primaryType,
+			message,
+		},
+	});
+}
+
+// signs EIP-712 typed data message for the domain separator read from the verifying contract,
+// returns the signature split into {v, r, s} components
+async function sign_typed_data_for_domain(signer, domain_separator, types, primaryType, message) {
+	const hash_struct = TypedDataUtils.hashStruct(primaryType, message, types, true);
+	const digest = keccak256(Buffer.concat([Buffer.from("1901", "hex"), toBuffer(domain_separator), hash_struct]));
+	const {v, r, s} = ecsign(digest, await get_private_key(signer));
+	return {v, r: bufferToHex(r), s: bufferToHex(s)};
+}
+
+// signs ALI EIP-2612 permit, see AliERC20v2.permit(), returns {v, r, s}
+async function sign_permit(ali, owner, spender, value, deadline) {
+	return await sign_typed_data_for_domain(owner, await ali.DOMAIN_SEPARATOR(), {
+		Permit: [
+			{name: "owner", type: "address"},
+			{name: "spender", type: "address"},
+			{name: "value", type: "uint256"},
+			{name: "nonce", type: "uint256"},
+			{name: "deadline", type: "uint256"},
+		],
+	}, "Permit", {
+		owner,
+		spender,
+		value: value.toString(),
+		nonce: (await ali.nonces(owner)).toString(),
+		deadline: deadline.toString(),
+	});
+}
+
+// signs iNFT Linker link authorization, see IntelliLinkerV4LinkingModule.linkWithSig()
+async function sign_link(
+	linker_address,
+	signer,
+	personalityContract,
+	personalityId,
+	targetContract,
+	targetId,
+	maxLinkPrice,
+	nonce,
+	deadline
+) {
+	return await sign_typed_data(signer, "IntelliLinker", linker_address, {
+		Link: [
+			{name: "personalityContract", type: "address"},
+			{name: "personalityId", type: "uint96"},
+			{name: "targetContract", type: "address"},
+			{name: "targetId", type: "uint256"},
+			{name: "maxLinkPrice", type: "uint96"},
+			{name: "nonce", type: "uint256"},
+			{name: "deadline", type: "uint256"},
+		],
+	}, "Link", {
+		personalityContract,
+		personalityId: personalityId.toString(),
+		targetContract,
+		targetId: targetId.toString(),
+		maxLinkPrice: maxLinkPrice.toString(),
+		nonce: nonce.toString(),
+		deadline: deadline.toString(),
+	});
+}
+
+// signs iNFT Linker target NFT owner consent, see IntelliLinkerV4LinkingModule.linkWithConsent()
+async function sign_consent(
+	linker_address,
+	signer,
+	sender,
+	personalityContract,
+	personalityId,
+	targetContract,
+	targetId,
+	nonce,
+	deadline
+) {
+	return await sign_typed_data(signer, "IntelliLinker", linker_address, {
+		Consent: [
+			{name: "sender", type: "address"},
+			{name: "personalityContract", type: "address"},
+			{name: "personalityId", type: "uint96"},
+			{name: "targetContract", type: "address"},
+			{name: "targetId", type: "uint256"},
+			{name: "nonce", type: "uint256"},
+			{name: "deadline", type: "uint256"},
+		],
+	}, "Consent", {
+		sender,
+		personalityContract,
+		personalityId: personalityId.toString(),
+		targetContract,
+		targetId: targetId.toString(),
+		nonce: nonce.toString(),
+		deadline: deadline.toString(),
+	});
+}
+
+// signs iNFT Linker link voucher, see IntelliLinkerV4LinkingModule.linkWithVoucher(),
+// voucher is an object {voucherId, linkPrice, linkFee, recipient, targetContract, maxRedemptions, expiresAt}
+async function sign_voucher(linker_address, signer, voucher) {
+	return await sign_typed_data(signer, "IntelliLinker", linker_address, {
+		LinkVoucher: [
+			{name: "voucherId", type: "bytes32"},
+			{name: "linkPrice", type: "uint96"},
+			{name: "linkFee", type: "uint96"},
+			{name: "recipient", type: "address"},
+			{name: "targetContract", type: "address"},
+			{name: "maxRedemptions", type: "uint32"},
+			{name: "expiresAt", type: "uint64"},
+		],
+	}, "LinkVoucher", {
+		voucherId: voucher.voucherId,
+		linkPrice: voucher.linkPrice.toString(),
+		linkFee: voucher.linkFee.toString(),
+		recipient: voucher.recipient,
+		targetContract: voucher.targetContract,
+		maxRedemptions: voucher.maxRedemptions.toString(),
+		expiresAt: voucher.expiresAt.toString(),
+	});
+}
+
+// export public module API
+module.exports = {
+	EIP712Domain,
+	get_private_key,
+	sign_typed_data,
+	sign_typed_data_for_domain,
+	sign_permit,
+	sign_link,
+	sign_consent,
+	sign_voucher,
+}
@@ -155,6 +155,24 @@ const FEATURE_DEPOSITS = 0x0000_0008;
 
 // Enables ALI withdrawals from the iNFT (without destroying them)
 const FEATURE_WITHDRAWALS = 0x0000_0010;
+// Enables iNFT relinking (unlinking + linking in a single transaction)
+// After v4 inclusive
+const FEATURE_RELINKING = 0x0000_0080;
+// Enables iNFT linking with the EIP-712 signed link authorization
+// After v4 inclusive
+const FEATURE_LINKING_WITH_SIG = 0x0000_0100;
+// Enables approved operators to link, unlink, deposit and withdraw on behalf of the owners
+// After v4 inclusive
+const FEATURE_OPERATOR_ACCESS = 0x0000_0200;
+// Requires target NFT owner consent for linking
+// After v4 inclusive
+const FEATURE_TARGET_OWNER_CONSENT = 0x0000_0400;
+// Accrues the fees on the linker balance instead of sending them to the treasury
+// After v4 inclusive
+const FEATURE_FEE_ACCRUAL = 0x0000_0800;
+// Enables iNFT linking with the EIP-712 signed link vouchers
+// After v4 inclusive
+const FEATURE_LINKING_WITH_VOUCHER = 0x0000_1000;
 
 // Link price manager is responsible for updating link price
 const ROLE_LINK_PRICE_MANAGER = 0x0001_0000;
@@ -165,6 +183,34 @@ const ROLE_NEXT_ID_MANAGER = 0x0002_0000;
 // Whitelist manager is responsible for managing the target NFT contracts whitelist,
 // which are the contracts iNFT is allowed to be bound to
 const ROLE_WHITELIST_MANAGER = 0x0004_0000;
+// Compatibility manager is responsible for managing the AI Personality / target NFT compatibility rules,
+// which restrict AI Personalities to be bound to specific NFT contracts
+// After v4 inclusive
+const ROLE_COMPATIBILITY_MANAGER = 0x0008_0000;
+// Personality manager is responsible for managing the AI Personality contracts registry,
+// which are the contracts AI Personalities are allowed to be linked from
+// After v4 inclusive
+const ROLE_PERSONALITY_MANAGER = 0x0010_0000;
+// Delegation manager is responsible for setting the delegation registry,
+// which allows the NFT owners to manage their iNFTs from the delegated hot wallets
+// After v4 inclusive
+const ROLE_DELEGATION_MANAGER = 0x0020_0000;
+// Recovery manager is responsible for recovering the ALI tokens locked in the iNFTs
+// bound to burnt or destroyed (orphaned) target NFTs
+// After v4 inclusive
+const ROLE_RECOVERY_MANAGER = 0x0040_0000;
+// Deny list manager is responsible for managing the individual target NFTs deny list,
+// which are the NFTs iNFT is not allowed to be bound to, and the referrers deny list
+// After v4 inclusive
+const ROLE_DENY_LIST_MANAGER = 0x0080_0000;
+// Linking cap manager is responsible for limiting the number of iNFTs which can be linked
+// to the target NFT contract (collection), and by a single wallet
+// After v4 inclusive
+const ROLE_LINKING_CAP_MANAGER = 0x0100_0000;
+// Withdrawal manager is responsible for withdrawing the fees accrued on the linker for the protocol treasury;
+// named ROLE_WITHDRAWAL_MANAGER in the linker contract, the value differs from the Sale ROLE_WITHDRAWAL_MANAGER
+// After v4 inclusive
+const ROLE_LINKER_WITHDRAWAL_MANAGER = 0x0200_0000;
 
 // Sale
 // Allows buying the items publicly, effectively ignoring the buyer permission
@@ -373,6 +419,12 @@ module.exports = {
 	FEATURE_UNLINKING,
 	FEATURE_DEPOSITS,
 	FEATURE_WITHDRAWALS,
+	FEATURE_RELINKING,
+	FEATURE_LINKING_WITH_SIG,
+	FEATURE_OPERATOR_ACCESS,
+	FEATURE_TARGET_OWNER_CONSENT,
+	FEATURE_FEE_ACCRUAL,
+	FEATURE_LINKING_WITH_VOUCHER,
 	FEATURE_ALLOW_ANY_NFT_CONTRACT,
 	FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING,
 	FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING,
@@ -404,6 +456,13 @@ module.exports = {
 	ROLE_LINK_PRICE_MANAGER,
 	ROLE_NEXT_ID_MANAGER,
 	ROLE_WHITELIST_MANAGER,
+	ROLE_COMPATIBILITY_MANAGER,
+	ROLE_PERSONALITY_MANAGER,
+	ROLE_DELEGATION_MANAGER,
+	ROLE_RECOVERY_MANAGER,
+	ROLE_DENY_LIST_MANAGER,
+	ROLE_LINKING_CAP_MANAGER,
+	ROLE_LINKER_WITHDRAWAL_MANAGER,
 	ROLE_SALE_MANAGER,
 	ROLE_WITHDRAWAL_MANAGER,
 	ROLE_BUYER,
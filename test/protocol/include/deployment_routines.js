@@ -89,6 +89,20 @@ async function whitelabel_erc721_deploy_restricted(a0, name = "Whitelabel NFT",
 	return await WhitelabelNFT.new(name, symbol, {from: a0});
 }
 
+/**
+ * Deploys Delegation Registry Mock
+ *
+ * @param a0 smart contract deployer
+ * @returns DelegationRegistryMock instance
+ */
+async function delegation_registry_deploy(a0) {
+	// smart contracts required
+	const DelegationRegistryMock = artifacts.require("./DelegationRegistryMock");
+
+	// deploy and return the reference to instance
+	return await DelegationRegistryMock.new({from: a0});
+}
+
 /**
  * Deploys Personality Pod ERC721 token with all the features enabled
  *
@@ -158,6 +172,7 @@ const LINKER_PARAMS_V2 = {
 	LINK_FEE: new BN(0),
 };
 const LINKER_PARAMS_V3 = LINKER_PARAMS_V2;
+const LINKER_PARAMS_V4 = LINKER_PARAMS_V3;
 
 /**
  * Deploys Intelligent Linker with all the features enabled, and all the required roles set up,
@@ -431,6 +446,116 @@ async function linker_v2_v3_upgrade_pure(a0, linker) {
 	return await IntelliLinkerV3.at(linker.address);
 }
 
+/**
+ * Deploys Intelligent Linker v4 (Upgradeable) with all the features enabled, and all the required roles set up,
+ * whitelists the NFT on the Linker
+ *
+ * If AliERC20, PersonalityPodERC721, and IntelligentNFTv2 instance addresses are specified,
+ * binds linker to them, deploys new instances otherwise
+ *
+ * @param a0 smart contract owner, super admin
+ * @param ali_addr AliERC20 token address, optional
+ * @param persona_addr PersonalityPodERC721 instance address, optional
+ * @param iNft_addr IntelligentNFTv2 instance address, optional
+ * @param nft_addr whitelisted NFT contract address on the linker
+ * @returns AliERC20, PersonalityPodERC721, IntelligentNFTv2, IntelliLinker instances
+ */
+async function linker_v4_deploy(a0, ali_addr, persona_addr, iNft_addr, nft_addr) {
+	// deploy linker v3 and other infrastructure required
+	const {ali, persona, iNft, linker} = await linker_v3_deploy(a0, ali_addr, persona_addr, iNft_addr, nft_addr);
+
+	// upgrade linker v3 –> v4 and return all the linked/deployed instances
+	return {ali, persona, iNft, linker: await linker_v3_v4_upgrade_pure(a0, linker)};
+}
+
+/**
+ * Deploys Intelligent Linker v4 (Upgradeable) with no features enabled, and no roles set up,
+ * doesn't whitelist the NFT on the Linker
+ *
+ * If AliERC20, PersonalityPodERC721, and IntelligentNFTv2 instance addresses are specified,
+ * binds linker to them, deploys new instances otherwise
+ *
+ * @param a0 smart contract owner, super admin
+ * @param ali_addr AliERC20 token address, optional
+ * @param persona_addr PersonalityPodERC721 instance address, optional
+ * @param iNft_addr IntelligentNFTv2 instance address, optional
+ * @returns AliERC20, PersonalityPodERC721, IntelligentNFTv2, IntelliLinker instances
+ */
+async function linker_v4_deploy_restricted(a0, ali_addr, persona_addr, iNft_addr) {
+	// deploy linker v3 and other infrastructure required
+	const {ali, persona, iNft, linker} = await linker_v3_deploy_restricted(a0, ali_addr, persona_addr, iNft_addr);
+
+	// upgrade linker v3 –> v4 and return all the linked/deployed instances
+	return {ali, persona, iNft, linker: await linker_v3_v4_upgrade_pure(a0, linker)};
+}
+
+/**
+ * Deploys Intelligent Linker v4 (Upgradeable) wrapped into ERC1967Proxy,
+ * with no features enabled, and no roles set up, doesn't whitelist the NFT on the Linker
+ *
+ * Requires a valid AliERC20, PersonalityPodERC721, and IntelligentNFTv2 instance addresses to be specified
+ *
+ * @param a0 smart contract owner, super admin
+ * @param ali_addr AliERC20 token address, required
+ * @param persona_addr PersonalityPodERC721 instance address, required
+ * @param iNft_addr IntelligentNFTv2 instance address, required
+ * @returns IntelliLinker instance
+ */
+async function linker_v4_deploy_pure(a0, ali_addr, persona_addr, iNft_addr) {
+	// deploy linker v3
+	const linker = await linker_v3_deploy_pure(a0, ali_addr, persona_addr, iNft_addr);
+
+	// upgrade linker v3 –> v4 and return the upgraded linker
+	return linker_v3_v4_upgrade_pure(a0, linker);
+}
+
+/**
+ * Upgrades Intelligent Linker v3 to v4, without altering existing features.
+ *
+ * Requires valid IntelliLinkerV3 instance address specified
+ *
+ * @param a0 smart contract owner, super admin
+ * @param linker IntelliLinkerV3 instance, required
+ * @returns IntelliLinkerV4 instance
+ */
+async function linker_v3_v4_upgrade_pure(a0, linker) {
+	// smart contracts required
+	const IntelliLinkerV4 = artifacts.require("./IntelliLinkerV4");
+	const IntelliLinkerV4LinkingModule = artifacts.require("./IntelliLinkerV4LinkingModule");
+	const IntelliLinkerV4FeeModule = artifacts.require("./IntelliLinkerV4FeeModule");
+	const IntelliLinkerV4AdminModule = artifacts.require("./IntelliLinkerV4AdminModule");
+
+	// deploy the modules in the reverse order, each module is bound to the next one
+	const admin_module = await IntelliLinkerV4AdminModule.new({from: a0});
+	const fee_module = await IntelliLinkerV4FeeModule.new(admin_module.address, {from: a0});
+	const linking_module = await IntelliLinkerV4LinkingModule.new(fee_module.address, {from: a0});
+
+	// deploy new implementation bound to the linking module
+	const linker_v4 = await IntelliLinkerV4.new(linking_module.address, {from: a0});
+
+	// execute the upgrade
+	await linker.upgradeTo(linker_v4.address, {from: a0});
+
+	// merge the V4 and modules ABIs: functions not implemented by V4 are delegated to the modules
+	const abi = [IntelliLinkerV4, IntelliLinkerV4LinkingModule, IntelliLinkerV4FeeModule, IntelliLinkerV4AdminModule]
+		.flatMap(c => c.abi)
+		.filter((e, i, a) => e.type !== "constructor" || i === a.findIndex(x => x.type === "constructor"))
+		.filter((e, i, a) => i === a.findIndex(x => abi_entry_key(x) === abi_entry_key(e)));
+
+	// wrap the address into merged V4 ABI and return
+	return await IntelliLinkerV4.clone({abi}).at(linker.address);
+}
+
+/**
+ * Builds the key identifying the ABI entry (function, event, error, etc.) by its type, name, and input types
+ *
+ * @param entry ABI entry
+ * @returns string key
+ */
+function abi_entry_key(entry) {
+	return `${entry.type} ${entry.name}(${(entry.inputs || []).map(input => input.type).join(",")})`;
+}
+
 
 
 
@@ -657,6 +782,7 @@ module.exports = {
 	ali_erc20_deploy_restricted,
 	whitelabel_erc721_deploy,
 	whitelabel_erc721_deploy_restricted,
+	delegation_registry_deploy,
 	persona_deploy,
 	persona_deploy_restricted,
 	intelligent_nft_deploy,
@@ -672,6 +798,11 @@ module.exports = {
 	linker_v3_deploy,
 	linker_v3_deploy_restricted,
 	linker_v3_deploy_pure,
+	LINKER_PARAMS_V4,
+	linker_v4_deploy,
+	linker_v4_deploy_restricted,
+	linker_v4_deploy_pure,
+	linker_v3_v4_upgrade_pure,
 	os_factory_deploy_pure,
 	persona_drop_deploy_restricted,
 	nft_drop_deploy_pure,
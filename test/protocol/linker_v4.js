@@ -0,0 +1,5151 @@
+// AI Protocol iNFT Linker v4: Tests
+
+// Zeppelin test helpers
+const {
+	BN,
+	balance,
+	constants,
+	expectEvent,
+	expectRevert,
+	time,
+} = require("@openzeppelin/test-helpers");
+const {
+	ZERO_ADDRESS,
+	ZERO_BYTES32,
+	MAX_UINT256,
+} = constants;
+
+// Chai test helpers
+const {assert, expect} = require("chai");
+
+// web3 utils
+const toWei = web3.utils.toWei;
+
+// BN utils
+const {random_bn} = require("../include/bn_utils");
+
+// helper functions in use
+const {
+	expectEventInTransaction
+} = require("../include/helper");
+const {
+	default_deadline,
+	extract_gas,
+	expect_gas,
+} = require("../include/block_utils");
+const {
+	sign_permit,
+	sign_link,
+	sign_consent,
+	sign_voucher,
+} = require("../include/eip712");
+
+// ACL token features and roles
+const {
+	FEATURE_ALL,
+	FEATURE_LINKING,
+	FEATURE_UNLINKING,
+	FEATURE_DEPOSITS,
+	FEATURE_WITHDRAWALS,
+	FEATURE_RELINKING,
+	FEATURE_LINKING_WITH_SIG,
+	FEATURE_TARGET_OWNER_CONSENT,
+	FEATURE_ALLOW_ANY_TARGET_NFT,
+	FEATURE_FEE_ACCRUAL,
+	FEATURE_LINKING_WITH_VOUCHER,
+	FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING,
+	FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING,
+} = require("../include/features_roles");
+const FEATURE_ALLOW_ANY_NFT_CONTRACT = FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING;
+
+// deployment routines in use
+const {
+	ali_erc20_deploy,
+	persona_deploy,
+	intelligent_nft_deploy,
+	LINKER_PARAMS,
+	delegation_registry_deploy,
+	LINKER_PARAMS_V4,
+	linker_v3_deploy,
+	linker_v4_deploy,
+	linker_v4_deploy_pure,
+	linker_v3_v4_upgrade_pure,
+} = require("./include/deployment_routines");
+const { ai_protocol_erc721_deploy,
+} = require("@ai-protocol/ali-nft-contracts/test/include/deployment_routines")
+const {
+	burnable_short_erc721_deploy,
+} = require("../erc721/include/deployment_routines");
+
+// run iNFT Linker v4 tests
+contract("iNFT Linker v4: tests", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Web3, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3, a4] = accounts;
+
+	let nft;
+	beforeEach(async function() {
+		nft = await ai_protocol_erc721_deploy(a0);
+	});
+
+	const NEXT_ID = new BN(LINKER_PARAMS_V4.NEXT_ID);
+
+	describe("iNFT Linker v4 deployment", function() {
+		let ali, persona, iNft;
+		let ali_addr, persona_addr, iNft_addr;
+		beforeEach(async function() {
+			ali = await ali_erc20_deploy(a0, H0);
+			persona = await persona_deploy(a0);
+			({iNft} = await intelligent_nft_deploy(a0));
+
+			ali_addr = ali.address;
+			persona_addr = persona.address;
+			iNft_addr = iNft.address;
+		});
+		it("fails if ALI address is not set", async function() {
+			ali_addr = ZERO_ADDRESS; // unset the address
+			await expectRevert(
+				linker_v4_deploy_pure(a0, ali_addr, persona_addr, iNft_addr),
+				"ALI Token addr is not set"
+			);
+		});
+		it("fails if AI Personality address is not set", async function() {
+			persona_addr = ZERO_ADDRESS; // unset the address
+			await expectRevert(
+				linker_v4_deploy_pure(a0, ali_addr, persona_addr, iNft_addr),
+				"AI Personality addr is not set"
+			);
+		});
+		it("fails if iNFT address is not set", async function() {
+			iNft_addr = ZERO_ADDRESS; // unset the address
+			await expectRevert(
+				linker_v4_deploy_pure(a0, ali_addr, persona_addr, iNft_addr),
+				"iNFT addr is not set"
+			);
+		});
+		it("fails if ALI is not valid ERC20", async function() {
+			ali_addr = iNft_addr; // mess up the address
+			await expectRevert(
+				linker_v4_deploy_pure(a0, ali_addr, persona_addr, iNft_addr),
+				"unexpected ALI Token type"
+			);
+		});
+		it("fails if AI Personality is not valid ERC721", async function() {
+			persona_addr = iNft_addr; // mess up the address
+			await expectRevert(
+				linker_v4_deploy_pure(a0, ali_addr, persona_addr, iNft_addr),
+				"unexpected AI Personality type"
+			);
+		});
+		it("fails if iNFT is not valid iNFT (IntelligentNFTv2Spec)", async function() {
+			iNft_addr = ali_addr; // mess up the address
+			await expectRevert(
+				linker_v4_deploy_pure(a0, ali_addr, persona_addr, iNft_addr),
+				"unexpected iNFT type"
+			);
+		});
+		it("fails if linking module address is not set", async function() {
+			const IntelliLinkerV4 = artifacts.require("./IntelliLinkerV4");
+			await expectRevert(IntelliLinkerV4.new(ZERO_ADDRESS, {from: a0}), "linking module addr is not set");
+		});
+		it("fails if fee module address is not set", async function() {
+			const IntelliLinkerV4LinkingModule = artifacts.require("./IntelliLinkerV4LinkingModule");
+			await expectRevert(IntelliLinkerV4LinkingModule.new(ZERO_ADDRESS, {from: a0}), "fee module addr is not set");
+		});
+		it("fails if admin module address is not set", async function() {
+			const IntelliLinkerV4FeeModule = artifacts.require("./IntelliLinkerV4FeeModule");
+			await expectRevert(IntelliLinkerV4FeeModule.new(ZERO_ADDRESS, {from: a0}), "admin module addr is not set");
+		});
+		describe("succeeds with valid ALI, AI Personality, and iNFT", function() {
+			let linker;
+			beforeEach(async function() {
+				linker = await linker_v4_deploy_pure(a0, ali_addr, persona_addr, iNft_addr);
+			});
+			it("ALI address is set as expected", async function() {
+				expect(await linker.aliContract()).to.be.equal(ali_addr);
+			});
+			it("AI Personality address is set as expected", async function() {
+				expect(await linker.personalityContract()).to.be.equal(persona_addr);
+			});
+			it("iNFT address is set as expected", async function() {
+				expect(await linker.iNftContract()).to.be.equal(iNft_addr);
+			});
+			it("linking price is as expected", async function() {
+				expect(await linker.linkPrice()).to.be.bignumber.that.equals(LINKER_PARAMS_V4.LINK_PRICE);
+			});
+			it("linking fee is as expected", async function() {
+				expect(await linker.linkFee()).to.be.bignumber.that.equals(LINKER_PARAMS_V4.LINK_FEE);
+			});
+			it("fee destination is as expected", async function() {
+				expect(await linker.feeDestination()).to.equal(ZERO_ADDRESS);
+			});
+			it("nextId is as expected", async function() {
+				expect(await linker.nextId()).to.be.bignumber.that.equals(NEXT_ID);
+			});
+			it("relinking fee is as expected", async function() {
+				expect(await linker.relinkFee()).to.be.bignumber.that.equals("0");
+			});
+			it("no whitelisted contract exists", async function() {
+				expect(await linker.whitelistedTargetContracts(nft.address)).to.be.bignumber.that.equals("0");
+			});
+			it("no whitelisted for linking contract exists", async function() {
+				expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+			});
+			it("no whitelisted for unlinking contract exists", async function() {
+				expect(await linker.isAllowedForUnlinking(nft.address)).to.be.false;
+			});
+			it("modules chain is set up as expected", async function() {
+				const IntelliLinkerV4LinkingModule = artifacts.require("./IntelliLinkerV4LinkingModule");
+				const IntelliLinkerV4FeeModule = artifacts.require("./IntelliLinkerV4FeeModule");
+				const linking_module = await IntelliLinkerV4LinkingModule.at(await linker.linkingModule());
+				const fee_module = await IntelliLinkerV4FeeModule.at(await linking_module.feeModule());
+				expect(await linker.feeModule(), "unexpected fee module").to.equal(fee_module.address);
+				expect(await linker.adminModule(), "unexpected admin module").to.equal(await fee_module.adminModule());
+			});
+			it("V4 implementation and modules fit into the EIP-170 contract size limit", async function() {
+				const addresses = [
+					await linker.getImplementation(),
+					await linker.linkingModule(),
+					await linker.feeModule(),
+					await linker.adminModule(),
+				];
+				for(const address of addresses) {
+					expect((await web3.eth.getCode(address)).length / 2 - 1, address).to.be.at.most(24_576);
+				}
+			});
+		});
+	});
+	describe("after iNFT Linker is deployed", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const persona_id = random_bn(1_000_000, 1_000_000_000);
+		const target_id = random_bn(1_000_000, 1_000_000_000);
+		const recordId = NEXT_ID;
+		const link_price = LINKER_PARAMS.LINK_PRICE;
+		const link_fee = LINKER_PARAMS.LINK_FEE;
+		const fee_destination = a3;
+		const link_deposit = link_price.sub(link_fee);
+		let ali, persona, iNft, linker, receipt;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+			await persona.mint(persona_owner, persona_id, {from: a0});
+			await nft.mint(nft_owner, target_id, {from: a0});
+		});
+
+		function check_burn_succeeds() {
+			it("iNFT is destroyed", async function() {
+				expect(await iNft.exists(recordId)).to.be.false;
+			});
+			describe("binding gets erased", function() {
+				let binding;
+				before(async function() {
+					binding = await iNft.bindings(recordId);
+				});
+				it("personalityId", async function() {
+					expect(binding.personalityId).to.be.bignumber.that.equals("0");
+				});
+				it("aliValue", async function() {
+					expect(binding.aliValue).to.be.bignumber.that.equals("0");
+				});
+				it("targetId", async function() {
+					expect(binding.targetId).to.be.bignumber.that.equals("0");
+				});
+				it("personalityContract", async function() {
+					expect(binding.personalityContract).to.equal(ZERO_ADDRESS);
+				});
+				it("targetContract", async function() {
+					expect(binding.targetContract).to.equal(ZERO_ADDRESS);
+				});
+			});
+			it("reverse binding gets erased", async function() {
+				expect(await iNft.reverseBindings(nft.address, target_id)).to.be.bignumber.that.equals("0");
+			});
+			it("personality binding gets erased", async function() {
+				expect(await iNft.personalityBindings(persona.address, persona_id)).to.be.bignumber.that.equals("0");
+			});
+			it("ALI balance of NFT owner increases as expected", async function() {
+				expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals(link_deposit);
+			});
+			it("AI Personality gets returned to NFT owner", async function() {
+				expect(await persona.ownerOf(persona_id)).to.equal(nft_owner);
+			});
+			it('"Unlinked" event is emitted', async function() {
+				await expectEvent(receipt, "Unlinked", {
+					_by: nft_owner,
+					_iNftId: recordId,
+				});
+			});
+		}
+
+		describe("whitelisting the target NFT smart contract", function() {
+			it("fails if address to whitelist is zero", async function() {
+				await expectRevert(linker.whitelistTargetContract(ZERO_ADDRESS, true, true, false, false, {from: a0}), "zero address");
+			});
+			it("fails if address to whitelist is not ERC721", async function() {
+				await expectRevert(linker.whitelistTargetContract(ali.address, true, true, false, false, {from: a0}), "target NFT is not ERC721");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.whitelistTargetContract(nft.address, true, true, false, false, {from: a0});
+				});
+				it("specified address gets whitelisted", async function() {
+					expect(await linker.whitelistedTargetContracts(nft.address)).to.be.bignumber.that.equals("3");
+				});
+				it("specified address gets whitelisted for linking", async function() {
+					expect(await linker.isAllowedForLinking(nft.address)).to.be.true;
+				});
+				it("specified address gets whitelisted for unlinking", async function() {
+					expect(await linker.isAllowedForUnlinking(nft.address)).to.be.true;
+				});
+				it('"TargetContractWhitelisted" event is emitted', async function() {
+					expectEvent(receipt, "TargetContractWhitelisted", {
+						_by: a0,
+						_targetContract: nft.address,
+						_oldVal: "0",
+						_newVal: "3",
+					});
+				});
+			});
+		});
+		describe("removing target NFT smart contract from the whitelist", function() {
+			beforeEach(async function() {
+				await linker.whitelistTargetContract(nft.address, true, true, false, false, {from: a0});
+			});
+			it("fails if address to remove is zero", async function() {
+				await expectRevert(linker.whitelistTargetContract(ZERO_ADDRESS, false, false, false, false, {from: a0}), "zero address");
+			});
+			it("succeeds if address to remove is ERC721", async function() {
+				const receipt = await linker.whitelistTargetContract(persona.address, false, false, false, false, {from: a0});
+				expectEvent(receipt, "TargetContractWhitelisted", {
+					_by: a0,
+					_targetContract: persona.address,
+					_oldVal: "0",
+					_newVal: "0",
+				});
+			});
+			it("succeeds if address to remove is not ERC721", async function() {
+				const receipt = await linker.whitelistTargetContract(ali.address, false, false, false, false, {from: a0});
+				expectEvent(receipt, "TargetContractWhitelisted", {
+					_by: a0,
+					_targetContract: ali.address,
+					_oldVal: "0",
+					_newVal: "0",
+				});
+			});
+			describe("succeeds if address to remove is ERC721 whitelisted previously", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.whitelistTargetContract(nft.address, false, false, false, false, {from: a0});
+				});
+				it("specified address stops being whitelisted", async function() {
+					expect(await linker.whitelistedTargetContracts(nft.address)).to.be.bignumber.that.equals("0");
+				});
+				it("specified address stops being whitelisted for linking", async function() {
+					expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+				});
+				it("specified address stops being whitelisted for unlinking", async function() {
+					expect(await linker.isAllowedForUnlinking(nft.address)).to.be.false;
+				});
+				it('"TargetContractWhitelisted" event is emitted', async function() {
+					expectEvent(receipt, "TargetContractWhitelisted", {
+						_by: a0,
+						_targetContract: nft.address,
+						_oldVal: "3",
+						_newVal: "0",
+					});
+				});
+				it("link fails if delisted NFT contract is used", async function() {
+					await expectRevert(
+						linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner}),
+						"not a whitelisted NFT contract"
+					);
+				});
+			});
+			describe("iNFT minted with removed NFT contract can still be unlinked", function() {
+				beforeEach(async function() {
+					await ali.transfer(persona_owner, link_price, {from: a0});
+					await ali.approve(linker.address, link_price, {from: persona_owner});
+					await persona.approve(linker.address, persona_id, {from: persona_owner});
+					await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+					await linker.whitelistTargetContract(nft.address, false, true, false, false, {from: a0});
+				});
+				describe("unlink iNFT", function() {
+					beforeEach(async function() {
+						receipt = await linker.unlink(recordId, {from: nft_owner});
+					});
+					check_burn_succeeds();
+				});
+				describe("unlink NFT", function() {
+					beforeEach(async function() {
+						receipt = await linker.unlinkNFT(nft.address, target_id, {from: nft_owner});
+					});
+					check_burn_succeeds();
+				});
+			});
+		});
+		describe("blacklisting the target NFT smart contract", function() {
+			beforeEach(async function() {
+				await linker.updateFeatures(FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+			});
+			it("fails if address to whitelist is zero", async function() {
+				await expectRevert(linker.whitelistTargetContract(ZERO_ADDRESS, false, false, true, true, {from: a0}), "zero address");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.whitelistTargetContract(nft.address, false, false, true, true, {from: a0});
+				});
+				it("specified address gets whitelisted", async function() {
+					expect(await linker.whitelistedTargetContracts(nft.address)).to.be.bignumber.that.equals("12");
+				});
+				it("specified address gets whitelisted for linking", async function() {
+					expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+				});
+				it("specified address gets whitelisted for unlinking", async function() {
+					expect(await linker.isAllowedForUnlinking(nft.address)).to.be.false;
+				});
+				it('"TargetContractWhitelisted" event is emitted', async function() {
+					expectEvent(receipt, "TargetContractWhitelisted", {
+						_by: a0,
+						_targetContract: nft.address,
+						_oldVal: "0",
+						_newVal: "12",
+					});
+				});
+			});
+		});
+		describe("removing target NFT smart contract from the blacklist", function() {
+			beforeEach(async function() {
+				await linker.whitelistTargetContract(nft.address, false, false, true, true, {from: a0});
+			});
+			it("fails if address to remove is zero", async function() {
+				await expectRevert(linker.whitelistTargetContract(ZERO_ADDRESS, false, false, false, false, {from: a0}), "zero address");
+			});
+			it("succeeds if address to remove is ERC721", async function() {
+				const receipt = await linker.whitelistTargetContract(persona.address, false, false, false, false, {from: a0});
+				expectEvent(receipt, "TargetContractWhitelisted", {
+					_by: a0,
+					_targetContract: persona.address,
+					_oldVal: "0",
+					_newVal: "0",
+				});
+			});
+			it("succeeds if address to remove is not ERC721", async function() {
+				const receipt = await linker.whitelistTargetContract(ali.address, false, false, false, false, {from: a0});
+				expectEvent(receipt, "TargetContractWhitelisted", {
+					_by: a0,
+					_targetContract: ali.address,
+					_oldVal: "0",
+					_newVal: "0",
+				});
+			});
+			describe("succeeds if address to remove was blacklisted previously", function() {
+				let receipt;
+				beforeEach(async function() {
+					await linker.updateFeatures(FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+					receipt = await linker.whitelistTargetContract(nft.address, false, false, false, false, {from: a0});
+				});
+				it("specified address stops being blacklisted", async function() {
+					expect(await linker.whitelistedTargetContracts(nft.address)).to.be.bignumber.that.equals("0");
+				});
+				it("specified address stops being blacklisted for linking", async function() {
+					expect(await linker.isAllowedForLinking(nft.address)).to.be.true;
+				});
+				it("specified address stops being blacklisted for unlinking", async function() {
+					expect(await linker.isAllowedForUnlinking(nft.address)).to.be.true;
+				});
+				it('"TargetContractWhitelisted" event is emitted', async function() {
+					expectEvent(receipt, "TargetContractWhitelisted", {
+						_by: a0,
+						_targetContract: nft.address,
+						_oldVal: "12",
+						_newVal: "0",
+					});
+				});
+			});
+		});
+		describe("whitelist/blacklist/global precedence", function() {
+			it("linking: blacklist has higher priority than whitelist", async function() {
+				await linker.whitelistTargetContract(nft.address, true, false, true, false, {from: a0});
+				expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+			});
+			it("unlinking: blacklist has higher priority than whitelist", async function() {
+				await linker.whitelistTargetContract(nft.address, false, true, false, true, {from: a0});
+				expect(await linker.isAllowedForUnlinking(nft.address)).to.be.false;
+			});
+			it("linking: blacklist has higher priority than global flag", async function() {
+				await linker.updateFeatures(FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING, {from: a0});
+				await linker.whitelistTargetContract(nft.address, false, false, true, false, {from: a0});
+				expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+			});
+			it("unlinking: blacklist has higher priority than global flag", async function() {
+				await linker.updateFeatures(FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING, {from: a0});
+				await linker.whitelistTargetContract(nft.address, false, false, false, true, {from: a0});
+				expect(await linker.isAllowedForUnlinking(nft.address)).to.be.false;
+			});
+		});
+		describe("bulk whitelisting and enumeration", function() {
+			it("nothing is enumerated initially", async function() {
+				expect(await linker.whitelistedCount()).to.be.bignumber.that.equals("0");
+				expect(await linker.whitelistedPage(0, 10)).to.be.empty;
+			});
+			it("reading the position out of bounds fails", async function() {
+				await expectRevert(linker.whitelistedAt(0), "invalid index");
+			});
+			it("bulk whitelisting fails if arrays length mismatch", async function() {
+				await expectRevert(linker.whitelistTargetContracts([nft.address], [3, 3], {from: a0}), "arrays length mismatch");
+			});
+			it("bulk whitelisting fails if the flags are invalid", async function() {
+				await expectRevert(linker.whitelistTargetContracts([nft.address], [0x10], {from: a0}), "invalid flags");
+			});
+			it("bulk whitelisting fails if one of the addresses is zero", async function() {
+				await expectRevert(
+					linker.whitelistTargetContracts([nft.address, ZERO_ADDRESS], [3, 3], {from: a0}),
+					"zero address"
+				);
+			});
+			it("bulk whitelisting fails if one of the addresses is not ERC721", async function() {
+				await expectRevert(
+					linker.whitelistTargetContracts([nft.address, ali.address], [3, 1], {from: a0}),
+					"target NFT is not ERC721"
+				);
+			});
+			describe("bulk whitelisting succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.whitelistTargetContracts(
+						[nft.address, persona.address, ali.address],
+						[3, 1, 4],
+						{from: a0}
+					);
+				});
+				it("specified addresses get whitelisted / blacklisted", async function() {
+					expect(await linker.whitelistedTargetContracts(nft.address)).to.be.bignumber.that.equals("3");
+					expect(await linker.whitelistedTargetContracts(persona.address)).to.be.bignumber.that.equals("1");
+					expect(await linker.whitelistedTargetContracts(ali.address)).to.be.bignumber.that.equals("4");
+				});
+				it('"TargetContractWhitelisted" event is emitted for every address', async function() {
+					expectEvent(receipt, "TargetContractWhitelisted", {_targetContract: nft.address, _oldVal: "0", _newVal: "3"});
+					expectEvent(receipt, "TargetContractWhitelisted", {_targetContract: persona.address, _oldVal: "0", _newVal: "1"});
+					expectEvent(receipt, "TargetContractWhitelisted", {_targetContract: ali.address, _oldVal: "0", _newVal: "4"});
+				});
+				it("all the addresses listed get enumerated", async function() {
+					expect(await linker.whitelistedCount()).to.be.bignumber.that.equals("3");
+					expect(await linker.whitelistedAt(0)).to.equal(nft.address);
+					expect(await linker.whitelistedAt(1)).to.equal(persona.address);
+					expect(await linker.whitelistedAt(2)).to.equal(ali.address);
+				});
+				it("paged getter returns the addresses listed", async function() {
+					expect(await linker.whitelistedPage(0, 10)).to.deep.equal([nft.address, persona.address, ali.address]);
+					expect(await linker.whitelistedPage(1, 1)).to.deep.equal([persona.address]);
+					expect(await linker.whitelistedPage(3, 1)).to.be.empty;
+				});
+				it("updating the flags of the address listed doesn't change the enumeration", async function() {
+					await linker.whitelistTargetContract(nft.address, true, false, false, false, {from: a0});
+					expect(await linker.whitelistedCount()).to.be.bignumber.that.equals("3");
+					expect(await linker.whitelistedAt(0)).to.equal(nft.address);
+				});
+				describe("delisting the address removes it from the enumeration", function() {
+					beforeEach(async function() {
+						await linker.whitelistTargetContract(nft.address, false, false, false, false, {from: a0});
+					});
+					it("number of the addresses listed decreases", async function() {
+						expect(await linker.whitelistedCount()).to.be.bignumber.that.equals("2");
+					});
+					it("last address listed takes the place of the delisted one", async function() {
+						expect(await linker.whitelistedPage(0, 10)).to.deep.equal([ali.address, persona.address]);
+					});
+					it("relisting the address adds it to the end", async function() {
+						await linker.whitelistTargetContracts([nft.address], [2], {from: a0});
+						expect(await linker.whitelistedPage(0, 10)).to.deep.equal([ali.address, persona.address, nft.address]);
+					});
+				});
+			});
+		});
+		describe("whitelist validity window", function() {
+			let valid_from, valid_until;
+			beforeEach(async function() {
+				valid_from = (await time.latest()).addn(100);
+				valid_until = valid_from.addn(1_000);
+			});
+			async function whitelist(allowed = true, forbidden = false, from = valid_from, until = valid_until) {
+				return await linker.methods["whitelistTargetContract(address,bool,bool,bool,bool,uint64,uint64)"](
+					nft.address, allowed, allowed, forbidden, forbidden, from, until, {from: a0}
+				);
+			}
+			async function check_effective_flags(allowed, forbidden) {
+				const window = await linker.getWhitelistWindow(nft.address);
+				expect(window.allowedForLinking, "allowedForLinking").to.equal(allowed);
+				expect(window.allowedForUnlinking, "allowedForUnlinking").to.equal(allowed);
+				expect(window.forbiddenForLinking, "forbiddenForLinking").to.equal(forbidden);
+				expect(window.forbiddenForUnlinking, "forbiddenForUnlinking").to.equal(forbidden);
+			}
+
+			it("fails if the window is empty", async function() {
+				await expectRevert(whitelist(true, false, valid_until, valid_from), "invalid window");
+			});
+			it("no window is set by default", async function() {
+				const window = await linker.getWhitelistWindow(nft.address);
+				expect(window.validFrom).to.be.bignumber.that.equals("0");
+				expect(window.validUntil).to.be.bignumber.that.equals("0");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await whitelist();
+				});
+				it("window gets set", async function() {
+					const window = await linker.getWhitelistWindow(nft.address);
+					expect(window.validFrom).to.be.bignumber.that.equals(valid_from);
+					expect(window.validUntil).to.be.bignumber.that.equals(valid_until);
+				});
+				it('"TargetContractWhitelisted" event is emitted', async function() {
+					expectEvent(receipt, "TargetContractWhitelisted", {
+						_by: a0,
+						_targetContract: nft.address,
+						_oldVal: "0",
+						_newVal: "3",
+					});
+				});
+				it('"WhitelistWindowChanged" event is emitted', async function() {
+					expectEvent(receipt, "WhitelistWindowChanged", {
+						_by: a0,
+						_targetContract: nft.address,
+						_validFrom: valid_from,
+						_validUntil: valid_until,
+					});
+				});
+				describe("before the window starts", function() {
+					it("NFT contract is not allowed for linking", async function() {
+						expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+					});
+					it("NFT contract is not allowed for unlinking", async function() {
+						expect(await linker.isAllowedForUnlinking(nft.address)).to.be.false;
+					});
+					it("allowance flags are not effective", async function() {
+						await check_effective_flags(false, false);
+					});
+				});
+				describe("within the window", function() {
+					beforeEach(async function() {
+						await time.increaseTo(valid_from);
+					});
+					it("NFT contract is allowed for linking", async function() {
+						expect(await linker.isAllowedForLinking(nft.address)).to.be.true;
+					});
+					it("NFT contract is allowed for unlinking", async function() {
+						expect(await linker.isAllowedForUnlinking(nft.address)).to.be.true;
+					});
+					it("allowance flags are effective", async function() {
+						await check_effective_flags(true, false);
+					});
+				});
+				describe("after the window expires", function() {
+					beforeEach(async function() {
+						await time.increaseTo(valid_until);
+					});
+					it("NFT contract is not allowed for linking", async function() {
+						expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+					});
+					it("NFT contract is not allowed for unlinking", async function() {
+						expect(await linker.isAllowedForUnlinking(nft.address)).to.be.false;
+					});
+					it("allowance flags are not effective", async function() {
+						await check_effective_flags(false, false);
+					});
+					it("NFT contract is allowed for linking if FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING is enabled", async function() {
+						await linker.updateFeatures(FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING, {from: a0});
+						expect(await linker.isAllowedForLinking(nft.address)).to.be.true;
+					});
+					it("whitelisting with the zero window explicitly removes the window", async function() {
+						receipt = await whitelist(true, false, 0, 0);
+						expectEvent(receipt, "WhitelistWindowChanged", {_validFrom: "0", _validUntil: "0"});
+						expect(await linker.isAllowedForLinking(nft.address)).to.be.true;
+					});
+				});
+				describe("updating the flags without the window keeps the window", function() {
+					async function check_window_kept() {
+						const window = await linker.getWhitelistWindow(nft.address);
+						expect(window.validFrom, "validFrom").to.be.bignumber.that.equals(valid_from);
+						expect(window.validUntil, "validUntil").to.be.bignumber.that.equals(valid_until);
+					}
+					it("whitelistTargetContract(address,bool,bool,bool,bool)", async function() {
+						receipt = await linker.whitelistTargetContract(nft.address, true, false, false, false, {from: a0});
+						expectEvent.notEmitted(receipt, "WhitelistWindowChanged");
+						await check_window_kept();
+						await time.increaseTo(valid_until);
+						expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+					});
+					it("whitelistTargetContracts", async function() {
+						receipt = await linker.whitelistTargetContracts([nft.address], [1], {from: a0});
+						expectEvent.notEmitted(receipt, "WhitelistWindowChanged");
+						await check_window_kept();
+						await time.increaseTo(valid_until);
+						expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+					});
+					it("delisting and relisting", async function() {
+						await linker.whitelistTargetContracts([nft.address], [0], {from: a0});
+						await linker.whitelistTargetContract(nft.address, true, true, false, false, {from: a0});
+						await check_window_kept();
+						expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+					});
+				});
+			});
+			describe("blacklist has higher priority than the window", function() {
+				beforeEach(async function() {
+					await whitelist(true, true);
+				});
+				it("before the window starts", async function() {
+					expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+					await check_effective_flags(false, true);
+				});
+				it("within the window", async function() {
+					await time.increaseTo(valid_from);
+					expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+					expect(await linker.isAllowedForUnlinking(nft.address)).to.be.false;
+					await check_effective_flags(true, true);
+				});
+				it("after the window expires", async function() {
+					await time.increaseTo(valid_until);
+					await linker.updateFeatures(FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+					expect(await linker.isAllowedForLinking(nft.address)).to.be.false;
+					expect(await linker.isAllowedForUnlinking(nft.address)).to.be.false;
+					await check_effective_flags(false, true);
+				});
+			});
+		});
+		describe("updating nextId", function() {
+			it("fails if nextId is 0xFFFF_FFFF", async function() {
+				await expectRevert(linker.updateNextId(0xFFFF_FFFF, {from: a0}), "value too low");
+			});
+			it("fails if nextId is less than 0xFFFF_FFFF", async function() {
+				await expectRevert(linker.updateNextId(0xFFFF_FFFE, {from: a0}), "value too low");
+			});
+			describe("succeeds if nextId is greater than 0xFFFF_FFFF", function() {
+				let receipt;
+				const next_id = LINKER_PARAMS_V4.NEXT_ID;
+				const new_next_id = next_id * 2;
+				beforeEach(async function() {
+					receipt = await linker.updateNextId(new_next_id, {from: a0});
+				});
+				it("nextId gets set as expected", async function() {
+					expect(await linker.nextId()).to.be.bignumber.that.equals(new_next_id + "");
+				});
+				it('"NextIdChanged" event is emitted', async function() {
+					expectEvent(receipt, "NextIdChanged", {
+						_by: a0,
+						_oldVal: new BN(next_id),
+						_newVal: new BN(new_next_id),
+					});
+				});
+				describe("nextId is indeed used when linking", function() {
+					const link_price = LINKER_PARAMS.LINK_PRICE;
+					beforeEach(async function() {
+						await linker.whitelistTargetContract(nft.address, true, false, false, false, {from: a0});
+						await ali.transfer(persona_owner, link_price, {from: a0});
+						await ali.approve(linker.address, link_price, {from: persona_owner});
+						await persona.approve(linker.address, persona_id, {from: persona_owner});
+						await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+					});
+					it("nextId is used as expected", async function() {
+						expect(await iNft.reverseBindings(nft.address, target_id)).to.be.bignumber.that.equals(new_next_id + "");
+					});
+				});
+			});
+		});
+		describe("updating linking price and fee", function() {
+			const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+			const low_value = 1e12 - 1;
+			it("fails if linking price is too low", async function() {
+				await expectRevert(
+					linker.updateLinkPrice(low_value, link_fee, fee_destination, {from: a0}),
+					"invalid price"
+				);
+				it("fails if linking fee is too low", async function() {
+					await expectRevert(
+						linker.updateLinkPrice(link_price, low_value, fee_destination, {from: a0}),
+						"invalid linking fee/treasury"
+					);
+				});
+				it("fails if fee is set while treasury is not set", async function() {
+					await expectRevert(
+						linker.updateLinkPrice(link_price, link_fee, ZERO_ADDRESS, {from: a0}),
+						"invalid linking fee/treasury"
+					);
+				});
+				it("fails if fee is not set while treasury is set", async function() {
+					await expectRevert(
+						linker.updateLinkPrice(link_price, ZERO_BYTES32, fee_destination, {from: a0}),
+						"invalid linking fee/treasury"
+					);
+				});
+				it("fails if linking fee exceeds linking price", async function() {
+					await expectRevert(
+						linker.updateLinkPrice(link_fee, link_price, fee_destination, {from: a0}),
+						"linking fee exceeds linking price"
+					);
+				});
+			});
+
+			function succeeds_for(set_price, set_fee) {
+				assert(set_price || !set_fee, "invalid set price/fee combination");
+				const price = set_price? link_price: new BN(0);
+				const fee = set_price && set_fee? link_fee: new BN(0);
+				const fee_dest = fee.isZero()? ZERO_ADDRESS: fee_destination;
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.updateLinkPrice(price, fee, fee_dest, {from: a0});
+				})
+				it("linking price is set as expected", async function() {
+					expect(await linker.linkPrice()).to.be.bignumber.that.equals(price);
+				});
+				it("linking fee is set as expected", async function() {
+					expect(await linker.linkFee()).to.be.bignumber.that.equals(fee);
+				});
+				it("treasury is set as expected", async function() {
+					expect(await linker.feeDestination()).to.equal(fee_dest);
+				});
+				it('"LinkPriceChanged" event is emitted', async function() {
+					await expectEvent(receipt, "LinkPriceChanged", {
+						_by: a0,
+						_linkPrice: price,
+						_linkFee: fee,
+						_feeDestination: fee_dest,
+					});
+				});
+			}
+
+			describe("succeeds if price and fee are set", function() {
+				succeeds_for(true, true);
+			});
+			describe("succeeds if price is set and fee is not set", function() {
+				succeeds_for(true, false);
+			});
+			describe("succeeds if price and fee are not set", function() {
+				succeeds_for(false, false);
+			});
+		});
+		describe("updating relinking fee", function() {
+			const relink_fee = link_fee.divn(2);
+			it("fails if relinking fee is too low", async function() {
+				await expectRevert(linker.updateRelinkFee(1e12 - 1, {from: a0}), "invalid relinking fee");
+			});
+			describe("succeeds if relinking fee is set", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.updateRelinkFee(relink_fee, {from: a0});
+				});
+				it("relinking fee is set as expected", async function() {
+					expect(await linker.relinkFee()).to.be.bignumber.that.equals(relink_fee);
+				});
+				it('"RelinkFeeChanged" event is emitted', async function() {
+					expectEvent(receipt, "RelinkFeeChanged", {
+						_by: a0,
+						_relinkFee: relink_fee,
+					});
+				});
+				describe("succeeds if relinking fee is unset", function() {
+					beforeEach(async function() {
+						receipt = await linker.updateRelinkFee(0, {from: a0});
+					});
+					it("relinking fee is set as expected", async function() {
+						expect(await linker.relinkFee()).to.be.bignumber.that.equals("0");
+					});
+					it('"RelinkFeeChanged" event is emitted', async function() {
+						expectEvent(receipt, "RelinkFeeChanged", {
+							_by: a0,
+							_relinkFee: "0",
+						});
+					});
+				});
+			});
+		});
+		describe("linking the iNFT", function() {
+			it("fails when executed by an account which doesn't own AI Personality", async function() {
+				await expectRevert(linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: nft_owner}), "access denied");
+			});
+			describe("when executed by an account which owns AI Personality", function() {
+				it("fails if NFT contract is not whitelisted", async function() {
+					await expectRevert(
+						linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner}),
+						"not a whitelisted NFT contract"
+					);
+				});
+				describe("when NFT contract is whitelisted", function() {
+					beforeEach(async function() {
+						await linker.whitelistTargetContract(nft.address, true, false, false, false, {from: a0});
+						await ali.transfer(persona_owner, link_price, {from: a0});
+						await ali.approve(linker.address, link_price, {from: persona_owner});
+					})
+					it("fails if AI Personality is not supplied", async function() {
+						await expectRevert(
+							linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner}),
+							"access denied"
+						);
+					});
+					describe("when AI Personality is supplied", function() {
+						beforeEach(async function() {
+							await persona.approve(linker.address, persona_id, {from: persona_owner});
+						});
+						describe("when linking price is set", function() {
+							describe("when linking fee is not set", function() {
+								beforeEach(async function() {
+									await linker.updateLinkPrice(link_price, 0, ZERO_ADDRESS, {from: a0});
+								});
+								check_link_fee_cases(link_price, 0);
+							});
+							describe("when linking fee is set", function() {
+								beforeEach(async function() {
+									await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+								});
+								check_link_fee_cases(link_price, link_fee);
+							});
+
+							function check_link_fee_cases(link_price, link_fee) {
+								link_price = new BN(link_price);
+								link_fee = new BN(link_fee);
+								const link_deposit = link_price.sub(link_fee);
+								it("linking fails if linking price is not paid", async function() {
+									await ali.approve(linker.address, 0, {from: persona_owner});
+									await expectRevert(
+										linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner}),
+										"transfer amount exceeds allowance"
+									);
+								});
+								describe("linking succeeds if linking price is paid", function() {
+									let receipt;
+									beforeEach(async function() {
+										await ali.approve(linker.address, link_price, {from: persona_owner});
+										receipt = await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+									});
+									it("totalSupply increases by one", async function() {
+										expect(await iNft.totalSupply()).to.be.bignumber.that.equals(1 + "");
+									});
+									it("nextId is increased by one", async function() {
+										expect(await linker.nextId()).to.be.bignumber.that.equals(NEXT_ID.addn(1));
+									});
+									describe("ALI tokens get transferred", function() {
+										it("owner balance decreases as expected", async function() {
+											expect(await ali.balanceOf(persona_owner)).to.be.bignumber.that.equals("0");
+										});
+										it("iNFT balance increases as expected", async function() {
+											expect(await ali.balanceOf(iNft.address)).to.be.bignumber.that.equals(link_deposit);
+										});
+										it("emits improved Transfer event (arXiv:1907.00903)", async function() {
+											await expectEventInTransaction(receipt.tx, "Transfer", [{
+												type: "address",
+												name: "by",
+												indexed: true,
+												value: linker.address,
+											}, {
+												type: "address",
+												name: "from",
+												indexed: true,
+												value: persona_owner,
+											}, {
+												type: "address",
+												name: "to",
+												indexed: true,
+												value: iNft.address,
+											}, {
+												type: "uint256",
+												name: "value",
+												value: link_deposit,
+											}]);
+										});
+										it("emits ERC20 Transfer event", async function() {
+											await expectEventInTransaction(receipt.tx, "Transfer", [{
+												type: "address",
+												name: "from",
+												indexed: true,
+												value: persona_owner,
+											}, {
+												type: "address",
+												name: "to",
+												indexed: true,
+												value: iNft.address,
+											}, {
+												type: "uint256",
+												name: "value",
+												value: link_deposit,
+											}]);
+										});
+										if(!link_fee.isZero()) {
+											it("emits improved Transfer event (arXiv:1907.00903)", async function() {
+												await expectEventInTransaction(receipt.tx, "Transfer", [{
+													type: "address",
+													name: "by",
+													indexed: true,
+													value: linker.address,
+												}, {
+													type: "address",
+													name: "from",
+													indexed: true,
+													value: persona_owner,
+												}, {
+													type: "address",
+													name: "to",
+													indexed: true,
+													value: fee_destination,
+												}, {
+													type: "uint256",
+													name: "value",
+													value: link_fee,
+												}]);
+											});
+											it("emits ERC20 Transfer event", async function() {
+												await expectEventInTransaction(receipt.tx, "Transfer", [{
+													type: "address",
+													name: "from",
+													indexed: true,
+													value: persona_owner,
+												}, {
+													type: "address",
+													name: "to",
+													indexed: true,
+													value: fee_destination,
+												}, {
+													type: "uint256",
+													name: "value",
+													value: link_fee,
+												}]);
+											});
+											it("treasury balance increases as expected", async function() {
+												expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee);
+											});
+										}
+									});
+									it("AI Personality gets transferred", async function() {
+										expect(await persona.ownerOf(persona_id)).to.be.equals(iNft.address);
+									});
+									it("NFT doesn't get transferred", async function() {
+										expect(await nft.ownerOf(target_id)).to.be.equals(nft_owner);
+									});
+									it('"Linked" event is emitted', async function() {
+										await expectEvent(receipt, "Linked", {
+											_by: persona_owner,
+											_iNftId: NEXT_ID,
+											_linkPrice: link_price,
+											_linkFee: link_fee,
+											_personalityContract: persona.address,
+											_personalityId: persona_id,
+											_targetContract: nft.address,
+											_targetId: target_id,
+										});
+									});
+								});
+							}
+						});
+						describe("linking succeeds if linking price is not set", function() {
+							beforeEach(async function() {
+								await linker.updateLinkPrice(0, 0, ZERO_ADDRESS, {from: a0});
+							});
+
+							let receipt;
+							beforeEach(async function() {
+								receipt = await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+							});
+							it("totalSupply increases by one", async function() {
+								expect(await iNft.totalSupply()).to.be.bignumber.that.equals(1 + "");
+							});
+							it("nextId is increased by one", async function() {
+								expect(await linker.nextId()).to.be.bignumber.that.equals(NEXT_ID.addn(1));
+							});
+							it("ALI tokens don't get transferred", async function() {
+								expect(await ali.balanceOf(persona_owner)).to.be.bignumber.that.equals(link_price);
+							});
+							it("AI Personality gets transferred", async function() {
+								expect(await persona.ownerOf(persona_id)).to.be.equals(iNft.address);
+							});
+							it("NFT doesn't get transferred", async function() {
+								expect(await nft.ownerOf(target_id)).to.be.equals(nft_owner);
+							});
+							it('"Linked" event is emitted', async function() {
+								await expectEvent(receipt, "Linked", {
+									_by: persona_owner,
+									_iNftId: NEXT_ID,
+									_linkPrice: '0',
+									_linkFee: '0',
+									_personalityContract: persona.address,
+									_personalityId: persona_id,
+									_targetContract: nft.address,
+									_targetId: target_id,
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+		describe("when iNFT was previously created", function() {
+			beforeEach(async function() {
+				await linker.whitelistTargetContract(nft.address, true, false, false, false, {from: a0});
+				await ali.transfer(persona_owner, link_price, {from: a0});
+				await ali.approve(linker.address, link_price, {from: persona_owner});
+				await persona.approve(linker.address, persona_id, {from: persona_owner});
+				await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+			});
+
+			describe("unlinking the iNFT", function() {
+				it("fails if NFT contract is not whitelisted", async function() {
+					await expectRevert(
+						linker.unlink(recordId, {from: persona_owner}),
+						"not a whitelisted NFT contract"
+					);
+				});
+				describe("when NFT contract is whitelisted", function() {
+					beforeEach(async function() {
+						await linker.whitelistTargetContract(nft.address, false, true, false, false, {from: a0});
+					});
+					it("fails when executed not by the owner of iNFT", async function() {
+						await expectRevert(linker.unlink(recordId, {from: persona_owner}), "not an iNFT owner");
+					});
+					describe("succeeds otherwise (when executed by the owner of iNFT)", function() {
+						beforeEach(async function() {
+							receipt = await linker.unlink(recordId, {from: nft_owner});
+						});
+						check_burn_succeeds();
+					});
+				});
+			});
+			describe("unlinking the NFT", function() {
+				it("fails when executed not by the owner of NFT", async function() {
+					await linker.whitelistTargetContract(nft.address, false, true, false, false, {from: a0});
+					await expectRevert(linker.unlinkNFT(nft.address, target_id, {from: persona_owner}), "not an NFT owner");
+				});
+				describe("when executed by the owner of iNFT", function() {
+					it("fails if NFT contract is not whitelisted", async function() {
+						await expectRevert(
+							linker.unlinkNFT(nft.address, target_id, {from: nft_owner}),
+							"not a whitelisted NFT contract"
+						);
+					});
+					describe("succeeds otherwise (when NFT contract is whitelisted)", function() {
+						beforeEach(async function() {
+							await linker.whitelistTargetContract(nft.address, false, true, false, false, {from: a0});
+							receipt = await linker.unlinkNFT(nft.address, target_id, {from: nft_owner});
+						});
+						check_burn_succeeds();
+					});
+				});
+			});
+			describe("relinking the iNFT", function() {
+				const new_target_id = target_id.addn(1);
+				const new_record_id = recordId.addn(1);
+				const relink_fee = link_fee.divn(2);
+				beforeEach(async function() {
+					await nft.mint(nft_owner, new_target_id, {from: a0});
+					await persona.setApprovalForAll(linker.address, true, {from: nft_owner});
+				});
+				async function relink(by = nft_owner) {
+					return await linker.relink(recordId, nft.address, new_target_id, {from: by});
+				}
+
+				it("fails if FEATURE_RELINKING is disabled", async function() {
+					await expectRevert(relink(), "relinking is disabled");
+				});
+				describe("when FEATURE_RELINKING is enabled", function() {
+					beforeEach(async function() {
+						await linker.updateFeatures(
+							FEATURE_LINKING | FEATURE_UNLINKING | FEATURE_DEPOSITS | FEATURE_WITHDRAWALS | FEATURE_RELINKING,
+							{from: a0}
+						);
+					});
+					it("fails if NFT contract is not whitelisted for unlinking", async function() {
+						await expectRevert(relink(), "not a whitelisted NFT contract");
+					});
+					it("fails if new NFT contract is not whitelisted for linking", async function() {
+						await linker.whitelistTargetContract(nft.address, false, true, false, false, {from: a0});
+						await expectRevert(relink(), "not a whitelisted NFT contract");
+					});
+					describe("when NFT contract is whitelisted for both linking and unlinking", function() {
+						beforeEach(async function() {
+							await linker.whitelistTargetContract(nft.address, true, true, false, false, {from: a0});
+						});
+						it("fails when executed not by the owner of iNFT", async function() {
+							await expectRevert(relink(persona_owner), "not an iNFT owner");
+						});
+						it("fails if AI Personality transfer is not approved", async function() {
+							await persona.setApprovalForAll(linker.address, false, {from: nft_owner});
+							await expectRevert.unspecified(relink());
+						});
+						it("fails if new NFT is already linked", async function() {
+							await expectRevert.unspecified(linker.relink(recordId, nft.address, target_id, {from: nft_owner}));
+						});
+
+						function relink_succeeds(relink_fee) {
+							relink_fee = new BN(relink_fee);
+							let receipt;
+							beforeEach(async function() {
+								receipt = await relink();
+							});
+							it("old iNFT gets destroyed", async function() {
+								expect(await iNft.exists(recordId)).to.be.false;
+							});
+							it("new iNFT gets created", async function() {
+								expect(await iNft.exists(new_record_id)).to.be.true;
+							});
+							it("totalSupply doesn't change", async function() {
+								expect(await iNft.totalSupply()).to.be.bignumber.that.equals(1 + "");
+							});
+							it("nextId is increased by one", async function() {
+								expect(await linker.nextId()).to.be.bignumber.that.equals(NEXT_ID.addn(2));
+							});
+							it("old reverse binding gets erased", async function() {
+								expect(await iNft.reverseBindings(nft.address, target_id)).to.be.bignumber.that.equals("0");
+							});
+							it("new reverse binding gets created", async function() {
+								expect(await iNft.reverseBindings(nft.address, new_target_id)).to.be.bignumber.that.equals(new_record_id);
+							});
+							it("personality binding points to the new iNFT", async function() {
+								expect(await iNft.personalityBindings(persona.address, persona_id)).to.be.bignumber.that.equals(new_record_id);
+							});
+							it("locked ALI value is preserved", async function() {
+								expect(await iNft.lockedValue(new_record_id)).to.be.bignumber.that.equals(link_deposit);
+							});
+							it("cumulative ALI obligation doesn't change", async function() {
+								expect(await iNft.aliBalance()).to.be.bignumber.that.equals(link_deposit);
+							});
+							it("iNFT balance doesn't change", async function() {
+								expect(await ali.balanceOf(iNft.address)).to.be.bignumber.that.equals(link_deposit);
+							});
+							it("linker doesn't hold any ALI", async function() {
+								expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals("0");
+							});
+							it("NFT owner doesn't receive locked ALI", async function() {
+								expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals("0");
+							});
+							it("treasury balance increases as expected", async function() {
+								expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee.add(relink_fee));
+							});
+							it("AI Personality remains locked", async function() {
+								expect(await persona.ownerOf(persona_id)).to.equal(iNft.address);
+							});
+							it("owner of the new iNFT is as expected", async function() {
+								expect(await iNft.ownerOf(new_record_id)).to.equal(nft_owner);
+							});
+							it('"Relinked" event is emitted', async function() {
+								expectEvent(receipt, "Relinked", {
+									_by: nft_owner,
+									_oldiNftId: recordId,
+									_newiNftId: new_record_id,
+									_relinkFee: relink_fee,
+									_targetContract: nft.address,
+									_targetId: new_target_id,
+								});
+							});
+						}
+
+						describe("succeeds if relinking fee is not set", function() {
+							relink_succeeds(0);
+						});
+						describe("when relinking fee is set", function() {
+							beforeEach(async function() {
+								await linker.updateRelinkFee(relink_fee, {from: a0});
+								await ali.transfer(nft_owner, relink_fee, {from: a0});
+							});
+							it("fails if relinking fee is not paid", async function() {
+								await expectRevert(relink(), "transfer amount exceeds allowance");
+							});
+							describe("succeeds if relinking fee is paid", function() {
+								beforeEach(async function() {
+									await ali.approve(linker.address, relink_fee, {from: nft_owner});
+								});
+								relink_succeeds(relink_fee);
+							});
+						});
+						describe("succeeds if relinking fee is set, but treasury is not set", function() {
+							beforeEach(async function() {
+								await linker.updateRelinkFee(relink_fee, {from: a0});
+								await linker.updateLinkPrice(0, 0, ZERO_ADDRESS, {from: a0});
+							});
+							relink_succeeds(0);
+						});
+						describe("when relinking fee is set and paid", function() {
+							const collection_treasury = a4;
+							beforeEach(async function() {
+								await linker.updateRelinkFee(relink_fee, {from: a0});
+								await ali.transfer(nft_owner, relink_fee, {from: a0});
+								await ali.approve(linker.address, relink_fee, {from: nft_owner});
+							});
+							it("relinking fee is sent to the collection specific treasury", async function() {
+								await linker.updateCollectionLinkPrice(nft.address, link_price, link_fee, collection_treasury, true, {from: a0});
+								await relink();
+								expect(await ali.balanceOf(collection_treasury)).to.be.bignumber.that.equals(relink_fee);
+								expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee);
+							});
+							it("relinking fee is not charged if collection specific treasury is not set", async function() {
+								await linker.updateCollectionLinkPrice(nft.address, 0, 0, ZERO_ADDRESS, true, {from: a0});
+								const receipt = await relink();
+								expectEvent(receipt, "Relinked", {_relinkFee: "0"});
+								expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals(relink_fee);
+							});
+							it("relinking fee is split according to the fee split table", async function() {
+								await linker.updateFeeSplit([collection_treasury], [5_000], {from: a0});
+								const receipt = await relink();
+								const share = relink_fee.divn(2);
+								expect(await ali.balanceOf(collection_treasury)).to.be.bignumber.that.equals(share);
+								expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee.add(relink_fee.sub(share)));
+								expectEvent(receipt, "FeeShareCharged", {
+									_by: nft_owner,
+									_targetContract: nft.address,
+									_recipient: collection_treasury,
+									_value: share,
+								});
+							});
+						});
+					});
+				});
+			});
+			describe("depositing additional ALI", function() {
+				it("fails if executed not by iNFT owner", async function() {
+					await ali.approve(linker.address, link_price, {from: a0});
+					await expectRevert(linker.methods["deposit(uint256,uint96)"](recordId, link_price, {from: a0}), "not an iNFT owner");
+				});
+				it("fails if deposit amount is zero", async function() {
+					await expectRevert(linker.methods["deposit(uint256,uint96)"](recordId, 0, {from: nft_owner}), "zero value");
+				});
+				it("fails if owner doesn't have enough ALI", async function() {
+					await ali.approve(linker.address, link_price, {from: nft_owner});
+					await expectRevert(linker.methods["deposit(uint256,uint96)"](recordId, link_price, {from: nft_owner}), "transfer amount exceeds balance");
+				});
+				it("fails if deposit amount is not approved to be transferred", async function() {
+					await ali.transfer(nft_owner, link_price, {from: a0});
+					await expectRevert(linker.methods["deposit(uint256,uint96)"](recordId, link_price, {from: nft_owner}), "transfer amount exceeds allowance");
+				});
+				describe("succeeds otherwise", function() {
+					function deposit_succeeds(value = link_price) {
+						const deposit_fee = value.mul(link_fee).div(link_price);
+						const deposit_value = value.sub(deposit_fee);
+
+						let receipt;
+						beforeEach(async function() {
+							await ali.transfer(nft_owner, value, {from: a0});
+							await ali.approve(linker.address, value, {from: nft_owner});
+							receipt = await linker.methods["deposit(uint256,uint96)"](recordId, value, {from: nft_owner});
+						});
+						it("cumulative ALI obligation increases as expected", async function() {
+							expect(await iNft.aliBalance()).to.be.bignumber.that.equals(link_deposit.add(deposit_value));
+						});
+						it("locked ALI value increases as expected", async function() {
+							expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(link_deposit.add(deposit_value));
+						});
+						it("iNFT balance increases as expected", async function() {
+							expect(await ali.balanceOf(iNft.address)).to.be.bignumber.that.equals(link_deposit.add(deposit_value));
+						});
+						it("treasury balance increases as expected", async function() {
+							expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee.add(deposit_fee));
+						});
+						it('"LinkUpdated" event is emitted', async function() {
+							expectEvent(receipt, "LinkUpdated", {
+								_by: nft_owner,
+								_iNftId: recordId,
+								_aliDelta: deposit_value,
+								_feeValue: deposit_fee,
+							});
+						});
+					}
+
+					describe("without rounding", function() {
+						deposit_succeeds(link_price);
+					});
+					describe("with rounding", function() {
+						deposit_succeeds(link_price.subn(1));
+					});
+				});
+			});
+			describe("withdrawing ALI from existing iNFT", function() {
+				const withdraw_value = link_deposit.muln(2).sub(link_price);
+				beforeEach(async function() {
+					await ali.transfer(nft_owner, link_price, {from: a0});
+					await ali.approve(linker.address, link_price, {from: nft_owner});
+					await linker.methods["deposit(uint256,uint96)"](recordId, link_price, {from: nft_owner});
+				});
+				it("fails if executed not by iNFT owner", async function() {
+					await expectRevert(linker.withdraw(recordId, withdraw_value, {from: a0}), "not an iNFT owner");
+				});
+				it("fails if withdraw amount is zero", async function() {
+					await expectRevert(linker.withdraw(recordId, 0, {from: nft_owner}), "zero value");
+				});
+				it("fails if remaining deposit is too low", async function() {
+					await expectRevert(linker.withdraw(recordId, withdraw_value.addn(1), {from: nft_owner}), "deposit too low");
+				});
+				it("fails if there is not enough ALI locked", async function() {
+					await linker.updateLinkPrice(0, 0, ZERO_ADDRESS, {from: a0});
+					await expectRevert(linker.withdraw(recordId, link_price.add(withdraw_value).addn(1), {from: nft_owner}), "deposit too low");
+				});
+				describe("succeeds otherwise", function() {
+					let receipt;
+					beforeEach(async function() {
+						receipt = await linker.withdraw(recordId, withdraw_value, {from: nft_owner});
+					});
+					it("cumulative ALI obligation decreases as expected", async function() {
+						expect(await iNft.aliBalance()).to.be.bignumber.that.equals(link_price);
+					});
+					it("locked ALI value decreases as expected", async function() {
+						expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(link_price);
+					});
+					it("iNFT balance decreases as expected", async function() {
+						expect(await ali.balanceOf(iNft.address)).to.be.bignumber.that.equals(link_price);
+					});
+					it("treasury balance remains the same", async function() {
+						expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee.add(link_fee));
+					});
+					it("NFT owner balance increases as expected", async function() {
+						expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals(withdraw_value);
+					});
+					it('"LinkUpdated" event is emitted', async function() {
+						expectEvent(receipt, "LinkUpdated", {
+							_by: nft_owner,
+							_iNftId: recordId,
+							_aliDelta: withdraw_value.neg(),
+							_feeValue: '0',
+						});
+					});
+				});
+			});
+		});
+	});
+	describe("custom iNFT feature (FEATURE_ALLOW_ANY_NFT_CONTRACT is ON)", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const persona_1 = random_bn(1_000_000, 1_000_000_000);
+		const persona_2 = random_bn(1_000_000, 1_000_000_000);
+		const target_1 = random_bn(1_000_000, 1_000_000_000);
+		const target_2 = random_bn(1_000_000, 1_000_000_000);
+		assert(!persona_1.eq(persona_2), "random number collision in persona ID. please rerun the test");
+		const recordId = NEXT_ID;
+		let nft2, ali, persona, iNft, linker, receipt;
+		beforeEach(async function() {
+			nft2 = await ai_protocol_erc721_deploy(a0);
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await persona.mint(persona_owner, persona_1, {from: a0});
+			await persona.mint(persona_owner, persona_2, {from: a0});
+			await persona.approve(linker.address, persona_1, {from: persona_owner});
+			await persona.approve(linker.address, persona_2, {from: persona_owner});
+			await nft.mint(nft_owner, target_1, {from: a0});
+			await nft2.mint(nft_owner, target_2, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_UNLINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+		});
+		it("linking with NFT 1 succeeds", async function() {
+			await linker.methods["link(uint96,address,uint256)"](persona_1, nft.address, target_1, {from: persona_owner});
+		});
+		it("linking with NFT 2 succeeds", async function() {
+			await linker.methods["link(uint96,address,uint256)"](persona_2, nft2.address, target_2, {from: persona_owner});
+		});
+		describe("when target NFT contract 1 is blacklisted for linking", function() {
+			beforeEach(async function() {
+				await linker.whitelistTargetContract(nft.address, false, false, true, false, {from: a0});
+			});
+			it("linking with NFT 1 fails", async function() {
+				await expectRevert(linker.methods["link(uint96,address,uint256)"](persona_1, nft.address, target_1, {from: persona_owner}), "not a whitelisted NFT contract")
+			});
+			it("linking with NFT 2 succeeds", async function() {
+				await linker.methods["link(uint96,address,uint256)"](persona_2, nft2.address, target_2, {from: persona_owner});
+			});
+		});
+		describe("when few iNFTs are already created", function() {
+			beforeEach(async function() {
+				await linker.methods["link(uint96,address,uint256)"](persona_1, nft.address, target_1, {from: persona_owner});
+				await linker.methods["link(uint96,address,uint256)"](persona_2, nft2.address, target_2, {from: persona_owner});
+			});
+			it("unlinking iNFT 1 succeeds", async function() {
+				await linker.unlink(recordId, {from: nft_owner});
+			});
+			it("unlinking iNFT 2 succeeds", async function() {
+				await linker.unlink(recordId.addn(1), {from: nft_owner});
+			});
+			it("unlinking from NFT 1 succeeds", async function() {
+				await linker.unlinkNFT(nft.address, target_1, {from: nft_owner});
+			});
+			it("unlinking from NFT 2 succeeds", async function() {
+				await linker.unlinkNFT(nft2.address, target_2, {from: nft_owner});
+			});
+			describe("when target NFT contract 1 is blacklisted for unlinking", function() {
+				beforeEach(async function() {
+					await linker.whitelistTargetContract(nft.address, false, false, false, true, {from: a0});
+				});
+				it("unlinking iNFT 1 fails", async function() {
+					await expectRevert(linker.unlink(recordId, {from: nft_owner}), "not a whitelisted NFT contract")
+				});
+				it("unlinking iNFT 2 succeeds", async function() {
+					await linker.unlink(recordId.addn(1), {from: nft_owner});
+				});
+				it("unlinking from NFT 1 fails", async function() {
+					await expectRevert(linker.unlinkNFT(nft.address, target_1, {from: nft_owner}), "not a whitelisted NFT contract")
+				});
+				it("unlinking from NFT 2 succeeds", async function() {
+					await linker.unlinkNFT(nft2.address, target_2, {from: nft_owner});
+				});
+			})
+		});
+	});
+	describe("AI Personality / target NFT compatibility", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const persona_1 = new BN(1_000);
+		const persona_2 = new BN(2_000);
+		const range_size = new BN(500);
+		const target_1 = random_bn(1_000_000, 1_000_000_000);
+		const target_2 = random_bn(1_000_000, 1_000_000_000);
+		const recordId = NEXT_ID;
+		let nft2, ali, persona, iNft, linker;
+		beforeEach(async function() {
+			nft2 = await ai_protocol_erc721_deploy(a0);
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await persona.mint(persona_owner, persona_1, {from: a0});
+			await persona.mint(persona_owner, persona_2, {from: a0});
+			await persona.setApprovalForAll(linker.address, true, {from: persona_owner});
+			await nft.mint(nft_owner, target_1, {from: a0});
+			await nft2.mint(nft_owner, target_2, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_UNLINKING | FEATURE_RELINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+		});
+		it("no compatibility rules exist", async function() {
+			expect(await linker.getCompatibilityRulesCount()).to.be.bignumber.that.equals("0");
+		});
+		it("AI Personality is compatible with any NFT contract", async function() {
+			expect(await linker.isCompatible(persona_1, nft.address), "NFT 1").to.be.true;
+			expect(await linker.isCompatible(persona_1, nft2.address), "NFT 2").to.be.true;
+		});
+
+		describe("adding compatibility rule", function() {
+			it("fails if AI Personality contract is not set", async function() {
+				await expectRevert(
+					linker.addCompatibilityRule(ZERO_ADDRESS, persona_1, persona_1.add(range_size), nft2.address, {from: a0}),
+					"zero address"
+				);
+			});
+			it("fails if target NFT contract is not set", async function() {
+				await expectRevert(
+					linker.addCompatibilityRule(persona.address, persona_1, persona_1.add(range_size), ZERO_ADDRESS, {from: a0}),
+					"zero address"
+				);
+			});
+			it("fails if AI Personality IDs range is invalid", async function() {
+				await expectRevert(
+					linker.addCompatibilityRule(persona.address, persona_1, persona_1.subn(1), nft2.address, {from: a0}),
+					"invalid range"
+				);
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.addCompatibilityRule(
+						persona.address,
+						persona_1,
+						persona_1.add(range_size),
+						nft2.address,
+						{from: a0}
+					);
+				});
+				it("compatibility rules counter increases", async function() {
+					expect(await linker.getCompatibilityRulesCount()).to.be.bignumber.that.equals("1");
+				});
+				describe("compatibility rule gets stored", function() {
+					let rule;
+					beforeEach(async function() {
+						rule = await linker.compatibilityRules(0);
+					});
+					it("personalityContract", async function() {
+						expect(rule.personalityContract).to.equal(persona.address);
+					});
+					it("personalityIdFrom", async function() {
+						expect(rule.personalityIdFrom).to.be.bignumber.that.equals(persona_1);
+					});
+					it("personalityIdTo", async function() {
+						expect(rule.personalityIdTo).to.be.bignumber.that.equals(persona_1.add(range_size));
+					});
+					it("targetContract", async function() {
+						expect(rule.targetContract).to.equal(nft2.address);
+					});
+				});
+				it('"CompatibilityRuleAdded" event is emitted', async function() {
+					expectEvent(receipt, "CompatibilityRuleAdded", {
+						_by: a0,
+						_personalityContract: persona.address,
+						_personalityIdFrom: persona_1,
+						_personalityIdTo: persona_1.add(range_size),
+						_targetContract: nft2.address,
+					});
+				});
+				it("AI Personality within the range becomes incompatible with NFT 1", async function() {
+					expect(await linker.isCompatible(persona_1, nft.address)).to.be.false;
+				});
+				it("AI Personality within the range remains compatible with NFT 2", async function() {
+					expect(await linker.isCompatible(persona_1, nft2.address)).to.be.true;
+				});
+				it("AI Personality outside the range remains compatible with NFT 1", async function() {
+					expect(await linker.isCompatible(persona_2, nft.address)).to.be.true;
+				});
+				it("linking AI Personality within the range with NFT 1 fails", async function() {
+					await expectRevert(
+						linker.methods["link(uint96,address,uint256)"](persona_1, nft.address, target_1, {from: persona_owner}),
+						"incompatible NFT contract"
+					);
+				});
+				it("linking AI Personality within the range with NFT 2 succeeds", async function() {
+					await linker.methods["link(uint96,address,uint256)"](persona_1, nft2.address, target_2, {from: persona_owner});
+				});
+				it("linking AI Personality outside the range with NFT 1 succeeds", async function() {
+					await linker.methods["link(uint96,address,uint256)"](persona_2, nft.address, target_1, {from: persona_owner});
+				});
+				describe("when AI Personality within the range is linked with NFT 2", function() {
+					beforeEach(async function() {
+						await linker.methods["link(uint96,address,uint256)"](persona_1, nft2.address, target_2, {from: persona_owner});
+						await persona.setApprovalForAll(linker.address, true, {from: nft_owner});
+					});
+					it("relinking it to NFT 1 fails", async function() {
+						await expectRevert(
+							linker.relink(recordId, nft.address, target_1, {from: nft_owner}),
+							"incompatible NFT contract"
+						);
+					});
+					it("unlinking it succeeds", async function() {
+						await linker.unlink(recordId, {from: nft_owner});
+					});
+				});
+				describe("when another rule for the same range is added for NFT 1", function() {
+					beforeEach(async function() {
+						await linker.addCompatibilityRule(persona.address, persona_1, persona_1, nft.address, {from: a0});
+					});
+					it("AI Personality within both ranges becomes compatible with NFT 1", async function() {
+						expect(await linker.isCompatible(persona_1, nft.address)).to.be.true;
+					});
+					it("AI Personality within both ranges remains compatible with NFT 2", async function() {
+						expect(await linker.isCompatible(persona_1, nft2.address)).to.be.true;
+					});
+					it("AI Personality within first range only remains incompatible with NFT 1", async function() {
+						expect(await linker.isCompatible(persona_1.addn(1), nft.address)).to.be.false;
+					});
+				});
+			});
+		});
+		describe("removing compatibility rule", function() {
+			beforeEach(async function() {
+				await linker.addCompatibilityRule(persona.address, persona_1, persona_1.add(range_size), nft2.address, {from: a0});
+				await linker.addCompatibilityRule(persona.address, persona_2, persona_2.add(range_size), nft2.address, {from: a0});
+			});
+			it("fails if rule doesn't exist", async function() {
+				await expectRevert(linker.removeCompatibilityRule(2, {from: a0}), "invalid index");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.removeCompatibilityRule(0, {from: a0});
+				});
+				it("compatibility rules counter decreases", async function() {
+					expect(await linker.getCompatibilityRulesCount()).to.be.bignumber.that.equals("1");
+				});
+				it("last rule takes the place of the rule removed", async function() {
+					expect((await linker.compatibilityRules(0)).personalityIdFrom).to.be.bignumber.that.equals(persona_2);
+				});
+				it('"CompatibilityRuleRemoved" event is emitted', async function() {
+					expectEvent(receipt, "CompatibilityRuleRemoved", {
+						_by: a0,
+						_personalityContract: persona.address,
+						_personalityIdFrom: persona_1,
+						_personalityIdTo: persona_1.add(range_size),
+						_targetContract: nft2.address,
+					});
+				});
+				it("AI Personality within the removed range becomes compatible with NFT 1", async function() {
+					expect(await linker.isCompatible(persona_1, nft.address)).to.be.true;
+				});
+				it("AI Personality within the remaining range remains incompatible with NFT 1", async function() {
+					expect(await linker.isCompatible(persona_2, nft.address)).to.be.false;
+				});
+			});
+		});
+	});
+	describe("multiple AI Personality contracts", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const persona_id = new BN(1_000);
+		const target_1 = random_bn(1_000_000, 1_000_000_000);
+		const target_2 = random_bn(1_000_000, 1_000_000_000);
+		const recordId = NEXT_ID;
+		let persona2, ali, persona, iNft, linker;
+		beforeEach(async function() {
+			persona2 = await persona_deploy(a0);
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await persona.mint(persona_owner, persona_id, {from: a0});
+			await persona2.mint(persona_owner, persona_id, {from: a0});
+			await persona.setApprovalForAll(linker.address, true, {from: persona_owner});
+			await persona2.setApprovalForAll(linker.address, true, {from: persona_owner});
+			await nft.mint(nft_owner, target_1, {from: a0});
+			await nft.mint(nft_owner, target_2, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_UNLINKING | FEATURE_RELINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+		});
+		// link function with an explicit AI Personality contract (overloaded)
+		async function link(personalityContract, personalityId, targetContract, targetId, txParams) {
+			return await linker.methods["link(address,uint96,address,uint256)"](
+				personalityContract,
+				personalityId,
+				targetContract,
+				targetId,
+				txParams
+			);
+		}
+
+		it("default AI Personality contract is allowed", async function() {
+			expect(await linker.isPersonalityContractAllowed(persona.address)).to.be.true;
+		});
+		it("another AI Personality contract is not registered", async function() {
+			expect(await linker.registeredPersonalityContracts(persona2.address)).to.be.false;
+		});
+		it("another AI Personality contract is not allowed", async function() {
+			expect(await linker.isPersonalityContractAllowed(persona2.address)).to.be.false;
+		});
+		it("linking from the default AI Personality contract succeeds", async function() {
+			const receipt = await link(persona.address, persona_id, nft.address, target_1, {from: persona_owner});
+			expectEvent(receipt, "Linked", {
+				_by: persona_owner,
+				_iNftId: recordId,
+				_personalityContract: persona.address,
+				_personalityId: persona_id,
+				_targetContract: nft.address,
+				_targetId: target_1,
+			});
+		});
+		it("linking from another AI Personality contract fails", async function() {
+			await expectRevert(
+				link(persona2.address, persona_id, nft.address, target_1, {from: persona_owner}),
+				"not a registered AI Personality contract"
+			);
+		});
+		describe("registering AI Personality contract", function() {
+			it("fails if AI Personality contract is not set", async function() {
+				await expectRevert(linker.registerPersonalityContract(ZERO_ADDRESS, true, {from: a0}), "zero address");
+			});
+			it("fails if AI Personality contract is not ERC721", async function() {
+				await expectRevert(
+					linker.registerPersonalityContract(ali.address, true, {from: a0}),
+					"unexpected AI Personality type"
+				);
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.registerPersonalityContract(persona2.address, true, {from: a0});
+				});
+				it("AI Personality contract becomes registered", async function() {
+					expect(await linker.registeredPersonalityContracts(persona2.address)).to.be.true;
+				});
+				it("AI Personality contract becomes allowed", async function() {
+					expect(await linker.isPersonalityContractAllowed(persona2.address)).to.be.true;
+				});
+				it('"PersonalityContractRegistered" event is emitted', async function() {
+					expectEvent(receipt, "PersonalityContractRegistered", {
+						_by: a0,
+						_personalityContract: persona2.address,
+						_registered: true,
+					});
+				});
+				it("linking from the default AI Personality contract still succeeds", async function() {
+					await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_1, {from: persona_owner});
+				});
+				describe("linking from the registered AI Personality contract succeeds", function() {
+					let receipt;
+					beforeEach(async function() {
+						receipt = await link(persona2.address, persona_id, nft.address, target_2, {from: persona_owner});
+					});
+					it("AI Personality gets locked in the iNFT", async function() {
+						expect(await persona2.ownerOf(persona_id)).to.equal(iNft.address);
+					});
+					it("iNFT binding contains the registered AI Personality contract", async function() {
+						expect((await iNft.bindings(recordId)).personalityContract).to.equal(persona2.address);
+					});
+					it('"Linked" event is emitted', async function() {
+						expectEvent(receipt, "Linked", {
+							_by: persona_owner,
+							_iNftId: recordId,
+							_personalityContract: persona2.address,
+							_personalityId: persona_id,
+							_targetContract: nft.address,
+							_targetId: target_2,
+						});
+					});
+					describe("when AI Personality contract gets deregistered", function() {
+						let receipt;
+						beforeEach(async function() {
+							receipt = await linker.registerPersonalityContract(persona2.address, false, {from: a0});
+						});
+						it("AI Personality contract becomes not registered", async function() {
+							expect(await linker.registeredPersonalityContracts(persona2.address)).to.be.false;
+						});
+						it("AI Personality contract becomes not allowed", async function() {
+							expect(await linker.isPersonalityContractAllowed(persona2.address)).to.be.false;
+						});
+						it('"PersonalityContractRegistered" event is emitted', async function() {
+							expectEvent(receipt, "PersonalityContractRegistered", {
+								_by: a0,
+								_personalityContract: persona2.address,
+								_registered: false,
+							});
+						});
+						it("unlinking the iNFT succeeds and releases the AI Personality", async function() {
+							await linker.unlink(recordId, {from: nft_owner});
+							expect(await persona2.ownerOf(persona_id)).to.equal(nft_owner);
+						});
+						it("unlinking the NFT succeeds and releases the AI Personality", async function() {
+							await linker.unlinkNFT(nft.address, target_2, {from: nft_owner});
+							expect(await persona2.ownerOf(persona_id)).to.equal(nft_owner);
+						});
+						it("relinking the iNFT fails", async function() {
+							await persona2.setApprovalForAll(linker.address, true, {from: nft_owner});
+							await expectRevert(
+								linker.relink(recordId, nft.address, target_1, {from: nft_owner}),
+								"not a registered AI Personality contract"
+							);
+						});
+						it("linking from the deregistered AI Personality contract fails", async function() {
+							await linker.unlink(recordId, {from: nft_owner});
+							await persona2.setApprovalForAll(linker.address, true, {from: nft_owner});
+							await expectRevert(
+								link(persona2.address, persona_id, nft.address, target_2, {from: nft_owner}),
+								"not a registered AI Personality contract"
+							);
+						});
+					});
+				});
+			});
+		});
+		describe("compatibility rules are evaluated per AI Personality contract", function() {
+			beforeEach(async function() {
+				await linker.registerPersonalityContract(persona2.address, true, {from: a0});
+				await linker.addCompatibilityRule(persona2.address, persona_id, persona_id, persona2.address, {from: a0});
+			});
+			it("AI Personality from the restricted contract is incompatible", async function() {
+				expect(await linker.isCompatible(persona2.address, persona_id, nft.address)).to.be.false;
+			});
+			it("AI Personality with the same ID from the default contract is compatible", async function() {
+				expect(await linker.isCompatible(persona_id, nft.address)).to.be.true;
+			});
+			it("linking AI Personality from the restricted contract fails", async function() {
+				await expectRevert(
+					link(persona2.address, persona_id, nft.address, target_1, {from: persona_owner}),
+					"incompatible NFT contract"
+				);
+			});
+			it("linking AI Personality with the same ID from the default contract succeeds", async function() {
+				await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_1, {from: persona_owner});
+			});
+		});
+	});
+	describe("linking with signature (EIP-712)", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const relayer = a3;
+		const fee_destination = a4;
+		const persona_id = new BN(1_000);
+		const target_id = random_bn(1_000_000, 1_000_000_000);
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+		const recordId = NEXT_ID;
+		let ali, persona, iNft, linker;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await persona.mint(persona_owner, persona_id, {from: a0});
+			await persona.approve(linker.address, persona_id, {from: persona_owner});
+			await ali.transfer(persona_owner, link_price, {from: a0});
+			await ali.approve(linker.address, link_price, {from: persona_owner});
+			await nft.mint(nft_owner, target_id, {from: a0});
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_LINKING_WITH_SIG | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+		});
+
+		// signs the link authorization and submits it via the relayer
+		async function link_with_sig(
+			signer = persona_owner,
+			nonce = 0,
+			deadline,
+			signed_target_id = target_id,
+			max_link_price = link_price,
+			personality = persona
+		) {
+			deadline = deadline || await default_deadline(60);
+			const signature = await sign_link(
+				linker.address,
+				signer,
+				personality.address,
+				persona_id,
+				nft.address,
+				signed_target_id,
+				max_link_price,
+				nonce,
+				deadline
+			);
+			return await linker.linkWithSig(
+				personality.address,
+				persona_id,
+				nft.address,
+				target_id,
+				max_link_price,
+				deadline,
+				nonce,
+				signature,
+				{from: relayer}
+			);
+		}
+
+		it("domain separator is as expected", async function() {
+			const chain_id = await web3.eth.getChainId();
+			const domain_separator = web3.utils.keccak256(web3.eth.abi.encodeParameters(
+				["bytes32", "bytes32", "uint256", "address"],
+				[await linker.DOMAIN_TYPEHASH(), web3.utils.keccak256("IntelliLinker"), chain_id, linker.address]
+			));
+			expect(await linker.DOMAIN_SEPARATOR()).to.equal(domain_separator);
+		});
+		it("link authorization typeHash is as expected", async function() {
+			expect(await linker.LINK_TYPEHASH()).to.equal(web3.utils.keccak256(
+				"Link(address personalityContract,uint96 personalityId,address targetContract,uint256 targetId,"
+				+ "uint96 maxLinkPrice,uint256 nonce,uint256 deadline)"
+			));
+		});
+		it("AI Personality owner nonce is zero", async function() {
+			expect(await linker.nonces(persona_owner)).to.be.bignumber.that.equals("0");
+		});
+		it("fails if FEATURE_LINKING_WITH_SIG is disabled", async function() {
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+			await expectRevert(link_with_sig(), "linking with signature is disabled");
+		});
+		it("fails if FEATURE_LINKING is disabled", async function() {
+			await linker.updateFeatures(FEATURE_LINKING_WITH_SIG | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+			await expectRevert(link_with_sig(), "linking is disabled");
+		});
+		it("fails if signature is expired", async function() {
+			await expectRevert(link_with_sig(persona_owner, 0, await default_deadline(0)), "signature expired");
+		});
+		it("fails if signed not by AI Personality owner", async function() {
+			await expectRevert(link_with_sig(relayer), "invalid signature");
+		});
+		it("fails if signed message doesn't match the one submitted", async function() {
+			await expectRevert(link_with_sig(persona_owner, 0, 0, target_id.addn(1)), "invalid signature");
+		});
+		it("fails if nonce is invalid", async function() {
+			await expectRevert(link_with_sig(persona_owner, 1), "invalid nonce");
+		});
+		it("fails if linking price exceeds the maximum authorized", async function() {
+			await expectRevert(
+				link_with_sig(persona_owner, 0, 0, target_id, link_price.subn(1)),
+				"linking price exceeds the maximum"
+			);
+		});
+		it("fails if linking price increases after the authorization is signed", async function() {
+			await linker.updateLinkPrice(link_price.addn(1), link_fee, fee_destination, {from: a0});
+			await expectRevert(link_with_sig(), "linking price exceeds the maximum");
+		});
+		it("fails if signed maximum linking price doesn't match the one submitted", async function() {
+			const deadline = await default_deadline(60);
+			const signature = await sign_link(
+				linker.address, persona_owner, persona.address, persona_id, nft.address, target_id, link_price, 0, deadline
+			);
+			await expectRevert(
+				linker.linkWithSig(
+					persona.address, persona_id, nft.address, target_id, link_price.addn(1), deadline, 0, signature, {from: relayer}
+				),
+				"invalid signature"
+			);
+		});
+		describe("with the registered AI Personality contract", function() {
+			let persona2;
+			beforeEach(async function() {
+				persona2 = await persona_deploy(a0);
+				await persona2.mint(persona_owner, persona_id, {from: a0});
+				await persona2.approve(linker.address, persona_id, {from: persona_owner});
+			});
+			it("fails if AI Personality contract is not registered", async function() {
+				await expectRevert(
+					link_with_sig(persona_owner, 0, 0, target_id, link_price, persona2),
+					"not a registered AI Personality contract"
+				);
+			});
+			it("succeeds if AI Personality contract is registered", async function() {
+				await linker.registerPersonalityContract(persona2.address, true, {from: a0});
+				await link_with_sig(persona_owner, 0, 0, target_id, link_price, persona2);
+				expect(await persona2.ownerOf(persona_id)).to.equal(iNft.address);
+			});
+		});
+		describe("succeeds otherwise", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await link_with_sig();
+			});
+			it("iNFT gets created", async function() {
+				expect(await iNft.exists(recordId)).to.be.true;
+			});
+			it("AI Personality gets locked in the iNFT", async function() {
+				expect(await persona.ownerOf(persona_id)).to.equal(iNft.address);
+			});
+			it("iNFT is bound to the target NFT", async function() {
+				expect(await iNft.ownerOf(recordId)).to.equal(nft_owner);
+			});
+			it("AI Personality owner nonce increases by one", async function() {
+				expect(await linker.nonces(persona_owner)).to.be.bignumber.that.equals("1");
+			});
+			it("linking price is paid by the AI Personality owner", async function() {
+				expect(await ali.balanceOf(persona_owner)).to.be.bignumber.that.equals("0");
+			});
+			it("linking fee is sent to the treasury", async function() {
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee);
+			});
+			it("relayer doesn't pay anything", async function() {
+				expect(await ali.balanceOf(relayer)).to.be.bignumber.that.equals("0");
+			});
+			it('"Linked" event is emitted', async function() {
+				expectEvent(receipt, "Linked", {
+					_by: persona_owner,
+					_iNftId: recordId,
+					_linkPrice: link_price,
+					_linkFee: link_fee,
+					_personalityContract: persona.address,
+					_personalityId: persona_id,
+					_targetContract: nft.address,
+					_targetId: target_id,
+				});
+			});
+			it("replaying the signature fails", async function() {
+				await expectRevert(link_with_sig(), "invalid signature");
+			});
+		});
+	});
+	describe("linking and depositing with ALI permit (EIP-2612)", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const fee_destination = a4;
+		const persona_id = new BN(1_000);
+		const target_id = random_bn(1_000_000, 1_000_000_000);
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+		const deposit_value = link_price.muln(2).divn(3);
+		const deposit_fee = deposit_value.mul(link_fee).div(link_price);
+		const recordId = NEXT_ID;
+		let ali, persona, iNft, linker;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await persona.mint(persona_owner, persona_id, {from: a0});
+			await persona.approve(linker.address, persona_id, {from: persona_owner});
+			await ali.transfer(persona_owner, link_price.add(deposit_value), {from: a0});
+			await nft.mint(nft_owner, target_id, {from: a0});
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_DEPOSITS | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+		});
+
+		// signs ALI permit for the linker and links with it
+		async function link_with_permit(permit_value = link_price) {
+			const deadline = await default_deadline(60);
+			const {v, r, s} = await sign_permit(ali, persona_owner, linker.address, permit_value, deadline);
+			return await linker.linkWithPermit(
+				persona.address,
+				persona_id,
+				nft.address,
+				target_id,
+				deadline,
+				v,
+				r,
+				s,
+				{from: persona_owner}
+			);
+		}
+		// signs ALI permit for the linker and deposits with it
+		async function deposit_with_permit(permit_value = deposit_value) {
+			const deadline = await default_deadline(60);
+			const {v, r, s} = await sign_permit(ali, nft_owner, linker.address, permit_value, deadline);
+			return await linker.depositWithPermit(recordId, deposit_value, deadline, v, r, s, {from: nft_owner});
+		}
+
+		it("linking without ALI approval fails", async function() {
+			await expectRevert(
+				linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner}),
+				"transfer amount exceeds allowance"
+			);
+		});
+		it("linking with permit fails if FEATURE_LINKING is disabled", async function() {
+			await linker.updateFeatures(FEATURE_DEPOSITS | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+			await expectRevert(link_with_permit(), "linking is disabled");
+		});
+		it("linking with permit fails if permit is signed for another value", async function() {
+			await expectRevert.unspecified(link_with_permit(link_price.subn(1)));
+		});
+		it("linking with permit succeeds if the permit was already used (front-run)", async function() {
+			const deadline = await default_deadline(60);
+			const {v, r, s} = await sign_permit(ali, persona_owner, linker.address, link_price, deadline);
+			await ali.permit(persona_owner, linker.address, link_price, deadline, v, r, s, {from: a3});
+			await linker.linkWithPermit(persona.address, persona_id, nft.address, target_id, deadline, v, r, s, {from: persona_owner});
+			expect(await iNft.exists(recordId)).to.be.true;
+		});
+		it("linking with permit fails if the permit was already used and the allowance was spent", async function() {
+			const deadline = await default_deadline(60);
+			const {v, r, s} = await sign_permit(ali, persona_owner, linker.address, link_price, deadline);
+			await ali.permit(persona_owner, linker.address, link_price, deadline, v, r, s, {from: a3});
+			await ali.approve(linker.address, 0, {from: persona_owner});
+			await expectRevert(
+				linker.linkWithPermit(persona.address, persona_id, nft.address, target_id, deadline, v, r, s, {from: persona_owner}),
+				"permit failed"
+			);
+		});
+		describe("linking with permit succeeds otherwise", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await link_with_permit();
+			});
+			it("iNFT gets created", async function() {
+				expect(await iNft.exists(recordId)).to.be.true;
+			});
+			it("AI Personality gets locked in the iNFT", async function() {
+				expect(await persona.ownerOf(persona_id)).to.equal(iNft.address);
+			});
+			it("linking fee is sent to the treasury", async function() {
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee);
+			});
+			it("ALI tokens get locked in the iNFT", async function() {
+				expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(link_price.sub(link_fee));
+			});
+			it("AI Personality owner balance decreases by the linking price", async function() {
+				expect(await ali.balanceOf(persona_owner)).to.be.bignumber.that.equals(deposit_value);
+			});
+			it("permitted allowance is fully spent", async function() {
+				expect(await ali.allowance(persona_owner, linker.address)).to.be.bignumber.that.equals("0");
+			});
+			it('"Linked" event is emitted', async function() {
+				expectEvent(receipt, "Linked", {
+					_by: persona_owner,
+					_iNftId: recordId,
+					_linkPrice: link_price,
+					_linkFee: link_fee,
+					_personalityContract: persona.address,
+					_personalityId: persona_id,
+					_targetContract: nft.address,
+					_targetId: target_id,
+				});
+			});
+			describe("depositing with permit", function() {
+				beforeEach(async function() {
+					await ali.transfer(nft_owner, deposit_value, {from: persona_owner});
+				});
+				it("fails if FEATURE_DEPOSITS is disabled", async function() {
+					await linker.updateFeatures(FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+					await expectRevert(deposit_with_permit(), "deposits are disabled");
+				});
+				it("fails if permit is signed for another value", async function() {
+					await expectRevert.unspecified(deposit_with_permit(deposit_value.subn(1)));
+				});
+				it("succeeds if the permit was already used (front-run)", async function() {
+					const deadline = await default_deadline(60);
+					const {v, r, s} = await sign_permit(ali, nft_owner, linker.address, deposit_value, deadline);
+					await ali.permit(nft_owner, linker.address, deposit_value, deadline, v, r, s, {from: a3});
+					await linker.depositWithPermit(recordId, deposit_value, deadline, v, r, s, {from: nft_owner});
+					expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals("0");
+				});
+				describe("succeeds otherwise", function() {
+					let receipt;
+					beforeEach(async function() {
+						receipt = await deposit_with_permit();
+					});
+					it("deposit fee is sent to the treasury", async function() {
+						expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee.add(deposit_fee));
+					});
+					it("ALI tokens get locked in the iNFT", async function() {
+						expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(
+							link_price.sub(link_fee).add(deposit_value).sub(deposit_fee)
+						);
+					});
+					it("iNFT owner balance decreases by the deposit value", async function() {
+						expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals("0");
+					});
+					it('"LinkUpdated" event is emitted', async function() {
+						expectEvent(receipt, "LinkUpdated", {
+							_by: nft_owner,
+							_iNftId: recordId,
+							_aliDelta: deposit_value.sub(deposit_fee),
+							_feeValue: deposit_fee,
+						});
+					});
+				});
+			});
+		});
+	});
+	describe("linking and depositing with ALI transferAndCall (ERC-1363)", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const fee_destination = a4;
+		const persona_id = new BN(1_000);
+		const target_id = random_bn(1_000_000, 1_000_000_000);
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+		const deposit_value = link_price.muln(2).divn(3);
+		const deposit_fee = deposit_value.mul(link_fee).div(link_price);
+		const recordId = NEXT_ID;
+		let ali, persona, iNft, linker;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await persona.mint(persona_owner, persona_id, {from: a0});
+			await persona.approve(linker.address, persona_id, {from: persona_owner});
+			await ali.transfer(persona_owner, link_price, {from: a0});
+			await ali.transfer(nft_owner, deposit_value, {from: a0});
+			await nft.mint(nft_owner, target_id, {from: a0});
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_DEPOSITS | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+		});
+
+		// ABI encoded link call
+		function link_data() {
+			return linker.contract.methods["link(address,uint96,address,uint256)"](
+				persona.address,
+				persona_id,
+				nft.address,
+				target_id
+			).encodeABI();
+		}
+		// ABI encoded deposit call
+		function deposit_data(value = deposit_value) {
+			return linker.contract.methods.deposit(recordId, value).encodeABI();
+		}
+		// sends ALI tokens to the linker with transferAndCall (ERC-1363)
+		async function transfer_and_call(token, from, value, data) {
+			return await token.methods["transferAndCall(address,uint256,bytes)"](linker.address, value, data, {from});
+		}
+		// sends ALI tokens of the sender to the linker with transferFromAndCall (ERC-1363), executed by the operator
+		async function transfer_from_and_call(from, operator, value, data) {
+			await ali.approve(operator, value, {from});
+			return await ali.methods["transferFromAndCall(address,address,uint256,bytes)"](
+				from,
+				linker.address,
+				value,
+				data,
+				{from: operator}
+			);
+		}
+
+		it("direct callback execution fails", async function() {
+			await expectRevert(
+				linker.onTransferReceived(persona_owner, persona_owner, link_price, link_data(), {from: persona_owner}),
+				"not an ALI token"
+			);
+		});
+		it("callback from the token other than ALI fails", async function() {
+			const token = await ali_erc20_deploy(a0);
+			await expectRevert(transfer_and_call(token, a0, link_price, link_data()), "not an ALI token");
+		});
+		it("unsupported operation fails", async function() {
+			await expectRevert(
+				transfer_and_call(ali, persona_owner, link_price, linker.contract.methods.unlink(recordId).encodeABI()),
+				"unsupported operation"
+			);
+		});
+		it("empty data fails", async function() {
+			await expectRevert(transfer_and_call(ali, persona_owner, link_price, "0x"), "unsupported operation");
+		});
+		it("linking fails if value doesn't match linking price", async function() {
+			await expectRevert(transfer_and_call(ali, persona_owner, link_price.subn(1), link_data()), "value mismatch");
+		});
+		it("linking fails if FEATURE_LINKING is disabled", async function() {
+			await linker.updateFeatures(FEATURE_DEPOSITS | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+			await expectRevert(transfer_and_call(ali, persona_owner, link_price, link_data()), "linking is disabled");
+		});
+		it("linking fails if AI Personality doesn't belong to ALI sender", async function() {
+			await ali.transfer(nft_owner, link_price, {from: a0});
+			await expectRevert(transfer_and_call(ali, nft_owner, link_price, link_data()), "access denied");
+		});
+		it("linking fails if AI Personality belongs to ALI sender, but not to the operator", async function() {
+			await expectRevert(transfer_from_and_call(persona_owner, nft_owner, link_price, link_data()), "access denied");
+		});
+		describe("linking succeeds if AI Personality belongs to the operator, ALI sender being different", function() {
+			let receipt;
+			beforeEach(async function() {
+				await ali.transfer(nft_owner, link_price, {from: a0});
+				receipt = await transfer_from_and_call(nft_owner, persona_owner, link_price, link_data());
+			});
+			it("iNFT gets created", async function() {
+				expect(await iNft.exists(recordId)).to.be.true;
+			});
+			it("linking price is paid by the ALI sender", async function() {
+				expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals(deposit_value);
+			});
+			it('"Linked" event is emitted by the operator', async function() {
+				await expectEvent.inTransaction(receipt.tx, linker, "Linked", {
+					_by: persona_owner,
+					_iNftId: recordId,
+				});
+			});
+		});
+		describe("linking succeeds otherwise", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await transfer_and_call(ali, persona_owner, link_price, link_data());
+			});
+			it("iNFT gets created", async function() {
+				expect(await iNft.exists(recordId)).to.be.true;
+			});
+			it("AI Personality gets locked in the iNFT", async function() {
+				expect(await persona.ownerOf(persona_id)).to.equal(iNft.address);
+			});
+			it("linking fee is sent to the treasury", async function() {
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee);
+			});
+			it("ALI tokens get locked in the iNFT", async function() {
+				expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(link_price.sub(link_fee));
+			});
+			it("no ALI tokens remain on the linker", async function() {
+				expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals("0");
+			});
+			it('"Linked" event is emitted', async function() {
+				await expectEvent.inTransaction(receipt.tx, linker, "Linked", {
+					_by: persona_owner,
+					_iNftId: recordId,
+					_linkPrice: link_price,
+					_linkFee: link_fee,
+					_personalityContract: persona.address,
+					_personalityId: persona_id,
+					_targetContract: nft.address,
+					_targetId: target_id,
+				});
+			});
+			it("depositing fails if value doesn't match the encoded one", async function() {
+				await expectRevert(
+					transfer_and_call(ali, nft_owner, deposit_value, deposit_data(deposit_value.subn(1))),
+					"value mismatch"
+				);
+			});
+			it("depositing fails if FEATURE_DEPOSITS is disabled", async function() {
+				await linker.updateFeatures(FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+				await expectRevert(transfer_and_call(ali, nft_owner, deposit_value, deposit_data()), "deposits are disabled");
+			});
+			it("depositing fails if iNFT doesn't belong to ALI sender", async function() {
+				await ali.transfer(persona_owner, deposit_value, {from: a0});
+				await expectRevert(
+					transfer_and_call(ali, persona_owner, deposit_value, deposit_data()),
+					"not an iNFT owner"
+				);
+			});
+			it("depositing fails if iNFT belongs to ALI sender, but not to the operator", async function() {
+				await expectRevert(
+					transfer_from_and_call(nft_owner, persona_owner, deposit_value, deposit_data()),
+					"not an iNFT owner"
+				);
+			});
+			describe("depositing succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await transfer_and_call(ali, nft_owner, deposit_value, deposit_data());
+				});
+				it("deposit fee is sent to the treasury", async function() {
+					expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee.add(deposit_fee));
+				});
+				it("ALI tokens get locked in the iNFT", async function() {
+					expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(
+						link_price.sub(link_fee).add(deposit_value).sub(deposit_fee)
+					);
+				});
+				it("no ALI tokens remain on the linker", async function() {
+					expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals("0");
+				});
+				it('"LinkUpdated" event is emitted', async function() {
+					await expectEvent.inTransaction(receipt.tx, linker, "LinkUpdated", {
+						_by: nft_owner,
+						_iNftId: recordId,
+						_aliDelta: deposit_value.sub(deposit_fee),
+						_feeValue: deposit_fee,
+					});
+				});
+			});
+		});
+	});
+	describe("per-collection linking price", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const collection_treasury = a3;
+		const fee_destination = a4;
+		const persona_1 = new BN(1_000);
+		const persona_2 = new BN(2_000);
+		const target_1 = random_bn(1_000_000, 1_000_000_000);
+		const target_2 = random_bn(1_000_000, 1_000_000_000);
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+		const collection_price = link_price.divn(2);
+		const collection_fee = link_fee.divn(4);
+		const recordId = NEXT_ID;
+		let nft2, ali, persona, iNft, linker;
+		beforeEach(async function() {
+			nft2 = await ai_protocol_erc721_deploy(a0);
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await persona.mint(persona_owner, persona_1, {from: a0});
+			await persona.mint(persona_owner, persona_2, {from: a0});
+			await persona.setApprovalForAll(linker.address, true, {from: persona_owner});
+			await ali.transfer(persona_owner, link_price.muln(2), {from: a0});
+			await ali.approve(linker.address, link_price.muln(2), {from: persona_owner});
+			await nft.mint(nft_owner, target_1, {from: a0});
+			await nft2.mint(nft_owner, target_2, {from: a0});
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+			await linker.updateFeatures(
+				FEATURE_LINKING | FEATURE_DEPOSITS | FEATURE_WITHDRAWALS | FEATURE_ALLOW_ANY_NFT_CONTRACT,
+				{from: a0}
+			);
+		});
+
+		// verifies the effective linking price, fee, and treasury for the target NFT contract
+		async function expect_link_price(target_contract, price, fee, treasury) {
+			const {_linkPrice, _linkFee, _feeDestination} = await linker.getLinkPrice(target_contract);
+			expect(_linkPrice, "linkPrice").to.be.bignumber.that.equals(price);
+			expect(_linkFee, "linkFee").to.be.bignumber.that.equals(fee);
+			expect(_feeDestination, "feeDestination").to.equal(treasury);
+		}
+
+		it("effective linking price falls back to the global one", async function() {
+			await expect_link_price(nft.address, link_price, link_fee, fee_destination);
+		});
+		describe("setting collection linking price", function() {
+			const low_value = 1e12 - 1;
+			it("fails if target NFT contract is not set", async function() {
+				await expectRevert(
+					linker.updateCollectionLinkPrice(ZERO_ADDRESS, collection_price, collection_fee, collection_treasury, true, {from: a0}),
+					"zero address"
+				);
+			});
+			it("fails if linking price is too low", async function() {
+				await expectRevert(
+					linker.updateCollectionLinkPrice(nft.address, low_value, 0, ZERO_ADDRESS, true, {from: a0}),
+					"invalid price"
+				);
+			});
+			it("fails if linking fee is too low", async function() {
+				await expectRevert(
+					linker.updateCollectionLinkPrice(nft.address, collection_price, low_value, collection_treasury, true, {from: a0}),
+					"invalid linking fee/treasury"
+				);
+			});
+			it("fails if fee is set while treasury is not set", async function() {
+				await expectRevert(
+					linker.updateCollectionLinkPrice(nft.address, collection_price, collection_fee, ZERO_ADDRESS, true, {from: a0}),
+					"invalid linking fee/treasury"
+				);
+			});
+			it("fails if linking fee exceeds linking price", async function() {
+				await expectRevert(
+					linker.updateCollectionLinkPrice(nft.address, collection_fee, collection_price, collection_treasury, true, {from: a0}),
+					"linking fee exceeds linking price"
+				);
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.updateCollectionLinkPrice(
+						nft.address,
+						collection_price,
+						collection_fee,
+						collection_treasury,
+						true,
+						{from: a0}
+					);
+				});
+				it("collection linking price override is stored", async function() {
+					const {linkPrice, linkFee, feeDestination, enabled} = await linker.collectionLinkPrices(nft.address);
+					expect(linkPrice, "linkPrice").to.be.bignumber.that.equals(collection_price);
+					expect(linkFee, "linkFee").to.be.bignumber.that.equals(collection_fee);
+					expect(feeDestination, "feeDestination").to.equal(collection_treasury);
+					expect(enabled, "enabled").to.be.true;
+				});
+				it('"CollectionLinkPriceChanged" event is emitted', async function() {
+					expectEvent(receipt, "CollectionLinkPriceChanged", {
+						_by: a0,
+						_targetContract: nft.address,
+						_linkPrice: collection_price,
+						_linkFee: collection_fee,
+						_feeDestination: collection_treasury,
+						_enabled: true,
+					});
+				});
+				it("effective linking price for the collection is overridden", async function() {
+					await expect_link_price(nft.address, collection_price, collection_fee, collection_treasury);
+				});
+				it("effective linking price for another collection remains global", async function() {
+					await expect_link_price(nft2.address, link_price, link_fee, fee_destination);
+				});
+				it("global linking price remains unchanged", async function() {
+					expect(await linker.linkPrice()).to.be.bignumber.that.equals(link_price);
+				});
+				describe("linking to the collection charges the overridden price", function() {
+					let receipt;
+					beforeEach(async function() {
+						receipt = await linker.methods["link(uint96,address,uint256)"](persona_1, nft.address, target_1, {from: persona_owner});
+					});
+					it("linking fee is sent to the collection treasury", async function() {
+						expect(await ali.balanceOf(collection_treasury)).to.be.bignumber.that.equals(collection_fee);
+					});
+					it("global treasury doesn't receive anything", async function() {
+						expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals("0");
+					});
+					it("ALI tokens get locked in the iNFT", async function() {
+						expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(collection_price.sub(collection_fee));
+					});
+					it('"Linked" event reports the overridden price and fee', async function() {
+						expectEvent(receipt, "Linked", {
+							_by: persona_owner,
+							_iNftId: recordId,
+							_linkPrice: collection_price,
+							_linkFee: collection_fee,
+						});
+					});
+					describe("depositing into the iNFT charges the overridden fee percent", function() {
+						const deposit_value = collection_price;
+						const deposit_fee = deposit_value.mul(collection_fee).div(collection_price);
+						let receipt;
+						beforeEach(async function() {
+							await ali.transfer(nft_owner, deposit_value, {from: a0});
+							await ali.approve(linker.address, deposit_value, {from: nft_owner});
+							receipt = await linker.methods["deposit(uint256,uint96)"](recordId, deposit_value, {from: nft_owner});
+						});
+						it("deposit fee is sent to the collection treasury", async function() {
+							expect(await ali.balanceOf(collection_treasury)).to.be.bignumber.that.equals(collection_fee.add(deposit_fee));
+						});
+						it('"LinkUpdated" event is emitted', async function() {
+							expectEvent(receipt, "LinkUpdated", {
+								_by: nft_owner,
+								_iNftId: recordId,
+								_aliDelta: deposit_value.sub(deposit_fee),
+								_feeValue: deposit_fee,
+							});
+						});
+						describe("withdrawing from the iNFT respects the overridden price", function() {
+							let withdrawable;
+							beforeEach(async function() {
+								withdrawable = (await iNft.lockedValue(recordId)).sub(collection_price);
+							});
+							it("withdrawing more than allowed fails", async function() {
+								await expectRevert(
+									linker.withdraw(recordId, withdrawable.addn(1), {from: nft_owner}),
+									"deposit too low"
+								);
+							});
+							it("withdrawing the allowed amount succeeds", async function() {
+								await linker.withdraw(recordId, withdrawable, {from: nft_owner});
+							});
+						});
+					});
+				});
+				describe("linking to another collection charges the global price", function() {
+					let receipt;
+					beforeEach(async function() {
+						receipt = await linker.methods["link(uint96,address,uint256)"](persona_2, nft2.address, target_2, {from: persona_owner});
+					});
+					it("linking fee is sent to the global treasury", async function() {
+						expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee);
+					});
+					it('"Linked" event reports the global price and fee', async function() {
+						expectEvent(receipt, "Linked", {
+							_linkPrice: link_price,
+							_linkFee: link_fee,
+						});
+					});
+				});
+				describe("removing collection linking price", function() {
+					let receipt;
+					beforeEach(async function() {
+						receipt = await linker.updateCollectionLinkPrice(nft.address, 0, 0, ZERO_ADDRESS, false, {from: a0});
+					});
+					it("collection linking price override is erased", async function() {
+						expect((await linker.collectionLinkPrices(nft.address)).enabled).to.be.false;
+					});
+					it('"CollectionLinkPriceChanged" event is emitted', async function() {
+						expectEvent(receipt, "CollectionLinkPriceChanged", {
+							_by: a0,
+							_targetContract: nft.address,
+							_linkPrice: "0",
+							_linkFee: "0",
+							_feeDestination: ZERO_ADDRESS,
+							_enabled: false,
+						});
+					});
+					it("effective linking price falls back to the global one", async function() {
+						await expect_link_price(nft.address, link_price, link_fee, fee_destination);
+					});
+				});
+			});
+			describe("succeeds if linking is made free for the collection", function() {
+				beforeEach(async function() {
+					await linker.updateCollectionLinkPrice(nft.address, 0, 0, ZERO_ADDRESS, true, {from: a0});
+				});
+				it("effective linking price for the collection is zero", async function() {
+					await expect_link_price(nft.address, new BN(0), new BN(0), ZERO_ADDRESS);
+				});
+				it("linking to the collection doesn't charge anything", async function() {
+					await linker.methods["link(uint96,address,uint256)"](persona_1, nft.address, target_1, {from: persona_owner});
+					expect(await ali.balanceOf(persona_owner)).to.be.bignumber.that.equals(link_price.muln(2));
+				});
+			});
+		});
+	});
+	describe("unlinking (destruction) fee", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const unlink_treasury = a3;
+		const persona_id = new BN(1_000);
+		const target_id = random_bn(1_000_000, 1_000_000_000);
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const unlink_fee = link_price.divn(10);
+		const unlink_fee_share = new BN(2_500);
+		const recordId = NEXT_ID;
+		let ali, persona, iNft, linker;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await persona.mint(persona_owner, persona_id, {from: a0});
+			await persona.approve(linker.address, persona_id, {from: persona_owner});
+			await ali.transfer(persona_owner, link_price, {from: a0});
+			await ali.approve(linker.address, link_price, {from: persona_owner});
+			await nft.mint(nft_owner, target_id, {from: a0});
+			await linker.updateLinkPrice(link_price, 0, ZERO_ADDRESS, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_UNLINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+			await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+		});
+
+		it("unlinking fee is not set initially", async function() {
+			expect(await linker.unlinkFee(), "unlinkFee").to.be.bignumber.that.equals("0");
+			expect(await linker.unlinkFeeShare(), "unlinkFeeShare").to.be.bignumber.that.equals("0");
+			expect(await linker.unlinkFeeDestination(), "unlinkFeeDestination").to.equal(ZERO_ADDRESS);
+		});
+		describe("updating unlinking fee", function() {
+			it("fails if both fixed fee and fee share are set", async function() {
+				await expectRevert(
+					linker.updateUnlinkFee(unlink_fee, unlink_fee_share, unlink_treasury, {from: a0}),
+					"both fixed fee and fee share are set"
+				);
+			});
+			it("fails if fixed fee is too low", async function() {
+				await expectRevert(
+					linker.updateUnlinkFee(1e12 - 1, 0, unlink_treasury, {from: a0}),
+					"invalid unlinking fee"
+				);
+			});
+			it("fails if fee share exceeds 100%", async function() {
+				await expectRevert(
+					linker.updateUnlinkFee(0, 10_001, unlink_treasury, {from: a0}),
+					"invalid unlinking fee share"
+				);
+			});
+			it("fails if fee is set while treasury is not set", async function() {
+				await expectRevert(
+					linker.updateUnlinkFee(unlink_fee, 0, ZERO_ADDRESS, {from: a0}),
+					"invalid unlinking fee/treasury"
+				);
+			});
+			it("fails if fee is not set while treasury is set", async function() {
+				await expectRevert(
+					linker.updateUnlinkFee(0, 0, unlink_treasury, {from: a0}),
+					"invalid unlinking fee/treasury"
+				);
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.updateUnlinkFee(unlink_fee, 0, unlink_treasury, {from: a0});
+				});
+				it("fixed unlinking fee is set as expected", async function() {
+					expect(await linker.unlinkFee()).to.be.bignumber.that.equals(unlink_fee);
+				});
+				it("unlinking fee treasury is set as expected", async function() {
+					expect(await linker.unlinkFeeDestination()).to.equal(unlink_treasury);
+				});
+				it('"UnlinkFeeChanged" event is emitted', async function() {
+					expectEvent(receipt, "UnlinkFeeChanged", {
+						_by: a0,
+						_unlinkFee: unlink_fee,
+						_unlinkFeeShare: "0",
+						_feeDestination: unlink_treasury,
+					});
+				});
+			});
+		});
+
+		function unlink_charges(fee, unlink_fn) {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await unlink_fn();
+			});
+			it("iNFT gets destroyed", async function() {
+				expect(await iNft.exists(recordId)).to.be.false;
+			});
+			it("unlinking fee is sent to the treasury", async function() {
+				expect(await ali.balanceOf(unlink_treasury)).to.be.bignumber.that.equals(fee());
+			});
+			it("remaining ALI tokens are sent to the NFT owner", async function() {
+				expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals(link_price.sub(fee()));
+			});
+			if(fee().isZero()) {
+				it('"UnlinkFeeCharged" event is not emitted', async function() {
+					expectEvent.notEmitted(receipt, "UnlinkFeeCharged");
+				});
+			}
+			else {
+				it('"UnlinkFeeCharged" event is emitted', async function() {
+					expectEvent(receipt, "UnlinkFeeCharged", {
+						_by: nft_owner,
+						_iNftId: recordId,
+						_unlinkFee: fee(),
+						_feeDestination: unlink_treasury,
+					});
+				});
+			}
+			it('"Unlinked" event is emitted', async function() {
+				expectEvent(receipt, "Unlinked", {
+					_by: nft_owner,
+					_iNftId: recordId,
+				});
+			});
+		}
+		async function unlink() {
+			return await linker.unlink(recordId, {from: nft_owner});
+		}
+		async function unlinkNFT() {
+			return await linker.unlinkNFT(nft.address, target_id, {from: nft_owner});
+		}
+
+		describe("when unlinking fee is not set", function() {
+			describe("unlink() doesn't charge the fee", function() {
+				unlink_charges(() => new BN(0), unlink);
+			});
+		});
+		describe("when fixed unlinking fee is set", function() {
+			beforeEach(async function() {
+				await linker.updateUnlinkFee(unlink_fee, 0, unlink_treasury, {from: a0});
+			});
+			describe("unlink() charges the fixed fee", function() {
+				unlink_charges(() => unlink_fee, unlink);
+			});
+			describe("unlinkNFT() charges the fixed fee", function() {
+				unlink_charges(() => unlink_fee, unlinkNFT);
+			});
+		});
+		describe("when fixed unlinking fee exceeds the value locked", function() {
+			beforeEach(async function() {
+				await linker.updateUnlinkFee(link_price.muln(2), 0, unlink_treasury, {from: a0});
+			});
+			describe("unlink() charges the value locked", function() {
+				unlink_charges(() => link_price, unlink);
+			});
+		});
+		describe("when unlinking fee share is set", function() {
+			beforeEach(async function() {
+				await linker.updateUnlinkFee(0, unlink_fee_share, unlink_treasury, {from: a0});
+			});
+			describe("unlink() charges the share of the value locked", function() {
+				unlink_charges(() => link_price.mul(unlink_fee_share).divn(10_000), unlink);
+			});
+			describe("unlinkNFT() charges the share of the value locked", function() {
+				unlink_charges(() => link_price.mul(unlink_fee_share).divn(10_000), unlinkNFT);
+			});
+		});
+		describe("when fixed unlinking fee is set and charged through the shared fee path", function() {
+			const collection_treasury = a4;
+			beforeEach(async function() {
+				await linker.updateUnlinkFee(unlink_fee, 0, unlink_treasury, {from: a0});
+			});
+			it("unlinking fee is sent to the unlinking fee treasury even if collection specific treasury is set", async function() {
+				await linker.updateCollectionLinkPrice(nft.address, link_price, unlink_fee, collection_treasury, true, {from: a0});
+				const receipt = await unlink();
+				expect(await ali.balanceOf(unlink_treasury)).to.be.bignumber.that.equals(unlink_fee);
+				expect(await ali.balanceOf(collection_treasury)).to.be.bignumber.that.equals("0");
+				expectEvent(receipt, "UnlinkFeeCharged", {_unlinkFee: unlink_fee, _feeDestination: unlink_treasury});
+			});
+			it("unlinking fee is charged even if collection specific price is zero", async function() {
+				await linker.updateCollectionLinkPrice(nft.address, 0, 0, ZERO_ADDRESS, true, {from: a0});
+				const receipt = await unlink();
+				expect(await ali.balanceOf(unlink_treasury)).to.be.bignumber.that.equals(unlink_fee);
+				expectEvent(receipt, "UnlinkFeeCharged", {_unlinkFee: unlink_fee, _feeDestination: unlink_treasury});
+			});
+			it("unlinking fee is split according to the collection specific fee split table", async function() {
+				await linker.updateCollectionFeeSplit(nft.address, [collection_treasury], [2_500], true, {from: a0});
+				const receipt = await unlink();
+				const share = unlink_fee.divn(4);
+				expect(await ali.balanceOf(collection_treasury)).to.be.bignumber.that.equals(share);
+				expect(await ali.balanceOf(unlink_treasury)).to.be.bignumber.that.equals(unlink_fee.sub(share));
+				expectEvent(receipt, "FeeShareCharged", {_recipient: collection_treasury, _value: share});
+			});
+			it("unlinking fee is split according to the fee split table", async function() {
+				await linker.updateFeeSplit([collection_treasury], [5_000], {from: a0});
+				const receipt = await unlink();
+				const share = unlink_fee.divn(2);
+				expect(await ali.balanceOf(collection_treasury)).to.be.bignumber.that.equals(share);
+				expect(await ali.balanceOf(unlink_treasury)).to.be.bignumber.that.equals(unlink_fee.sub(share));
+				expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals(link_price.sub(unlink_fee));
+				expectEvent(receipt, "FeeShareCharged", {_recipient: collection_treasury, _value: share});
+			});
+			it("unlinking fee is accrued if FEATURE_FEE_ACCRUAL is enabled", async function() {
+				await linker.updateFeatures(FEATURE_UNLINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT | FEATURE_FEE_ACCRUAL, {from: a0});
+				const receipt = await unlink();
+				expect(await linker.accruedFees(unlink_treasury)).to.be.bignumber.that.equals(unlink_fee);
+				expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals(unlink_fee);
+				expect(await ali.balanceOf(unlink_treasury)).to.be.bignumber.that.equals("0");
+				expectEvent(receipt, "FeeAccrued", {_feeDestination: unlink_treasury, _fee: unlink_fee});
+			});
+		});
+	});
+	describe("withdrawal fee", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const fee_destination = a4;
+		const persona_id = new BN(1_000);
+		const target_id = random_bn(1_000_000, 1_000_000_000);
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+		const deposit_value = link_price.muln(2);
+		const withdrawal_fee = new BN(500);
+		const recordId = NEXT_ID;
+		let ali, persona, iNft, linker;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await persona.mint(persona_owner, persona_id, {from: a0});
+			await persona.approve(linker.address, persona_id, {from: persona_owner});
+			await ali.transfer(persona_owner, link_price, {from: a0});
+			await ali.approve(linker.address, link_price, {from: persona_owner});
+			await nft.mint(nft_owner, target_id, {from: a0});
+			await linker.updateFeatures(
+				FEATURE_LINKING | FEATURE_DEPOSITS | FEATURE_WITHDRAWALS | FEATURE_ALLOW_ANY_NFT_CONTRACT,
+				{from: a0}
+			);
+			await linker.updateLinkPrice(link_price, 0, ZERO_ADDRESS, {from: a0});
+			await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+			await ali.transfer(nft_owner, deposit_value, {from: a0});
+			await ali.approve(linker.address, deposit_value, {from: nft_owner});
+			await linker.methods["deposit(uint256,uint96)"](recordId, deposit_value, {from: nft_owner});
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+		});
+
+		it("withdrawal fee is not set initially", async function() {
+			expect(await linker.withdrawalFee()).to.be.bignumber.that.equals("0");
+		});
+		describe("updating withdrawal fee", function() {
+			it("fails if withdrawal fee exceeds 100%", async function() {
+				await expectRevert(linker.updateWithdrawalFee(10_001, {from: a0}), "invalid withdrawal fee");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.updateWithdrawalFee(withdrawal_fee, {from: a0});
+				});
+				it("withdrawal fee is set as expected", async function() {
+					expect(await linker.withdrawalFee()).to.be.bignumber.that.equals(withdrawal_fee);
+				});
+				it('"WithdrawalFeeChanged" event is emitted', async function() {
+					expectEvent(receipt, "WithdrawalFeeChanged", {
+						_by: a0,
+						_withdrawalFee: withdrawal_fee,
+					});
+				});
+			});
+		});
+
+		function withdraw_charges(withdraw_value, fee) {
+			let locked_before, receipt;
+			beforeEach(async function() {
+				locked_before = await iNft.lockedValue(recordId);
+				receipt = await linker.withdraw(recordId, withdraw_value, {from: nft_owner});
+			});
+			it("iNFT locked value decreases by the value withdrawn", async function() {
+				expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(locked_before.sub(withdraw_value));
+			});
+			it("withdrawal fee is sent to the treasury", async function() {
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(fee);
+			});
+			it("the rest is sent to the iNFT owner", async function() {
+				expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals(withdraw_value.sub(fee));
+			});
+			it('"LinkUpdated" event reports the withdrawal fee', async function() {
+				expectEvent(receipt, "LinkUpdated", {
+					_by: nft_owner,
+					_iNftId: recordId,
+					_aliDelta: withdraw_value.neg(),
+					_feeValue: fee,
+				});
+			});
+		}
+
+		describe("when withdrawal fee is not set", function() {
+			describe("withdrawal doesn't charge the fee", function() {
+				withdraw_charges(deposit_value, new BN(0));
+			});
+		});
+		describe("when withdrawal fee is set", function() {
+			beforeEach(async function() {
+				await linker.updateWithdrawalFee(withdrawal_fee, {from: a0});
+			});
+			describe("withdrawal charges the fee", function() {
+				withdraw_charges(deposit_value, deposit_value.mul(withdrawal_fee).divn(10_000));
+			});
+			it("withdrawal fails if iNFT locked balance goes below the linking price", async function() {
+				await expectRevert(
+					linker.withdraw(recordId, deposit_value.addn(1), {from: nft_owner}),
+					"deposit too low"
+				);
+			});
+			describe("when treasury is not set", function() {
+				beforeEach(async function() {
+					await linker.updateLinkPrice(link_price, 0, ZERO_ADDRESS, {from: a0});
+				});
+				describe("withdrawal doesn't charge the fee", function() {
+					withdraw_charges(deposit_value, new BN(0));
+				});
+			});
+			it("withdrawal fee is accrued if FEATURE_FEE_ACCRUAL is enabled", async function() {
+				await linker.updateFeatures(
+					FEATURE_LINKING | FEATURE_DEPOSITS | FEATURE_WITHDRAWALS | FEATURE_ALLOW_ANY_NFT_CONTRACT | FEATURE_FEE_ACCRUAL,
+					{from: a0}
+				);
+				const fee = deposit_value.mul(withdrawal_fee).divn(10_000);
+				const receipt = await linker.withdraw(recordId, deposit_value, {from: nft_owner});
+				expectEvent(receipt, "FeeAccrued", {_feeDestination: fee_destination, _fee: fee});
+				expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(fee);
+				expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals(fee);
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals("0");
+			});
+			it("withdrawal fee is split according to the fee split table", async function() {
+				const partner = a3;
+				await linker.updateFeeSplit([partner], [5_000], {from: a0});
+				const fee = deposit_value.mul(withdrawal_fee).divn(10_000);
+				await linker.withdraw(recordId, deposit_value, {from: nft_owner});
+				expect(await ali.balanceOf(partner)).to.be.bignumber.that.equals(fee.divn(2));
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(fee.sub(fee.divn(2)));
+			});
+		});
+	});
+
+	describe("batch linking, unlinking and deposits", function() {
+		const nft_owner = a1;
+		const fee_destination = a4;
+		const n = 3;
+		const persona_ids = [...Array(n * 2).keys()].map(i => new BN(1_000 + i));
+		const target_ids = [...Array(n * 2).keys()].map(i => new BN(1_000_000 + i));
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+		const deposit_value = link_price;
+		let ali, persona, iNft, linker;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			for(let i = 0; i < persona_ids.length; i++) {
+				await persona.mint(nft_owner, persona_ids[i], {from: a0});
+				await nft.mint(nft_owner, target_ids[i], {from: a0});
+			}
+			await persona.setApprovalForAll(linker.address, true, {from: nft_owner});
+			await ali.transfer(nft_owner, link_price.add(deposit_value).muln(n * 2), {from: a0});
+			await ali.approve(linker.address, MAX_UINT256, {from: nft_owner});
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+			await linker.updateFeatures(
+				FEATURE_LINKING | FEATURE_UNLINKING | FEATURE_DEPOSITS | FEATURE_ALLOW_ANY_NFT_CONTRACT,
+				{from: a0}
+			);
+		});
+
+		function link_batch(ids = persona_ids.slice(0, n), targets = target_ids.slice(0, n), by = nft_owner) {
+			return linker.linkBatch(persona.address, ids, ids.map(() => nft.address), targets, {from: by});
+		}
+
+		describe("linking in batch", function() {
+			it("fails if arrays length mismatch", async function() {
+				await expectRevert(
+					linker.linkBatch(persona.address, persona_ids.slice(0, n), [nft.address], target_ids.slice(0, n), {from: nft_owner}),
+					"arrays length mismatch"
+				);
+			});
+			it("fails if linking is disabled", async function() {
+				await linker.updateFeatures(FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+				await expectRevert(link_batch(), "linking is disabled");
+			});
+			it("fails if any of the AI Personalities doesn't belong to the sender", async function() {
+				await persona.transferFrom(nft_owner, a2, persona_ids[n - 1], {from: nft_owner});
+				await expectRevert(link_batch(), "access denied");
+			});
+			it("fails if any of the NFT contracts is not whitelisted", async function() {
+				await linker.updateFeatures(FEATURE_LINKING, {from: a0});
+				await expectRevert(link_batch(), "not a whitelisted NFT contract");
+			});
+			describe("succeeds otherwise", function() {
+				let ali_before, receipt;
+				beforeEach(async function() {
+					ali_before = await ali.balanceOf(nft_owner);
+					receipt = await link_batch();
+				});
+				it("all the iNFTs are minted", async function() {
+					for(let i = 0; i < n; i++) {
+						expect(await iNft.ownerOf(NEXT_ID.addn(i)), "iNFT " + i).to.equal(nft_owner);
+					}
+				});
+				it("all the AI Personalities are locked", async function() {
+					for(let i = 0; i < n; i++) {
+						expect(await persona.ownerOf(persona_ids[i]), "persona " + i).to.equal(iNft.address);
+					}
+				});
+				it("linking price is charged for each iNFT", async function() {
+					expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals(ali_before.sub(link_price.muln(n)));
+				});
+				it("linking fee is sent to the treasury for each iNFT", async function() {
+					expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee.muln(n));
+				});
+				it("the rest is locked in the iNFTs", async function() {
+					for(let i = 0; i < n; i++) {
+						expect(await iNft.lockedValue(NEXT_ID.addn(i)), "iNFT " + i).to.be.bignumber.that.equals(link_price.sub(link_fee));
+					}
+				});
+				it('"Linked" event is emitted for each iNFT', async function() {
+					for(let i = 0; i < n; i++) {
+						expectEvent(receipt, "Linked", {
+							_by: nft_owner,
+							_iNftId: NEXT_ID.addn(i),
+							_linkPrice: link_price,
+							_linkFee: link_fee,
+							_personalityContract: persona.address,
+							_personalityId: persona_ids[i],
+							_targetContract: nft.address,
+							_targetId: target_ids[i],
+						});
+					}
+				});
+				it("ALI tokens transfers are aggregated", async function() {
+					const transfers = (await ali.getPastEvents("Transfer", {
+						fromBlock: receipt.receipt.blockNumber,
+						toBlock: receipt.receipt.blockNumber,
+					})).filter(e => e.transactionHash === receipt.tx);
+					expect(transfers.length).to.equal(2);
+				});
+			});
+			it("gas usage is lower than when linking one by one", async function() {
+				let gas = 0;
+				for(let i = 0; i < n; i++) {
+					gas += extract_gas(await linker.methods["link(uint96,address,uint256)"](persona_ids[n + i], nft.address, target_ids[n + i], {from: nft_owner}));
+				}
+				expect_gas(await link_batch(), gas);
+			});
+		});
+
+		describe("when iNFTs are linked", function() {
+			const iNft_ids = [...Array(n).keys()].map(i => NEXT_ID.addn(i));
+			beforeEach(async function() {
+				await link_batch();
+			});
+
+			describe("depositing in batch", function() {
+				const deposit_values = iNft_ids.map(() => deposit_value);
+				const deposit_fee = deposit_value.mul(link_fee).div(link_price);
+				it("fails if arrays length mismatch", async function() {
+					await expectRevert(
+						linker.depositBatch(iNft_ids, [deposit_value], {from: nft_owner}),
+						"arrays length mismatch"
+					);
+				});
+				it("fails if deposits are disabled", async function() {
+					await linker.updateFeatures(FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+					await expectRevert(linker.depositBatch(iNft_ids, deposit_values, {from: nft_owner}), "deposits are disabled");
+				});
+				it("fails if any of the iNFTs doesn't belong to the sender", async function() {
+					await nft.transferFrom(nft_owner, a2, target_ids[n - 1], {from: nft_owner});
+					await expectRevert(linker.depositBatch(iNft_ids, deposit_values, {from: nft_owner}), "not an iNFT owner");
+				});
+				describe("succeeds otherwise", function() {
+					let fee_before, receipt;
+					beforeEach(async function() {
+						fee_before = await ali.balanceOf(fee_destination);
+						receipt = await linker.depositBatch(iNft_ids, deposit_values, {from: nft_owner});
+					});
+					it("iNFTs locked values increase", async function() {
+						for(let i = 0; i < n; i++) {
+							expect(await iNft.lockedValue(iNft_ids[i]), "iNFT " + i).to.be.bignumber
+								.that.equals(link_price.sub(link_fee).add(deposit_value).sub(deposit_fee));
+						}
+					});
+					it("fee is sent to the treasury for each deposit", async function() {
+						expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(fee_before.add(deposit_fee.muln(n)));
+					});
+					it('"LinkUpdated" event is emitted for each iNFT', async function() {
+						for(let i = 0; i < n; i++) {
+							expectEvent(receipt, "LinkUpdated", {
+								_by: nft_owner,
+								_iNftId: iNft_ids[i],
+								_aliDelta: deposit_value.sub(deposit_fee),
+								_feeValue: deposit_fee,
+							});
+						}
+					});
+				});
+				it("gas usage is lower than when depositing one by one", async function() {
+					let gas = 0;
+					for(let i = 0; i < n; i++) {
+						gas += extract_gas(await linker.methods["deposit(uint256,uint96)"](iNft_ids[i], deposit_value, {from: nft_owner}));
+					}
+					expect_gas(await linker.depositBatch(iNft_ids, deposit_values, {from: nft_owner}), gas);
+				});
+			});
+
+			describe("unlinking in batch", function() {
+				it("fails if unlinking is disabled", async function() {
+					await linker.updateFeatures(FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+					await expectRevert(linker.unlinkBatch(iNft_ids, {from: nft_owner}), "unlinking is disabled");
+				});
+				it("fails if any of the iNFTs doesn't belong to the sender", async function() {
+					await nft.transferFrom(nft_owner, a2, target_ids[n - 1], {from: nft_owner});
+					await expectRevert(linker.unlinkBatch(iNft_ids, {from: nft_owner}), "not an iNFT owner");
+				});
+				describe("succeeds otherwise", function() {
+					let receipt;
+					beforeEach(async function() {
+						receipt = await linker.unlinkBatch(iNft_ids, {from: nft_owner});
+					});
+					it("all the iNFTs are destroyed", async function() {
+						for(let i = 0; i < n; i++) {
+							expect(await iNft.exists(iNft_ids[i]), "iNFT " + i).to.be.false;
+						}
+					});
+					it("all the AI Personalities are returned to the owner", async function() {
+						for(let i = 0; i < n; i++) {
+							expect(await persona.ownerOf(persona_ids[i]), "persona " + i).to.equal(nft_owner);
+						}
+					});
+					it('"Unlinked" event is emitted for each iNFT', async function() {
+						for(let i = 0; i < n; i++) {
+							expectEvent(receipt, "Unlinked", {
+								_by: nft_owner,
+								_iNftId: iNft_ids[i],
+							});
+						}
+					});
+				});
+			});
+		});
+	});
+
+	describe("delegation registry", function() {
+		const vault = a1;
+		const hot_wallet = a2;
+		const persona_owner = a3;
+		const persona_id = new BN(1_000);
+		const target_id = random_bn(1_000_000, 1_000_000_000);
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const deposit_value = link_price;
+		const recordId = NEXT_ID;
+		let ali, persona, iNft, linker, registry;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			registry = await delegation_registry_deploy(a0);
+			await persona.mint(persona_owner, persona_id, {from: a0});
+			await persona.approve(linker.address, persona_id, {from: persona_owner});
+			await ali.transfer(persona_owner, link_price, {from: a0});
+			await ali.approve(linker.address, link_price, {from: persona_owner});
+			await nft.mint(vault, target_id, {from: a0});
+			await linker.updateFeatures(
+				FEATURE_LINKING | FEATURE_UNLINKING | FEATURE_DEPOSITS | FEATURE_WITHDRAWALS | FEATURE_ALLOW_ANY_NFT_CONTRACT,
+				{from: a0}
+			);
+			await linker.updateLinkPrice(link_price, 0, ZERO_ADDRESS, {from: a0});
+			await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+			await ali.transfer(hot_wallet, deposit_value, {from: a0});
+			await ali.approve(linker.address, deposit_value, {from: hot_wallet});
+		});
+
+		it("delegation registry is not set initially", async function() {
+			expect(await linker.delegationRegistry()).to.equal(ZERO_ADDRESS);
+		});
+		it("delegate is not recognized when delegation registry is not set", async function() {
+			await registry.delegateForAll(hot_wallet, true, {from: vault});
+			expect(await linker.isDelegate(nft.address, target_id, hot_wallet)).to.be.false;
+		});
+
+		describe("when delegation registry is set", function() {
+			beforeEach(async function() {
+				await linker.updateDelegationRegistry(registry.address, {from: a0});
+			});
+			it("non-delegated address is not recognized as delegate", async function() {
+				expect(await linker.isDelegate(nft.address, target_id, hot_wallet)).to.be.false;
+			});
+			it("unlinkNFT by non-delegated address fails", async function() {
+				await expectRevert(linker.unlinkNFT(nft.address, target_id, {from: hot_wallet}), "not an NFT owner");
+			});
+			it("deposit by non-delegated address fails", async function() {
+				await expectRevert(linker.methods["deposit(uint256,uint96)"](recordId, deposit_value, {from: hot_wallet}), "not an iNFT owner");
+			});
+			it("withdrawal by non-delegated address fails", async function() {
+				await expectRevert(linker.withdraw(recordId, 0, {from: hot_wallet}), "not an iNFT owner");
+			});
+			it("vault level delegation is recognized", async function() {
+				await registry.delegateForAll(hot_wallet, true, {from: vault});
+				expect(await linker.isDelegate(nft.address, target_id, hot_wallet)).to.be.true;
+			});
+			it("delegation for another token is not recognized", async function() {
+				await registry.delegateForToken(hot_wallet, nft.address, target_id.addn(1), true, {from: vault});
+				expect(await linker.isDelegate(nft.address, target_id, hot_wallet)).to.be.false;
+			});
+
+			describe("when hot wallet is delegated for the target NFT", function() {
+				beforeEach(async function() {
+					await registry.delegateForToken(hot_wallet, nft.address, target_id, true, {from: vault});
+				});
+				it("delegate is recognized", async function() {
+					expect(await linker.isDelegate(nft.address, target_id, hot_wallet)).to.be.true;
+				});
+				it("delegation doesn't survive the NFT transfer", async function() {
+					await nft.transferFrom(vault, a4, target_id, {from: vault});
+					expect(await linker.isDelegate(nft.address, target_id, hot_wallet)).to.be.false;
+				});
+				describe("unlinkNFT by the delegate succeeds", function() {
+					let receipt;
+					beforeEach(async function() {
+						receipt = await linker.unlinkNFT(nft.address, target_id, {from: hot_wallet});
+					});
+					it("AI Personality is sent to the vault", async function() {
+						expect(await persona.ownerOf(persona_id)).to.equal(vault);
+					});
+					it("ALI tokens are sent to the vault", async function() {
+						expect(await ali.balanceOf(vault)).to.be.bignumber.that.equals(link_price);
+					});
+					it('"Unlinked" event is emitted', async function() {
+						expectEvent(receipt, "Unlinked", {
+							_by: hot_wallet,
+							_iNftId: recordId,
+						});
+					});
+				});
+				describe("deposit and withdrawal by the delegate succeed", function() {
+					let receipt;
+					beforeEach(async function() {
+						await linker.methods["deposit(uint256,uint96)"](recordId, deposit_value, {from: hot_wallet});
+						receipt = await linker.withdraw(recordId, deposit_value, {from: hot_wallet});
+					});
+					it("ALI tokens are charged from the delegate", async function() {
+						expect(await ali.balanceOf(hot_wallet)).to.be.bignumber.that.equals("0");
+					});
+					it("ALI tokens withdrawn are sent to the vault", async function() {
+						expect(await ali.balanceOf(vault)).to.be.bignumber.that.equals(deposit_value);
+					});
+					it('"LinkUpdated" event is emitted', async function() {
+						expectEvent(receipt, "LinkUpdated", {
+							_by: hot_wallet,
+							_iNftId: recordId,
+							_aliDelta: deposit_value.neg(),
+						});
+					});
+				});
+			});
+		});
+	});
+
+	describe("target NFT owner consent", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const persona_id = new BN(1_000);
+		const target_id = random_bn(1_000_000, 1_000_000_000);
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const recordId = NEXT_ID;
+		let ali, persona, iNft, linker;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await persona.mint(persona_owner, persona_id, {from: a0});
+			await persona.approve(linker.address, persona_id, {from: persona_owner});
+			await ali.transfer(persona_owner, link_price, {from: a0});
+			await ali.approve(linker.address, link_price, {from: persona_owner});
+			await nft.mint(nft_owner, target_id, {from: a0});
+			await linker.updateFeatures(
+				FEATURE_LINKING | FEATURE_TARGET_OWNER_CONSENT | FEATURE_ALLOW_ANY_NFT_CONTRACT,
+				{from: a0}
+			);
+		});
+
+		async function linkWithConsent(signer = nft_owner, sender = persona_owner, nonce = 0, deadline) {
+			deadline = deadline || await default_deadline(60);
+			const signature = await sign_consent(
+				linker.address,
+				signer,
+				persona_owner,
+				persona.address,
+				persona_id,
+				nft.address,
+				target_id,
+				nonce,
+				deadline
+			);
+			return await linker.linkWithConsent(
+				persona.address,
+				persona_id,
+				nft.address,
+				target_id,
+				deadline,
+				nonce,
+				signature,
+				{from: sender}
+			);
+		}
+
+		it("linking to the NFT owned by someone else fails", async function() {
+			await expectRevert(
+				linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner}),
+				"no target NFT owner consent"
+			);
+		});
+		it("linking to the NFT owned succeeds", async function() {
+			await nft.transferFrom(nft_owner, persona_owner, target_id, {from: nft_owner});
+			await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+			expect(await iNft.exists(recordId)).to.be.true;
+		});
+		it("linking with consent fails if the consent is signed not by the NFT owner", async function() {
+			await expectRevert(linkWithConsent(a3), "invalid signature");
+		});
+		it("linking with consent fails if the consent is used by another sender", async function() {
+			await expectRevert(linkWithConsent(nft_owner, a3), "invalid signature");
+		});
+		it("linking with consent fails if the consent is expired", async function() {
+			const deadline = await default_deadline(-1);
+			await expectRevert(linkWithConsent(nft_owner, persona_owner, 0, deadline), "signature expired");
+		});
+		it("linking with consent fails if the nonce is invalid", async function() {
+			await expectRevert(linkWithConsent(nft_owner, persona_owner, 1), "invalid nonce");
+		});
+		describe("linking with consent succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await linkWithConsent();
+			});
+			it("iNFT gets created", async function() {
+				expect(await iNft.exists(recordId)).to.be.true;
+			});
+			it("owner of iNFT is the NFT owner", async function() {
+				expect(await iNft.ownerOf(recordId)).to.equal(nft_owner);
+			});
+			it("NFT owner nonce increases", async function() {
+				expect(await linker.nonces(nft_owner)).to.be.bignumber.that.equals("1");
+			});
+			describe("relinking", function() {
+				const target_id2 = target_id.addn(1);
+				const features = FEATURE_LINKING | FEATURE_RELINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT;
+				beforeEach(async function() {
+					await linker.updateFeatures(features | FEATURE_TARGET_OWNER_CONSENT, {from: a0});
+					await persona.setApprovalForAll(linker.address, true, {from: nft_owner});
+				});
+				it("to the NFT owned by someone else fails", async function() {
+					await nft.mint(a3, target_id2, {from: a0});
+					await expectRevert(
+						linker.relink(recordId, nft.address, target_id2, {from: nft_owner}),
+						"no target NFT owner consent"
+					);
+				});
+				it("to the NFT owned by someone else succeeds if FEATURE_TARGET_OWNER_CONSENT is disabled", async function() {
+					await nft.mint(a3, target_id2, {from: a0});
+					await linker.updateFeatures(features, {from: a0});
+					await linker.relink(recordId, nft.address, target_id2, {from: nft_owner});
+					expect(await iNft.reverseBindings(nft.address, target_id2)).to.be.bignumber.that.equals(recordId.addn(1));
+				});
+				it("to the NFT owned succeeds", async function() {
+					await nft.mint(nft_owner, target_id2, {from: a0});
+					await linker.relink(recordId, nft.address, target_id2, {from: nft_owner});
+					expect(await iNft.reverseBindings(nft.address, target_id2)).to.be.bignumber.that.equals(recordId.addn(1));
+				});
+			});
+			it('"Linked" event is emitted', async function() {
+				expectEvent(receipt, "Linked", {
+					_by: persona_owner,
+					_iNftId: recordId,
+					_personalityContract: persona.address,
+					_personalityId: persona_id,
+					_targetContract: nft.address,
+					_targetId: target_id,
+				});
+			});
+		});
+	});
+
+	describe("orphaned iNFT recovery", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const recipient = a3;
+		const persona_id = new BN(1_000);
+		const target_id = random_bn(1_000_000, 1_000_000_000);
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const recordId = NEXT_ID;
+		let ali, persona, iNft, linker, burnable_nft;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			burnable_nft = await burnable_short_erc721_deploy(a0);
+			await persona.mint(persona_owner, persona_id, {from: a0});
+			await persona.approve(linker.address, persona_id, {from: persona_owner});
+			await ali.transfer(persona_owner, link_price, {from: a0});
+			await ali.approve(linker.address, link_price, {from: persona_owner});
+			await burnable_nft.mint(nft_owner, target_id, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_UNLINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+			await linker.updateLinkPrice(link_price, 0, ZERO_ADDRESS, {from: a0});
+			await linker.methods["link(uint96,address,uint256)"](persona_id, burnable_nft.address, target_id, {from: persona_owner});
+		});
+
+		it("non-existent iNFT is not orphaned", async function() {
+			expect(await linker.isOrphaned(recordId.addn(1))).to.be.false;
+		});
+		it("iNFT bound to the existing NFT is not orphaned", async function() {
+			expect(await linker.isOrphaned(recordId)).to.be.false;
+		});
+		it("recovery of the iNFT which is not orphaned fails", async function() {
+			await expectRevert(linker.recover(recordId, recipient, {from: a0}), "iNFT is not orphaned");
+		});
+
+		describe("when target NFT is burnt", function() {
+			beforeEach(async function() {
+				await burnable_nft.burn(target_id, {from: nft_owner});
+			});
+			it("iNFT is orphaned", async function() {
+				expect(await linker.isOrphaned(recordId)).to.be.true;
+			});
+			it("unlinking the iNFT fails", async function() {
+				await expectRevert.unspecified(linker.unlink(recordId, {from: nft_owner}));
+			});
+			it("recovery to the zero address fails", async function() {
+				await expectRevert(linker.recover(recordId, ZERO_ADDRESS, {from: a0}), "zero address");
+			});
+			describe("recovery succeeds", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.recover(recordId, recipient, {from: a0});
+				});
+				it("ALI tokens locked are sent to the recipient", async function() {
+					expect(await ali.balanceOf(recipient)).to.be.bignumber.that.equals(link_price);
+				});
+				it("iNFT locked value becomes zero", async function() {
+					expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals("0");
+				});
+				it("AI Personality remains locked in the iNFT (IntelligentNFTv2 can't burn it)", async function() {
+					expect(await persona.ownerOf(persona_id)).to.equal(iNft.address);
+				});
+				it('"Recovered" event is emitted', async function() {
+					expectEvent(receipt, "Recovered", {
+						_by: a0,
+						_iNftId: recordId,
+						_recipient: recipient,
+						_aliValue: link_price,
+						_personalityContract: persona.address,
+						_personalityId: persona_id,
+						_targetContract: burnable_nft.address,
+						_targetId: target_id,
+					});
+				});
+				it("iNFT is marked as recovered", async function() {
+					expect(await linker.recoveredINfts(recordId)).to.be.true;
+				});
+				it("iNFT is not orphaned anymore", async function() {
+					expect(await linker.isOrphaned(recordId)).to.be.false;
+				});
+				it("repeated recovery fails", async function() {
+					await expectRevert(linker.recover(recordId, recipient, {from: a0}), "iNFT is already recovered");
+				});
+				it("unlinking the iNFT fails", async function() {
+					await expectRevert(linker.unlink(recordId, {from: nft_owner}), "iNFT is recovered");
+				});
+				describe("when target NFT is minted back", function() {
+					beforeEach(async function() {
+						await burnable_nft.mint(nft_owner, target_id, {from: a0});
+					});
+					it("iNFT is not orphaned", async function() {
+						expect(await linker.isOrphaned(recordId)).to.be.false;
+					});
+					it("unlinking the iNFT fails", async function() {
+						await expectRevert(linker.unlink(recordId, {from: nft_owner}), "iNFT is recovered");
+					});
+					it("unlinking the NFT fails", async function() {
+						await expectRevert(
+							linker.unlinkNFT(burnable_nft.address, target_id, {from: nft_owner}),
+							"iNFT is recovered"
+						);
+					});
+					it("relinking the iNFT fails", async function() {
+						await linker.updateFeatures(FEATURE_RELINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+						await expectRevert(
+							linker.relink(recordId, nft.address, target_id, {from: nft_owner}),
+							"iNFT is recovered"
+						);
+					});
+					it("depositing into the iNFT fails", async function() {
+						await linker.updateFeatures(FEATURE_DEPOSITS, {from: a0});
+						await expectRevert(
+							linker.methods["deposit(uint256,uint96)"](recordId, 1, {from: nft_owner}),
+							"iNFT is recovered"
+						);
+					});
+				});
+			});
+		});
+	});
+
+	describe("target NFT deny list", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const persona_id = new BN(1_000);
+		const target_id = random_bn(1_000_000, 1_000_000_000);
+		const other_id = target_id.addn(1);
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const recordId = NEXT_ID;
+		const features = FEATURE_LINKING | FEATURE_DEPOSITS | FEATURE_RELINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT;
+		let ali, persona, iNft, linker;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await persona.mint(persona_owner, persona_id, {from: a0});
+			await persona.approve(linker.address, persona_id, {from: persona_owner});
+			await ali.transfer(persona_owner, link_price, {from: a0});
+			await ali.approve(linker.address, link_price, {from: persona_owner});
+			await nft.mint(nft_owner, target_id, {from: a0});
+			await nft.mint(nft_owner, other_id, {from: a0});
+			await linker.updateFeatures(features, {from: a0});
+			await linker.updateLinkPrice(link_price, 0, ZERO_ADDRESS, {from: a0});
+		});
+		async function link() {
+			return await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+		}
+
+		it("target NFT is allowed for linking by default", async function() {
+			expect(await linker.isTargetNftAllowedForLinking(nft.address, target_id)).to.be.true;
+		});
+		it("denying the zero address NFT contract fails", async function() {
+			await expectRevert(linker.denyTargetNft(ZERO_ADDRESS, target_id, true, false, {from: a0}), "zero address");
+		});
+		it("bulk denying fails if arrays length mismatch", async function() {
+			await expectRevert(
+				linker.denyTargetNfts([nft.address, nft.address], [target_id], [1, 1], {from: a0}),
+				"arrays length mismatch"
+			);
+		});
+		it("bulk denying fails if the flags are invalid", async function() {
+			await expectRevert(linker.denyTargetNfts([nft.address], [target_id], [4], {from: a0}), "invalid flags");
+		});
+		it("combined verdict is negative if NFT contract is blacklisted", async function() {
+			await linker.updateFeatures(FEATURE_LINKING, {from: a0});
+			await linker.whitelistTargetContract(nft.address, false, false, true, false, {from: a0});
+			expect(await linker.isTargetNftAllowedForLinking(nft.address, target_id)).to.be.false;
+		});
+
+		describe("when target NFT is denied for linking", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await linker.denyTargetNft(nft.address, target_id, true, false, {from: a0});
+			});
+			it('"TargetNftDenied" event is emitted', async function() {
+				expectEvent(receipt, "TargetNftDenied", {
+					_by: a0,
+					_targetContract: nft.address,
+					_targetId: target_id,
+					_oldVal: "0",
+					_newVal: "1",
+				});
+			});
+			it("deny list gets updated", async function() {
+				expect(await linker.deniedTargetNfts(nft.address, target_id)).to.be.bignumber.that.equals("1");
+			});
+			it("target NFT is not allowed for linking", async function() {
+				expect(await linker.isTargetNftAllowedForLinking(nft.address, target_id)).to.be.false;
+			});
+			it("other target NFT of the same contract is allowed for linking", async function() {
+				expect(await linker.isTargetNftAllowedForLinking(nft.address, other_id)).to.be.true;
+			});
+			it("linking fails", async function() {
+				await expectRevert(link(), "denied target NFT");
+			});
+			it("linking succeeds if FEATURE_ALLOW_ANY_TARGET_NFT is enabled", async function() {
+				await linker.updateFeatures(features | FEATURE_ALLOW_ANY_TARGET_NFT, {from: a0});
+				expect(await linker.isTargetNftAllowedForLinking(nft.address, target_id)).to.be.true;
+				await link();
+				expect(await iNft.exists(recordId)).to.be.true;
+			});
+			it("linking succeeds if target NFT is removed from the deny list", async function() {
+				await linker.denyTargetNft(nft.address, target_id, false, false, {from: a0});
+				await link();
+				expect(await iNft.exists(recordId)).to.be.true;
+			});
+		});
+
+		describe("when iNFT exists", function() {
+			beforeEach(async function() {
+				await link();
+				await ali.transfer(nft_owner, link_price, {from: a0});
+				await ali.approve(linker.address, link_price, {from: nft_owner});
+				await persona.setApprovalForAll(linker.address, true, {from: nft_owner});
+			});
+			it("deposit succeeds if target NFT is denied for linking only", async function() {
+				await linker.denyTargetNft(nft.address, target_id, true, false, {from: a0});
+				await linker.methods["deposit(uint256,uint96)"](recordId, link_price, {from: nft_owner});
+				expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(link_price.muln(2));
+			});
+			it("deposit fails if target NFT is denied for deposits", async function() {
+				await linker.denyTargetNft(nft.address, target_id, false, true, {from: a0});
+				await expectRevert(linker.methods["deposit(uint256,uint96)"](recordId, link_price, {from: nft_owner}), "denied target NFT");
+			});
+			it("deposit succeeds if target NFT is denied for deposits, but FEATURE_ALLOW_ANY_TARGET_NFT is enabled", async function() {
+				await linker.denyTargetNft(nft.address, target_id, false, true, {from: a0});
+				await linker.updateFeatures(features | FEATURE_ALLOW_ANY_TARGET_NFT, {from: a0});
+				await linker.methods["deposit(uint256,uint96)"](recordId, link_price, {from: nft_owner});
+				expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(link_price.muln(2));
+			});
+			it("relinking to the denied target NFT fails", async function() {
+				await linker.denyTargetNft(nft.address, other_id, true, false, {from: a0});
+				await expectRevert(
+					linker.relink(recordId, nft.address, other_id, {from: nft_owner}),
+					"denied target NFT"
+				);
+			});
+			it("relinking to the target NFT not denied succeeds", async function() {
+				await linker.denyTargetNft(nft.address, target_id, true, true, {from: a0});
+				await linker.relink(recordId, nft.address, other_id, {from: nft_owner});
+				expect(await iNft.exists(recordId.addn(1))).to.be.true;
+			});
+		});
+
+		describe("bulk deny list update", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await linker.denyTargetNfts(
+					[nft.address, nft.address],
+					[target_id, other_id],
+					[3, 1],
+					{from: a0}
+				);
+			});
+			it('"TargetNftDenied" event is emitted for every NFT', async function() {
+				expectEvent(receipt, "TargetNftDenied", {_targetId: target_id, _oldVal: "0", _newVal: "3"});
+				expectEvent(receipt, "TargetNftDenied", {_targetId: other_id, _oldVal: "0", _newVal: "1"});
+			});
+			it("deny list gets updated", async function() {
+				expect(await linker.deniedTargetNfts(nft.address, target_id)).to.be.bignumber.that.equals("3");
+				expect(await linker.deniedTargetNfts(nft.address, other_id)).to.be.bignumber.that.equals("1");
+			});
+			it("linking to any of the NFTs fails", async function() {
+				await expectRevert(link(), "denied target NFT");
+				await expectRevert(
+					linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, other_id, {from: persona_owner}),
+					"denied target NFT"
+				);
+			});
+		});
+	});
+
+	describe("linking caps", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const persona_ids = [new BN(1_000), new BN(1_001), new BN(1_002)];
+		const target_ids = [new BN(1), new BN(2), new BN(3)];
+		const period = 86_400;
+		const recordId = NEXT_ID;
+		let ali, persona, iNft, linker;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await linker.updateLinkPrice(0, 0, ZERO_ADDRESS, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_UNLINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+			for(let i = 0; i < persona_ids.length; i++) {
+				await persona.mint(persona_owner, persona_ids[i], {from: a0});
+				await nft.mint(nft_owner, target_ids[i], {from: a0});
+			}
+			await persona.setApprovalForAll(linker.address, true, {from: persona_owner});
+		});
+		async function link(i) {
+			return await linker.methods["link(uint96,address,uint256)"](persona_ids[i], nft.address, target_ids[i], {from: persona_owner});
+		}
+
+		it("there are no caps by default", async function() {
+			expect(await linker.getCollectionLinkCapacity(nft.address)).to.be.bignumber.that.equals(MAX_UINT256);
+			expect(await linker.getWalletLinkCapacity(persona_owner)).to.be.bignumber.that.equals(MAX_UINT256);
+		});
+		it("setting the collection cap for the zero address fails", async function() {
+			await expectRevert(linker.updateCollectionLinkCap(ZERO_ADDRESS, 1, {from: a0}), "zero address");
+		});
+		it("linking updates the counters", async function() {
+			await link(0);
+			expect(await linker.collectionLinkCounts(nft.address)).to.be.bignumber.that.equals("1");
+			expect(await linker.getWalletLinkCount(persona_owner)).to.be.bignumber.that.equals("1");
+		});
+
+		describe("when collection cap is set", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await linker.updateCollectionLinkCap(nft.address, 2, {from: a0});
+			});
+			it('"CollectionLinkCapChanged" event is emitted', async function() {
+				expectEvent(receipt, "CollectionLinkCapChanged", {
+					_by: a0,
+					_targetContract: nft.address,
+					_oldVal: "0",
+					_newVal: "2",
+				});
+			});
+			it("collection capacity is reported", async function() {
+				expect(await linker.getCollectionLinkCapacity(nft.address)).to.be.bignumber.that.equals("2");
+			});
+			it("collection capacity decreases when linking", async function() {
+				await link(0);
+				expect(await linker.getCollectionLinkCapacity(nft.address)).to.be.bignumber.that.equals("1");
+			});
+			describe("when collection cap is reached", function() {
+				beforeEach(async function() {
+					await link(0);
+					await link(1);
+				});
+				it("collection capacity is zero", async function() {
+					expect(await linker.getCollectionLinkCapacity(nft.address)).to.be.bignumber.that.equals("0");
+				});
+				it("linking fails", async function() {
+					await expectRevert(link(2), "collection cap reached");
+				});
+				it("linking to another collection succeeds", async function() {
+					const another_nft = await ai_protocol_erc721_deploy(a0);
+					await another_nft.mint(nft_owner, target_ids[2], {from: a0});
+					await linker.methods["link(uint96,address,uint256)"](persona_ids[2], another_nft.address, target_ids[2], {from: persona_owner});
+					expect(await linker.collectionLinkCounts(another_nft.address)).to.be.bignumber.that.equals("1");
+				});
+				it("batch linking fails", async function() {
+					await expectRevert(
+						linker.linkBatch(persona.address, [persona_ids[2]], [nft.address], [target_ids[2]], {from: persona_owner}),
+						"collection cap reached"
+					);
+				});
+				describe("unlinking the iNFT frees the capacity", function() {
+					beforeEach(async function() {
+						await linker.unlink(recordId, {from: nft_owner});
+					});
+					it("collection counter decreases", async function() {
+						expect(await linker.collectionLinkCounts(nft.address)).to.be.bignumber.that.equals("1");
+					});
+					it("linking succeeds", async function() {
+						await persona.approve(linker.address, persona_ids[0], {from: nft_owner});
+						await linker.methods["link(uint96,address,uint256)"](persona_ids[0], nft.address, target_ids[2], {from: nft_owner});
+						expect(await iNft.exists(recordId.addn(2))).to.be.true;
+					});
+				});
+				it("unlinking the NFT frees the capacity", async function() {
+					await linker.unlinkNFT(nft.address, target_ids[1], {from: nft_owner});
+					expect(await linker.getCollectionLinkCapacity(nft.address)).to.be.bignumber.that.equals("1");
+				});
+				it("removing the cap allows linking", async function() {
+					await linker.updateCollectionLinkCap(nft.address, 0, {from: a0});
+					await link(2);
+					expect(await linker.collectionLinkCounts(nft.address)).to.be.bignumber.that.equals("3");
+				});
+			});
+		});
+
+		describe("when iNFT is linked before V4 upgrade", function() {
+			beforeEach(async function() {
+				let linker_v3;
+				({ali, persona, iNft, linker: linker_v3} = await linker_v3_deploy(a0));
+				await linker_v3.updateLinkPrice(0, 0, ZERO_ADDRESS, {from: a0});
+				await linker_v3.updateFeatures(FEATURE_LINKING | FEATURE_UNLINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+				for(let i = 0; i < persona_ids.length; i++) {
+					await persona.mint(persona_owner, persona_ids[i], {from: a0});
+				}
+				await persona.setApprovalForAll(linker_v3.address, true, {from: persona_owner});
+				await linker_v3.link(persona_ids[0], nft.address, target_ids[0], {from: persona_owner});
+				linker = await linker_v3_v4_upgrade_pure(a0, linker_v3);
+				await linker.updateCollectionLinkCap(nft.address, 1, {from: a0});
+				await link(1);
+			});
+			it("pre-upgrade iNFT is not counted", async function() {
+				expect(await linker.countedINfts(recordId)).to.be.false;
+			});
+			it("iNFT linked after the upgrade is counted", async function() {
+				expect(await linker.countedINfts(recordId.addn(1))).to.be.true;
+				expect(await linker.collectionLinkCounts(nft.address)).to.be.bignumber.that.equals("1");
+			});
+			describe("unlinking the pre-upgrade iNFT", function() {
+				beforeEach(async function() {
+					await linker.unlink(recordId, {from: nft_owner});
+				});
+				it("doesn't decrease the collection counter", async function() {
+					expect(await linker.collectionLinkCounts(nft.address)).to.be.bignumber.that.equals("1");
+				});
+				it("doesn't free the capacity", async function() {
+					await expectRevert(link(2), "collection cap reached");
+				});
+			});
+			describe("unlinking the iNFT linked after the upgrade", function() {
+				beforeEach(async function() {
+					await linker.unlink(recordId.addn(1), {from: nft_owner});
+				});
+				it("decreases the collection counter", async function() {
+					expect(await linker.collectionLinkCounts(nft.address)).to.be.bignumber.that.equals("0");
+				});
+				it("iNFT is not counted anymore", async function() {
+					expect(await linker.countedINfts(recordId.addn(1))).to.be.false;
+				});
+				it("frees the capacity", async function() {
+					await link(2);
+					expect(await linker.collectionLinkCounts(nft.address)).to.be.bignumber.that.equals("1");
+				});
+			});
+		});
+
+		describe("when wallet cap is set", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await linker.updateWalletLinkCap(2, period, {from: a0});
+			});
+			it('"WalletLinkCapChanged" event is emitted', async function() {
+				expectEvent(receipt, "WalletLinkCapChanged", {
+					_by: a0,
+					_walletLinkCap: "2",
+					_walletLinkPeriod: new BN(period),
+				});
+			});
+			it("wallet capacity is reported", async function() {
+				expect(await linker.getWalletLinkCapacity(persona_owner)).to.be.bignumber.that.equals("2");
+			});
+			describe("when wallet cap is reached", function() {
+				beforeEach(async function() {
+					await link(0);
+					await link(1);
+				});
+				it("wallet capacity is zero", async function() {
+					expect(await linker.getWalletLinkCapacity(persona_owner)).to.be.bignumber.that.equals("0");
+				});
+				it("linking fails", async function() {
+					await expectRevert(link(2), "wallet cap reached");
+				});
+				it("relinking fails", async function() {
+					await linker.updateFeatures(FEATURE_LINKING | FEATURE_UNLINKING | FEATURE_RELINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+					await nft.transferFrom(nft_owner, persona_owner, target_ids[0], {from: nft_owner});
+					await expectRevert(linker.relink(recordId, nft.address, target_ids[2], {from: persona_owner}), "wallet cap reached");
+				});
+				it("relinking by another wallet succeeds and updates its counter", async function() {
+					await linker.updateFeatures(FEATURE_LINKING | FEATURE_UNLINKING | FEATURE_RELINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+					await persona.setApprovalForAll(linker.address, true, {from: nft_owner});
+					await linker.relink(recordId, nft.address, target_ids[2], {from: nft_owner});
+					expect(await linker.getWalletLinkCount(nft_owner)).to.be.bignumber.that.equals("1");
+				});
+				it("unlinking doesn't free the wallet capacity", async function() {
+					await linker.unlink(recordId, {from: nft_owner});
+					expect(await linker.getWalletLinkCapacity(persona_owner)).to.be.bignumber.that.equals("0");
+				});
+				it("linking by another wallet succeeds", async function() {
+					await persona.transferFrom(persona_owner, a3, persona_ids[2], {from: persona_owner});
+					await persona.approve(linker.address, persona_ids[2], {from: a3});
+					await linker.methods["link(uint96,address,uint256)"](persona_ids[2], nft.address, target_ids[2], {from: a3});
+					expect(await linker.getWalletLinkCount(a3)).to.be.bignumber.that.equals("1");
+				});
+				describe("when the next period starts", function() {
+					beforeEach(async function() {
+						await time.increase(period);
+					});
+					it("wallet counter resets", async function() {
+						expect(await linker.getWalletLinkCount(persona_owner)).to.be.bignumber.that.equals("0");
+						expect(await linker.getWalletLinkCapacity(persona_owner)).to.be.bignumber.that.equals("2");
+					});
+					it("linking succeeds", async function() {
+						await link(2);
+						expect(await linker.getWalletLinkCount(persona_owner)).to.be.bignumber.that.equals("1");
+					});
+				});
+			});
+		});
+	});
+
+	describe("preview and dry-run views", function() {
+		const nft_owner = a1;
+		const persona_owner = a2;
+		const fee_destination = a3;
+		const persona_id = new BN(1_000);
+		const target_id = random_bn(1_000_000, 1_000_000_000);
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+		const withdrawal_fee = new BN(500); // 5%
+		const recordId = NEXT_ID;
+		// LinkStatus reason codes
+		const OK = "0";
+		const LINKING_DISABLED = "1";
+		const PERSONALITY_CONTRACT_NOT_ALLOWED = "2";
+		const NOT_PERSONALITY_OWNER = "3";
+		const TARGET_CONTRACT_NOT_ALLOWED = "4";
+		const TARGET_NFT_DENIED = "5";
+		const NO_TARGET_OWNER_CONSENT = "6";
+		const INCOMPATIBLE = "7";
+		const TARGET_NFT_ALREADY_LINKED = "8";
+		const COLLECTION_CAP_REACHED = "9";
+		const WALLET_CAP_REACHED = "10";
+		const INSUFFICIENT_ALI_BALANCE = "11";
+		const INSUFFICIENT_ALI_ALLOWANCE = "12";
+		let ali, persona, iNft, linker;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+			await linker.updateWithdrawalFee(withdrawal_fee, {from: a0});
+			await linker.updateFeatures(
+				FEATURE_LINKING | FEATURE_DEPOSITS | FEATURE_WITHDRAWALS | FEATURE_ALLOW_ANY_NFT_CONTRACT,
+				{from: a0}
+			);
+			await persona.mint(persona_owner, persona_id, {from: a0});
+			await persona.approve(linker.address, persona_id, {from: persona_owner});
+			await nft.mint(nft_owner, target_id, {from: a0});
+		});
+		async function canLink(sender = persona_owner, personalityId = persona_id, targetId = target_id, personality = persona) {
+			return (await linker.canLink(sender, personality.address, personalityId, nft.address, targetId)).toString();
+		}
+
+		it("previewLink returns the linking price, fee, and value locked", async function() {
+			const preview = await linker.previewLink(nft.address);
+			expect(preview._linkPrice).to.be.bignumber.that.equals(link_price);
+			expect(preview._linkFee).to.be.bignumber.that.equals(link_fee);
+			expect(preview._lockedValue).to.be.bignumber.that.equals(link_price.sub(link_fee));
+		});
+		it("previewLink takes into account collection specific price", async function() {
+			await linker.updateCollectionLinkPrice(nft.address, link_price.muln(2), link_fee, fee_destination, true, {from: a0});
+			const preview = await linker.previewLink(nft.address);
+			expect(preview._linkPrice).to.be.bignumber.that.equals(link_price.muln(2));
+			expect(preview._lockedValue).to.be.bignumber.that.equals(link_price.muln(2).sub(link_fee));
+		});
+
+		describe("canLink", function() {
+			it("returns LINKING_DISABLED if FEATURE_LINKING is disabled", async function() {
+				await linker.updateFeatures(FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+				expect(await canLink()).to.equal(LINKING_DISABLED);
+			});
+			it("returns PERSONALITY_CONTRACT_NOT_ALLOWED if AI Personality contract is not registered", async function() {
+				const other_persona = await persona_deploy(a0);
+				await other_persona.mint(persona_owner, persona_id, {from: a0});
+				expect(await canLink(persona_owner, persona_id, target_id, other_persona)).to.equal(PERSONALITY_CONTRACT_NOT_ALLOWED);
+			});
+			it("returns NOT_PERSONALITY_OWNER if AI Personality belongs to someone else", async function() {
+				expect(await canLink(nft_owner)).to.equal(NOT_PERSONALITY_OWNER);
+			});
+			it("returns NOT_PERSONALITY_OWNER if AI Personality doesn't exist", async function() {
+				expect(await canLink(persona_owner, persona_id.addn(1))).to.equal(NOT_PERSONALITY_OWNER);
+			});
+			it("returns TARGET_CONTRACT_NOT_ALLOWED if NFT contract is not whitelisted", async function() {
+				await linker.updateFeatures(FEATURE_LINKING, {from: a0});
+				expect(await canLink()).to.equal(TARGET_CONTRACT_NOT_ALLOWED);
+			});
+			it("returns TARGET_NFT_DENIED if NFT is denied", async function() {
+				await linker.denyTargetNft(nft.address, target_id, true, false, {from: a0});
+				expect(await canLink()).to.equal(TARGET_NFT_DENIED);
+			});
+			it("returns NO_TARGET_OWNER_CONSENT if target NFT owner consent is required", async function() {
+				await linker.updateFeatures(
+					FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT | FEATURE_TARGET_OWNER_CONSENT,
+					{from: a0}
+				);
+				expect(await canLink()).to.equal(NO_TARGET_OWNER_CONSENT);
+			});
+			it("returns INCOMPATIBLE if AI Personality is not compatible with NFT contract", async function() {
+				await linker.addCompatibilityRule(persona.address, persona_id, persona_id, ali.address, {from: a0});
+				expect(await canLink()).to.equal(INCOMPATIBLE);
+			});
+			it("returns COLLECTION_CAP_REACHED if collection cap is reached", async function() {
+				await linker.updateCollectionLinkCap(nft.address, 1, {from: a0});
+				await linker.updateLinkPrice(0, 0, ZERO_ADDRESS, {from: a0});
+				await nft.mint(nft_owner, target_id.addn(1), {from: a0});
+				await persona.mint(persona_owner, persona_id.addn(1), {from: a0});
+				await persona.approve(linker.address, persona_id.addn(1), {from: persona_owner});
+				await linker.methods["link(uint96,address,uint256)"](persona_id.addn(1), nft.address, target_id.addn(1), {from: persona_owner});
+				expect(await canLink()).to.equal(COLLECTION_CAP_REACHED);
+			});
+			it("returns WALLET_CAP_REACHED if wallet cap is reached", async function() {
+				await linker.updateWalletLinkCap(1, 0, {from: a0});
+				await linker.updateLinkPrice(0, 0, ZERO_ADDRESS, {from: a0});
+				await nft.mint(nft_owner, target_id.addn(1), {from: a0});
+				await persona.mint(persona_owner, persona_id.addn(1), {from: a0});
+				await persona.approve(linker.address, persona_id.addn(1), {from: persona_owner});
+				await linker.methods["link(uint96,address,uint256)"](persona_id.addn(1), nft.address, target_id.addn(1), {from: persona_owner});
+				expect(await canLink()).to.equal(WALLET_CAP_REACHED);
+			});
+			it("returns INSUFFICIENT_ALI_BALANCE if sender doesn't have enough ALI", async function() {
+				expect(await canLink()).to.equal(INSUFFICIENT_ALI_BALANCE);
+			});
+			it("returns INSUFFICIENT_ALI_ALLOWANCE if sender didn't approve enough ALI", async function() {
+				await ali.transfer(persona_owner, link_price, {from: a0});
+				expect(await canLink()).to.equal(INSUFFICIENT_ALI_ALLOWANCE);
+			});
+			describe("when sender has enough ALI approved", function() {
+				beforeEach(async function() {
+					await ali.transfer(persona_owner, link_price, {from: a0});
+					await ali.approve(linker.address, link_price, {from: persona_owner});
+				});
+				it("returns OK", async function() {
+					expect(await canLink()).to.equal(OK);
+				});
+				it("returns TARGET_NFT_ALREADY_LINKED if NFT is already linked", async function() {
+					await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+					await persona.mint(persona_owner, persona_id.addn(1), {from: a0});
+					expect(await canLink(persona_owner, persona_id.addn(1))).to.equal(TARGET_NFT_ALREADY_LINKED);
+				});
+				it("linking succeeds if OK is returned", async function() {
+					expect(await canLink()).to.equal(OK);
+					await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+					expect(await iNft.exists(recordId)).to.be.true;
+				});
+				describe("when another AI Personality contract is registered", function() {
+					let other_persona;
+					beforeEach(async function() {
+						other_persona = await persona_deploy(a0);
+						await other_persona.mint(persona_owner, persona_id, {from: a0});
+						await other_persona.approve(linker.address, persona_id, {from: persona_owner});
+						await linker.registerPersonalityContract(other_persona.address, true, {from: a0});
+					});
+					it("returns OK for the AI Personality in the registered contract", async function() {
+						expect(await canLink(persona_owner, persona_id, target_id, other_persona)).to.equal(OK);
+					});
+					it("returns NOT_PERSONALITY_OWNER if AI Personality in the registered contract belongs to someone else", async function() {
+						expect(await canLink(nft_owner, persona_id, target_id, other_persona)).to.equal(NOT_PERSONALITY_OWNER);
+					});
+					it("linking from the registered contract succeeds if OK is returned", async function() {
+						await linker.methods["link(address,uint96,address,uint256)"](
+							other_persona.address, persona_id, nft.address, target_id, {from: persona_owner}
+						);
+						expect(await iNft.exists(recordId)).to.be.true;
+					});
+				});
+			});
+		});
+
+		describe("when iNFT exists", function() {
+			const value = link_price.muln(3);
+			beforeEach(async function() {
+				await ali.transfer(persona_owner, link_price, {from: a0});
+				await ali.approve(linker.address, link_price, {from: persona_owner});
+				await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, target_id, {from: persona_owner});
+				await ali.transfer(nft_owner, value, {from: a0});
+				await ali.approve(linker.address, value, {from: nft_owner});
+			});
+			it("previewDeposit returns the fee and value locked", async function() {
+				const preview = await linker.previewDeposit(recordId, value);
+				expect(preview._linkFee).to.be.bignumber.that.equals(link_fee.muln(3));
+				expect(preview._lockedValue).to.be.bignumber.that.equals(value.sub(link_fee.muln(3)));
+			});
+			it("previewDeposit matches the actual deposit", async function() {
+				const preview = await linker.previewDeposit(recordId, value);
+				const locked_before = await iNft.lockedValue(recordId);
+				const fee_before = await ali.balanceOf(fee_destination);
+				await linker.methods["deposit(uint256,uint96)"](recordId, value, {from: nft_owner});
+				expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(locked_before.add(preview._lockedValue));
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(fee_before.add(preview._linkFee));
+			});
+			describe("when additional ALI is deposited", function() {
+				beforeEach(async function() {
+					await linker.methods["deposit(uint256,uint96)"](recordId, value, {from: nft_owner});
+				});
+				it("previewWithdraw returns the maximum value which can be withdrawn", async function() {
+					const locked = await iNft.lockedValue(recordId);
+					const preview = await linker.previewWithdraw(recordId, 1);
+					expect(preview._maxValue).to.be.bignumber.that.equals(locked.sub(link_price));
+				});
+				it("previewWithdraw returns the fee and value received", async function() {
+					const preview = await linker.previewWithdraw(recordId, link_price);
+					const fee = link_price.mul(withdrawal_fee).divn(10_000);
+					expect(preview._withdrawalFee).to.be.bignumber.that.equals(fee);
+					expect(preview._value).to.be.bignumber.that.equals(link_price.sub(fee));
+				});
+				it("previewWithdraw matches the actual withdrawal", async function() {
+					const preview = await linker.previewWithdraw(recordId, link_price);
+					const balance_before = await ali.balanceOf(nft_owner);
+					await linker.withdraw(recordId, link_price, {from: nft_owner});
+					expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals(balance_before.add(preview._value));
+				});
+				it("withdrawal of more than the maximum value fails", async function() {
+					const preview = await linker.previewWithdraw(recordId, 1);
+					await expectRevert(linker.withdraw(recordId, preview._maxValue.addn(1), {from: nft_owner}), "deposit too low");
+				});
+				it("withdrawal of the maximum value succeeds", async function() {
+					const preview = await linker.previewWithdraw(recordId, 1);
+					await linker.withdraw(recordId, preview._maxValue, {from: nft_owner});
+					expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(link_price);
+				});
+			});
+		});
+	});
+
+	describe("fee accrual", function() {
+		const nft_owner = a1;
+		const fee_destination = a3;
+		const fee_destination_2 = a4;
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+		const deposit_value = link_price.divn(2);
+		const deposit_fee = deposit_value.mul(link_fee).div(link_price);
+		const n = 12;
+		const persona_ids = [...Array(n).keys()].map(i => new BN(1_000 + i));
+		const target_ids = [...Array(n).keys()].map(i => new BN(1 + i));
+		const recordId = NEXT_ID;
+		const features = FEATURE_LINKING | FEATURE_DEPOSITS | FEATURE_RELINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT;
+		let ali, persona, iNft, linker, nft2;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			nft2 = await ai_protocol_erc721_deploy(a0);
+			for(let i = 0; i < n; i++) {
+				await persona.mint(nft_owner, persona_ids[i], {from: a0});
+				await nft.mint(nft_owner, target_ids[i], {from: a0});
+				await nft2.mint(nft_owner, target_ids[i], {from: a0});
+			}
+			await persona.setApprovalForAll(linker.address, true, {from: nft_owner});
+			await ali.transfer(nft_owner, link_price.muln(n * 2), {from: a0});
+			await ali.approve(linker.address, MAX_UINT256, {from: nft_owner});
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+			await linker.updateFeatures(features | FEATURE_FEE_ACCRUAL, {from: a0});
+		});
+		async function link(i, target_contract = nft.address) {
+			return await linker.methods["link(uint96,address,uint256)"](persona_ids[i], target_contract, target_ids[i], {from: nft_owner});
+		}
+		// ABI encoded link call, see "linking and depositing with ALI transferAndCall (ERC-1363)"
+		async function link_with_transfer_and_call(i) {
+			const data = linker.contract.methods["link(address,uint96,address,uint256)"](
+				persona.address,
+				persona_ids[i],
+				nft.address,
+				target_ids[i]
+			).encodeABI();
+			return await ali.methods["transferAndCall(address,uint256,bytes)"](linker.address, link_price, data, {from: nft_owner});
+		}
+
+		describe("linking accrues the fee", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await link(0);
+			});
+			it("fee is not sent to the treasury", async function() {
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals("0");
+			});
+			it("fee is kept on the linker balance", async function() {
+				expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals(link_fee);
+			});
+			it("fee is accrued for the treasury", async function() {
+				expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(link_fee);
+			});
+			it("the rest is locked in the iNFT", async function() {
+				expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(link_price.sub(link_fee));
+			});
+			it('"FeeAccrued" event is emitted', async function() {
+				expectEvent(receipt, "FeeAccrued", {
+					_by: nft_owner,
+					_feeDestination: fee_destination,
+					_fee: link_fee,
+				});
+			});
+			it('"Linked" event reports the fee charged', async function() {
+				expectEvent(receipt, "Linked", {_linkPrice: link_price, _linkFee: link_fee});
+			});
+			it("depositing accrues the fee", async function() {
+				receipt = await linker.methods["deposit(uint256,uint96)"](recordId, deposit_value, {from: nft_owner});
+				expectEvent(receipt, "FeeAccrued", {_feeDestination: fee_destination, _fee: deposit_fee});
+				expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(link_fee.add(deposit_fee));
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals("0");
+			});
+			it("relinking accrues the fee", async function() {
+				const relink_fee = link_fee.divn(2);
+				await linker.updateRelinkFee(relink_fee, {from: a0});
+				receipt = await linker.relink(recordId, nft.address, target_ids[1], {from: nft_owner});
+				expectEvent(receipt, "FeeAccrued", {_feeDestination: fee_destination, _fee: relink_fee});
+				expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(link_fee.add(relink_fee));
+			});
+			it("linking with ERC-1363 transferAndCall accrues the fee", async function() {
+				await link_with_transfer_and_call(1);
+				expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(link_fee.muln(2));
+				expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals(link_fee.muln(2));
+			});
+			it("fees are accrued for the collection specific treasury", async function() {
+				await linker.updateCollectionLinkPrice(nft2.address, link_price, link_fee, fee_destination_2, true, {from: a0});
+				await link(1, nft2.address);
+				expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(link_fee);
+				expect(await linker.accruedFees(fee_destination_2)).to.be.bignumber.that.equals(link_fee);
+			});
+			it("batch linking accrues the fees", async function() {
+				await linker.updateCollectionLinkPrice(nft2.address, link_price, link_fee, fee_destination_2, true, {from: a0});
+				receipt = await linker.linkBatch(
+					persona.address,
+					persona_ids.slice(1, 4),
+					[nft.address, nft2.address, nft.address],
+					target_ids.slice(1, 4),
+					{from: nft_owner}
+				);
+				expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(link_fee.muln(3));
+				expect(await linker.accruedFees(fee_destination_2)).to.be.bignumber.that.equals(link_fee);
+				expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals(link_fee.muln(4));
+			});
+			it("fees don't accrue if FEATURE_FEE_ACCRUAL is disabled", async function() {
+				await linker.updateFeatures(features, {from: a0});
+				await link(1);
+				expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(link_fee);
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee);
+			});
+
+			describe("withdrawing the fees accrued", function() {
+				const recipient = a2;
+				it("fails if recipient is zero address", async function() {
+					await expectRevert(linker.withdrawFees(ZERO_ADDRESS, link_fee, {from: fee_destination}), "zero address");
+				});
+				it("fails if there is not enough fees accrued", async function() {
+					await expectRevert(
+						linker.withdrawFees(recipient, link_fee.addn(1), {from: fee_destination}),
+						"insufficient accrued fees"
+					);
+				});
+				it("fails if there is no fees accrued for the sender", async function() {
+					await expectRevert(
+						linker.withdrawFees(recipient, 1, {from: fee_destination_2}),
+						"insufficient accrued fees"
+					);
+				});
+				it("fails if the sender is not the treasury, even if it is an admin", async function() {
+					await expectRevert(linker.withdrawFees(recipient, 1, {from: a0}), "insufficient accrued fees");
+				});
+				describe("succeeds otherwise", function() {
+					const value = link_fee.divn(4);
+					beforeEach(async function() {
+						receipt = await linker.withdrawFees(recipient, value, {from: fee_destination});
+					});
+					it("ALI tokens are sent to the recipient", async function() {
+						expect(await ali.balanceOf(recipient)).to.be.bignumber.that.equals(value);
+					});
+					it("accrued balance decreases", async function() {
+						expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(link_fee.sub(value));
+					});
+					it("linker balance decreases", async function() {
+						expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals(link_fee.sub(value));
+					});
+					it('"FeesWithdrawn" event is emitted', async function() {
+						expectEvent(receipt, "FeesWithdrawn", {
+							_by: fee_destination,
+							_feeDestination: fee_destination,
+							_to: recipient,
+							_value: value,
+						});
+					});
+				});
+				describe("collection specific treasury withdraws its own fees", function() {
+					beforeEach(async function() {
+						await linker.updateCollectionLinkPrice(nft2.address, link_price, link_fee, fee_destination_2, true, {from: a0});
+						await link(1, nft2.address);
+						receipt = await linker.withdrawFees(recipient, link_fee, {from: fee_destination_2});
+					});
+					it("ALI tokens are sent to the recipient", async function() {
+						expect(await ali.balanceOf(recipient)).to.be.bignumber.that.equals(link_fee);
+					});
+					it("collection treasury accrued balance gets cleared", async function() {
+						expect(await linker.accruedFees(fee_destination_2)).to.be.bignumber.that.equals("0");
+					});
+					it("protocol treasury accrued balance doesn't change", async function() {
+						expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(link_fee);
+					});
+				});
+				describe("withdrawal manager withdraws the protocol treasury fees", function() {
+					const value = link_fee.divn(4);
+					beforeEach(async function() {
+						await linker.updateCollectionLinkPrice(nft2.address, link_price, link_fee, fee_destination_2, true, {from: a0});
+						await link(1, nft2.address);
+						receipt = await linker.withdrawTreasuryFees(fee_destination, recipient, value, {from: a0});
+					});
+					it("ALI tokens are sent to the recipient", async function() {
+						expect(await ali.balanceOf(recipient)).to.be.bignumber.that.equals(value);
+					});
+					it("protocol treasury accrued balance decreases", async function() {
+						expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(link_fee.sub(value));
+					});
+					it("collection treasury accrued balance doesn't change", async function() {
+						expect(await linker.accruedFees(fee_destination_2)).to.be.bignumber.that.equals(link_fee);
+					});
+					it('"FeesWithdrawn" event is emitted', async function() {
+						expectEvent(receipt, "FeesWithdrawn", {
+							_by: a0,
+							_feeDestination: fee_destination,
+							_to: recipient,
+							_value: value,
+						});
+					});
+					it("withdrawing more than the protocol treasury fees fails", async function() {
+						await expectRevert(
+							linker.withdrawTreasuryFees(fee_destination, recipient, link_fee, {from: a0}),
+							"insufficient accrued fees"
+						);
+					});
+					it("withdrawing the collection treasury fees fails", async function() {
+						await expectRevert(
+							linker.withdrawTreasuryFees(fee_destination_2, recipient, 1, {from: a0}),
+							"not a protocol treasury"
+						);
+					});
+					it("withdrawing the zero address fees fails", async function() {
+						await expectRevert(
+							linker.withdrawTreasuryFees(ZERO_ADDRESS, recipient, 0, {from: a0}),
+							"not a protocol treasury"
+						);
+					});
+				});
+				describe("after the protocol treasury rotation", function() {
+					beforeEach(async function() {
+						await linker.updateLinkPrice(link_price, link_fee, fee_destination_2, {from: a0});
+						await link(1);
+					});
+					it("former treasury is remembered", async function() {
+						expect(await linker.formerTreasuries(fee_destination)).to.be.true;
+					});
+					it("both former and current treasuries are protocol treasuries", async function() {
+						expect(await linker.isProtocolTreasury(fee_destination), "former").to.be.true;
+						expect(await linker.isProtocolTreasury(fee_destination_2), "current").to.be.true;
+					});
+					it("fees are accrued for the new treasury", async function() {
+						expect(await linker.accruedFees(fee_destination_2)).to.be.bignumber.that.equals(link_fee);
+					});
+					it("withdrawal manager withdraws the former treasury fees", async function() {
+						receipt = await linker.withdrawTreasuryFees(fee_destination, recipient, link_fee, {from: a0});
+						expectEvent(receipt, "FeesWithdrawn", {_feeDestination: fee_destination, _to: recipient, _value: link_fee});
+						expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals("0");
+						expect(await ali.balanceOf(recipient)).to.be.bignumber.that.equals(link_fee);
+					});
+					it("withdrawal manager withdraws the current treasury fees", async function() {
+						await linker.withdrawTreasuryFees(fee_destination_2, recipient, link_fee, {from: a0});
+						expect(await linker.accruedFees(fee_destination_2)).to.be.bignumber.that.equals("0");
+						expect(await ali.balanceOf(recipient)).to.be.bignumber.that.equals(link_fee);
+					});
+				});
+				describe("after the unlinking fee treasury rotation", function() {
+					beforeEach(async function() {
+						await linker.updateUnlinkFee(link_fee, 0, recipient, {from: a0});
+						await linker.updateUnlinkFee(link_fee, 0, fee_destination_2, {from: a0});
+					});
+					it("former unlinking fee treasury is a protocol treasury", async function() {
+						expect(await linker.formerTreasuries(recipient)).to.be.true;
+						expect(await linker.isProtocolTreasury(recipient)).to.be.true;
+					});
+					it("current unlinking fee treasury is a protocol treasury", async function() {
+						expect(await linker.isProtocolTreasury(fee_destination_2)).to.be.true;
+					});
+				});
+			});
+		});
+
+		describe("gas usage is lower than when sending the fees to the treasury", function() {
+			beforeEach(async function() {
+				await linker.updateCollectionLinkPrice(nft2.address, link_price, link_fee, fee_destination_2, true, {from: a0});
+			});
+			// links the items [from, from + count) with the fee sent (accrued) alternately for two treasuries
+			async function link_batch(from, count) {
+				const ids = [...Array(count).keys()].map(i => from + i);
+				return await linker.linkBatch(
+					persona.address,
+					ids.map(i => persona_ids[i]),
+					ids.map(i => i % 2 === 0? nft.address: nft2.address),
+					ids.map(i => target_ids[i]),
+					{from: nft_owner}
+				);
+			}
+			// links the items with the fee sent (accrued), first two links warm up the storage
+			async function measure(accrual, fn) {
+				await linker.updateFeatures(accrual? features | FEATURE_FEE_ACCRUAL: features, {from: a0});
+				await link(accrual? 6: 0, nft.address);
+				await link(accrual? 7: 1, nft2.address);
+				return extract_gas(await fn(accrual? 8: 2));
+			}
+			it("when linking with ERC-1363 transferAndCall", async function() {
+				const push_gas = await measure(false, link_with_transfer_and_call);
+				const accrual_gas = await measure(true, link_with_transfer_and_call);
+				expect(accrual_gas).to.be.lessThan(push_gas);
+			});
+			it("when linking in batch to collections with different treasuries", async function() {
+				const push_gas = await measure(false, i => link_batch(i, 4));
+				const accrual_gas = await measure(true, i => link_batch(i, 4));
+				expect(accrual_gas).to.be.lessThan(push_gas);
+			});
+		});
+	});
+
+	describe("fee splitting", function() {
+		const nft_owner = a1;
+		const creator = a2;
+		const fee_destination = a3;
+		const partner = a4;
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+		const deposit_value = link_price.divn(2);
+		const deposit_fee = deposit_value.mul(link_fee).div(link_price);
+		const creator_share = 3_000;
+		const partner_share = 1_000;
+		const n = 4;
+		const persona_ids = [...Array(n).keys()].map(i => new BN(1_000 + i));
+		const target_ids = [...Array(n).keys()].map(i => new BN(1 + i));
+		const recordId = NEXT_ID;
+		let ali, persona, iNft, linker, nft2;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			nft2 = await ai_protocol_erc721_deploy(a0);
+			for(let i = 0; i < n; i++) {
+				await persona.mint(nft_owner, persona_ids[i], {from: a0});
+				await nft.mint(nft_owner, target_ids[i], {from: a0});
+				await nft2.mint(nft_owner, target_ids[i], {from: a0});
+			}
+			await persona.setApprovalForAll(linker.address, true, {from: nft_owner});
+			await ali.transfer(nft_owner, link_price.muln(n * 2), {from: a0});
+			await ali.approve(linker.address, MAX_UINT256, {from: nft_owner});
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_DEPOSITS | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+		});
+		// expected share of the fee for the recipient
+		function share_of(fee, share) {
+			return fee.muln(share).divn(10_000);
+		}
+
+		describe("setting the global fee split table", function() {
+			it("fails if arrays lengths don't match", async function() {
+				await expectRevert(linker.updateFeeSplit([creator], [], {from: a0}), "arrays length mismatch");
+			});
+			it("fails if recipient is zero address", async function() {
+				await expectRevert(linker.updateFeeSplit([ZERO_ADDRESS], [creator_share], {from: a0}), "zero address");
+			});
+			it("fails if shares exceed 100%", async function() {
+				await expectRevert(
+					linker.updateFeeSplit([creator, partner], [creator_share, 10_001 - creator_share], {from: a0}),
+					"invalid shares"
+				);
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.updateFeeSplit([creator, partner], [creator_share, partner_share], {from: a0});
+				});
+				it("fee split table gets set", async function() {
+					const {recipients, shares} = await linker.getFeeSplit(nft.address);
+					expect(recipients).to.deep.equal([creator, partner]);
+					expect(shares.map(s => s.toNumber())).to.deep.equal([creator_share, partner_share]);
+				});
+				it("fee split table can be overwritten", async function() {
+					await linker.updateFeeSplit([partner], [10_000], {from: a0});
+					const {recipients, shares} = await linker.getFeeSplit(nft.address);
+					expect(recipients).to.deep.equal([partner]);
+					expect(shares.map(s => s.toNumber())).to.deep.equal([10_000]);
+				});
+				it('"FeeSplitChanged" event is emitted', async function() {
+					expectEvent(receipt, "FeeSplitChanged", {
+						_by: a0,
+						_targetContract: ZERO_ADDRESS,
+						_recipients: [creator, partner],
+						_enabled: true,
+					});
+				});
+			});
+		});
+		describe("setting the collection fee split table", function() {
+			it("fails if target contract is zero address", async function() {
+				await expectRevert(
+					linker.updateCollectionFeeSplit(ZERO_ADDRESS, [creator], [creator_share], true, {from: a0}),
+					"zero address"
+				);
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					await linker.updateFeeSplit([partner], [partner_share], {from: a0});
+					receipt = await linker.updateCollectionFeeSplit(nft2.address, [creator], [creator_share], true, {from: a0});
+				});
+				it("collection fee split table overrides the global one", async function() {
+					const {recipients} = await linker.getFeeSplit(nft2.address);
+					expect(recipients).to.deep.equal([creator]);
+				});
+				it("other collections use the global fee split table", async function() {
+					const {recipients} = await linker.getFeeSplit(nft.address);
+					expect(recipients).to.deep.equal([partner]);
+				});
+				it("empty collection fee split table disables the split for the collection", async function() {
+					await linker.updateCollectionFeeSplit(nft2.address, [], [], true, {from: a0});
+					const {recipients} = await linker.getFeeSplit(nft2.address);
+					expect(recipients).to.deep.equal([]);
+				});
+				it("removed override falls back to the global fee split table", async function() {
+					await linker.updateCollectionFeeSplit(nft2.address, [creator], [creator_share], false, {from: a0});
+					expect(await linker.collectionFeeSplitEnabled(nft2.address)).to.be.false;
+					const {recipients} = await linker.getFeeSplit(nft2.address);
+					expect(recipients).to.deep.equal([partner]);
+				});
+				it('"FeeSplitChanged" event is emitted', async function() {
+					expectEvent(receipt, "FeeSplitChanged", {
+						_by: a0,
+						_targetContract: nft2.address,
+						_recipients: [creator],
+						_enabled: true,
+					});
+				});
+			});
+		});
+
+		describe("when the fee split table is set", function() {
+			const creator_fee = share_of(link_fee, creator_share);
+			const partner_fee = share_of(link_fee, partner_share);
+			const treasury_fee = link_fee.sub(creator_fee).sub(partner_fee);
+			beforeEach(async function() {
+				await linker.updateFeeSplit([creator, partner], [creator_share, partner_share], {from: a0});
+			});
+			it("previewFeeSplit returns the shares, the treasury being the last one", async function() {
+				const {_recipients, _values} = await linker.previewFeeSplit(nft.address, link_fee);
+				expect(_recipients).to.deep.equal([creator, partner, fee_destination]);
+				expect(_values.map(v => v.toString())).to.deep.equal([creator_fee, partner_fee, treasury_fee].map(v => v.toString()));
+			});
+			describe("linking splits the fee", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.methods["link(uint96,address,uint256)"](persona_ids[0], nft.address, target_ids[0], {from: nft_owner});
+				});
+				it("creator receives its share", async function() {
+					expect(await ali.balanceOf(creator)).to.be.bignumber.that.equals(creator_fee);
+				});
+				it("partner receives its share", async function() {
+					expect(await ali.balanceOf(partner)).to.be.bignumber.that.equals(partner_fee);
+				});
+				it("treasury receives the rest", async function() {
+					expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(treasury_fee);
+				});
+				it("the rest of the linking price is locked in the iNFT", async function() {
+					expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(link_price.sub(link_fee));
+				});
+				it('"FeeShareCharged" event is emitted for every recipient', async function() {
+					expectEvent(receipt, "FeeShareCharged", {_by: nft_owner, _targetContract: nft.address, _recipient: creator, _value: creator_fee});
+					expectEvent(receipt, "FeeShareCharged", {_by: nft_owner, _targetContract: nft.address, _recipient: partner, _value: partner_fee});
+					expectEvent(receipt, "FeeShareCharged", {_by: nft_owner, _targetContract: nft.address, _recipient: fee_destination, _value: treasury_fee});
+				});
+				it('"Linked" event reports the total fee charged', async function() {
+					expectEvent(receipt, "Linked", {_linkPrice: link_price, _linkFee: link_fee});
+				});
+				describe("depositing splits the fee", function() {
+					beforeEach(async function() {
+						receipt = await linker.methods["deposit(uint256,uint96)"](recordId, deposit_value, {from: nft_owner});
+					});
+					it("creator receives its share", async function() {
+						expect(await ali.balanceOf(creator)).to.be.bignumber.that.equals(creator_fee.add(share_of(deposit_fee, creator_share)));
+					});
+					it("partner receives its share", async function() {
+						expect(await ali.balanceOf(partner)).to.be.bignumber.that.equals(partner_fee.add(share_of(deposit_fee, partner_share)));
+					});
+					it('"FeeShareCharged" event is emitted', async function() {
+						expectEvent(receipt, "FeeShareCharged", {_recipient: creator, _value: share_of(deposit_fee, creator_share)});
+					});
+				});
+			});
+			it("collection fee split table is applied to the collection", async function() {
+				await linker.updateCollectionFeeSplit(nft2.address, [partner], [10_000], true, {from: a0});
+				await linker.methods["link(uint96,address,uint256)"](persona_ids[0], nft2.address, target_ids[0], {from: nft_owner});
+				expect(await ali.balanceOf(partner)).to.be.bignumber.that.equals(link_fee);
+				expect(await ali.balanceOf(creator)).to.be.bignumber.that.equals("0");
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals("0");
+			});
+			it("batch linking splits the fees", async function() {
+				await linker.linkBatch(
+					persona.address,
+					persona_ids.slice(0, 2),
+					[nft.address, nft2.address],
+					target_ids.slice(0, 2),
+					{from: nft_owner}
+				);
+				expect(await ali.balanceOf(creator)).to.be.bignumber.that.equals(creator_fee.muln(2));
+				expect(await ali.balanceOf(partner)).to.be.bignumber.that.equals(partner_fee.muln(2));
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(treasury_fee.muln(2));
+			});
+			it("batch depositing splits the fees", async function() {
+				await linker.methods["link(uint96,address,uint256)"](persona_ids[0], nft.address, target_ids[0], {from: nft_owner});
+				await linker.methods["link(uint96,address,uint256)"](persona_ids[1], nft2.address, target_ids[1], {from: nft_owner});
+				await linker.depositBatch([recordId, recordId.addn(1)], [deposit_value, deposit_value], {from: nft_owner});
+				const deposit_creator_fee = share_of(deposit_fee, creator_share);
+				expect(await ali.balanceOf(creator)).to.be.bignumber.that.equals(creator_fee.add(deposit_creator_fee).muln(2));
+			});
+			it("linking with ERC-1363 transferAndCall splits the fee", async function() {
+				const data = linker.contract.methods["link(address,uint96,address,uint256)"](
+					persona.address,
+					persona_ids[0],
+					nft.address,
+					target_ids[0]
+				).encodeABI();
+				await ali.methods["transferAndCall(address,uint256,bytes)"](linker.address, link_price, data, {from: nft_owner});
+				expect(await ali.balanceOf(creator)).to.be.bignumber.that.equals(creator_fee);
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(treasury_fee);
+				expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals("0");
+			});
+			it("fee shares are accrued if FEATURE_FEE_ACCRUAL is enabled", async function() {
+				await linker.updateFeatures(
+					FEATURE_LINKING | FEATURE_DEPOSITS | FEATURE_ALLOW_ANY_NFT_CONTRACT | FEATURE_FEE_ACCRUAL,
+					{from: a0}
+				);
+				await linker.methods["link(uint96,address,uint256)"](persona_ids[0], nft.address, target_ids[0], {from: nft_owner});
+				expect(await linker.accruedFees(creator)).to.be.bignumber.that.equals(creator_fee);
+				expect(await linker.accruedFees(partner)).to.be.bignumber.that.equals(partner_fee);
+				expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(treasury_fee);
+				expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals(link_fee);
+			});
+		});
+	});
+
+	describe("referral rewards", function() {
+		const nft_owner = a1;
+		const referrer = a2;
+		const fee_destination = a3;
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+		const referral_share = 2_000;
+		const reward = link_fee.muln(referral_share).divn(10_000);
+		const persona_id = new BN(1_000);
+		const target_id = new BN(1);
+		const recordId = NEXT_ID;
+		let ali, persona, iNft, linker;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			await persona.mint(nft_owner, persona_id, {from: a0});
+			await nft.mint(nft_owner, target_id, {from: a0});
+			await persona.approve(linker.address, persona_id, {from: nft_owner});
+			await ali.transfer(nft_owner, link_price, {from: a0});
+			await ali.approve(linker.address, link_price, {from: nft_owner});
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+		});
+		async function link_with_referrer(_referrer = referrer) {
+			return await linker.methods["linkWithReferrer(address,uint96,address,uint256,address)"](
+				persona.address,
+				persona_id,
+				nft.address,
+				target_id,
+				_referrer,
+				{from: nft_owner}
+			);
+		}
+
+		describe("setting the referral share", function() {
+			it("fails if the share exceeds 100%", async function() {
+				await expectRevert(linker.updateReferralShare(10_001, {from: a0}), "invalid referral share");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.updateReferralShare(referral_share, {from: a0});
+				});
+				it("referral share gets set", async function() {
+					expect(await linker.referralShare()).to.be.bignumber.that.equals(new BN(referral_share));
+				});
+				it('"ReferralShareChanged" event is emitted', async function() {
+					expectEvent(receipt, "ReferralShareChanged", {_by: a0, _referralShare: new BN(referral_share)});
+				});
+			});
+		});
+		describe("denying the referrer", function() {
+			it("fails if referrer is zero address", async function() {
+				await expectRevert(linker.denyReferrer(ZERO_ADDRESS, true, {from: a0}), "zero address");
+			});
+			describe("succeeds otherwise", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await linker.denyReferrer(referrer, true, {from: a0});
+				});
+				it("referrer gets denied", async function() {
+					expect(await linker.deniedReferrers(referrer)).to.be.true;
+				});
+				it("referrer can be allowed back", async function() {
+					await linker.denyReferrer(referrer, false, {from: a0});
+					expect(await linker.deniedReferrers(referrer)).to.be.false;
+				});
+				it('"ReferrerDenied" event is emitted', async function() {
+					expectEvent(receipt, "ReferrerDenied", {_by: a0, _referrer: referrer, _denied: true});
+				});
+			});
+		});
+
+		describe("when the referral share is set", function() {
+			beforeEach(async function() {
+				await linker.updateReferralShare(referral_share, {from: a0});
+			});
+			it("self-referral fails", async function() {
+				await expectRevert(link_with_referrer(nft_owner), "self-referral");
+			});
+			it("linking with the denied referrer fails", async function() {
+				await linker.denyReferrer(referrer, true, {from: a0});
+				await expectRevert(link_with_referrer(), "denied referrer");
+			});
+			it("linking with the referrer allowed back succeeds", async function() {
+				await linker.denyReferrer(referrer, true, {from: a0});
+				await linker.denyReferrer(referrer, false, {from: a0});
+				await link_with_referrer();
+				expect(await ali.balanceOf(referrer)).to.be.bignumber.that.equals(reward);
+			});
+			describe("linking with the referrer succeeds", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await link_with_referrer();
+				});
+				it("referrer receives the reward", async function() {
+					expect(await ali.balanceOf(referrer)).to.be.bignumber.that.equals(reward);
+				});
+				it("treasury receives the rest of the linking fee", async function() {
+					expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee.sub(reward));
+				});
+				it("the rest of the linking price is locked in the iNFT", async function() {
+					expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(link_price.sub(link_fee));
+				});
+				it("referrer's total reward increases", async function() {
+					expect(await linker.referralRewards(referrer)).to.be.bignumber.that.equals(reward);
+				});
+				it('"Referred" event is emitted', async function() {
+					expectEvent(receipt, "Referred", {
+						_by: nft_owner,
+						_referrer: referrer,
+						_iNftId: recordId,
+						_targetContract: nft.address,
+						_reward: reward,
+					});
+				});
+				it('"Linked" event reports the total fee charged', async function() {
+					expectEvent(receipt, "Linked", {_linkPrice: link_price, _linkFee: link_fee});
+				});
+			});
+			it("linking with the referrer and default AI Personality contract succeeds", async function() {
+				const receipt = await linker.methods["linkWithReferrer(uint96,address,uint256,address)"](
+					persona_id,
+					nft.address,
+					target_id,
+					referrer,
+					{from: nft_owner}
+				);
+				expectEvent(receipt, "Referred", {_referrer: referrer, _reward: reward});
+			});
+			it("linking with zero referrer doesn't pay the reward", async function() {
+				const receipt = await link_with_referrer(ZERO_ADDRESS);
+				expectEvent.notEmitted(receipt, "Referred");
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee);
+			});
+			it("referral reward is accrued if FEATURE_FEE_ACCRUAL is enabled", async function() {
+				await linker.updateFeatures(FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT | FEATURE_FEE_ACCRUAL, {from: a0});
+				await link_with_referrer();
+				expect(await linker.accruedFees(referrer)).to.be.bignumber.that.equals(reward);
+				expect(await linker.accruedFees(fee_destination)).to.be.bignumber.that.equals(link_fee.sub(reward));
+			});
+			it("fee split applies to the rest of the linking fee", async function() {
+				const creator = a4;
+				await linker.updateFeeSplit([creator], [5_000], {from: a0});
+				await link_with_referrer();
+				expect(await ali.balanceOf(creator)).to.be.bignumber.that.equals(link_fee.sub(reward).divn(2));
+			});
+		});
+		describe("when the referral share is not set", function() {
+			it("linking with the referrer credits no reward", async function() {
+				const receipt = await link_with_referrer();
+				expectEvent(receipt, "Referred", {_referrer: referrer, _reward: "0"});
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee);
+			});
+		});
+	});
+
+	describe("linking with voucher", function() {
+		const nft_owner = a1;
+		const someone = a2;
+		const fee_destination = a3;
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+		const voucher_price = link_price.divn(4);
+		const voucher_fee = link_fee.divn(4);
+		const n = 3;
+		const persona_ids = [...Array(n).keys()].map(i => new BN(1_000 + i));
+		const target_ids = [...Array(n).keys()].map(i => new BN(1 + i));
+		const someone_persona_id = new BN(2_000);
+		const someone_target_id = new BN(1_001);
+		const recordId = NEXT_ID;
+		const features = FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT | FEATURE_LINKING_WITH_VOUCHER;
+		let ali, persona, iNft, linker, voucher;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			for(let i = 0; i < n; i++) {
+				await persona.mint(nft_owner, persona_ids[i], {from: a0});
+				await nft.mint(nft_owner, target_ids[i], {from: a0});
+			}
+			await persona.mint(someone, someone_persona_id, {from: a0});
+			await nft.mint(someone, someone_target_id, {from: a0});
+			await persona.setApprovalForAll(linker.address, true, {from: nft_owner});
+			await persona.setApprovalForAll(linker.address, true, {from: someone});
+			await ali.transfer(nft_owner, link_price.muln(n), {from: a0});
+			await ali.approve(linker.address, MAX_UINT256, {from: nft_owner});
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+			await linker.updateFeatures(features, {from: a0});
+			voucher = {
+				voucherId: web3.utils.keccak256("voucher"),
+				linkPrice: voucher_price,
+				linkFee: voucher_fee,
+				recipient: nft_owner,
+				targetContract: ZERO_ADDRESS,
+				maxRedemptions: 2,
+				expiresAt: await default_deadline(60),
+			};
+		});
+		// signs the voucher (by default by the link price manager) and links with it
+		async function link_with_voucher(i = 0, signer = a0, from = nft_owner, signed_voucher = voucher) {
+			const signature = await sign_voucher(linker.address, signer, signed_voucher);
+			return await linker.linkWithVoucher(
+				persona.address,
+				from === nft_owner? persona_ids[i]: someone_persona_id,
+				nft.address,
+				from === nft_owner? target_ids[i]: someone_target_id,
+				[
+					voucher.voucherId,
+					voucher.linkPrice.toString(),
+					voucher.linkFee.toString(),
+					voucher.recipient,
+					voucher.targetContract,
+					voucher.maxRedemptions,
+					voucher.expiresAt,
+				],
+				signature,
+				{from}
+			);
+		}
+
+		it("fails if FEATURE_LINKING_WITH_VOUCHER is disabled", async function() {
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT, {from: a0});
+			await expectRevert(link_with_voucher(), "linking with voucher is disabled");
+		});
+		it("fails if the voucher is expired", async function() {
+			voucher.expiresAt = await default_deadline(0);
+			await expectRevert(link_with_voucher(), "voucher expired");
+		});
+		it("fails if the voucher is bound to another recipient", async function() {
+			await expectRevert(link_with_voucher(0, a0, someone), "not a voucher recipient");
+		});
+		it("fails if the voucher is bound to another target NFT contract", async function() {
+			voucher.targetContract = persona.address;
+			await expectRevert(link_with_voucher(), "not a voucher target");
+		});
+		it("fails if the voucher target NFT contract is altered after signing", async function() {
+			const signed_voucher = Object.assign({}, voucher, {targetContract: persona.address});
+			voucher.targetContract = nft.address;
+			await expectRevert(link_with_voucher(0, a0, nft_owner, signed_voucher), "invalid signature");
+		});
+		it("succeeds if the voucher is bound to the target NFT contract", async function() {
+			voucher.targetContract = nft.address;
+			const receipt = await link_with_voucher();
+			expectEvent(receipt, "Linked", {_targetContract: nft.address, _linkPrice: voucher_price});
+		});
+		it("fails if the voucher linking fee exceeds the linking price", async function() {
+			voucher.linkFee = voucher_price.addn(1);
+			await expectRevert(link_with_voucher(), "invalid voucher");
+		});
+		it("fails if the voucher linking fee is set, but the treasury is not", async function() {
+			await linker.updateLinkPrice(0, 0, ZERO_ADDRESS, {from: a0});
+			await expectRevert(link_with_voucher(), "invalid voucher");
+		});
+		it("fails if the voucher is signed by someone who is not a link price manager", async function() {
+			await expectRevert(link_with_voucher(0, someone), "invalid signature");
+		});
+		it("fails if the voucher is altered after signing", async function() {
+			const signed_voucher = Object.assign({}, voucher);
+			voucher.linkPrice = new BN(0);
+			voucher.linkFee = new BN(0);
+			await expectRevert(link_with_voucher(0, a0, nft_owner, signed_voucher), "invalid signature");
+		});
+		it("fails if the voucher is redeemed more than allowed", async function() {
+			await link_with_voucher(0);
+			await link_with_voucher(1);
+			await expectRevert(link_with_voucher(2), "voucher redeemed");
+		});
+		describe("cancelling the voucher", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await linker.cancelVoucher(voucher.voucherId, {from: a0});
+			});
+			it("voucher gets cancelled", async function() {
+				expect(await linker.cancelledVouchers(voucher.voucherId)).to.be.true;
+			});
+			it('"VoucherCancelled" event is emitted', async function() {
+				expectEvent(receipt, "VoucherCancelled", {
+					_by: a0,
+					_voucherId: voucher.voucherId,
+				});
+			});
+			it("cancelling the voucher again fails", async function() {
+				await expectRevert(linker.cancelVoucher(voucher.voucherId, {from: a0}), "voucher cancelled");
+			});
+			it("linking with the cancelled voucher fails", async function() {
+				await expectRevert(link_with_voucher(), "voucher cancelled");
+			});
+			it("linking with the partially redeemed cancelled voucher fails", async function() {
+				voucher.voucherId = web3.utils.keccak256("another voucher");
+				await link_with_voucher(0);
+				await linker.cancelVoucher(voucher.voucherId, {from: a0});
+				await expectRevert(link_with_voucher(1), "voucher cancelled");
+			});
+			it("linking with another voucher succeeds", async function() {
+				voucher.voucherId = web3.utils.keccak256("another voucher");
+				receipt = await link_with_voucher();
+				expectEvent(receipt, "VoucherRedeemed", {_voucherId: voucher.voucherId});
+			});
+		});
+		describe("succeeds otherwise", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await link_with_voucher();
+			});
+			it("voucher linking price is charged", async function() {
+				expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals(link_price.muln(n).sub(voucher_price));
+			});
+			it("voucher linking fee is sent to the treasury", async function() {
+				expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(voucher_fee);
+			});
+			it("the rest of the voucher linking price is locked in the iNFT", async function() {
+				expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(voucher_price.sub(voucher_fee));
+			});
+			it("voucher redemption is counted", async function() {
+				expect(await linker.voucherRedemptions(voucher.voucherId)).to.be.bignumber.that.equals("1");
+			});
+			it("voucher can be redeemed again within the usage limit", async function() {
+				receipt = await link_with_voucher(1);
+				expectEvent(receipt, "VoucherRedeemed", {_redemptions: "2"});
+			});
+			it('"Linked" event reports the voucher linking price and fee charged', async function() {
+				expectEvent(receipt, "Linked", {
+					_by: nft_owner,
+					_iNftId: recordId,
+					_linkPrice: voucher_price,
+					_linkFee: voucher_fee,
+					_personalityContract: persona.address,
+					_personalityId: persona_ids[0],
+					_targetContract: nft.address,
+					_targetId: target_ids[0],
+				});
+			});
+			it('"VoucherRedeemed" event is emitted', async function() {
+				expectEvent(receipt, "VoucherRedeemed", {
+					_by: nft_owner,
+					_voucherId: voucher.voucherId,
+					_signer: a0,
+					_iNftId: recordId,
+					_redemptions: "1",
+				});
+			});
+		});
+		it("free voucher links without charging ALI tokens", async function() {
+			voucher.linkPrice = new BN(0);
+			voucher.linkFee = new BN(0);
+			const receipt = await link_with_voucher();
+			expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals(link_price.muln(n));
+			expectEvent(receipt, "Linked", {_linkPrice: "0", _linkFee: "0"});
+		});
+		it("voucher not bound to the recipient can be redeemed by anyone", async function() {
+			voucher.recipient = ZERO_ADDRESS;
+			voucher.linkPrice = new BN(0);
+			voucher.linkFee = new BN(0);
+			const receipt = await link_with_voucher(0, a0, someone);
+			expectEvent(receipt, "VoucherRedeemed", {_by: someone});
+		});
+	});
+	describe("holder discounts", function() {
+		const nft_owner = a1;
+		const someone = a2;
+		const fee_destination = a3;
+		const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+		const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+		const persona_id = new BN(1_000);
+		const target_id = new BN(1);
+		const proof_id = new BN(1);
+		const discount = new BN(2_500); // 25%
+		const recordId = NEXT_ID;
+		let ali, persona, iNft, linker, discount_nft;
+		beforeEach(async function() {
+			({ali, persona, iNft, linker} = await linker_v4_deploy(a0));
+			discount_nft = await ai_protocol_erc721_deploy(a0);
+			await discount_nft.mint(nft_owner, proof_id, {from: a0});
+			await persona.mint(nft_owner, persona_id, {from: a0});
+			await nft.mint(nft_owner, target_id, {from: a0});
+			await persona.setApprovalForAll(linker.address, true, {from: nft_owner});
+			await ali.transfer(nft_owner, link_price.muln(2), {from: a0});
+			await ali.approve(linker.address, MAX_UINT256, {from: nft_owner});
+			await linker.updateLinkPrice(link_price, link_fee, fee_destination, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT | FEATURE_DEPOSITS, {from: a0});
+		});
+		// links with the proof of holding
+		async function link(proof = proof_id, discount_collection = discount_nft.address) {
+			return await linker.methods["link(address,uint96,address,uint256,address,uint256)"](
+				persona.address,
+				persona_id,
+				nft.address,
+				target_id,
+				discount_collection,
+				proof,
+				{from: nft_owner}
+			);
+		}
+
+		it("fails to set the discount collection if the discount exceeds 100%", async function() {
+			await expectRevert(
+				linker.updateDiscountCollection(discount_nft.address, 10_001, {from: a0}),
+				"invalid discount"
+			);
+		});
+		it("fails to set the discount collection if its address is not set", async function() {
+			await expectRevert(
+				linker.updateDiscountCollection(ZERO_ADDRESS, discount, {from: a0}),
+				"zero address"
+			);
+		});
+		describe("discount collection can be set", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await linker.updateDiscountCollection(discount_nft.address, discount, {from: a0});
+			});
+			it('"DiscountCollectionChanged" event is emitted', async function() {
+				expectEvent(receipt, "DiscountCollectionChanged", {
+					_by: a0,
+					_discountCollection: discount_nft.address,
+					_oldVal: "0",
+					_newVal: discount,
+				});
+			});
+			it("discount is set as expected", async function() {
+				expect(await linker.discountCollections(discount_nft.address)).to.be.bignumber.that.equals(discount);
+			});
+			it("discount collection gets enumerated", async function() {
+				const {collections, discounts} = await linker.getDiscountCollections();
+				expect(collections).to.deep.equal([discount_nft.address]);
+				expect(discounts.map(d => d.toString())).to.deep.equal([discount.toString()]);
+			});
+			it("discount collection can be removed", async function() {
+				await linker.updateDiscountCollection(nft.address, 1_000, {from: a0});
+				await linker.updateDiscountCollection(discount_nft.address, 0, {from: a0});
+				const {collections} = await linker.getDiscountCollections();
+				expect(collections).to.deep.equal([nft.address]);
+			});
+			it("holder discount is reported for the proof token owner", async function() {
+				expect(await linker.getHolderDiscount(nft_owner, discount_nft.address, proof_id)).to.be.bignumber.that.equals(discount);
+			});
+			it("holder discount is not reported for someone else", async function() {
+				expect(await linker.getHolderDiscount(someone, discount_nft.address, proof_id)).to.be.bignumber.that.equals("0");
+			});
+			it("holder discount is not reported for the non-existing proof token", async function() {
+				expect(await linker.getHolderDiscount(nft_owner, discount_nft.address, proof_id.addn(1))).to.be.bignumber.that.equals("0");
+			});
+			it("holder discount is not reported for the collection which is not a discount collection", async function() {
+				// target NFT with the same ID is owned by the holder as well
+				expect(await linker.getHolderDiscount(nft_owner, nft.address, proof_id)).to.be.bignumber.that.equals("0");
+			});
+			it("holder discount is not reported for the non-contract discount collection", async function() {
+				await linker.updateDiscountCollection(someone, discount, {from: a0});
+				expect(await linker.getHolderDiscount(nft_owner, someone, proof_id)).to.be.bignumber.that.equals("0");
+			});
+			it("discount of the collection specified is reported if the proof token qualifies in several collections", async function() {
+				// target NFT with the same ID is owned by the holder as well
+				await linker.updateDiscountCollection(nft.address, discount.muln(2), {from: a0});
+				expect(await linker.getHolderDiscount(nft_owner, discount_nft.address, proof_id)).to.be.bignumber.that.equals(discount);
+				expect(await linker.getHolderDiscount(nft_owner, nft.address, proof_id)).to.be.bignumber.that.equals(discount.muln(2));
+			});
+
+			describe("linking with the proof of holding applies the discount", function() {
+				const discount_value = link_fee.mul(discount).divn(10_000);
+				beforeEach(async function() {
+					receipt = await link();
+				});
+				it("discounted linking price is charged", async function() {
+					expect(await ali.balanceOf(nft_owner)).to.be.bignumber.that.equals(
+						link_price.muln(2).sub(link_price).add(discount_value)
+					);
+				});
+				it("discounted linking fee is sent to the treasury", async function() {
+					expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee.sub(discount_value));
+				});
+				it("locked ALI value is not affected by the discount", async function() {
+					expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(link_price.sub(link_fee));
+				});
+				it('"Linked" event reports the discounted linking price and fee', async function() {
+					expectEvent(receipt, "Linked", {
+						_by: nft_owner,
+						_iNftId: recordId,
+						_linkPrice: link_price.sub(discount_value),
+						_linkFee: link_fee.sub(discount_value),
+					});
+				});
+				it('"HolderDiscountApplied" event is emitted', async function() {
+					expectEvent(receipt, "HolderDiscountApplied", {
+						_by: nft_owner,
+						_iNftId: recordId,
+						_discountCollection: discount_nft.address,
+						_proofTokenId: proof_id,
+						_discount: discount,
+						_value: discount_value,
+					});
+				});
+
+				describe("depositing with the proof of holding applies the discount", function() {
+					const deposit_fee = link_fee.sub(discount_value);
+					beforeEach(async function() {
+						receipt = await linker.methods["deposit(uint256,uint96,address,uint256)"](
+							recordId,
+							link_price,
+							discount_nft.address,
+							proof_id,
+							{from: nft_owner}
+						);
+					});
+					it("discounted deposit fee is sent to the treasury", async function() {
+						expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(
+							link_fee.sub(discount_value).add(deposit_fee)
+						);
+					});
+					it("locked ALI value increases by the discount", async function() {
+						expect(await iNft.lockedValue(recordId)).to.be.bignumber.that.equals(
+							link_price.sub(link_fee).add(link_price.sub(deposit_fee))
+						);
+					});
+					it('"LinkUpdated" event reports the discounted fee', async function() {
+						expectEvent(receipt, "LinkUpdated", {
+							_by: nft_owner,
+							_iNftId: recordId,
+							_aliDelta: link_price.sub(deposit_fee),
+							_feeValue: deposit_fee,
+						});
+					});
+					it('"HolderDiscountApplied" event is emitted', async function() {
+						expectEvent(receipt, "HolderDiscountApplied", {
+							_by: nft_owner,
+							_iNftId: recordId,
+							_discountCollection: discount_nft.address,
+							_value: discount_value,
+						});
+					});
+				});
+			});
+			describe("linking with the proof token not owned applies no discount", function() {
+				beforeEach(async function() {
+					await discount_nft.transferFrom(nft_owner, someone, proof_id, {from: nft_owner});
+					receipt = await link();
+				});
+				it("full linking fee is sent to the treasury", async function() {
+					expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee);
+				});
+				it('"HolderDiscountApplied" event is not emitted', async function() {
+					expectEvent.notEmitted(receipt, "HolderDiscountApplied");
+				});
+			});
+			describe("linking with the non-contract discount collection applies no discount", function() {
+				beforeEach(async function() {
+					await linker.updateDiscountCollection(someone, discount, {from: a0});
+					receipt = await link(proof_id, someone);
+				});
+				it("full linking fee is sent to the treasury", async function() {
+					expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee);
+				});
+				it('"HolderDiscountApplied" event is not emitted', async function() {
+					expectEvent.notEmitted(receipt, "HolderDiscountApplied");
+				});
+			});
+		});
+		describe("when the maximum number of discount collections is set", function() {
+			let max;
+			beforeEach(async function() {
+				max = (await linker.MAX_DISCOUNT_COLLECTIONS()).toNumber();
+				for(let i = 0; i < max; i++) {
+					await linker.updateDiscountCollection(web3.utils.randomHex(20), discount, {from: a0});
+				}
+			});
+			it("adding another discount collection fails", async function() {
+				await expectRevert(
+					linker.updateDiscountCollection(discount_nft.address, discount, {from: a0}),
+					"too many discount collections"
+				);
+			});
+			it("updating the discount collection listed succeeds", async function() {
+				const {collections} = await linker.getDiscountCollections();
+				await linker.updateDiscountCollection(collections[0], discount.muln(2), {from: a0});
+				expect(await linker.discountCollections(collections[0])).to.be.bignumber.that.equals(discount.muln(2));
+			});
+			it("removing the discount collection allows adding another one", async function() {
+				const {collections} = await linker.getDiscountCollections();
+				await linker.updateDiscountCollection(collections[0], 0, {from: a0});
+				await linker.updateDiscountCollection(discount_nft.address, discount, {from: a0});
+				expect((await linker.getDiscountCollections()).collections.length).to.equal(max);
+			});
+		});
+		it("linking with the proof of holding applies no discount if no discount collections are set", async function() {
+			const receipt = await link();
+			expect(await ali.balanceOf(fee_destination)).to.be.bignumber.that.equals(link_fee);
+			expectEvent.notEmitted(receipt, "HolderDiscountApplied");
+		});
+	});
+});
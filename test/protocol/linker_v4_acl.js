@@ -0,0 +1,1481 @@
+// AI Protocol iNFT Linker v4: features/roles (ACL) Tests
+
+// Zeppelin test helpers
+const {
+	BN,
+	balance,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@openzeppelin/test-helpers");
+const {
+	ZERO_ADDRESS,
+	ZERO_BYTES32,
+	MAX_UINT256,
+} = constants;
+
+// Chai test helpers
+const {expect} = require("chai");
+
+// ACL token features and roles
+const {
+	not,
+	FEATURE_LINKING,
+	FEATURE_UNLINKING,
+	FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING,
+	FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING,
+	FEATURE_DEPOSITS,
+	FEATURE_WITHDRAWALS,
+	FEATURE_RELINKING,
+	FEATURE_LINKING_WITH_SIG,
+	FEATURE_OPERATOR_ACCESS,
+	FEATURE_TARGET_OWNER_CONSENT,
+	FEATURE_ALLOW_ANY_TARGET_NFT,
+	FEATURE_FEE_ACCRUAL,
+	FEATURE_LINKING_WITH_VOUCHER,
+	ROLE_NEXT_ID_MANAGER,
+	ROLE_LINK_PRICE_MANAGER,
+	ROLE_WHITELIST_MANAGER,
+	ROLE_COMPATIBILITY_MANAGER,
+	ROLE_PERSONALITY_MANAGER,
+	ROLE_DELEGATION_MANAGER,
+	ROLE_RECOVERY_MANAGER,
+	ROLE_DENY_LIST_MANAGER,
+	ROLE_LINKING_CAP_MANAGER,
+	ROLE_LINKER_WITHDRAWAL_MANAGER,
+} = require("../include/features_roles");
+
+// block utils
+const {
+	default_deadline,
+} = require("../include/block_utils");
+
+// EIP-712 signing helpers
+const {
+	sign_link,
+	sign_voucher,
+} = require("../include/eip712");
+
+// deployment routines in use
+const {
+	linker_v4_deploy_restricted,
+	LINKER_PARAMS,
+} = require("./include/deployment_routines");
+const { ai_protocol_erc721_deploy,
+} = require("@ai-protocol/ali-nft-contracts/test/include/deployment_routines")
+const {
+	burnable_short_erc721_deploy,
+} = require("../erc721/include/deployment_routines");
+
+// run iNFT Linker v4 features/roles (ACL) tests
+contract("iNFT Linker v4: features/roles (ACL) tests", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Web3, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3, a4] = accounts;
+
+	// NFT deployment
+	let nft, new_nft;
+	beforeEach(async function() {
+		nft = await ai_protocol_erc721_deploy(a0);
+		new_nft = await ai_protocol_erc721_deploy(a0);
+	});
+
+	// default operator
+	const by = a1;
+
+	// rest of the tokens and protocol deployment
+	let ali, persona, iNft, linker;
+	beforeEach(async function() {
+		({ali, persona, iNft, linker} = await linker_v4_deploy_restricted(a0));
+		// initialize linker v4 with the v1 defaults
+		await linker.updateNextId(LINKER_PARAMS.NEXT_ID, {from: a0});
+		await linker.updateLinkPrice(
+			LINKER_PARAMS.LINK_PRICE,
+			LINKER_PARAMS.LINK_FEE,
+			a0,
+			{from: a0}
+		)
+	});
+
+	// mint NFT, AI Personality, and ERC20 tokens to
+	const owner = H0;
+	const nft_id = 1;
+	const new_nft_id = 2;
+	const persona_id = 1;
+	const link_price = new BN(LINKER_PARAMS.LINK_PRICE);
+	const new_link_price = link_price.divn(2);
+	const link_fee = new BN(LINKER_PARAMS.LINK_FEE);
+	const new_link_fee = new_link_price.divn(2);
+	const new_relink_fee = new_link_fee.divn(2);
+	const new_treasury = a2;
+	const next_id = LINKER_PARAMS.NEXT_ID;
+	const new_next_id = next_id * 2;
+	const deposit_value = link_price.muln(2).divn(3);
+	const deposit_fee = deposit_value.mul(link_fee).div(link_price);
+	beforeEach(async function() {
+		await nft.mint(owner, nft_id, {from: a0});
+		await nft.mint(owner, new_nft_id, {from: a0});
+		await persona.mint(owner, persona_id, {from: a0});
+		await persona.approve(linker.address, persona_id, {from: owner});
+		await persona.setApprovalForAll(linker.address, true, {from: owner});
+		await ali.mint(owner, link_price.add(deposit_value), {from: a0});
+		await ali.approve(linker.address, link_price.add(deposit_value), {from: owner});
+	});
+
+	async function link() {
+		return await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, nft_id, {from: owner});
+	}
+	async function linkWithSig() {
+		const deadline = await default_deadline(60);
+		const link_price = await linker.linkPrice();
+		const signature = await sign_link(linker.address, owner, persona.address, persona_id, nft.address, nft_id, link_price, 0, deadline);
+		return await linker.linkWithSig(persona.address, persona_id, nft.address, nft_id, link_price, deadline, 0, signature, {from: by});
+	}
+	async function linkWithVoucher() {
+		const voucher = {
+			voucherId: web3.utils.keccak256("voucher"),
+			linkPrice: link_price,
+			linkFee: link_fee,
+			recipient: owner,
+			targetContract: nft.address,
+			maxRedemptions: 1,
+			expiresAt: await default_deadline(60),
+		};
+		const signature = await sign_voucher(linker.address, a0, voucher);
+		return await linker.linkWithVoucher(
+			persona.address,
+			persona_id,
+			nft.address,
+			nft_id,
+			[voucher.voucherId, link_price.toString(), link_fee.toString(), owner, nft.address, 1, voucher.expiresAt],
+			signature,
+			{from: owner}
+		);
+	}
+	async function unlink() {
+		return await linker.unlink(next_id, {from: owner});
+	}
+	async function unlinkNFT() {
+		return await linker.unlinkNFT(nft.address, nft_id, {from: owner});
+	}
+	async function relink() {
+		return await linker.relink(next_id, nft.address, new_nft_id, {from: owner});
+	}
+	async function deposit() {
+		return await linker.methods["deposit(uint256,uint96)"](next_id, deposit_value, {from: owner});
+	}
+	async function withdraw() {
+		return await linker.withdraw(next_id, deposit_value, {from: owner});
+	}
+	async function approve_operator() {
+		await persona.setApprovalForAll(by, true, {from: owner});
+		await nft.setApprovalForAll(by, true, {from: owner});
+		await ali.mint(by, link_price.add(deposit_value), {from: a0});
+		await ali.approve(linker.address, link_price.add(deposit_value), {from: by});
+	}
+	async function linkByOperator() {
+		return await linker.methods["link(uint96,address,uint256)"](persona_id, nft.address, nft_id, {from: by});
+	}
+	async function unlinkByOperator() {
+		return await linker.unlink(next_id, {from: by});
+	}
+	async function depositByOperator() {
+		return await linker.methods["deposit(uint256,uint96)"](next_id, deposit_value, {from: by});
+	}
+	async function withdrawByOperator() {
+		return await linker.withdraw(next_id, deposit_value, {from: by});
+	}
+	function link_succeeds(fn = link) {
+		let receipt;
+		beforeEach(async function() {
+			receipt = await fn();
+		});
+		it("iNFT gets created", async function() {
+			expect(await iNft.exists(next_id)).to.be.true;
+		});
+		it("owner of iNFT is as expected", async function() {
+			expect(await iNft.ownerOf(next_id)).to.equal(owner);
+		});
+		it("AI Personality gets locked", async function() {
+			expect(await persona.ownerOf(persona_id)).to.equal(iNft.address);
+		});
+		it('"Linked" event is emitted', async function() {
+			expectEvent(receipt, "Linked", {
+				_by: owner,
+				_iNftId: new BN(next_id),
+				_linkPrice: link_price,
+				_linkFee: link_fee,
+				_personalityContract: persona.address,
+				_personalityId: new BN(persona_id),
+				_targetContract: nft.address,
+				_targetId: new BN(nft_id),
+			});
+		});
+	}
+	function unlink_succeeds(unlink) {
+		let receipt;
+		beforeEach(async function() {
+			receipt = await unlink.call(this);
+		});
+		it("iNFT gets destroyed", async function() {
+			expect(await iNft.exists(next_id)).to.be.false;
+		});
+		it("AI Personality gets released", async function() {
+			expect(await persona.ownerOf(persona_id)).to.equal(owner);
+		});
+		it('"Unlinked" event is emitted', async function() {
+			expectEvent(receipt, "Unlinked", {
+				_by: owner,
+				_iNftId: new BN(next_id),
+			});
+		});
+	}
+	function relink_succeeds() {
+		let receipt;
+		beforeEach(async function() {
+			receipt = await relink();
+		});
+		it("old iNFT gets destroyed", async function() {
+			expect(await iNft.exists(next_id)).to.be.false;
+		});
+		it("new iNFT gets created", async function() {
+			expect(await iNft.exists(next_id + 1)).to.be.true;
+		});
+		it("AI Personality remains locked", async function() {
+			expect(await persona.ownerOf(persona_id)).to.equal(iNft.address);
+		});
+		it('"Relinked" event is emitted', async function() {
+			expectEvent(receipt, "Relinked", {
+				_by: owner,
+				_oldiNftId: new BN(next_id),
+				_newiNftId: new BN(next_id + 1),
+				_relinkFee: "0",
+				_targetContract: nft.address,
+				_targetId: new BN(new_nft_id),
+			});
+		});
+	}
+	function deposit_succeeds() {
+		let receipt;
+		beforeEach(async function() {
+			receipt = await deposit();
+		});
+		const expected_balance = link_price.sub(link_fee).add(deposit_value).sub(deposit_fee);
+		it("cumulative ALI obligation increases", async function() {
+			expect(await iNft.aliBalance()).to.be.bignumber.that.equals(expected_balance);
+		});
+		it("locked ALI value increases", async function() {
+			expect(await iNft.lockedValue(next_id)).to.be.bignumber.that.equals(expected_balance);
+		});
+		it('"LinkUpdated" event is emitted', async function() {
+			expectEvent(receipt, "LinkUpdated", {
+				_by: owner,
+				_iNftId: new BN(next_id),
+				_aliDelta: deposit_value.sub(deposit_fee),
+				_feeValue: deposit_fee,
+			});
+		});
+	}
+	function withdrawal_succeeds() {
+		let receipt;
+		beforeEach(async function() {
+			receipt = await withdraw();
+		});
+		const expected_balance = link_price.sub(link_fee).sub(deposit_value);
+		it("cumulative ALI obligation decreases", async function() {
+			expect(await iNft.aliBalance()).to.be.bignumber.that.equals(expected_balance);
+		});
+		it("locked ALI value decreases", async function() {
+			expect(await iNft.lockedValue(next_id)).to.be.bignumber.that.equals(expected_balance);
+		});
+		it('"LinkUpdated" event is emitted', async function() {
+			expectEvent(receipt, "LinkUpdated", {
+				_by: owner,
+				_iNftId: new BN(next_id),
+				_aliDelta: deposit_value.neg(),
+				_feeValue: "0",
+			});
+		});
+	}
+	describe("when FEATURE_LINKING is disabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(not(FEATURE_LINKING), {from: a0});
+		});
+		it("linking fails", async function() {
+			await expectRevert(link(), "linking is disabled");
+		});
+	});
+	describe("when FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING is disabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(not(FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING), {from: a0});
+		});
+		it("linking to the non-whitelisted NFT fails", async function() {
+			await expectRevert(link(), "not a whitelisted NFT contract");
+		});
+	});
+	describe("when FEATURE_LINKING and FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING are enabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING, {from: a0});
+		});
+		describe("linking succeeds", function() {
+			link_succeeds();
+		});
+	});
+	describe("when FEATURE_LINKING_WITH_SIG is disabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(not(FEATURE_LINKING_WITH_SIG), {from: a0});
+		});
+		it("linking with signature fails", async function() {
+			await expectRevert(linkWithSig(), "linking with signature is disabled");
+		});
+	});
+	describe("when FEATURE_LINKING_WITH_SIG, FEATURE_LINKING and FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING are enabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(
+				FEATURE_LINKING_WITH_SIG | FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING,
+				{from: a0}
+			);
+		});
+		describe("linking with signature succeeds", function() {
+			link_succeeds(linkWithSig);
+		});
+	});
+	describe("when FEATURE_LINKING_WITH_VOUCHER is disabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(not(FEATURE_LINKING_WITH_VOUCHER), {from: a0});
+		});
+		it("linking with voucher fails", async function() {
+			await expectRevert(linkWithVoucher(), "linking with voucher is disabled");
+		});
+	});
+	describe("when FEATURE_LINKING_WITH_VOUCHER, FEATURE_LINKING and FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING are enabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(
+				FEATURE_LINKING_WITH_VOUCHER | FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING,
+				{from: a0}
+			);
+		});
+		describe("linking with voucher succeeds", function() {
+			link_succeeds(linkWithVoucher);
+		});
+	});
+	describe("when FEATURE_TARGET_OWNER_CONSENT is disabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(not(FEATURE_TARGET_OWNER_CONSENT), {from: a0});
+			await nft.transferFrom(owner, a3, nft_id, {from: owner});
+		});
+		describe("linking to the NFT owned by someone else succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await link();
+			});
+			it("iNFT gets created", async function() {
+				expect(await iNft.exists(next_id)).to.be.true;
+			});
+			it("owner of iNFT is the NFT owner", async function() {
+				expect(await iNft.ownerOf(next_id)).to.equal(a3);
+			});
+		});
+	});
+	describe("when FEATURE_TARGET_OWNER_CONSENT, FEATURE_LINKING and FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING are enabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(
+				FEATURE_TARGET_OWNER_CONSENT | FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING,
+				{from: a0}
+			);
+		});
+		it("linking to the NFT owned by someone else fails", async function() {
+			await nft.transferFrom(owner, a3, nft_id, {from: owner});
+			await expectRevert(link(), "no target NFT owner consent");
+		});
+		describe("linking to the NFT owned succeeds", function() {
+			link_succeeds();
+		});
+	});
+	describe("when target NFT is denied", function() {
+		beforeEach(async function() {
+			await linker.denyTargetNft(nft.address, nft_id, true, true, {from: a0});
+		});
+		describe("when FEATURE_ALLOW_ANY_TARGET_NFT is disabled", function() {
+			beforeEach(async function() {
+				await linker.updateFeatures(not(FEATURE_ALLOW_ANY_TARGET_NFT), {from: a0});
+			});
+			it("linking fails", async function() {
+				await expectRevert(link(), "denied target NFT");
+			});
+		});
+		describe("when FEATURE_ALLOW_ANY_TARGET_NFT, FEATURE_LINKING and FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING are enabled", function() {
+			beforeEach(async function() {
+				await linker.updateFeatures(
+					FEATURE_ALLOW_ANY_TARGET_NFT | FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING,
+					{from: a0}
+				);
+			});
+			describe("linking succeeds", function() {
+				link_succeeds();
+			});
+		});
+	});
+	describe("when FEATURE_FEE_ACCRUAL is disabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(not(FEATURE_FEE_ACCRUAL), {from: a0});
+			await link();
+		});
+		it("linking fee is not kept on the linker", async function() {
+			expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals("0");
+		});
+		it("linking fee is not accrued", async function() {
+			expect(await linker.accruedFees(a0)).to.be.bignumber.that.equals("0");
+		});
+	});
+	describe("when FEATURE_FEE_ACCRUAL, FEATURE_LINKING and FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING are enabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(
+				FEATURE_FEE_ACCRUAL | FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING,
+				{from: a0}
+			);
+			await link();
+		});
+		it("linking fee is kept on the linker", async function() {
+			expect(await ali.balanceOf(linker.address)).to.be.bignumber.that.equals(link_fee);
+		});
+		it("linking fee is accrued", async function() {
+			expect(await linker.accruedFees(a0)).to.be.bignumber.that.equals(link_fee);
+		});
+	});
+	describe("when FEATURE_OPERATOR_ACCESS is disabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(not(FEATURE_OPERATOR_ACCESS), {from: a0});
+			await approve_operator();
+		});
+		it("linking by an approved operator fails", async function() {
+			await expectRevert(linkByOperator(), "access denied");
+		});
+	});
+	describe("when FEATURE_OPERATOR_ACCESS, FEATURE_LINKING and FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING are enabled", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(
+				FEATURE_OPERATOR_ACCESS | FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING,
+				{from: a0}
+			);
+			await approve_operator();
+		});
+		describe("linking by an approved operator succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await linkByOperator();
+			});
+			it("iNFT gets created", async function() {
+				expect(await iNft.exists(next_id)).to.be.true;
+			});
+			it("owner of iNFT is the NFT owner", async function() {
+				expect(await iNft.ownerOf(next_id)).to.equal(owner);
+			});
+			it("AI Personality gets locked", async function() {
+				expect(await persona.ownerOf(persona_id)).to.equal(iNft.address);
+			});
+			it("ALI tokens are charged from the operator", async function() {
+				expect(await ali.balanceOf(by)).to.be.bignumber.that.equals(deposit_value);
+			});
+			it('"Linked" event is emitted', async function() {
+				expectEvent(receipt, "Linked", {
+					_by: by,
+					_iNftId: new BN(next_id),
+					_personalityContract: persona.address,
+					_personalityId: new BN(persona_id),
+				});
+			});
+		});
+	});
+	describe("when iNFT exists (already linked)", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING, {from: a0});
+			await link();
+		});
+		describe("when FEATURE_UNLINKING is disabled", function() {
+			beforeEach(async function() {
+				await linker.updateFeatures(not(FEATURE_UNLINKING), {from: a0});
+			});
+			it("unlinking fails", async function() {
+				await expectRevert(unlink(), "unlinking is disabled");
+			});
+			it("unlinking NFT fails", async function() {
+				await expectRevert(unlinkNFT(), "unlinking is disabled");
+			});
+		});
+		describe("when FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING is disabled", function() {
+			beforeEach(async function() {
+				await linker.updateFeatures(not(FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING), {from: a0});
+			});
+			it("unlinking from the non-whitelisted NFT fails", async function() {
+				await expectRevert(unlink(), "not a whitelisted NFT contract");
+			});
+		});
+		describe("when FEATURE_UNLINKING and FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING are enabled", function() {
+			beforeEach(async function() {
+				await linker.updateFeatures(FEATURE_UNLINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING, {from: a0});
+			});
+			describe("unlinking succeeds", function() {
+				unlink_succeeds(unlink);
+			});
+			describe("unlinking succeeds", function() {
+				unlink_succeeds(unlinkNFT);
+			});
+		});
+		describe("when FEATURE_RELINKING is disabled", function() {
+			beforeEach(async function() {
+				await linker.updateFeatures(not(FEATURE_RELINKING), {from: a0});
+			});
+			it("relinking fails", async function() {
+				await expectRevert(relink(), "relinking is disabled");
+			});
+		});
+		describe("when FEATURE_RELINKING is enabled", function() {
+			beforeEach(async function() {
+				await linker.updateFeatures(
+					FEATURE_RELINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING,
+					{from: a0}
+				);
+			});
+			describe("relinking succeeds", function() {
+				relink_succeeds();
+			});
+		});
+		describe("when FEATURE_DEPOSITS is disabled", function() {
+			beforeEach(async function() {
+				await linker.updateFeatures(not(FEATURE_DEPOSITS), {from: a0});
+			});
+			it("deposit fails", async function() {
+				await expectRevert(deposit(), "deposits are disabled");
+			});
+		});
+		describe("when FEATURE_DEPOSITS is enabled", function() {
+			beforeEach(async function() {
+				await linker.updateFeatures(FEATURE_DEPOSITS, {from: a0});
+			});
+			describe("deposit succeeds", function() {
+				deposit_succeeds();
+			});
+		});
+		describe("when FEATURE_OPERATOR_ACCESS is disabled", function() {
+			beforeEach(async function() {
+				await linker.updateFeatures(not(FEATURE_OPERATOR_ACCESS), {from: a0});
+				await linker.updateLinkPrice(0, 0, ZERO_ADDRESS, {from: a0});
+				await approve_operator();
+			});
+			it("unlinking by an approved operator fails", async function() {
+				await expectRevert(unlinkByOperator(), "not an iNFT owner");
+			});
+			it("deposit by an approved operator fails", async function() {
+				await expectRevert(depositByOperator(), "not an iNFT owner");
+			});
+			it("withdrawal by an approved operator fails", async function() {
+				await expectRevert(withdrawByOperator(), "not an iNFT owner");
+			});
+		});
+		describe("when FEATURE_OPERATOR_ACCESS is enabled", function() {
+			beforeEach(async function() {
+				await linker.updateFeatures(
+					FEATURE_OPERATOR_ACCESS | FEATURE_UNLINKING | FEATURE_DEPOSITS | FEATURE_WITHDRAWALS
+					| FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_UNLINKING,
+					{from: a0}
+				);
+				await linker.updateLinkPrice(0, 0, ZERO_ADDRESS, {from: a0});
+				await approve_operator();
+			});
+			describe("unlinking by an approved operator succeeds", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await unlinkByOperator();
+				});
+				it("AI Personality gets released to the owner", async function() {
+					expect(await persona.ownerOf(persona_id)).to.equal(owner);
+				});
+				it("ALI tokens get released to the owner", async function() {
+					expect(await ali.balanceOf(owner)).to.be.bignumber.that.equals(link_price.sub(link_fee).add(deposit_value));
+				});
+				it('"Unlinked" event is emitted', async function() {
+					expectEvent(receipt, "Unlinked", {
+						_by: by,
+						_iNftId: new BN(next_id),
+					});
+				});
+			});
+			describe("deposit and withdrawal by an approved operator succeed", function() {
+				let receipt;
+				beforeEach(async function() {
+					await depositByOperator();
+					receipt = await withdrawByOperator();
+				});
+				it("ALI tokens are charged from the operator", async function() {
+					expect(await ali.balanceOf(by)).to.be.bignumber.that.equals(link_price);
+				});
+				it("ALI tokens withdrawn are sent to the owner", async function() {
+					expect(await ali.balanceOf(owner)).to.be.bignumber.that.equals(deposit_value.muln(2));
+				});
+				it('"LinkUpdated" event is emitted', async function() {
+					expectEvent(receipt, "LinkUpdated", {
+						_by: by,
+						_iNftId: new BN(next_id),
+						_aliDelta: deposit_value.neg(),
+						_feeValue: "0",
+					});
+				});
+			});
+		});
+		describe("after link price is set to zero", function() {
+			beforeEach(async function() {
+				await linker.updateLinkPrice(0, 0, ZERO_ADDRESS, {from: a0});
+			});
+			describe("when FEATURE_WITHDRAWALS is disabled", function() {
+				beforeEach(async function() {
+					await linker.updateFeatures(not(FEATURE_WITHDRAWALS), {from: a0});
+				});
+				it("withdrawal fails", async function() {
+					await expectRevert(withdraw(), "withdrawals are disabled");
+				});
+			});
+			describe("when FEATURE_WITHDRAWALS is enabled", function() {
+				beforeEach(async function() {
+					await linker.updateFeatures(FEATURE_WITHDRAWALS, {from: a0});
+				});
+				describe("withdrawal succeeds", function() {
+					withdrawal_succeeds();
+				});
+			});
+		});
+	});
+
+	async function updateNextId() {
+		return await linker.updateNextId(new_next_id, {from: by});
+	}
+	describe("when sender doesn't have ROLE_NEXT_ID_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_NEXT_ID_MANAGER), {from: a0});
+		});
+		it("updateNextId fails", async function() {
+			await expectRevert(updateNextId(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_NEXT_ID_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_NEXT_ID_MANAGER, {from: a0});
+		});
+		describe("updateNextId succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateNextId();
+			});
+			it("nextId gets set as expected", async function() {
+				expect(await linker.nextId()).to.be.bignumber.that.equals(new_next_id + "");
+			});
+			it('"NextIdChanged" event is emitted', async function() {
+				expectEvent(receipt, "NextIdChanged", {
+					_by: by,
+					_oldVal: new BN(next_id),
+					_newVal: new BN(new_next_id),
+				});
+			});
+		});
+	});
+
+	async function updateLinkPrice() {
+		return await linker.updateLinkPrice(new_link_price, new_link_fee, new_treasury, {from: by});
+	}
+	describe("when sender doesn't have ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_LINK_PRICE_MANAGER), {from: a0});
+		});
+		it("updateLinkPrice fails", async function() {
+			await expectRevert(updateLinkPrice(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_LINK_PRICE_MANAGER, {from: a0});
+		});
+		describe("updateLinkPrice succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateLinkPrice();
+			});
+			it("linkPrice gets set as expected", async function() {
+				expect(await linker.linkPrice()).to.be.bignumber.that.equals(new_link_price);
+			});
+			it("linkFee gets set as expected", async function() {
+				expect(await linker.linkFee()).to.be.bignumber.that.equals(new_link_fee);
+			});
+			it("treasury gets set as expected", async function() {
+				expect(await linker.feeDestination()).to.equal(new_treasury);
+			});
+			it('"LinkPriceChanged" event is emitted', async function() {
+				expectEvent(receipt, "LinkPriceChanged", {
+					_by: by,
+					_linkPrice: new_link_price,
+					_linkFee: new_link_fee,
+					_feeDestination: new_treasury,
+				});
+			});
+		});
+	});
+
+	async function updateRelinkFee() {
+		return await linker.updateRelinkFee(new_relink_fee, {from: by});
+	}
+	describe("when sender doesn't have ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_LINK_PRICE_MANAGER), {from: a0});
+		});
+		it("updateRelinkFee fails", async function() {
+			await expectRevert(updateRelinkFee(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_LINK_PRICE_MANAGER, {from: a0});
+		});
+		describe("updateRelinkFee succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateRelinkFee();
+			});
+			it("relinkFee gets set as expected", async function() {
+				expect(await linker.relinkFee()).to.be.bignumber.that.equals(new_relink_fee);
+			});
+			it('"RelinkFeeChanged" event is emitted', async function() {
+				expectEvent(receipt, "RelinkFeeChanged", {
+					_by: by,
+					_relinkFee: new_relink_fee,
+				});
+			});
+		});
+	});
+
+	async function updateCollectionLinkPrice() {
+		return await linker.updateCollectionLinkPrice(new_nft.address, new_link_price, new_link_fee, new_treasury, true, {from: by});
+	}
+	describe("when sender doesn't have ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_LINK_PRICE_MANAGER), {from: a0});
+		});
+		it("updateCollectionLinkPrice fails", async function() {
+			await expectRevert(updateCollectionLinkPrice(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_LINK_PRICE_MANAGER, {from: a0});
+		});
+		describe("updateCollectionLinkPrice succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateCollectionLinkPrice();
+			});
+			it("collection linking price gets set as expected", async function() {
+				const {_linkPrice, _linkFee, _feeDestination} = await linker.getLinkPrice(new_nft.address);
+				expect(_linkPrice, "linkPrice").to.be.bignumber.that.equals(new_link_price);
+				expect(_linkFee, "linkFee").to.be.bignumber.that.equals(new_link_fee);
+				expect(_feeDestination, "feeDestination").to.equal(new_treasury);
+			});
+			it('"CollectionLinkPriceChanged" event is emitted', async function() {
+				expectEvent(receipt, "CollectionLinkPriceChanged", {
+					_by: by,
+					_targetContract: new_nft.address,
+					_linkPrice: new_link_price,
+					_linkFee: new_link_fee,
+					_feeDestination: new_treasury,
+					_enabled: true,
+				});
+			});
+		});
+	});
+
+	async function updateUnlinkFee() {
+		return await linker.updateUnlinkFee(0, 1_000, new_treasury, {from: by});
+	}
+	describe("when sender doesn't have ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_LINK_PRICE_MANAGER), {from: a0});
+		});
+		it("updateUnlinkFee fails", async function() {
+			await expectRevert(updateUnlinkFee(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_LINK_PRICE_MANAGER, {from: a0});
+		});
+		describe("updateUnlinkFee succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateUnlinkFee();
+			});
+			it("unlinkFeeShare gets set as expected", async function() {
+				expect(await linker.unlinkFeeShare()).to.be.bignumber.that.equals("1000");
+			});
+			it("unlink treasury gets set as expected", async function() {
+				expect(await linker.unlinkFeeDestination()).to.equal(new_treasury);
+			});
+			it('"UnlinkFeeChanged" event is emitted', async function() {
+				expectEvent(receipt, "UnlinkFeeChanged", {
+					_by: by,
+					_unlinkFee: "0",
+					_unlinkFeeShare: "1000",
+					_feeDestination: new_treasury,
+				});
+			});
+		});
+	});
+
+	async function updateWithdrawalFee() {
+		return await linker.updateWithdrawalFee(1_000, {from: by});
+	}
+	describe("when sender doesn't have ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_LINK_PRICE_MANAGER), {from: a0});
+		});
+		it("updateWithdrawalFee fails", async function() {
+			await expectRevert(updateWithdrawalFee(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_LINK_PRICE_MANAGER, {from: a0});
+		});
+		describe("updateWithdrawalFee succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateWithdrawalFee();
+			});
+			it("withdrawalFee gets set as expected", async function() {
+				expect(await linker.withdrawalFee()).to.be.bignumber.that.equals("1000");
+			});
+			it('"WithdrawalFeeChanged" event is emitted', async function() {
+				expectEvent(receipt, "WithdrawalFeeChanged", {
+					_by: by,
+					_withdrawalFee: "1000",
+				});
+			});
+		});
+	});
+
+	async function updateFeeSplit() {
+		return await linker.updateFeeSplit([new_treasury], [1_000], {from: by});
+	}
+	async function updateCollectionFeeSplit() {
+		return await linker.updateCollectionFeeSplit(new_nft.address, [new_treasury], [2_000], true, {from: by});
+	}
+	describe("when sender doesn't have ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_LINK_PRICE_MANAGER), {from: a0});
+		});
+		it("updateFeeSplit fails", async function() {
+			await expectRevert(updateFeeSplit(), "access denied");
+		});
+		it("updateCollectionFeeSplit fails", async function() {
+			await expectRevert(updateCollectionFeeSplit(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_LINK_PRICE_MANAGER, {from: a0});
+		});
+		describe("updateFeeSplit succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateFeeSplit();
+			});
+			it("fee split table gets set as expected", async function() {
+				const {recipients, shares} = await linker.getFeeSplit(nft.address);
+				expect(recipients).to.deep.equal([new_treasury]);
+				expect(shares[0]).to.be.bignumber.that.equals("1000");
+			});
+			it('"FeeSplitChanged" event is emitted', async function() {
+				expectEvent(receipt, "FeeSplitChanged", {
+					_by: by,
+					_targetContract: ZERO_ADDRESS,
+					_recipients: [new_treasury],
+					_enabled: true,
+				});
+			});
+		});
+		describe("updateCollectionFeeSplit succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateCollectionFeeSplit();
+			});
+			it("collection fee split table gets set as expected", async function() {
+				const {recipients, shares} = await linker.getFeeSplit(new_nft.address);
+				expect(recipients).to.deep.equal([new_treasury]);
+				expect(shares[0]).to.be.bignumber.that.equals("2000");
+			});
+			it('"FeeSplitChanged" event is emitted', async function() {
+				expectEvent(receipt, "FeeSplitChanged", {
+					_by: by,
+					_targetContract: new_nft.address,
+					_recipients: [new_treasury],
+					_enabled: true,
+				});
+			});
+		});
+	});
+
+	async function updateReferralShare() {
+		return await linker.updateReferralShare(1_000, {from: by});
+	}
+	describe("when sender doesn't have ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_LINK_PRICE_MANAGER), {from: a0});
+		});
+		it("updateReferralShare fails", async function() {
+			await expectRevert(updateReferralShare(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_LINK_PRICE_MANAGER, {from: a0});
+		});
+		describe("updateReferralShare succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateReferralShare();
+			});
+			it("referralShare gets set as expected", async function() {
+				expect(await linker.referralShare()).to.be.bignumber.that.equals("1000");
+			});
+			it('"ReferralShareChanged" event is emitted', async function() {
+				expectEvent(receipt, "ReferralShareChanged", {
+					_by: by,
+					_referralShare: "1000",
+				});
+			});
+		});
+	});
+
+	async function cancelVoucher() {
+		return await linker.cancelVoucher(web3.utils.keccak256("voucher"), {from: by});
+	}
+	describe("when sender doesn't have ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_LINK_PRICE_MANAGER), {from: a0});
+		});
+		it("cancelVoucher fails", async function() {
+			await expectRevert(cancelVoucher(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_LINK_PRICE_MANAGER, {from: a0});
+		});
+		describe("cancelVoucher succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await cancelVoucher();
+			});
+			it("voucher gets cancelled", async function() {
+				expect(await linker.cancelledVouchers(web3.utils.keccak256("voucher"))).to.be.true;
+			});
+			it('"VoucherCancelled" event is emitted', async function() {
+				expectEvent(receipt, "VoucherCancelled", {
+					_by: by,
+					_voucherId: web3.utils.keccak256("voucher"),
+				});
+			});
+		});
+	});
+
+	async function updateDiscountCollection() {
+		return await linker.updateDiscountCollection(nft.address, 1_000, {from: by});
+	}
+	describe("when sender doesn't have ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_LINK_PRICE_MANAGER), {from: a0});
+		});
+		it("updateDiscountCollection fails", async function() {
+			await expectRevert(updateDiscountCollection(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_LINK_PRICE_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_LINK_PRICE_MANAGER, {from: a0});
+		});
+		describe("updateDiscountCollection succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateDiscountCollection();
+			});
+			it("discountCollections gets set as expected", async function() {
+				expect(await linker.discountCollections(nft.address)).to.be.bignumber.that.equals("1000");
+			});
+			it('"DiscountCollectionChanged" event is emitted', async function() {
+				expectEvent(receipt, "DiscountCollectionChanged", {
+					_by: by,
+					_discountCollection: nft.address,
+					_oldVal: "0",
+					_newVal: "1000",
+				});
+			});
+		});
+	});
+
+	async function whitelistTargetContract() {
+		return await linker.whitelistTargetContract(new_nft.address, true, true, true, true, {from: by});
+	}
+	async function whitelistTargetContractWithWindow() {
+		return await linker.methods["whitelistTargetContract(address,bool,bool,bool,bool,uint64,uint64)"](
+			new_nft.address, true, true, true, true, 1, 2, {from: by}
+		);
+	}
+	async function whitelistTargetContracts() {
+		return await linker.whitelistTargetContracts([new_nft.address], [15], {from: by});
+	}
+	describe("when sender doesn't have ROLE_WHITELIST_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_WHITELIST_MANAGER), {from: a0});
+		});
+		it("whitelistTargetContract fails", async function() {
+			await expectRevert(whitelistTargetContract(), "access denied");
+		});
+		it("whitelistTargetContracts fails", async function() {
+			await expectRevert(whitelistTargetContracts(), "access denied");
+		});
+		it("whitelistTargetContract with validity window fails", async function() {
+			await expectRevert(whitelistTargetContractWithWindow(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_WHITELIST_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_WHITELIST_MANAGER, {from: a0});
+		});
+		describe("whitelistTargetContract succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await whitelistTargetContract();
+			});
+			it("whitelistTargetContract gets set as expected", async function() {
+				expect(await linker.whitelistedTargetContracts(new_nft.address)).to.be.bignumber.that.equals("15");
+			});
+			it('"TargetContractWhitelisted" event is emitted', async function() {
+				expectEvent(receipt, "TargetContractWhitelisted", {
+					_by: by,
+					_targetContract: new_nft.address,
+					_oldVal: "0",
+					_newVal: "15",
+				});
+			});
+		})
+		describe("whitelistTargetContract with validity window succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await whitelistTargetContractWithWindow();
+			});
+			it("whitelistTargetContract gets set as expected", async function() {
+				expect(await linker.whitelistedTargetContracts(new_nft.address)).to.be.bignumber.that.equals("15");
+			});
+			it('"WhitelistWindowChanged" event is emitted', async function() {
+				expectEvent(receipt, "WhitelistWindowChanged", {
+					_by: by,
+					_targetContract: new_nft.address,
+					_validFrom: "1",
+					_validUntil: "2",
+				});
+			});
+		});
+		describe("whitelistTargetContracts succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await whitelistTargetContracts();
+			});
+			it("whitelistTargetContract gets set as expected", async function() {
+				expect(await linker.whitelistedTargetContracts(new_nft.address)).to.be.bignumber.that.equals("15");
+			});
+			it("target NFT contract gets enumerated", async function() {
+				expect(await linker.whitelistedAt(0)).to.equal(new_nft.address);
+			});
+			it('"TargetContractWhitelisted" event is emitted', async function() {
+				expectEvent(receipt, "TargetContractWhitelisted", {
+					_by: by,
+					_targetContract: new_nft.address,
+					_oldVal: "0",
+					_newVal: "15",
+				});
+			});
+		});
+	});
+
+	async function addCompatibilityRule() {
+		return await linker.addCompatibilityRule(persona.address, persona_id, persona_id, new_nft.address, {from: by});
+	}
+	describe("when sender doesn't have ROLE_COMPATIBILITY_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_COMPATIBILITY_MANAGER), {from: a0});
+		});
+		it("addCompatibilityRule fails", async function() {
+			await expectRevert(addCompatibilityRule(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_COMPATIBILITY_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_COMPATIBILITY_MANAGER, {from: a0});
+		});
+		describe("addCompatibilityRule succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await addCompatibilityRule();
+			});
+			it("compatibility rule gets added", async function() {
+				expect(await linker.getCompatibilityRulesCount()).to.be.bignumber.that.equals("1");
+			});
+			it('"CompatibilityRuleAdded" event is emitted', async function() {
+				expectEvent(receipt, "CompatibilityRuleAdded", {
+					_by: by,
+					_personalityContract: persona.address,
+					_personalityIdFrom: new BN(persona_id),
+					_personalityIdTo: new BN(persona_id),
+					_targetContract: new_nft.address,
+				});
+			});
+		});
+	});
+
+	describe("when compatibility rule exists", function() {
+		beforeEach(async function() {
+			await linker.addCompatibilityRule(persona.address, persona_id, persona_id, new_nft.address, {from: a0});
+		});
+		async function removeCompatibilityRule() {
+			return await linker.removeCompatibilityRule(0, {from: by});
+		}
+		describe("when sender doesn't have ROLE_COMPATIBILITY_MANAGER permission", function() {
+			beforeEach(async function() {
+				await linker.updateRole(by, not(ROLE_COMPATIBILITY_MANAGER), {from: a0});
+			});
+			it("removeCompatibilityRule fails", async function() {
+				await expectRevert(removeCompatibilityRule(), "access denied");
+			});
+		});
+		describe("when sender has ROLE_COMPATIBILITY_MANAGER permission", function() {
+			beforeEach(async function() {
+				await linker.updateRole(by, ROLE_COMPATIBILITY_MANAGER, {from: a0});
+			});
+			describe("removeCompatibilityRule succeeds", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await removeCompatibilityRule();
+				});
+				it("compatibility rule gets removed", async function() {
+					expect(await linker.getCompatibilityRulesCount()).to.be.bignumber.that.equals("0");
+				});
+				it('"CompatibilityRuleRemoved" event is emitted', async function() {
+					expectEvent(receipt, "CompatibilityRuleRemoved", {
+						_by: by,
+						_personalityContract: persona.address,
+						_personalityIdFrom: new BN(persona_id),
+						_personalityIdTo: new BN(persona_id),
+						_targetContract: new_nft.address,
+					});
+				});
+			});
+		});
+	});
+
+	async function registerPersonalityContract() {
+		return await linker.registerPersonalityContract(new_nft.address, true, {from: by});
+	}
+	describe("when sender doesn't have ROLE_PERSONALITY_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_PERSONALITY_MANAGER), {from: a0});
+		});
+		it("registerPersonalityContract fails", async function() {
+			await expectRevert(registerPersonalityContract(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_PERSONALITY_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_PERSONALITY_MANAGER, {from: a0});
+		});
+		describe("registerPersonalityContract succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await registerPersonalityContract();
+			});
+			it("AI Personality contract gets registered", async function() {
+				expect(await linker.registeredPersonalityContracts(new_nft.address)).to.be.true;
+			});
+			it('"PersonalityContractRegistered" event is emitted', async function() {
+				expectEvent(receipt, "PersonalityContractRegistered", {
+					_by: by,
+					_personalityContract: new_nft.address,
+					_registered: true,
+				});
+			});
+		});
+	});
+
+	async function updateDelegationRegistry() {
+		return await linker.updateDelegationRegistry(new_nft.address, {from: by});
+	}
+	describe("when sender doesn't have ROLE_DELEGATION_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_DELEGATION_MANAGER), {from: a0});
+		});
+		it("updateDelegationRegistry fails", async function() {
+			await expectRevert(updateDelegationRegistry(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_DELEGATION_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_DELEGATION_MANAGER, {from: a0});
+		});
+		describe("updateDelegationRegistry succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateDelegationRegistry();
+			});
+			it("delegation registry gets set", async function() {
+				expect(await linker.delegationRegistry()).to.equal(new_nft.address);
+			});
+			it('"DelegationRegistryChanged" event is emitted', async function() {
+				expectEvent(receipt, "DelegationRegistryChanged", {
+					_by: by,
+					_oldVal: ZERO_ADDRESS,
+					_newVal: new_nft.address,
+				});
+			});
+		});
+	});
+
+	describe("when iNFT bound to the burnt NFT exists (orphaned)", function() {
+		let burnable_nft;
+		beforeEach(async function() {
+			burnable_nft = await burnable_short_erc721_deploy(a0);
+			await burnable_nft.mint(owner, nft_id, {from: a0});
+			await linker.updateFeatures(FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING, {from: a0});
+			await linker.methods["link(uint96,address,uint256)"](persona_id, burnable_nft.address, nft_id, {from: owner});
+			await burnable_nft.burn(nft_id, {from: owner});
+		});
+		async function recover() {
+			return await linker.recover(next_id, new_treasury, {from: by});
+		}
+		describe("when sender doesn't have ROLE_RECOVERY_MANAGER permission", function() {
+			beforeEach(async function() {
+				await linker.updateRole(by, not(ROLE_RECOVERY_MANAGER), {from: a0});
+			});
+			it("recover fails", async function() {
+				await expectRevert(recover(), "access denied");
+			});
+		});
+		describe("when sender has ROLE_RECOVERY_MANAGER permission", function() {
+			beforeEach(async function() {
+				await linker.updateRole(by, ROLE_RECOVERY_MANAGER, {from: a0});
+			});
+			describe("recover succeeds", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await recover();
+				});
+				it("ALI tokens locked are sent to the recipient", async function() {
+					expect(await ali.balanceOf(new_treasury)).to.be.bignumber.that.equals(link_price.sub(link_fee));
+				});
+				it('"Recovered" event is emitted', async function() {
+					expectEvent(receipt, "Recovered", {
+						_by: by,
+						_iNftId: new BN(next_id),
+						_recipient: new_treasury,
+						_aliValue: link_price.sub(link_fee),
+						_targetContract: burnable_nft.address,
+						_targetId: new BN(nft_id),
+					});
+				});
+			});
+		});
+	});
+
+	async function denyTargetNft() {
+		return await linker.denyTargetNft(new_nft.address, nft_id, true, false, {from: by});
+	}
+	async function denyTargetNfts() {
+		return await linker.denyTargetNfts([new_nft.address], [nft_id], [0x3], {from: by});
+	}
+	async function denyReferrer() {
+		return await linker.denyReferrer(new_treasury, true, {from: by});
+	}
+	describe("when sender doesn't have ROLE_DENY_LIST_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_DENY_LIST_MANAGER), {from: a0});
+		});
+		it("denyTargetNft fails", async function() {
+			await expectRevert(denyTargetNft(), "access denied");
+		});
+		it("denyTargetNfts fails", async function() {
+			await expectRevert(denyTargetNfts(), "access denied");
+		});
+		it("denyReferrer fails", async function() {
+			await expectRevert(denyReferrer(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_DENY_LIST_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_DENY_LIST_MANAGER, {from: a0});
+		});
+		describe("denyTargetNft succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await denyTargetNft();
+			});
+			it("deny list gets updated", async function() {
+				expect(await linker.deniedTargetNfts(new_nft.address, nft_id)).to.be.bignumber.that.equals("1");
+			});
+			it('"TargetNftDenied" event is emitted', async function() {
+				expectEvent(receipt, "TargetNftDenied", {
+					_by: by,
+					_targetContract: new_nft.address,
+					_targetId: new BN(nft_id),
+					_oldVal: "0",
+					_newVal: "1",
+				});
+			});
+		});
+		describe("denyTargetNfts succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await denyTargetNfts();
+			});
+			it("deny list gets updated", async function() {
+				expect(await linker.deniedTargetNfts(new_nft.address, nft_id)).to.be.bignumber.that.equals("3");
+			});
+			it('"TargetNftDenied" event is emitted', async function() {
+				expectEvent(receipt, "TargetNftDenied", {
+					_by: by,
+					_targetContract: new_nft.address,
+					_targetId: new BN(nft_id),
+					_oldVal: "0",
+					_newVal: "3",
+				});
+			});
+		});
+		describe("denyReferrer succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await denyReferrer();
+			});
+			it("referrers deny list gets updated", async function() {
+				expect(await linker.deniedReferrers(new_treasury)).to.be.true;
+			});
+			it('"ReferrerDenied" event is emitted', async function() {
+				expectEvent(receipt, "ReferrerDenied", {
+					_by: by,
+					_referrer: new_treasury,
+					_denied: true,
+				});
+			});
+		});
+	});
+
+	async function updateCollectionLinkCap() {
+		return await linker.updateCollectionLinkCap(new_nft.address, 100, {from: by});
+	}
+	async function updateWalletLinkCap() {
+		return await linker.updateWalletLinkCap(10, 3_600, {from: by});
+	}
+	describe("when sender doesn't have ROLE_LINKING_CAP_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, not(ROLE_LINKING_CAP_MANAGER), {from: a0});
+		});
+		it("updateCollectionLinkCap fails", async function() {
+			await expectRevert(updateCollectionLinkCap(), "access denied");
+		});
+		it("updateWalletLinkCap fails", async function() {
+			await expectRevert(updateWalletLinkCap(), "access denied");
+		});
+	});
+	describe("when sender has ROLE_LINKING_CAP_MANAGER permission", function() {
+		beforeEach(async function() {
+			await linker.updateRole(by, ROLE_LINKING_CAP_MANAGER, {from: a0});
+		});
+		describe("updateCollectionLinkCap succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateCollectionLinkCap();
+			});
+			it("collection linking cap gets set", async function() {
+				expect(await linker.collectionLinkCaps(new_nft.address)).to.be.bignumber.that.equals("100");
+			});
+			it('"CollectionLinkCapChanged" event is emitted', async function() {
+				expectEvent(receipt, "CollectionLinkCapChanged", {
+					_by: by,
+					_targetContract: new_nft.address,
+					_oldVal: "0",
+					_newVal: "100",
+				});
+			});
+		});
+		describe("updateWalletLinkCap succeeds", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await updateWalletLinkCap();
+			});
+			it("wallet linking cap gets set", async function() {
+				expect(await linker.walletLinkCap()).to.be.bignumber.that.equals("10");
+			});
+			it("linking period gets set", async function() {
+				expect(await linker.walletLinkPeriod()).to.be.bignumber.that.equals("3600");
+			});
+			it('"WalletLinkCapChanged" event is emitted', async function() {
+				expectEvent(receipt, "WalletLinkCapChanged", {
+					_by: by,
+					_walletLinkCap: "10",
+					_walletLinkPeriod: "3600",
+				});
+			});
+		});
+	});
+
+	describe("when linking fees are accrued", function() {
+		beforeEach(async function() {
+			await linker.updateFeatures(
+				FEATURE_FEE_ACCRUAL | FEATURE_LINKING | FEATURE_ALLOW_ANY_NFT_CONTRACT_FOR_LINKING,
+				{from: a0}
+			);
+			await link();
+		});
+		async function withdrawTreasuryFees() {
+			return await linker.withdrawTreasuryFees(a0, new_treasury, link_fee, {from: by});
+		}
+		describe("when sender doesn't have ROLE_LINKER_WITHDRAWAL_MANAGER permission", function() {
+			beforeEach(async function() {
+				await linker.updateRole(by, not(ROLE_LINKER_WITHDRAWAL_MANAGER), {from: a0});
+			});
+			it("withdrawTreasuryFees fails", async function() {
+				await expectRevert(withdrawTreasuryFees(), "access denied");
+			});
+		});
+		describe("when sender has ROLE_LINKER_WITHDRAWAL_MANAGER permission", function() {
+			beforeEach(async function() {
+				await linker.updateRole(by, ROLE_LINKER_WITHDRAWAL_MANAGER, {from: a0});
+			});
+			describe("withdrawTreasuryFees succeeds", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await withdrawTreasuryFees();
+				});
+				it("accrued fees are sent to the recipient", async function() {
+					expect(await ali.balanceOf(new_treasury)).to.be.bignumber.that.equals(link_fee);
+				});
+				it("accrued fees balance gets cleared", async function() {
+					expect(await linker.accruedFees(a0)).to.be.bignumber.that.equals("0");
+				});
+				it('"FeesWithdrawn" event is emitted', async function() {
+					expectEvent(receipt, "FeesWithdrawn", {
+						_by: by,
+						_feeDestination: a0,
+						_to: new_treasury,
+						_value: link_fee,
+					});
+				});
+			});
+		});
+	});
+});